@@ -0,0 +1,117 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../../config/logger.js';
+import { buildProductQuery, toProductPage } from '../../utils/productQuery.js';
+import { addJob } from '../../queues/scraper.queue.js';
+
+const router = Router();
+const prisma = new PrismaClient();
+
+// Find parts that fit a vehicle: ?year=2012&make=Honda&model=Civic[&trim=&engine=]
+router.get('/search', async (req, res) => {
+  try {
+    // year, make and model describe the customer's vehicle here, not the source vehicle
+    const { year, make, model, trim, engine, ...productFilters } = req.query;
+    logger.info(`Received fitment search for ${year} ${make} ${model}`);
+
+    const errors = [];
+    if (!year || !make || !model) {
+      errors.push('year, make and model are required');
+    }
+    if (year && !/^\d{4}$/.test(String(year))) {
+      errors.push('year must be a four-digit year');
+    }
+
+    const { args, limit, errors: queryErrors } = buildProductQuery(productFilters);
+    errors.push(...queryErrors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid fitment search', details: errors });
+    }
+
+    const vehicle = {
+      year: parseInt(year, 10),
+      make: { equals: String(make), mode: 'insensitive' },
+      model: { equals: String(model), mode: 'insensitive' },
+      ...(trim && { trim: { equals: String(trim), mode: 'insensitive' } }),
+      ...(engine && { engine: { contains: String(engine), mode: 'insensitive' } })
+    };
+
+    const rows = await prisma.lkqProduct.findMany({
+      ...args,
+      where: {
+        ...args.where,
+        fitmentRecords: { some: vehicle }
+      }
+    });
+    const { items, nextCursor } = toProductPage(rows, limit);
+
+    res.json({
+      vehicle: { year: vehicle.year, make, model, trim: trim || null, engine: engine || null },
+      products: items,
+      count: items.length,
+      nextCursor
+    });
+  } catch (error) {
+    logger.error('Error searching fitments:', error);
+    logger.error('Stack trace:', error.stack);
+
+    if (error.code === 'P2025') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    res.status(500).json({
+      error: 'Failed to search fitments',
+      message: error.message
+    });
+  }
+});
+
+// List the known makes, or the models of a make, to drive vehicle pickers
+router.get('/vehicles', async (req, res) => {
+  try {
+    const { make, year } = req.query;
+
+    const where = {
+      ...(make && { make: { equals: String(make), mode: 'insensitive' } }),
+      ...(year && { year: parseInt(year, 10) || undefined })
+    };
+    const field = make ? 'model' : 'make';
+
+    const values = await prisma.lkqFitment.findMany({
+      where: { ...where, [field]: { not: null } },
+      distinct: [field],
+      orderBy: { [field]: 'asc' },
+      select: { [field]: true }
+    });
+
+    res.json({ [`${field}s`]: values.map(value => value[field]) });
+  } catch (error) {
+    logger.error('Error listing fitment vehicles:', error);
+    res.status(500).json({
+      error: 'Failed to list fitment vehicles',
+      message: error.message
+    });
+  }
+});
+
+// Queue a job that rebuilds the fitment table from stored product fitment JSON
+router.post('/backfill', async (req, res) => {
+  try {
+    logger.info('Received request to backfill fitments');
+    const job = await addJob('backfill-fitments', {}, { attempts: 1 });
+
+    res.status(202).json({
+      message: 'Fitment backfill queued',
+      jobId: job.id
+    });
+  } catch (error) {
+    logger.error('Error queueing fitment backfill:', error);
+    res.status(500).json({
+      error: 'Failed to queue fitment backfill',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import { logger } from '../../config/logger.js';
+import { getInterchangeGroup } from '../../services/interchange.js';
+
+const router = Router();
+
+// Get every listing sharing an interchange number with price, mileage and yard statistics
+router.get('/:number', async (req, res) => {
+  try {
+    const { number } = req.params;
+    logger.info(`Received request for interchange group ${number}`);
+
+    const group = await getInterchangeGroup(number);
+
+    if (!group) {
+      return res.status(404).json({ error: 'No listings with this interchange number' });
+    }
+
+    res.json(group);
+  } catch (error) {
+    logger.error(`Error fetching interchange group ${req.params.number}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to fetch interchange group',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,132 +1,420 @@
 import { Router } from 'express';
 import { PrismaClient } from '@prisma/client';
 import { logger } from '../../config/logger.js';
-import { addScraperJob, getQueueStatus, getActiveJobs, getFailedJobs, isRedisAvailable } from '../../queues/scraper.queue.js';
-import { lkqScraper } from '../../scrapers/lkq-scraper.js';
-import { registerScraper } from '../../scrapers/index.js';
+import { addJob, addScraperJob, getQueueStatus, getActiveJobs, getFailedJobs, retryJob, cancelRunJobs } from '../../queues/scraper.queue.js';
+import { buildCategoryTree } from '../../scrapers/lkq-categories.js';
+import { summarizeSchemaDrift } from '../../scrapers/lkq-schema.js';
+import { countArchivedPages } from '../../services/raw-archive.js';
 
 const router = Router();
 const prisma = new PrismaClient();
 
-// Register the LKQ scraper when this module is imported
-registerScraper('lkq', lkqScraper);
+// Run statuses that can be continued with POST /runs/:id/resume
+const RESUMABLE_STATUSES = ['failed', 'error', 'paused'];
 
-// Start a new LKQ scraper job
-router.post('/run', async (req, res) => {
+// Run statuses in which a worker is crawling and checks for control requests
+const ACTIVE_STATUSES = ['starting', 'running', 'processing'];
+
+// Starting runs, status and the run list are served for every scraper by scrapers.routes.js
+
+// Get a single LKQ scraper run with its progress statistics
+router.get('/runs/:id', async (req, res) => {
   try {
-    logger.info('Received request to start LKQ scraper');
-    // Extract parameters from request
-    const { maxProducts = 1000 } = req.body;
+    const { id } = req.params;
+    logger.info(`Received request for LKQ scraper run ${id}`);
     
-    // Get or create the scraper in the database
-    let scraper = await prisma.scraper.findUnique({
-      where: { name: 'lkq' }
+    const run = await prisma.scraperRun.findUnique({
+      where: { id },
+      include: {
+        jobs: {
+          orderBy: { createdAt: 'desc' },
+          select: {
+            id: true,
+            status: true,
+            attemptsMade: true,
+            maxAttempts: true,
+            runAt: true,
+            failedReason: true
+          }
+        }
+      }
     });
     
-    if (!scraper) {
-      logger.info('LKQ scraper not found in database, creating new record');
-      scraper = await prisma.scraper.create({
-        data: {
-          name: 'lkq',
-          description: 'LKQ Online Auto Parts Scraper',
-          enabled: true,
-          config: {
-            maxProductsToScrape: maxProducts
-          }
+    if (!run) {
+      logger.warn(`LKQ scraper run ${id} not found`);
+      return res.status(404).json({ error: 'Scraper run not found' });
+    }
+    
+    res.json(run);
+  } catch (error) {
+    logger.error(`Error fetching LKQ scraper run ${req.params.id}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({ 
+      error: 'Failed to fetch LKQ scraper run',
+      message: error.message 
+    });
+  }
+});
+
+// Resume a failed or interrupted run from its last checkpoint
+router.post('/runs/:id/resume', async (req, res) => {
+  try {
+    const { id } = req.params;
+    logger.info(`Received request to resume LKQ scraper run ${id}`);
+    
+    const run = await prisma.scraperRun.findUnique({
+      where: { id },
+      include: {
+        jobs: {
+          orderBy: { createdAt: 'desc' }
         }
+      }
+    });
+    
+    if (!run) {
+      logger.warn(`LKQ scraper run ${id} not found`);
+      return res.status(404).json({ error: 'Scraper run not found' });
+    }
+    
+    // A run left in an in-progress state with no live job was interrupted
+    const hasLiveJob = run.jobs.some(job => ['waiting', 'active'].includes(job.status));
+    const interrupted = ACTIVE_STATUSES.includes(run.status) && !hasLiveJob;
+    
+    if (!RESUMABLE_STATUSES.includes(run.status) && !interrupted) {
+      return res.status(409).json({
+        error: `Run cannot be resumed while ${run.status}`,
+        status: run.status
       });
-      logger.info(`Created LKQ scraper record in database with id: ${scraper.id}`);
-    } else {
-      logger.info(`Found existing LKQ scraper with id: ${scraper.id}`);
     }
     
-    // Create a new scraper run record
-    logger.info('Creating scraper run record');
-    const scraperRun = await prisma.scraperRun.create({
+    await prisma.scraperRun.update({
+      where: { id },
       data: {
-        scraperId: scraper.id,
-        status: 'pending'
+        status: 'pending',
+        error: null,
+        completedAt: null,
+        controlRequest: null
       }
     });
-    logger.info(`Created scraper run with id: ${scraperRun.id}`);
     
-    // Check if Redis is available
-    const redisAvailable = isRedisAvailable();
-    
-    // Add job to queue for background processing
-    logger.info('Adding job to queue');
     const job = await addScraperJob({
-      scraperId: scraper.id,
-      runId: scraperRun.id,
-      config: {
-        maxProductsToScrape: maxProducts
-      }
+      scraperId: run.scraperId,
+      runId: run.id,
+      config: run.config || run.jobs[0]?.data?.config || {}
     });
     
-    logger.info(`Job ${redisAvailable ? 'added to queue' : 'executed directly'} with id: ${job.id}`);
+    logger.info(`Queued job ${job.id} to resume run ${id} from checkpoint ${JSON.stringify(run.checkpoint)}`);
     
     res.status(202).json({
-      message: redisAvailable 
-        ? 'LKQ scraper job queued' 
-        : 'LKQ scraper job executed directly (Redis unavailable)',
-      runId: scraperRun.id,
+      message: 'LKQ scraper run resumed',
+      runId: run.id,
       jobId: job.id,
-      maxProducts,
-      redisAvailable
+      checkpoint: run.checkpoint
     });
   } catch (error) {
-    logger.error('Error starting LKQ scraper:', error);
+    logger.error(`Error resuming LKQ scraper run ${req.params.id}:`, error);
     logger.error('Stack trace:', error.stack);
     res.status(500).json({ 
-      error: 'Failed to start LKQ scraper',
-      message: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: 'Failed to resume LKQ scraper run',
+      message: error.message 
     });
   }
 });
 
-// Get LKQ scraper status and statistics
-router.get('/status', async (req, res) => {
+// Re-run extraction and saving of a run from its archived API responses, without fetching from LKQ
+router.post('/runs/:id/reprocess', async (req, res) => {
   try {
-    logger.info('Received request for LKQ scraper status');
-    const scraper = await prisma.scraper.findUnique({
-      where: { name: 'lkq' }
+    const { id } = req.params;
+    logger.info(`Received request to reprocess LKQ scraper run ${id}`);
+    
+    const run = await prisma.scraperRun.findUnique({
+      where: { id },
+      select: { id: true, status: true }
     });
     
-    if (!scraper) {
-      logger.warn('LKQ scraper not found in database');
-      return res.status(404).json({ error: 'LKQ scraper not found' });
+    if (!run) {
+      logger.warn(`LKQ scraper run ${id} not found`);
+      return res.status(404).json({ error: 'Scraper run not found' });
     }
     
-    // Get the latest run
-    logger.info(`Finding latest run for scraper id: ${scraper.id}`);
-    const latestRun = await prisma.scraperRun.findFirst({
-      where: { scraperId: scraper.id },
-      orderBy: { startedAt: 'desc' }
+    if (ACTIVE_STATUSES.includes(run.status)) {
+      return res.status(409).json({
+        error: `Run cannot be reprocessed while ${run.status}`,
+        status: run.status
+      });
+    }
+    
+    // Reprocess jobs name their run in the payload, not in scraperRunId, so they are found by it
+    const pendingJob = await prisma.scraperJob.findFirst({
+      where: {
+        name: 'reprocess-run',
+        status: { in: ['waiting', 'active'] },
+        data: { path: ['reprocessRunId'], equals: id }
+      },
+      select: { id: true, status: true }
     });
     
-    // Get statistics
-    logger.info('Counting LKQ products');
-    const totalProducts = await prisma.lkqProduct.count();
+    if (pendingJob) {
+      return res.status(409).json({
+        error: 'Run is already being reprocessed',
+        jobId: pendingJob.id,
+        status: pendingJob.status
+      });
+    }
     
-    // Check if Redis is available
-    const redisAvailable = isRedisAvailable();
+    const pages = await countArchivedPages(id);
+    if (pages === 0) {
+      return res.status(409).json({ error: 'Run has no archived pages' });
+    }
     
-    res.json({
-      scraper,
-      latestRun,
-      statistics: {
-        totalProducts
+    const batchSize = req.body.batchSize === undefined ? 50 : Number(req.body.batchSize);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 500) {
+      return res.status(400).json({ error: 'Invalid reprocess options', details: ['batchSize must be an integer between 1 and 500'] });
+    }
+    
+    const job = await addJob('reprocess-run', { reprocessRunId: id, batchSize }, { attempts: 1 });
+    
+    res.status(202).json({
+      message: 'LKQ scraper run reprocess queued',
+      runId: id,
+      jobId: job.id,
+      pages
+    });
+  } catch (error) {
+    logger.error(`Error queueing reprocess of LKQ scraper run ${req.params.id}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({ 
+      error: 'Failed to reprocess LKQ scraper run',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Stop a run with an operator request
+ * Queued and paused runs stop immediately; active runs are asked to stop between pages
+ * @param {string} request - 'cancel' or 'pause'
+ * @returns {Function} - Express route handler
+ */
+const stopRunHandler = (request) => async (req, res) => {
+  const finalStatus = request === 'cancel' ? 'cancelled' : 'paused';
+  
+  try {
+    const { id } = req.params;
+    logger.info(`Received ${request} request for LKQ scraper run ${id}`);
+    
+    const run = await prisma.scraperRun.findUnique({
+      where: { id }
+    });
+    
+    if (!run) {
+      logger.warn(`LKQ scraper run ${id} not found`);
+      return res.status(404).json({ error: 'Scraper run not found' });
+    }
+    
+    const stopNow = run.status === 'pending' || (request === 'cancel' && run.status === 'paused');
+    
+    if (stopNow) {
+      await cancelRunJobs(id);
+      await prisma.scraperRun.update({
+        where: { id },
+        data: {
+          status: finalStatus,
+          // Kept set so a worker that claimed the job concurrently stops at its first page
+          controlRequest: request,
+          completedAt: finalStatus === 'cancelled' ? new Date() : null
+        }
+      });
+      
+      logger.info(`LKQ scraper run ${id} ${finalStatus} before it was picked up`);
+      return res.json({ message: `LKQ scraper run ${finalStatus}`, runId: id, status: finalStatus });
+    }
+    
+    if (!ACTIVE_STATUSES.includes(run.status)) {
+      return res.status(409).json({
+        error: `Run cannot be ${finalStatus} while ${run.status}`,
+        status: run.status
+      });
+    }
+    
+    await prisma.scraperRun.update({
+      where: { id },
+      data: { controlRequest: request }
+    });
+    
+    logger.info(`LKQ scraper run ${id} will be ${finalStatus} after the current page`);
+    res.status(202).json({
+      message: `LKQ scraper run will be ${finalStatus} after the current page`,
+      runId: id,
+      status: run.status
+    });
+  } catch (error) {
+    logger.error(`Error handling ${request} request for LKQ scraper run ${req.params.id}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({ 
+      error: `Failed to ${request} LKQ scraper run`,
+      message: error.message 
+    });
+  }
+};
+
+// Cancel a queued, running or paused run
+router.post('/runs/:id/cancel', stopRunHandler('cancel'));
+
+// Pause a queued or running run; continue it with POST /runs/:id/resume
+router.post('/runs/:id/pause', stopRunHandler('pause'));
+
+// Get the price and availability history of a product
+router.get('/products/:sku/history', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const { from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    logger.info(`Received request for price history of product ${sku}`);
+    
+    const product = await prisma.lkqProduct.findUnique({
+      where: { sku },
+      select: {
+        sku: true,
+        title: true,
+        price: true,
+        listPrice: true,
+        corePrice: true,
+        availability: true,
+        updatedAt: true
+      }
+    });
+    
+    if (!product) {
+      logger.warn(`Product ${sku} not found`);
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    const recordedAt = {};
+    if (from) {
+      recordedAt.gte = new Date(from);
+    }
+    if (to) {
+      recordedAt.lte = new Date(to);
+    }
+    
+    if (Object.values(recordedAt).some(date => isNaN(date.getTime()))) {
+      return res.status(400).json({ error: 'Invalid date filter. Use ISO 8601 dates for from and to.' });
+    }
+    
+    const history = await prisma.lkqProductSnapshot.findMany({
+      where: {
+        sku,
+        ...(Object.keys(recordedAt).length > 0 && { recordedAt })
       },
-      queueStatus: {
-        redisAvailable
+      orderBy: { recordedAt: 'asc' },
+      take: limit,
+      select: {
+        recordedAt: true,
+        price: true,
+        listPrice: true,
+        corePrice: true,
+        availability: true,
+        changedFields: true,
+        scraperRunId: true
+      }
+    });
+    
+    res.json({ product, history });
+  } catch (error) {
+    logger.error(`Error fetching price history of product ${req.params.sku}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({ 
+      error: 'Failed to fetch product history',
+      message: error.message 
+    });
+  }
+});
+
+// Summarize product payload drift (new, disappeared and unknown fields) across recent runs
+router.get('/schema/drift', async (req, res) => {
+  try {
+    logger.info('Received request for LKQ schema drift report');
+    const limit = Math.min(parseInt(req.query.runs, 10) || 10, 100);
+    
+    const runs = await prisma.scraperRun.findMany({
+      where: { scraper: { name: 'lkq' } },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      select: {
+        id: true,
+        status: true,
+        createdAt: true,
+        statistics: true
+      }
+    });
+    
+    res.json(summarizeSchemaDrift(runs));
+  } catch (error) {
+    logger.error('Error building LKQ schema drift report:', error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({ 
+      error: 'Failed to build schema drift report',
+      message: error.message 
+    });
+  }
+});
+
+// List discovered LKQ categories as a tree, or flat with ?flat=true
+router.get('/categories', async (req, res) => {
+  try {
+    logger.info('Received request for LKQ categories');
+    
+    const categories = await prisma.lkqCategory.findMany({
+      orderBy: { path: 'asc' },
+      select: {
+        id: true,
+        path: true,
+        name: true,
+        parentPath: true,
+        depth: true,
+        productCount: true,
+        enabled: true,
+        lastSeenAt: true
       }
     });
+    
+    res.json({
+      total: categories.length,
+      categories: req.query.flat === 'true' ? categories : buildCategoryTree(categories)
+    });
+  } catch (error) {
+    logger.error('Error fetching LKQ categories:', error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({ 
+      error: 'Failed to fetch LKQ categories',
+      message: error.message 
+    });
+  }
+});
+
+// Queue a category discovery job that walks the LKQ category facets
+router.post('/categories/discover', async (req, res) => {
+  try {
+    logger.info('Received request to discover LKQ categories');
+    const maxDepth = parseInt(req.body.maxDepth, 10) || 3;
+    
+    if (maxDepth < 1 || maxDepth > 6) {
+      return res.status(400).json({ error: 'maxDepth must be between 1 and 6' });
+    }
+    
+    const job = await addJob('discover-categories', { maxDepth }, { attempts: 1 });
+    
+    res.status(202).json({
+      message: 'LKQ category discovery queued',
+      jobId: job.id,
+      maxDepth
+    });
   } catch (error) {
-    logger.error('Error fetching LKQ scraper status:', error);
+    logger.error('Error queueing LKQ category discovery:', error);
     logger.error('Stack trace:', error.stack);
     res.status(500).json({ 
-      error: 'Failed to fetch LKQ scraper status',
+      error: 'Failed to queue LKQ category discovery',
       message: error.message 
     });
   }
@@ -137,23 +425,6 @@ router.get('/queue-debug', async (req, res) => {
   try {
     logger.info('Received request for queue debug information');
     
-    // Check if Redis is available
-    const redisAvailable = isRedisAvailable();
-    
-    if (!redisAvailable) {
-      return res.json({
-        redisAvailable: false,
-        message: 'Redis is not available. Queue functionality is disabled.',
-        queueStatus: {
-          counts: { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 },
-          isReady: false,
-          isPaused: false
-        },
-        activeJobs: [],
-        failedJobs: []
-      });
-    }
-    
     // Get queue status
     const queueStatus = await getQueueStatus();
     
@@ -164,23 +435,32 @@ router.get('/queue-debug', async (req, res) => {
     const failedJobs = await getFailedJobs();
     
     res.json({
-      redisAvailable: true,
-      queueStatus,
+      queueStatus: queueStatus.counts,
+      isReady: queueStatus.isReady,
+      isPaused: queueStatus.isPaused,
       activeJobs: activeJobs.map(job => ({
         id: job.id,
         data: job.data,
-        progress: job.progress(),
+        progress: job.progress,
         attemptsMade: job.attemptsMade,
-        timestamp: job.timestamp
+        lockedBy: job.lockedBy,
+        startedAt: job.startedAt
       })),
-      failedCount: failedJobs.length,
+      pendingJobs: queueStatus.pendingJobs.map(job => ({
+        id: job.id,
+        data: job.data,
+        priority: job.priority,
+        attemptsMade: job.attemptsMade,
+        runAt: job.runAt
+      })),
+      failedCount: queueStatus.counts.failed,
       lastFailedJobs: failedJobs.slice(0, 5).map(job => ({
         id: job.id,
         data: job.data,
         failedReason: job.failedReason,
         stacktrace: job.stacktrace,
         attemptsMade: job.attemptsMade,
-        timestamp: job.timestamp
+        failedAt: job.completedAt
       }))
     });
   } catch (error) {
@@ -200,29 +480,15 @@ router.post('/retry-job/:jobId', async (req, res) => {
     const { jobId } = req.params;
     logger.info(`Received request to retry job ${jobId}`);
     
-    // Check if Redis is available
-    const redisAvailable = isRedisAvailable();
-    
-    if (!redisAvailable) {
-      return res.status(400).json({
-        error: 'Redis is not available. Cannot retry jobs.',
-        redisAvailable: false
-      });
-    }
-    
-    // Get the job from the failed jobs
-    const failedJobs = await getFailedJobs();
-    const job = failedJobs.find(j => j.id === jobId);
+    // Move the failed job back to the queue
+    logger.info(`Retrying job ${jobId}`);
+    const job = await retryJob(jobId);
     
     if (!job) {
       logger.warn(`Job ${jobId} not found in failed jobs`);
       return res.status(404).json({ error: 'Failed job not found' });
     }
     
-    // Retry the job
-    logger.info(`Retrying job ${jobId}`);
-    await job.retry();
-    
     res.json({
       message: `Job ${jobId} requeued for retry`,
       job: {
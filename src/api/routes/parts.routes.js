@@ -0,0 +1,87 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../../config/logger.js';
+import { buildPartQuery } from '../../utils/partQuery.js';
+import { toProductPage } from '../../utils/productQuery.js';
+import { addJob } from '../../queues/scraper.queue.js';
+
+const router = Router();
+const prisma = new PrismaClient();
+
+// Search the cross-source part catalog with filters, sorting, field selection and cursor pagination
+router.get('/', async (req, res) => {
+  try {
+    logger.info('Received part search request');
+    const { args, limit, errors } = buildPartQuery(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid part query', details: errors });
+    }
+
+    const rows = await prisma.part.findMany(args);
+    const { items, nextCursor } = toProductPage(rows, limit);
+
+    res.json({
+      parts: items,
+      count: items.length,
+      nextCursor
+    });
+  } catch (error) {
+    logger.error('Error searching parts:', error);
+    logger.error('Stack trace:', error.stack);
+
+    // Prisma reports an unknown cursor as a record-not-found error
+    if (error.code === 'P2025') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    res.status(500).json({
+      error: 'Failed to search parts',
+      message: error.message
+    });
+  }
+});
+
+// Queue a job that copies every stored LKQ product into the catalog
+router.post('/backfill', async (req, res) => {
+  try {
+    logger.info('Received request to backfill parts');
+    const job = await addJob('backfill-parts', {}, { attempts: 1 });
+
+    res.status(202).json({
+      message: 'Part backfill queued',
+      jobId: job.id
+    });
+  } catch (error) {
+    logger.error('Error queueing part backfill:', error);
+    res.status(500).json({
+      error: 'Failed to queue part backfill',
+      message: error.message
+    });
+  }
+});
+
+// Get one listing by its source and source SKU
+router.get('/:source/:sourceSku', async (req, res) => {
+  try {
+    const { source, sourceSku } = req.params;
+    const part = await prisma.part.findUnique({
+      where: { source_sourceSku: { source, sourceSku } }
+    });
+
+    if (!part) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    res.json(part);
+  } catch (error) {
+    logger.error('Error fetching part:', error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to fetch part',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,232 @@
+import fs from 'fs';
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../../config/logger.js';
+import { buildProductQuery, buildProductFilters, toProductPage } from '../../utils/productQuery.js';
+import { exportProducts, getExportFilePath, EXPORT_FORMATS } from '../../services/product-export.js';
+import { addExportJob, getJob } from '../../queues/scraper.queue.js';
+import { findCheapestEquivalent } from '../../services/interchange.js';
+
+const router = Router();
+const prisma = new PrismaClient();
+
+// Search scraped products with filters, sorting, field selection and cursor pagination
+router.get('/', async (req, res) => {
+  try {
+    logger.info('Received product search request');
+    const { args, limit, errors } = buildProductQuery(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid product query', details: errors });
+    }
+
+    const rows = await prisma.lkqProduct.findMany(args);
+    const { items, nextCursor } = toProductPage(rows, limit);
+
+    res.json({
+      products: items,
+      count: items.length,
+      nextCursor
+    });
+  } catch (error) {
+    logger.error('Error searching products:', error);
+    logger.error('Stack trace:', error.stack);
+
+    // Prisma reports an unknown cursor as a record-not-found error
+    if (error.code === 'P2025') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    res.status(500).json({
+      error: 'Failed to search products',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate the format and filters of an export request
+ * @param {string} format - Requested export format
+ * @param {Object} filters - Product filters
+ * @returns {Array<string>} - Validation errors
+ */
+const validateExport = (format, filters) => {
+  const errors = [];
+
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    errors.push(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  return [...errors, ...buildProductFilters(filters).errors];
+};
+
+// Stream matching products as CSV, NDJSON or XLSX
+router.get('/export', async (req, res) => {
+  const { format = 'csv', ...filters } = req.query;
+
+  try {
+    logger.info(`Received product export request (${format})`);
+    const errors = validateExport(format, filters);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid export request', details: errors });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="products.${EXPORT_FORMATS[format].extension}"`);
+
+    await exportProducts(res, { format, filters });
+  } catch (error) {
+    logger.error('Error exporting products:', error);
+    logger.error('Stack trace:', error.stack);
+
+    // Once streaming has started the only way to signal failure is to abort the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      error: 'Failed to export products',
+      message: error.message
+    });
+  }
+});
+
+// Queue a background export job; poll it with GET /exports/:jobId
+router.post('/exports', async (req, res) => {
+  try {
+    const { format = 'csv', filters = {} } = req.body;
+    logger.info(`Received request to queue product export (${format})`);
+    const errors = validateExport(format, filters);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid export request', details: errors });
+    }
+
+    const job = await addExportJob({ format, filters });
+
+    res.status(202).json({
+      message: 'Product export queued',
+      jobId: job.id,
+      format
+    });
+  } catch (error) {
+    logger.error('Error queueing product export:', error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to queue product export',
+      message: error.message
+    });
+  }
+});
+
+// Get the status of an export job
+router.get('/exports/:jobId', async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    if (!job || job.name !== 'export') {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      format: job.data.format,
+      filters: job.data.filters,
+      rows: job.result?.rows ?? null,
+      failedReason: job.failedReason,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt
+    });
+  } catch (error) {
+    logger.error(`Error fetching export job ${req.params.jobId}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch export job',
+      message: error.message
+    });
+  }
+});
+
+// Download the file of a completed export job
+router.get('/exports/:jobId/download', async (req, res) => {
+  try {
+    const job = await getJob(req.params.jobId);
+
+    if (!job || job.name !== 'export') {
+      return res.status(404).json({ error: 'Export job not found' });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Export is ${job.status}`, status: job.status });
+    }
+
+    const { format } = job.data;
+    const file = getExportFilePath(job.id, format);
+
+    if (!fs.existsSync(file)) {
+      return res.status(410).json({ error: 'Export file is no longer available' });
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.download(file, `products-${job.id}.${EXPORT_FORMATS[format].extension}`);
+  } catch (error) {
+    logger.error(`Error downloading export ${req.params.jobId}:`, error);
+    res.status(500).json({
+      error: 'Failed to download export',
+      message: error.message
+    });
+  }
+});
+
+// Find the cheapest listing sharing the interchange number of a product
+router.get('/:sku/cheapest-equivalent', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    logger.info(`Received cheapest equivalent request for product ${sku}`);
+
+    const result = await findCheapestEquivalent(sku);
+
+    if (!result) {
+      logger.warn(`Product ${sku} not found`);
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error finding cheapest equivalent of product ${req.params.sku}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to find cheapest equivalent',
+      message: error.message
+    });
+  }
+});
+
+// Get a single product by SKU
+router.get('/:sku', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    logger.info(`Received request for product ${sku}`);
+
+    const product = await prisma.lkqProduct.findUnique({
+      where: { sku }
+    });
+
+    if (!product) {
+      logger.warn(`Product ${sku} not found`);
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.json(product);
+  } catch (error) {
+    logger.error(`Error fetching product ${req.params.sku}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to fetch product',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import { Router } from 'express';
+import { logger } from '../../config/logger.js';
+import proxyManager from '../../services/proxy-manager.js';
+import { getHostRateLimits } from '../../utils/rateLimiter.js';
+
+const router = Router();
+
+// Providers, routes and the health of every proxy: counters, latency and rotation state; credentials are redacted
+router.get('/health', (req, res) => {
+  try {
+    res.json({
+      ...proxyManager.getHealth(),
+      rateLimits: getHostRateLimits()
+    });
+  } catch (error) {
+    logger.error('Error fetching proxy health:', error);
+    res.status(500).json({
+      error: 'Failed to fetch proxy health',
+      message: error.message
+    });
+  }
+});
+
+// Put a cooled down or removed proxy back into rotation; :id is the id reported by /health
+router.post('/:id/readmit', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!proxyManager.readmit(id)) {
+      return res.status(404).json({ error: 'Proxy not found' });
+    }
+
+    const proxy = proxyManager.getHealth().proxies.find(p => p.id === id);
+    res.json(proxy);
+  } catch (error) {
+    logger.error(`Error re-admitting proxy ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to re-admit proxy',
+      message: error.message
+    });
+  }
+});
+
+export default router;
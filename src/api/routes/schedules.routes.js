@@ -0,0 +1,202 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../../config/logger.js';
+import { validateSchedule, resolveScheduleConfig, getNextFireTime } from '../../services/scheduler.js';
+import { getScraper, getScraperNames, hasScraper } from '../../scrapers/index.js';
+
+const router = Router();
+const prisma = new PrismaClient();
+
+// Include the scraper name with every schedule
+const SCHEDULE_INCLUDE = { scraper: { select: { name: true } } };
+
+/**
+ * Check that a schedule would start valid runs and compute its next fire time
+ * @param {string} scraperName - Name of the scheduled scraper
+ * @param {Object} schedule - Stored schedule merged with the requested changes
+ * @returns {Promise<Object>} - { nextRunAt, errors }
+ */
+const prepareSchedule = async (scraperName, schedule) => {
+  const { errors } = await resolveScheduleConfig(scraperName, schedule);
+
+  if (errors.length > 0) {
+    return { nextRunAt: null, errors };
+  }
+
+  return {
+    nextRunAt: schedule.enabled === false ? null : getNextFireTime(schedule.cron, schedule.timezone),
+    errors
+  };
+};
+
+// List schedules, optionally of one scraper: ?scraper=lkq
+router.get('/', async (req, res) => {
+  try {
+    const { scraper } = req.query;
+
+    const schedules = await prisma.scraperSchedule.findMany({
+      where: scraper ? { scraper: { name: String(scraper) } } : {},
+      include: SCHEDULE_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ schedules });
+  } catch (error) {
+    logger.error('Error listing schedules:', error);
+    res.status(500).json({
+      error: 'Failed to list schedules',
+      message: error.message
+    });
+  }
+});
+
+// Get a schedule
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await prisma.scraperSchedule.findUnique({
+      where: { id: req.params.id },
+      include: SCHEDULE_INCLUDE
+    });
+
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    logger.error(`Error fetching schedule ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch schedule',
+      message: error.message
+    });
+  }
+});
+
+// Create a schedule
+router.post('/', async (req, res) => {
+  try {
+    const { scraper: scraperName = 'lkq' } = req.body;
+    logger.info(`Received request to create a schedule for scraper ${scraperName}`);
+
+    const name = String(scraperName);
+    if (!hasScraper(name)) {
+      logger.warn(`Scraper not registered: ${name}`);
+      return res.status(404).json({ error: `Scraper ${name} not found`, scrapers: getScraperNames() });
+    }
+
+    // A scraper that has never run has no record yet; create it as starting a run does
+    const scraper = await prisma.scraper.upsert({
+      where: { name },
+      update: {},
+      create: {
+        name,
+        description: getScraper(name).description,
+        enabled: true
+      }
+    });
+
+    const { data, errors } = validateSchedule(req.body, { scraperName: scraper.name });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule', details: errors });
+    }
+
+    const { nextRunAt, errors: configErrors } = await prepareSchedule(scraper.name, data);
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule', details: configErrors });
+    }
+
+    const schedule = await prisma.scraperSchedule.create({
+      data: { ...data, scraperId: scraper.id, nextRunAt },
+      include: SCHEDULE_INCLUDE
+    });
+    logger.info(`Created schedule ${schedule.id} (${schedule.cron}), next run at ${schedule.nextRunAt}`);
+
+    res.status(201).json(schedule);
+  } catch (error) {
+    logger.error('Error creating schedule:', error);
+    logger.error('Stack trace:', error.stack);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A schedule with this name already exists for the scraper' });
+    }
+
+    res.status(500).json({
+      error: 'Failed to create schedule',
+      message: error.message
+    });
+  }
+});
+
+// Update a schedule; changing the cron expression, time zone or enabled flag recomputes the next run
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await prisma.scraperSchedule.findUnique({
+      where: { id },
+      include: SCHEDULE_INCLUDE
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const { data, errors } = validateSchedule(req.body, { partial: true, scraperName: existing.scraper.name });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule', details: errors });
+    }
+
+    const { nextRunAt, errors: configErrors } = await prepareSchedule(existing.scraper.name, { ...existing, ...data });
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule', details: configErrors });
+    }
+
+    const timingChanged = ['cron', 'timezone', 'enabled'].some(key => key in data);
+
+    const schedule = await prisma.scraperSchedule.update({
+      where: { id },
+      data: {
+        ...data,
+        ...(timingChanged && { nextRunAt })
+      },
+      include: SCHEDULE_INCLUDE
+    });
+    logger.info(`Updated schedule ${id}, next run at ${schedule.nextRunAt}`);
+
+    res.json(schedule);
+  } catch (error) {
+    logger.error(`Error updating schedule ${req.params.id}:`, error);
+    logger.error('Stack trace:', error.stack);
+
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'A schedule with this name already exists for the scraper' });
+    }
+
+    res.status(500).json({
+      error: 'Failed to update schedule',
+      message: error.message
+    });
+  }
+});
+
+// Delete a schedule; runs it already started are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await prisma.scraperSchedule.deleteMany({ where: { id } });
+
+    if (deleted.count === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    logger.info(`Deleted schedule ${id}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting schedule ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to delete schedule',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import { Router } from 'express';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../../config/logger.js';
+import { queueScraperRun, getQueueStatus } from '../../queues/scraper.queue.js';
+import { getScraper, hasScraper, getScraperDetails, resolveScraperConfig } from '../../scrapers/index.js';
+
+const router = Router();
+const prisma = new PrismaClient();
+
+// Answer 404 for scrapers that are not registered
+router.param('name', (req, res, next, name) => {
+  if (!hasScraper(name)) {
+    logger.warn(`Scraper not registered: ${name}`);
+    return res.status(404).json({ error: 'Scraper not found', scrapers: getScraperDetails().map(s => s.name) });
+  }
+
+  req.scraper = getScraper(name);
+  next();
+});
+
+// List registered scrapers with their default config and run options
+router.get('/', (req, res) => {
+  res.json({ scrapers: getScraperDetails() });
+});
+
+// Start a new run of a scraper
+router.post('/:name/run', async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    logger.info(`Received request to start scraper ${name}`);
+    // Extract queue parameters and validate the run options
+    const { priority = 0, delay = 0 } = req.body;
+    const { config, errors } = await resolveScraperConfig(req.params.name, req.body);
+
+    if (errors.length > 0) {
+      logger.warn(`Rejected ${name} scraper run options: ${errors.join('; ')}`);
+      return res.status(400).json({ error: 'Invalid run options', details: errors });
+    }
+
+    // Get or create the scraper in the database
+    let scraper = await prisma.scraper.findUnique({
+      where: { name }
+    });
+
+    if (!scraper) {
+      logger.info(`Scraper ${name} not found in database, creating new record`);
+      scraper = await prisma.scraper.create({
+        data: {
+          name,
+          description: req.scraper.description,
+          enabled: true
+        }
+      });
+      logger.info(`Created scraper record for ${name} with id: ${scraper.id}`);
+    }
+
+    // Create a new scraper run record with its effective configuration and queue it
+    const { run: scraperRun, job } = await queueScraperRun(scraper.id, config, { priority, delay });
+    logger.info(`Queued run ${scraperRun.id} of scraper ${name} as job ${job.id}`);
+
+    res.status(202).json({
+      message: `${name} scraper job queued`,
+      runId: scraperRun.id,
+      jobId: job.id,
+      config
+    });
+  } catch (error) {
+    logger.error(`Error starting scraper ${name}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to start scraper',
+      message: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Get scraper status and statistics
+router.get('/:name/status', async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const scraper = await prisma.scraper.findUnique({
+      where: { name }
+    });
+
+    if (!scraper) {
+      logger.warn(`Scraper ${name} not found in database`);
+      return res.status(404).json({ error: 'Scraper has not run yet' });
+    }
+
+    // Get the latest run
+    const latestRun = await prisma.scraperRun.findFirst({
+      where: { scraperId: scraper.id },
+      orderBy: { startedAt: 'desc' }
+    });
+
+    // Scrapers report their own statistics, e.g. the number of saved products
+    const statistics = req.scraper.getStatistics ? await req.scraper.getStatistics() : {};
+
+    // Get queue counts
+    const { counts, isReady, isPaused } = await getQueueStatus();
+
+    res.json({
+      scraper,
+      latestRun,
+      statistics,
+      queueStatus: {
+        counts,
+        isReady,
+        isPaused
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching status of scraper ${name}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to fetch scraper status',
+      message: error.message
+    });
+  }
+});
+
+// List runs of a scraper, optionally filtered by status and creation date
+router.get('/:name/runs', async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const { status, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const where = { scraper: { name } };
+
+    if (status) {
+      where.status = { in: String(status).split(',').map(s => s.trim()) };
+    }
+
+    if (from || to) {
+      const createdAt = {};
+
+      if (from) {
+        createdAt.gte = new Date(from);
+      }
+      if (to) {
+        createdAt.lte = new Date(to);
+      }
+
+      if (Object.values(createdAt).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({ error: 'Invalid date filter. Use ISO 8601 dates for from and to.' });
+      }
+
+      where.createdAt = createdAt;
+    }
+
+    const [runs, total] = await Promise.all([
+      prisma.scraperRun.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: offset,
+        take: limit,
+        select: {
+          id: true,
+          status: true,
+          startedAt: true,
+          completedAt: true,
+          error: true,
+          createdAt: true,
+          updatedAt: true
+        }
+      }),
+      prisma.scraperRun.count({ where })
+    ]);
+
+    res.json({ runs, total, limit, offset });
+  } catch (error) {
+    logger.error(`Error listing runs of scraper ${name}:`, error);
+    logger.error('Stack trace:', error.stack);
+    res.status(500).json({
+      error: 'Failed to list scraper runs',
+      message: error.message
+    });
+  }
+});
+
+export default router;
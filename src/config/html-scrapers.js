@@ -0,0 +1,21 @@
+import fs from 'fs';
+import path from 'path';
+
+// Directory of HTML scraper configurations; every *.json file in it is registered at startup
+export const HTML_SCRAPERS_DIR = process.env.HTML_SCRAPERS_DIR || 'config/html-scrapers';
+
+/**
+ * List the HTML scraper configuration files of a directory
+ * @param {string} dir - Directory of *.json configurations
+ * @returns {Array<string>} - File paths, sorted; empty when the directory does not exist
+ */
+export function listHtmlScraperFiles(dir = HTML_SCRAPERS_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
@@ -1,26 +1,46 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Origin of the LKQ site; point it at the mock server (src/mock/lkq-server.js) to test locally
+const LKQ_BASE_URL = (process.env.LKQ_BASE_URL || 'https://www.lkqonline.com').replace(/\/+$/, '');
+
 export const LKQ_CONFIG = {
+  baseUrl: LKQ_BASE_URL,
+  
   // General settings
   maxRetries: 3,
-  parallelRequests: 2,
+  parallelRequests: 2, // Pages fetched at once across all categories of a run
+  requestsPerSecond: 2, // Pace of the requests of one run, unless the run sets its own
+  // Ceiling on requests to each LKQ host across all runs and category discovery in the process; 0 for none
+  hostRequestsPerSecond: process.env.LKQ_HOST_REQUESTS_PER_SECOND !== undefined ? Number(process.env.LKQ_HOST_REQUESTS_PER_SECOND) : 2,
   rateLimitDelay: 1000, // 1 second between requests
   timeout: 30000,
-  pageDelay: 2000,
+  pageDelay: 2000, // Pause between windows of pages of a category
+  archiveRawPages: process.env.LKQ_ARCHIVE_RAW_PAGES !== 'false', // Keep every API response compressed in LkqRawPage
+  
+  // Browser sessions: each proxy gets its own header profile and cookie jar
+  session: {
+    bootstrapUrl: `${LKQ_BASE_URL}/`, // Page loaded by new sessions to collect cookies
+    maxAge: 30 * 60 * 1000, // Sessions are replaced after 30 minutes
+    maxRequests: 500 // or after this many requests
+  },
   
   // Maximum number of pages to fetch per category
   maxPages: 10,
   
   // API Configuration
-  baseApiUrl: "https://www.lkqonline.com/api/catalog/0/product",
+  baseApiUrl: `${LKQ_BASE_URL}/api/catalog/0/product`,
   
   // Categories to scrape with API URLs
   categories: [
     {
       name: "Transmission or Transaxle Assembly",
-      url: "https://www.lkqonline.com/api/catalog/0/product?catalogId=0&category=Engine%20Compartment%7CTransmission%20or%20Transaxle%20Assembly&skip=0&take=50" 
+      url: `${LKQ_BASE_URL}/api/catalog/0/product?catalogId=0&category=Engine%20Compartment%7CTransmission%20or%20Transaxle%20Assembly&skip=0&take=50`
     },
     {
       name: "Engine Assembly",
-      url: "https://www.lkqonline.com/api/catalog/0/product?catalogId=0&category=Engine%20Compartment%7CEngine%20Assembly&skip=0&take=50"
+      url: `${LKQ_BASE_URL}/api/catalog/0/product?catalogId=0&category=Engine%20Compartment%7CEngine%20Assembly&skip=0&take=50`
     }
   ]
 }; 
\ No newline at end of file
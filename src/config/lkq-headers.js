@@ -1,26 +1,30 @@
+import { LKQ_CONFIG } from './lkq-config.js';
+
+// Headers of every LKQ API request; the User-Agent, client hints and cookies come from the
+// request's session (see services/session-manager.js)
 export const LKQ_HEADERS = {
   'Accept': 'application/json, text/plain, */*',
   'Accept-Encoding': 'gzip, deflate, br, zstd',
-  'Accept-Language': 'en-US,en;q=0.9',
   'Cache-Control': 'no-cache',
   'Connection': 'keep-alive',
-  'Cookie': '_gcl_au=1.1.2256666.1740073657; OptanonAlertBoxClosed=2025-02-20T17:48:59.361Z; _gcl_gs=2.1.k1$i1742299270$u66832691; _gcl_aw=GCL.1742299276.Cj0KCQjws-S-BhD2ARIsALssG0Zd605dHWXxvIb5d-G9aOF1De63iklEYNVhkDE5EWZ04p-S5nx3mxoaAqn-EALw_wcB; _gac_UA-5206754-2=1.1742299277.Cj0KCQjws-S-BhD2ARIsALssG0Zd605dHWXxvIb5d-G9aOF1De63iklEYNVhkDE5EWZ04p-S5nx3mxoaAqn-EALw_wcB; BE_CLA3=p_id%3DL2R44J2JNA6LRR8LNP68JPRJRAAAAAAAAH%26bf%3Dundefined%26bn%3D1%26bv%3D3.47%26s_expire%3D1742400899673%26s_id%3D22R44J2JNA6LR6RLN628JPRJRAAAAAAAAH; userId=6301306371272103619; _ga=GA1.2.813824047.1740073658; _gid=GA1.2.700894327.1743691994; _gat_UA-5206754-2=1; OptanonConsent=isGpcEnabled=0&datestamp=Thu+Apr+03+2025+19%3A53%3A16+GMT%2B0500+(Pakistan+Standard+Time)&version=202308.2.0&browserGpcFlag=0&isIABGlobal=false&hosts=&genVendors=&consentId=c543c4e8-c332-4240-b958-5d81ffa9eec5&interactionCount=1&landingPath=NotLandingPage&groups=C0001%3A1%2CC0002%3A1%2CC0004%3A1&geolocation=US%3BIL&AwaitingReconsent=false; _clck=1ev9zw2%7C2%7Cfur%7C0%7C1877; CCbdcy63=A2CWeCSVAQAAWVKiCmu0QCpQ2v8Ij86QVmtx5p8U5mmF5g6OR9Y4RgEY-c35AdiDTKmucpbCwH8AADQwAAAAAA|1|1|22781685124e5423d31feca55461d255ce92a289; _ga_LHK15G9CXP=GS1.1.1743691993.21.1.1743692005.48.0.0; _uetsid=60168a60109b11f0afe0a5034fc7924a; _uetvid=c7137e60efb211efa200c53b7475bae2; _clsk=1l57cy7%7C1743692006283%7C2%7C1%7Cs.clarity.ms%2Fcollect',
   'Expires': 'Sat, 01 Jan 2000 00:00:00 GMT',
-  'Host': 'www.lkqonline.com',
+  'Host': new URL(LKQ_CONFIG.baseUrl).host,
   'If-Modified-Since': '0',
   'Pragma': 'no-cache',
-  'Referer': 'https://www.lkqonline.com/transmission-or-transaxle-assembly',
+  'Referer': `${LKQ_CONFIG.baseUrl}/transmission-or-transaxle-assembly`,
   'Sec-Fetch-Dest': 'empty',
   'Sec-Fetch-Mode': 'cors',
-  'Sec-Fetch-Site': 'same-origin',
-  'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/135.0.0.0 Safari/537.36',
-  'XvPW5hYbpt-a': 'ZIDWvkQvHiELDXUGjwcIfiLbDkst3wjoijp5xB07_bYCKYKVEp8eOg3lO4uGzHgRnw2IjKyRhiiYd80gTho6Q0ng788HQCEY3dcRVi=_zVe3K6xqNQiYy=DSK9Qcwte_K=yq_=2v1QMkEGzW0p3CjRn52NX9hM4LwwOHLCSGHJkAFwbLPAaN2=gBF6Az3BmZsC84Y7pnMj8e_1heqcoXiqCU4TauC_piXiJoAebbgtGOS-ImZnHXZTIoM3AzIfP4c0qZyX1nnUMZthYD1zZVZgciN-KtLgA6==LQtnP4=S0UiRLEXOl6qZy6up61bCQBnTdvWO6ut7AupiqvyT=zlGBlGxoXtSG22kVWNw5aPaDd7vEXMlGgQ_CdzqQLaxpc5ALXOpIPF33KKteA-Zg-seyK7VZ7WESfapBM-evUvlTWDBWC3t-k3bE34iRPqvyiYHhigyEV1Qsa3_lsobNbfEE7liVuNoi6V2OPt5wnVoGsD=2hhSlmYFP-EnHAhnuAwGRbDvLgHynRF4j0ZUZtOUeObXuX0_kO1y6Xda9DPhXzOdI6j-GiABeQXwAmkLYciolbMASIoyfkfkz2YxKMVXmBh5EWtQ-FQ6tYvoFZDT9SVWwYCz_XyN84Vi0u2ubuUyIWF7t3767uF2RBDJU7CBqoBo0gbQxFKEgBh2AKoT80eM4pf-OfX9=3ZqOs2ajngaw9DLpFvX-bq4hG6=eH_Y5k3jjHB88styRizRL6RL9dtq=FcqdTDkNtEGnXMPA6YJpiSEmcSXsKKvopS=2I8i2kDZMlfDWhOZbSmimhtSk7ec6vOHAIIGzKWX2QgOiG3YiU3BvO7xJCDKuyDB7nMSN65JKc2GU2AxTNQb=8kL8le7LY05EL_LKXRdoSvOttve40R6fNzzYn9Bwaj7_tif_opYQwvxb0fdf=PSuyG5ItfbPvjqHuCFm7FWFIOpZI4pS36Be73lytk=Gi9TlPd7p4UlyPbhBnBpoFPIQ9vxiDj28Y=DwNTmHx5nFLV9AAkz00kuozVyQdyc4vnAKg178CU=K4aQwBjDAY_zvmRNJ6j-XjOzy0zd9JpOJFyjbDLTcXDXeZGB2647Rymc71bUldnNGWL5ycj=p72nPJNuFNM0IWgH6hGtVM-ONF-l=ZEtY2eVd826NtxNI62ou=76mW5UaUpxH=f50Xwx81pPa_pQxF2y46IjBZGONwD7dKP61AK3y_6X4wGDJRC8dzXNBE3juXxlJ2GnjMxY_xJISdE5hyIYH2DqjsDkGu0SiRCuZKBspQB99an28VcqO2mIifL8Nim9X8wQRk43QQhuBFnlM67915V23GTZsCUe5GH9YDGA9Eqb=wLSq3bowqyx3PkymDMDcimbPGcS8j0UXxlVaKi89hxqE7yjw8wSxYERNRgRa-eN755iONaha6Qf2Qtkoa6EliObGw3nmY-n=wDMnPN8lSk25Gv9gFPNqLeTGW-kB75YSJcvbEBo3kiJkLskVF8=jZagb_wBz40hE_Zpq9eB5kLxdiKipsJ2YJRsggCqUNTiTm8Kh576OxiLQpfv1jaXaR-X9Sv0mT-LT3JJgj2h6OdGgIiVh6nPZKSVieMb5_mURT0qOEfZlB_nxKbeSUh497HR6CXcE66-iVAl9OCJt4BUBXYUN3CgD9JFG9V_JPnS6pfSwOeRHqcf_dL7=J7vh=94xIx=_4afjNMok6i5qYUxToRJhzk92w1c21dLUwcjWlCw8bsW8BDzjkop2lcvO55=SF=JunpGU9seLOln=kO9luI2gZHhJTm4B5VS3KSSW2tN4BdeGMZ03BywgPi2A-AqwY4XKmkw4afkZx78paWBesRDFOn=8Ov2CT7wS9J8OpDuHw5_Eq6SPimVFhDQgJ26WH6x9xtugIVRyvTj3nGW_doLTwVoZjBpgEeMaCJFRAhsCPm09vfYhs1KjtWmzvVTVMwZq_nMbhlWmjEDHMxFJyo_mj=-dFISGENBU0f_8Hpbi6g82J0pA675b_Fm-Tuoj225alnVGVYRyFFt7YT7hv2gAu3WQtZwBwgs=-JlRgAHvBF3xojPMvavECllD3dq6MIppKYqLanKHMqBDnR91BbiKc303fiv9S78=j12Qf0UJlsCbSO4oYZcJwMfVmO5GG0xH6aMNmcXHDbET-EkNb3jtw=O0G4wDR5jRm53VnftHLy1p92=8dR90aS_lvABQPTzbSgENht7t-sztdPhNZcogJYhTnIbs0pPVMvGZmDtkFKtXoBebkOQZ8jTbxjUmwamMDgushncH1xhN8GEpfV1Ax3HQpwE=AeHS56epSep4pq7bmbU=JsaEGfTiV0YLuZiwY5cEb3BeP_akiTZ7fn99cqzdvzkUBnjlyZ_8zAfR84f6lnGLb1j8ohvlI5-42Occ6GBfGLAYFk_pIL7YPbiye9UZK41X3guobIVO4QiuNxzEoqiokabsG-yCKNV75VqJnk3vye87AUBHUfTOu-Odl-WEoGUCqyJy62ph4LoGmxGg9ztMg17VJC1hCXKjlwx4tzERSB22z2UYAGJXjW7TGdoCoyA-PTGinUub9wQnRhMw6inFL8x5-TpG7HSHKUTkHeiJZFMnvusaCaRH0jH6wQTNJdAlP5TEXee7Lo2paijaP6GmZeyIL7a8K-FVUofcWZEavH5K4t11T-oc7FTg-OY9FHSU_5ba5iWtbxWzdWhwpkTReA_vovb6gblyFzN9T5kEbZFgm=-nPC9BBUghOVVF3Otbfu_MNADmSxAxq-bHZUjQNhOWG5MKaeD54J9DzjYFWNz7ymNK_VFEzlDi2Q48JL1jeDm8X3ihq-R18X8gFyl26mdlOtVoEmihGqfK4-zp6-WszGpzvg85Vt4ZKcvqASEDA=O7cLOYwEKRRQ=qyqqzt1S-3AKGBScLeCIbzbI=TTQQRt6XpbMujGaMBdAAN5YHfQ0Ly3P8oxyjL1HLDvyivs9oVy1L900Jn9fM9Zv-VDiD9dG6znMWxPChjoaAsWN-L_NOYwqu0yidLSGp0hS_0SCH9K22mnaysUPx5z3QhjWp5mBfl=PZiZF0Si6VMQkGFu_ByocRZ-K25A0MW2xxsed2PVNcZAKqXGouipnpAqeRbAho=7Nw02D3QEBWgEzSJCS4EaHH6Um67jT7jy8XS3L1Vgh4qhjbEZDLTpV62ypft35SqL54WjSFBoBKJmC5w0djl-RALlZ5oyv67CfL9j0P5AaXSHGVjTh3S9NMVQ6GjCMa7zbbXGYWga9_xUMzA04itzZahx_EOmcKpwDnMcu4SF69bFeCz5ViYL5G=IyHO1Y3klMbLsbH29mWALW-E=8mYn9g3YWep29e3PjvNncTzeWG7i1x2Tg7eGoBQBp62fKHuDwj0B7h1-al2vlHaMdBRYXc3mbXjqX2lZHImMqRo0Qip0B=_cUeeIejv_ePDdtqHHzGI8yA0vtEO6Qq4FefWtwqPVy-Z_Tz4=xWpq5QlP=Vz60X1eXIk_Cfhdl-vn=cg7n4mO6c2R0v5c6fJYmcDHoCtlQW7HWiwlchR4OZoTjJfuCu_2ekk2xJF9XBDjSvgRDX39G7mIt8Rdplxh=mHn4MYgnTZusjNs23O-5fQ39wxjbLQZXjUoseO4fl5hjPQOeDNh9ZqRfzpL91QPRwbXFLb927WtxKeS5oa0=YXFDGqZj9ypdYEGVTqA_wjOPhwbI7ES2uyyoB3zC1-o0IH-hDwb1Sn8DdLGWbvWfh-84eFkhOCqu1Z5GIBhDRXei2v0lookH2OqXwmRsKyvziB-F8sspMpYDVeTH7RVZ7bUO1Dp-Zou=WSGN-F_8WI3BfRHZfqlEk0KUFHhSQnxeWjBDqp9_UzFM-XGtue1yzPZH_YNMCCkoSHbGb6Zlkunv40yjic0twaNf-4LPt_INNs7y6ys1MTbJj-O9GoK3VfX539lMKqDQAV8Pyk=nuBm4Ht1s0NUjCWCFAbpbfv0QkeSLLoMbDU0jMe_QHuWfs=b_SP3scUJf9TUCIep7JJEMuJ8GRAISA=-TTk33GpJiz7G2o5OAnetI8wlPaV0NFW=V8Ga=qwxjvihvVYYJ73sXaVdOa1h3-BnE6p83m-zNBTmtvDLo2uD6KyV_OODJPxBA4QOuDqW7PPccvjPXXe9VUcDcZBst_Vi9dCfVjm2m8T4K7J0lEInUqCdwit8D0fSl0T37uwqLoLeJk9sOmoNef3gti_HgaF1w3ePV2eszzJ2o_2RuRuZEBOLoxlAIZnyWsq-F5vgPohNxea9gw=JbGh-WGbBsTW_USaKHmkltCJIBITvgz1YhAFP-x_c=UPZ5o8YlfVTfJeaJP7MA-SIcWiE__ACCjiK45oHZnFGRnFhe3ATcNUB7CvyYmon_26N658W-CdWP95sjY7Nh-tvl8TqDJmLbnkysuDFtcsYYnqAFxuN2UzQyLloN4S2sl6tCSiyDmiN9yGUdEN_y2q16WAVh4pTi8I_G5VDblQGvpBphZ-dF6yF_9n-tgY_VGRDRDiyHGHD8S3fmGj3avloyVACBWf3wcSgNRp5I=FPia1VgQpQNtW9kS7qcnhFcaCjW93wwSu6fwtUKZCtuB7=WKFPU84o72a-qGgNu2K7i3ZL0Oeq1RuywS-5CHdZb-d26NbZ4F2V7ipN2V7bAc1vDeQwy9MedXAmuIybaV_SuujOGfQT2eHRgR1q7J1TaSyNLgjpvP8tM9MM3UI2TX8t8kghJ3B4hx=t4gOJhBxk0dYOLguWSD3U9b6WEzsFRGkN0E0cLY6BggKyE4IRnkegggXcxWlRCsomKyd0ooy6e=v6jYgMJGzdpizdlqv1Zu2Qw04Sy1kEVZZWokgQSynwQJazEsaFxhQyWkkdTCAB=bDmR7RpHfQc=YPKnFJ1uc=vNvC5LNI32oo-DN6s2x1UY9uZ_wU1LXUGvWNm5GPyckg_CgfYjsZg75oJQISx=_2OSg5vC44vQRgYouYaKCYuwhuOQWeAhnCn4UP0xV807M45c9maBlq_G_xDRjnsxqsLjz_9RTJIxyqd7zljQi6FGvQhi35b_f2ZRR7ye6qCiAZbpaT1nXoithv8DzK=L1AHjclQDf3x5UaJyzOi02_Dway_nJHxtNElq7GuJ63jscizzLwzXD4h2IiL9aFx_T9bHB6NamV00pxKTqLQIGNjdA1KUsiG0LIcJX_4oTt0dzOpqBI=l0sMYSNgRJ_6gZCXkdu20PNOLgF=cEUI=dLxCKAIKdkbRexe79l7E32ARXnNQvA8P3sP0kbMMakciXR50POVTQA4slqq0fT6enoebA1bZtMn15xoRZufyKu4coFhFj83SOOLGWCAUW=4_vRQSuw6Buy_qgwJCoF0KHPFkk6b8DPeAv6gW4_QTXJYOdIGwlvHHk-jXxG61R22XZgG2FL9a8hzvgAQ5qD3y9ihHMVy6Okoh7tOLEU6Ya0LsbqIhTBRizAL2W9oNYWJYjGpYe4=K97oseYVtXIihtVvw7aS24MKYloAsz8W3an44MQ-1ZeW7FbdOg8vTvXkwW1ibCB8qhocWfu8-YpohN_Qbgq_8Zc15nC16zqRyVzXtPN-M4-_epBW1diab6mRkdMg3h9UX3FUzfQAuejWvEjms3vt=5OSt35LAoQ1b9fljI200pNoMRafmYMa-R1=nUmYwQqjCNzk0QYtxHYGEbNuxF8QxhDbjMCG-KQ-7Vq3zvOM8V6qFOZUWpcdh1jaVQkiHEkVV-I94eAjg42iDSA-o-sz5d5a8z9hgayLI=d8WF-d-NpW6F58FO-8aELM3u9t5neQytGoVxSEG_HtaexpgkqMnhLc9EiRN9Z4G2V44aGpPKEZy=PEzNE5fN0x86Cs2dTtg_Zammx8DXRP9jSKRP7zWm9-=L2IVRszoo1vtgOUcOXt0HPkFEsQFeYjTveF==7xtGnDubsYBzS1-v1RpeRSs9thVg5QDAvKv0NyQxwy5bIaEX=CNHtP7n5QapFDGVwMgsCxVuu4AZ2QSL_KyFt7mi-3lqp2Wu8KhbcZgcJ7LBMHvQ=GSi6owj212QojfT3KTUZHgXhenE_7CIgfVcP-QN=u9X9Fn=bwXCeyt7WDNP5I_F4munaoZdecyEqo-OH3_-LpFh6AbDtvlSBcJzo_mpHWTz_fnFNHVqwcDTHfGpDgfcbQPXiUz0uHP-thcfk=I4zRzSTYmR1a1CfekXdFnqSoOnhgAzm3-siJI2gnspT7s9V6cZg4zJ5m95pPVMgcAy41j=2LPX_DKxe8KY6=5wB2tXqoa=qsNOal30-dCblTIHW_g0wh6NOL_1chotEmvqU5eiSqxjfYsUL5AKJ6=6CHeRdP0YgQO4ilmi46nWIsmNo=hoKZ=--ExJ1kEC9=IPs9zs4HPFc-pMC5Sq2Hu5S=D18JVum3UmAmn7m15g33-LK7XgKbFwGMZdXTHy0fpKxopdGEzxFNsi=7ay9eHzJME79pRU-X4y8-tl0nPe-A3q_Qv6R0tQNcy8vVmxMtIJzcgMzfhRFxwL9bksZx=L0TyEBND-7o2=wKMKzMPHCWK8NKj4GugMu1Fd9gZNeYzYR0nq2d=yPW9josRJhtwF3YipTYbHYODde8k8KEop5f7fqAXuAHmoNMj0gkS-iytNxFTKda9VSu6Xn5p_ZvkZq5lMwhaqBi3n1fMEvniZh7=iiDFcQzswXu-vnABZa52godCXC4HAcLwtzZU=8VdI96h2lNMakk=HdU102ycADfIhP9X0Tk=wTo3XEgu8lfo=wakkU0GmXc6j86VIvcl-UD60hLBI97v6L8=thdk5CtaBvk6gAhxUcJyLxOuq91lje_sMeCof4ue0eS3Eq-twnddhSuma5NRTFOt=xnsglc88VJg37e0jwOom9vvZ7oKb8L0Psta2hAmTu=vnAcwmTdhP-O0P7VHtZCcu0tVMWZQHUW=6hB9l6=7o-lcsQNeODekGhCxjTAcSN7wjBTsncMe2AO4C_4WhRVx_M2uAVVwMW31fh=SHJStkjbcXaFQe854iH2xmphafOHGl4nO1qLyTNskNGO9MXCS7o9aEVKzV1UxXElY=LPfDMg_CLc2RGL4fMIJgg0TiuKqzUpREHE5TXPAD5EpE3fEQYUBz4vCsZVRDZFMpnByD=zYhu9a2UB=GcLhF_l9DEGEtepR3LopBDC_kyUZkfPTWOOclL11tZajwElDpQufZv8Pe2_QpaSXZX3dGz9qIIQMHhkC-5eKP8w0G-aa=KDm-L6gZoFXm3VE55JZ2JahDNmfJkC1DIcAy8K9fHOE2uiZ9i2Z0EUUPp4Sfwd=la4CdPovTMu1jXyPKj4OjqPShtmNjsM8fDdCc=3LnCLxChE16pz2vLZe6cGhwIYU_nHxiN4BO28F_TiWdVj=P2gT0qF__',
-  'XvPW5hYbpt-b': '9bdkrn',
-  'XvPW5hYbpt-c': 'AEAOD_yVAQAAWgJ2cJzFuGu0FowjvH3xv-lAmznvdNqV_-FBDeZjwOqoSxkO',
-  'XvPW5hYbpt-d': 'ADaAhIDBCKGBgQGAAYIQgISigaIAwBGAzPpCxg_32ocxnsD_CADmY8DqqEsZDv_____6SJXVArW-j0D5LfTLtsk2vFtMkJ0',
-  'XvPW5hYbpt-f': 'A5yrI_yVAQAA0QByI5-Be30Hyj9voBg8OrOD4P2rWTszenzKrjvB_bVm000nAdiDTZyucohSwH8AADQwAAAAAA==',
-  'XvPW5hYbpt-z': 'q',
-  'sec-ch-ua': '"Google Chrome";v="135", "Not-A.Brand";v="8", "Chromium";v="135"',
-  'sec-ch-ua-mobile': '?0',
-  'sec-ch-ua-platform': '"Linux"'
-}; 
\ No newline at end of file
+  'Sec-Fetch-Site': 'same-origin'
+};
+
+// Headers of the page load that starts a new session and collects its cookies
+export const LKQ_BOOTSTRAP_HEADERS = {
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+  'Accept-Encoding': 'gzip, deflate, br',
+  'Connection': 'keep-alive',
+  'Sec-Fetch-Dest': 'document',
+  'Sec-Fetch-Mode': 'navigate',
+  'Sec-Fetch-Site': 'none',
+  'Sec-Fetch-User': '?1',
+  'Upgrade-Insecure-Requests': '1'
+};
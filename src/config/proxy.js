@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 
 dotenv.config();
@@ -7,23 +8,63 @@ export const PROXY_CONFIG = {
   baseUrl: process.env.PROXY_BASE_URL,
   sessionId: process.env.PROXY_SESSION_ID,
   sessionTime: process.env.PROXY_SESSION_TIME,
-  country: process.env.PROXY_COUNTRY
+  country: process.env.PROXY_COUNTRY,
+  // Name of the provider used when no scraper or category route matches
+  provider: process.env.PROXY_PROVIDER,
+  // JSON file with named providers and per scraper and category routes
+  providersFile: process.env.PROXY_PROVIDERS_FILE,
+  // Static proxy list file and comma separated proxy URLs, each exposed as a provider
+  listFile: process.env.PROXY_LIST_FILE,
+  urls: process.env.PROXY_URLS
 };
 
-export const PROXY_CREDENTIALS = [
-  {
-    username: process.env.PROXY_USERNAME_1,
-    password: process.env.PROXY_PASSWORD_1
-  },
-  {
-    username: process.env.PROXY_USERNAME_2,
-    password: process.env.PROXY_PASSWORD_2
-  },
-  {
-    username: process.env.PROXY_USERNAME_3,
-    password: process.env.PROXY_PASSWORD_3
+/**
+ * Read the numbered proxy credentials PROXY_USERNAME_1/PROXY_PASSWORD_1, _2, ... from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} - { username, password } of every numbered credential that is set
+ */
+export function readProxyCredentials(env = process.env) {
+  const credentials = [];
+
+  for (let n = 1; env[`PROXY_USERNAME_${n}`] !== undefined; n++) {
+    credentials.push({
+      username: env[`PROXY_USERNAME_${n}`],
+      password: env[`PROXY_PASSWORD_${n}`]
+    });
   }
-];
+
+  return credentials;
+}
+
+export const PROXY_CREDENTIALS = readProxyCredentials();
+
+/**
+ * Build the URL of a rotating gateway proxy such as Oxylabs
+ * @param {Object} options - Gateway options
+ * @param {string} options.host - Gateway host and port
+ * @param {string} options.username - Account username
+ * @param {string} options.password - Account password
+ * @param {string} options.country - Country code of the exit nodes (optional)
+ * @param {string} options.method - 'country-code', 'country-node' or 'simple'
+ * @returns {string} - Proxy URL
+ */
+export function buildGatewayUrl({ host, username, password, country, method = 'country-code' }) {
+  const auth = (user) => `${encodeURIComponent(user)}:${encodeURIComponent(password ?? '')}`;
+
+  // Without a country there is nothing to target, so the gateway picks the exit node
+  if (!country || method === 'simple') {
+    return method === 'simple'
+      ? `http://${auth(username)}@${host}`
+      : `http://${auth(`customer-${username}`)}@${host}`;
+  }
+
+  if (method === 'country-node') {
+    const [, port] = host.split(':');
+    return `http://${auth(`customer-${username}`)}@${country.toLowerCase()}-pr.oxylabs.io:${port || '7777'}`;
+  }
+
+  return `http://${auth(`customer-${username}-cc-${country.toUpperCase()}`)}@${host}`;
+}
 
 /**
  * Get a proxy agent for making requests
@@ -32,35 +73,18 @@ export const PROXY_CREDENTIALS = [
  * @returns {HttpsProxyAgent} Configured proxy agent
  */
 export function getProxyAgent(credentialIndex, proxyMethod = 'country-code') {
-  const index = credentialIndex !== undefined 
-    ? credentialIndex 
+  if (PROXY_CREDENTIALS.length === 0) {
+    throw new Error('No proxy credentials configured; set PROXY_USERNAME_1 and PROXY_PASSWORD_1');
+  }
+
+  const index = credentialIndex !== undefined
+    ? credentialIndex
     : Math.floor(Math.random() * PROXY_CREDENTIALS.length);
-  
-  const credential = PROXY_CREDENTIALS[index];
-  const { username, password } = credential;
+
+  const { username, password } = PROXY_CREDENTIALS[index];
   const { baseUrl, country } = PROXY_CONFIG;
-  
-  let proxyUrl;
-  
-  switch(proxyMethod) {
-    case 'country-code':
-      proxyUrl = `http://customer-${username}-cc-${country.toUpperCase()}:${password}@${baseUrl}`;
-      break;
-      
-    case 'country-node':
-      const [host, port] = baseUrl.split(':');
-      const countryCode = country.toLowerCase();
-      const countryNode = `${countryCode}-pr.oxylabs.io:${port || '7777'}`;
-      proxyUrl = `http://customer-${username}:${password}@${countryNode}`;
-      break;
-      
-    case 'simple':
-    default:
-      proxyUrl = `http://${username}:${password}@${baseUrl}`;
-      break;
-  }
-  
-  return new HttpsProxyAgent(proxyUrl);
+
+  return new HttpsProxyAgent(buildGatewayUrl({ host: baseUrl, username, password, country, method: proxyMethod }));
 }
 
 /**
@@ -77,6 +101,83 @@ export function* rotateProxies(startIndex = 0, proxyMethod = 'country-code') {
   }
 }
 
+/**
+ * Error thrown when the proxy provider configuration cannot serve requests
+ * Every request would fail the same way until the configuration is fixed, so it is never retried
+ */
+export class ProxyConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ProxyConfigError';
+    this.code = 'ERR_PROXY_CONFIG';
+  }
+}
+
+/**
+ * Replace ${VAR} references in the strings of a parsed config file with environment variables
+ * @param {any} value - Parsed JSON value
+ * @param {Object} env - Environment variables
+ * @returns {any} - Value with references expanded
+ */
+const expandEnv = (value, env) => {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => env[name] ?? '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => expandEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, env)]));
+  }
+  return value;
+};
+
+/**
+ * Load the proxy provider configuration
+ * Providers come from PROXY_PROVIDERS_FILE when it is set; otherwise they are built from the
+ * Oxylabs variables, PROXY_LIST_FILE and PROXY_URLS. A "direct" provider always exists for routes,
+ * but only becomes the default when PROXY_PROVIDER or the file names it.
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { default, providers: { [name]: options }, scrapers: { [scraper]: { provider, categories } } }
+ */
+export function loadProxyProviderConfig(env = process.env) {
+  let config = { providers: {}, scrapers: {} };
+
+  if (env.PROXY_PROVIDERS_FILE) {
+    const file = JSON.parse(fs.readFileSync(env.PROXY_PROVIDERS_FILE, 'utf8'));
+    config = { providers: {}, scrapers: {}, ...expandEnv(file, env) };
+  } else {
+    const credentials = readProxyCredentials(env);
+
+    if (credentials.length > 0 && env.PROXY_BASE_URL) {
+      config.providers.oxylabs = {
+        type: 'gateway',
+        host: env.PROXY_BASE_URL,
+        country: env.PROXY_COUNTRY,
+        credentials
+      };
+    }
+    if (env.PROXY_LIST_FILE) {
+      config.providers.list = { type: 'list', file: env.PROXY_LIST_FILE };
+    }
+    if (env.PROXY_URLS) {
+      config.providers.custom = { type: 'proxy', urls: env.PROXY_URLS.split(',').map(url => url.trim()).filter(Boolean) };
+    }
+  }
+
+  // Falling back to no proxy would expose the server's own address, so direct has to be asked for
+  config.default = env.PROXY_PROVIDER || config.default || Object.keys(config.providers)[0];
+  if (!config.default) {
+    throw new ProxyConfigError('No proxy provider configured; set PROXY_USERNAME_1 and PROXY_PASSWORD_1, PROXY_LIST_FILE, PROXY_URLS or PROXY_PROVIDER=direct');
+  }
+  config.providers.direct = config.providers.direct || { type: 'direct' };
+
+  return config;
+}
+
 /**
  * Create a proxy-aware fetch configuration
  * @param {Object} options - Fetch options
@@ -87,7 +188,7 @@ export function* rotateProxies(startIndex = 0, proxyMethod = 'country-code') {
 export function createProxyFetchConfig(options = {}, credentialIndex, proxyMethod = 'country-code') {
   return {
     ...options,
-    agent: getProxyAgent(credentialIndex, proxyMethod),
+    agent: PROXY_CREDENTIALS.length > 0 ? getProxyAgent(credentialIndex, proxyMethod) : undefined,
     timeout: options.timeout || 30000,
     headers: {
       'Accept': 'application/json, text/plain, */*',
@@ -98,4 +199,4 @@ export function createProxyFetchConfig(options = {}, credentialIndex, proxyMetho
       ...options.headers
     }
   };
-} 
\ No newline at end of file
+}
@@ -0,0 +1,304 @@
+import express from 'express';
+import { pathToFileURL } from 'url';
+import { logger } from '../config/logger.js';
+
+// Products per category path served when no catalog is given
+export const DEFAULT_MOCK_CATALOG = {
+  'Engine Compartment|Engine Assembly': 120,
+  'Engine Compartment|Transmission or Transaxle Assembly': 60
+};
+
+// Fault types the server can inject
+export const MOCK_FAULT_TYPES = ['status', 'timeout', 'malformed', 'block'];
+
+const MAKES = [
+  { make: 'Honda', model: 'Civic' },
+  { make: 'Toyota', model: 'Camry' },
+  { make: 'Ford', model: 'F-150' },
+  { make: 'Chevrolet', model: 'Silverado 1500' }
+];
+
+const BLOCK_PAGE = '<!DOCTYPE html><html><head><title>Access Denied</title></head><body><h1>Pardon Our Interruption</h1><p>Something about your browser made us think you were a bot.</p></body></html>';
+
+/**
+ * Build one catalog product the way the LKQ API returns it
+ * @param {string} categoryPath - Category path, e.g. "Engine Compartment|Engine Assembly"
+ * @param {number} index - Position of the product in the category
+ * @returns {Object} - API product
+ */
+export function buildMockProduct(categoryPath, index) {
+  const category = categoryPath.split('|').pop();
+  const prefix = category.replace(/[^A-Za-z]/g, '').slice(0, 6).toUpperCase();
+  const vehicle = MAKES[index % MAKES.length];
+  const year = 2008 + (index % 12);
+  const number = `${prefix}-${String(index + 1).padStart(5, '0')}`;
+
+  return {
+    id: `${prefix.toLowerCase()}-${index + 1}`,
+    number,
+    description: `${category} ${vehicle.make} ${vehicle.model}`,
+    descriptionRetail: `${year} ${vehicle.make} ${vehicle.model} ${category}`,
+    price: (250 + (index % 40) * 12.5).toFixed(2),
+    listPrice: (300 + (index % 40) * 12.5).toFixed(2),
+    corePrice: index % 3 === 0 ? '50.00' : null,
+    images: [`https://images.example.test/${number}.jpg`],
+    category,
+    mileage: String(40000 + index * 1000),
+    location: 'Mock Yard',
+    yardCity: 'Nashville',
+    yardState: 'TN',
+    sourceVehicleYear: year,
+    sourceVehicleMake: vehicle.make,
+    sourceVehicleModel: vehicle.model,
+    fitments: JSON.stringify([{ year, make: vehicle.make, model: vehicle.model }]),
+    interchange: `${prefix}${index % 25}`,
+    availability: index % 7 === 0 ? 'Limited' : 'In Stock'
+  };
+}
+
+/**
+ * Check whether a fault applies to a product request
+ * @param {Object} fault - Fault rule
+ * @param {Object} request - { category, skip }
+ * @returns {boolean} - Whether the fault matches
+ */
+const faultMatches = (fault, { category, skip }) => {
+  if (fault.remaining !== undefined && fault.remaining <= 0) {
+    return false;
+  }
+  if (fault.match?.category && !category.endsWith(fault.match.category)) {
+    return false;
+  }
+  if (fault.match?.skip !== undefined && Number(fault.match.skip) !== skip) {
+    return false;
+  }
+  return fault.probability === undefined || Math.random() < fault.probability;
+};
+
+/**
+ * Validate and normalize a fault rule
+ * @param {Object} rule - Fault rule: { type, status, times, match: { category, skip }, probability, delayMs, retryAfter }
+ * @returns {Object} - Normalized fault
+ */
+export function normalizeFault(rule = {}) {
+  // Shorthand: { type: 429 } or { type: '503' } means a status fault
+  const type = /^\d{3}$/.test(String(rule.type)) ? 'status' : rule.type;
+
+  if (!MOCK_FAULT_TYPES.includes(type)) {
+    throw new Error(`Unknown fault type ${rule.type}; expected a status code or one of ${MOCK_FAULT_TYPES.join(', ')}`);
+  }
+
+  const status = type === 'status' ? Number(rule.status ?? rule.type) : undefined;
+  if (type === 'status' && !(status >= 400 && status <= 599)) {
+    throw new Error('status faults need a status between 400 and 599');
+  }
+
+  return {
+    ...rule,
+    type,
+    ...(status && { status }),
+    ...(rule.times !== undefined && { remaining: Number(rule.times) })
+  };
+}
+
+/**
+ * Create a local server that imitates the LKQ product API
+ * @param {Object} options - Server options
+ * @param {Object} options.catalog - Products per category path
+ * @param {Array<Object>} options.faults - Fault rules, applied in order to matching product requests
+ * @returns {Object} - { app, listen(port), close(), url, addFault(), clearFaults(), requests, reset() }
+ */
+export function createMockLkqServer({ catalog = DEFAULT_MOCK_CATALOG, faults = [] } = {}) {
+  const app = express();
+  const state = {
+    catalog: { ...catalog },
+    faults: faults.map(normalizeFault),
+    requests: [],
+    sessions: 0
+  };
+  const pending = new Set();
+  let server = null;
+
+  app.use(express.json());
+
+  // Home page: hands out the session cookie the scraper bootstraps with
+  app.get('/', (req, res) => {
+    state.sessions++;
+    res
+      .cookie('mock_session', `s${state.sessions}`, { httpOnly: true, path: '/' })
+      .type('html')
+      .send('<!DOCTYPE html><html><body>LKQ mock</body></html>');
+  });
+
+  app.get('/api/catalog/0/product', (req, res) => {
+    const category = String(req.query.category || '');
+    const skip = Math.max(0, Number(req.query.skip) || 0);
+    const take = Math.min(100, Math.max(1, Number(req.query.take) || 50));
+    const fault = state.faults.find(rule => faultMatches(rule, { category, skip }));
+
+    state.requests.push({ category, skip, take, fault: fault ? (fault.status || fault.type) : null, cookie: req.get('cookie') || null, at: new Date().toISOString() });
+
+    if (fault?.remaining !== undefined) {
+      fault.remaining--;
+    }
+
+    const send = () => {
+      const total = state.catalog[category];
+      if (total === undefined) {
+        return res.status(400).json({ message: `Unknown category ${category}` });
+      }
+
+      const count = Math.max(0, Math.min(take, total - skip));
+      res.json({
+        data: Array.from({ length: count }, (_, i) => buildMockProduct(category, skip + i)),
+        totalCount: total
+      });
+    };
+
+    switch (fault?.type) {
+      case 'status':
+        if (fault.status === 429 && fault.retryAfter !== undefined) {
+          res.set('Retry-After', String(fault.retryAfter));
+        }
+        return res.status(fault.status).json({ message: `Injected ${fault.status}` });
+
+      case 'timeout': {
+        // Answer only after the client has given up
+        const timer = setTimeout(() => {
+          pending.delete(timer);
+          if (!res.headersSent && !res.destroyed) {
+            send();
+          }
+        }, fault.delayMs ?? 60000);
+        pending.add(timer);
+        return undefined;
+      }
+
+      case 'malformed':
+        return res.type('application/json').send('{"data":[{"id":"broken","number":');
+
+      case 'block':
+        return res.status(fault.status || 200).type('html').send(BLOCK_PAGE);
+
+      default:
+        return send();
+    }
+  });
+
+  // Control endpoints for tests and manual debugging
+  app.get('/__mock/state', (req, res) => {
+    res.json({ catalog: state.catalog, faults: state.faults, requests: state.requests.length, sessions: state.sessions });
+  });
+
+  app.get('/__mock/requests', (req, res) => {
+    res.json({ requests: state.requests });
+  });
+
+  app.post('/__mock/faults', (req, res) => {
+    try {
+      const rules = [].concat(req.body || []).map(normalizeFault);
+      state.faults.push(...rules);
+      res.status(201).json({ faults: state.faults });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid fault', message: error.message });
+    }
+  });
+
+  app.delete('/__mock/faults', (req, res) => {
+    state.faults = [];
+    res.status(204).end();
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    api.reset();
+    res.status(204).end();
+  });
+
+  const api = {
+    app,
+    state,
+    url: null,
+
+    /**
+     * Start listening
+     * @param {number} port - Port, 0 for any free port
+     * @param {string} host - Interface to listen on
+     * @returns {Promise<string>} - Base URL of the server
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, host, () => {
+          api.url = `http://${host === '0.0.0.0' ? '127.0.0.1' : host}:${server.address().port}`;
+          resolve(api.url);
+        });
+        server.on('error', reject);
+      });
+    },
+
+    /**
+     * Stop the server, dropping requests held by timeout faults
+     * @returns {Promise<void>}
+     */
+    close() {
+      pending.forEach(timer => clearTimeout(timer));
+      pending.clear();
+
+      if (!server) {
+        return Promise.resolve();
+      }
+
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    },
+
+    /**
+     * Add fault rules
+     * @param {...Object} rules - Fault rules
+     * @returns {void}
+     */
+    addFault(...rules) {
+      state.faults.push(...rules.map(normalizeFault));
+    },
+
+    /**
+     * Remove every fault rule
+     * @returns {void}
+     */
+    clearFaults() {
+      state.faults = [];
+    },
+
+    /**
+     * Forget faults, requests and sessions
+     * @returns {void}
+     */
+    reset() {
+      state.faults = [];
+      state.requests = [];
+      state.sessions = 0;
+    },
+
+    get requests() {
+      return state.requests;
+    }
+  };
+
+  return api;
+}
+
+// Run standalone: node src/mock/lkq-server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.MOCK_LKQ_PORT || 4010);
+  const host = process.env.MOCK_LKQ_HOST || '127.0.0.1';
+  const faults = process.env.MOCK_LKQ_FAULTS ? JSON.parse(process.env.MOCK_LKQ_FAULTS) : [];
+  const mock = createMockLkqServer({ faults });
+
+  mock.listen(port, host).then((url) => {
+    logger.info(`[MockLKQ] Listening on ${url}; run the scraper with LKQ_BASE_URL=${url}`);
+  });
+
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+  process.on('SIGTERM', () => mock.close().then(() => process.exit(0)));
+}
+
+export default createMockLkqServer;
@@ -1,140 +1,597 @@
+import os from 'os';
 import { PrismaClient } from '@prisma/client';
 import { logger } from '../config/logger.js';
-import { runScraper, getScraper } from '../scrapers/index.js';
+import { runScraper } from '../scrapers/index.js';
+import { processExportJob } from '../services/product-export.js';
+import { processDiscoveryJob } from '../scrapers/lkq-categories.js';
+import { processReprocessJob } from '../scrapers/lkq-reprocess.js';
+import { processFitmentBackfillJob } from '../services/fitment.js';
+import { processPartBackfillJob } from '../services/parts.js';
 
 const prisma = new PrismaClient();
 
-// Set Redis as always unavailable since we're removing queue functionality
-const redisAvailable = false;
+// Queue settings, overridable through the environment
+const QUEUE_CONFIG = {
+  concurrency: parseInt(process.env.MAX_CONCURRENT_SCRAPERS, 10) || 1,
+  pollInterval: parseInt(process.env.QUEUE_POLL_INTERVAL, 10) || 5000,
+  heartbeatInterval: 30000,
+  // Active jobs without a heartbeat for this long belong to a dead worker
+  staleJobTimeout: 5 * 60 * 1000,
+  defaultAttempts: 3,
+  defaultBackoff: 60000
+};
+
+// Worker state for this process
+const worker = {
+  id: `${os.hostname()}:${process.pid}`,
+  started: false,
+  paused: false,
+  timer: null,
+  polling: false,
+  activeJobs: new Map()
+};
 
 /**
- * Add a scraper job - now runs directly without queueing
+ * Add a job to the queue
+ * @param {string} name - Job type, one of the registered job processors
+ * @param {Object} jobData - Job payload
+ * @param {Object} options - Queue options
+ * @param {number} options.priority - Higher values run first (default 0)
+ * @param {number} options.delay - Milliseconds to wait before the job may run
+ * @param {number} options.attempts - Maximum number of attempts
+ * @param {number} options.backoff - Base retry delay in milliseconds
+ * @returns {Promise<Object>} - The created job record
+ */
+export const addJob = async (name, jobData, options = {}) => {
+  if (!JOB_PROCESSORS[name]) {
+    throw new Error(`Unknown job type: ${name}`);
+  }
+
+  const {
+    priority = 0,
+    delay = 0,
+    attempts = QUEUE_CONFIG.defaultAttempts,
+    backoff = QUEUE_CONFIG.defaultBackoff
+  } = options;
+
+  const job = await prisma.scraperJob.create({
+    data: {
+      name,
+      data: jobData,
+      priority,
+      maxAttempts: attempts,
+      backoffDelay: backoff,
+      runAt: new Date(Date.now() + delay),
+      scraperRunId: jobData.runId || null
+    }
+  });
+
+  logger.info(`[Queue] Added ${name} job ${job.id}${jobData.runId ? ` for run ${jobData.runId}` : ''} (priority ${priority}, delay ${delay}ms)`);
+
+  // Let an idle worker pick up the job without waiting for the next poll
+  if (worker.started && delay === 0) {
+    setImmediate(pollJobs);
+  }
+
+  return job;
+};
+
+/**
+ * Add a scraper job to the queue
  * @param {Object} jobData - Job data including scraperId, runId, and config
- * @returns {Promise<Object>} - The result of direct execution
+ * @param {Object} options - Queue options, see addJob()
+ * @returns {Promise<Object>} - The created job record
  */
-export const addScraperJob = async (jobData) => {
-  logger.info(`Running scraper directly (no queue):`, jobData);
-  try {
-    const { scraperId, runId, config } = jobData;
-    
-    // Update run status to processing
-    await prisma.scraperRun.update({
-      where: { id: runId },
-      data: { 
-        status: 'processing',
-        startedAt: new Date()
+export const addScraperJob = async (jobData, options = {}) => {
+  return addJob('scrape', jobData, options);
+};
+
+/**
+ * Create a pending run of a scraper and queue the job that performs it
+ * @param {string} scraperId - Scraper ID
+ * @param {Object} config - Effective run configuration
+ * @param {Object} options - Queue options, see addJob()
+ * @returns {Promise<Object>} - { run, job }
+ */
+export const queueScraperRun = async (scraperId, config, options = {}) => {
+  const run = await prisma.scraperRun.create({
+    data: {
+      scraperId,
+      status: 'pending',
+      config
+    }
+  });
+
+  const job = await addScraperJob({
+    scraperId,
+    runId: run.id,
+    config
+  }, options);
+
+  return { run, job };
+};
+
+/**
+ * Add a product export job to the queue
+ * @param {Object} jobData - Export format and filters
+ * @param {Object} options - Queue options, see addJob()
+ * @returns {Promise<Object>} - The created job record
+ */
+export const addExportJob = async (jobData, options = {}) => {
+  return addJob('export', jobData, { attempts: 1, ...options });
+};
+
+/**
+ * Process a single scraper job
+ * @param {Object} job - The claimed job record
+ * @returns {Promise<Object>} - The result of the scraper run
+ */
+const processScraperJob = async (job) => {
+  const { scraperId, runId, config } = job.data;
+
+  const run = await prisma.scraperRun.findUnique({
+    where: { id: runId },
+    select: { startedAt: true }
+  });
+
+  // Update run status to processing, keeping the original start time of resumed runs
+  await prisma.scraperRun.update({
+    where: { id: runId },
+    data: {
+      status: 'processing',
+      startedAt: run?.startedAt || new Date(),
+      error: null
+    }
+  });
+
+  // Get the scraper from the database
+  const scraper = await prisma.scraper.findUnique({
+    where: { id: scraperId }
+  });
+
+  if (!scraper) {
+    throw new Error(`Scraper with ID ${scraperId} not found`);
+  }
+
+  const result = await runScraper(scraper.name, {
+    runId,
+    scraperId,
+    config
+  });
+
+  // Scrapers report fatal errors in their result instead of throwing
+  if (result?.status === 'error') {
+    throw new Error(result.error || 'Scraper run failed');
+  }
+
+  // Cancelled and paused runs already recorded their final status
+  if (['cancelled', 'paused'].includes(result?.status)) {
+    return result;
+  }
+
+  // Update run status to completed
+  await prisma.scraperRun.update({
+    where: { id: runId },
+    data: {
+      status: 'completed',
+      completedAt: new Date(),
+      statistics: result?.stats ?? result
+    }
+  });
+
+  return result;
+};
+
+// Processor for each job type
+const JOB_PROCESSORS = {
+  scrape: processScraperJob,
+  export: processExportJob,
+  'discover-categories': processDiscoveryJob,
+  'backfill-fitments': processFitmentBackfillJob,
+  'backfill-parts': processPartBackfillJob,
+  'reprocess-run': processReprocessJob
+};
+
+/**
+ * Atomically claim the next runnable job for this worker
+ * @returns {Promise<Object|null>} - The claimed job or null if none is ready
+ */
+const claimNextJob = async () => {
+  const rows = await prisma.$queryRaw`
+    UPDATE "ScraperJob"
+    SET "status" = 'active',
+        "lockedAt" = NOW(),
+        "lockedBy" = ${worker.id},
+        "startedAt" = NOW(),
+        "attemptsMade" = "attemptsMade" + 1,
+        "updatedAt" = NOW()
+    WHERE "id" = (
+      SELECT "id" FROM "ScraperJob"
+      WHERE "status" = 'waiting' AND "runAt" <= NOW()
+      ORDER BY "priority" DESC, "createdAt" ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`;
+
+  return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Record a failed attempt, scheduling a retry while attempts remain
+ * @param {Object} job - The job record
+ * @param {Error} error - The error raised by the attempt
+ */
+const handleJobFailure = async (job, error) => {
+  const willRetry = job.attemptsMade < job.maxAttempts;
+
+  if (willRetry) {
+    const delay = job.backoffDelay * Math.pow(2, job.attemptsMade - 1);
+    logger.warn(`[Queue] Job ${job.id} failed (attempt ${job.attemptsMade}/${job.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+
+    await prisma.scraperJob.update({
+      where: { id: job.id },
+      data: {
+        status: 'waiting',
+        runAt: new Date(Date.now() + delay),
+        lockedAt: null,
+        lockedBy: null,
+        failedReason: error.message,
+        stacktrace: error.stack
       }
     });
-    
-    // Get the scraper from the database
-    const scraper = await prisma.scraper.findUnique({
-      where: { id: scraperId }
-    });
-    
-    if (!scraper) {
-      throw new Error(`Scraper with ID ${scraperId} not found`);
-    }
-    
-    // Run the scraper directly
-    const result = await runScraper(scraper.name, {
-      runId,
-      config
+  } else {
+    logger.error(`[Queue] Job ${job.id} failed after ${job.attemptsMade} attempts: ${error.message}`);
+
+    await prisma.scraperJob.update({
+      where: { id: job.id },
+      data: {
+        status: 'failed',
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: new Date(),
+        failedReason: error.message,
+        stacktrace: error.stack
+      }
     });
-    
-    // Update run status to completed
+  }
+
+  if (job.data.runId) {
     await prisma.scraperRun.update({
-      where: { id: runId },
+      where: { id: job.data.runId },
+      data: willRetry
+        ? { status: 'pending', error: error.message }
+        : { status: 'failed', error: error.message, completedAt: new Date() }
+    });
+  }
+};
+
+/**
+ * Run a claimed job, keeping its lock alive until it settles
+ * @param {Object} job - The claimed job record
+ */
+const executeJob = async (job) => {
+  logger.info(`[Queue] Worker ${worker.id} started job ${job.id} (attempt ${job.attemptsMade}/${job.maxAttempts})`);
+
+  const heartbeat = setInterval(() => {
+    prisma.scraperJob.update({
+      where: { id: job.id },
+      data: { lockedAt: new Date() }
+    }).catch(error => logger.error(`[Queue] Heartbeat failed for job ${job.id}: ${error.message}`));
+  }, QUEUE_CONFIG.heartbeatInterval);
+
+  try {
+    const processor = JOB_PROCESSORS[job.name];
+    if (!processor) {
+      throw new Error(`No processor for job type: ${job.name}`);
+    }
+
+    const result = await processor(job);
+
+    await prisma.scraperJob.update({
+      where: { id: job.id },
       data: {
         status: 'completed',
+        lockedAt: null,
+        lockedBy: null,
         completedAt: new Date(),
-        statistics: result
+        result
       }
     });
-    
-    return { id: 'direct-execution-no-queue', result };
+
+    logger.info(`[Queue] Job ${job.id} completed`);
   } catch (error) {
-    logger.error('Direct scraper execution failed:', error);
-    
-    // Update run status to failed
-    if (jobData.runId) {
-      await prisma.scraperRun.update({
-        where: { id: jobData.runId },
-        data: {
-          status: 'failed',
-          error: error.message,
-          completedAt: new Date()
-        }
-      });
+    try {
+      await handleJobFailure(job, error);
+    } catch (dbError) {
+      logger.error(`[Queue] Error recording failure of job ${job.id}: ${dbError.message}`);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    worker.activeJobs.delete(job.id);
+  }
+};
+
+/**
+ * Return jobs held by workers that stopped sending heartbeats to the queue
+ * @returns {Promise<number>} - Number of recovered jobs
+ */
+const recoverStaleJobs = async () => {
+  const { count } = await prisma.scraperJob.updateMany({
+    where: {
+      status: 'active',
+      lockedAt: { lt: new Date(Date.now() - QUEUE_CONFIG.staleJobTimeout) }
+    },
+    data: {
+      status: 'waiting',
+      lockedAt: null,
+      lockedBy: null,
+      failedReason: 'Worker stopped responding'
+    }
+  });
+
+  if (count > 0) {
+    logger.warn(`[Queue] Recovered ${count} stale job(s)`);
+  }
+
+  return count;
+};
+
+/**
+ * Claim and start jobs until the worker is at its concurrency limit
+ */
+async function pollJobs() {
+  if (!worker.started || worker.paused || worker.polling) {
+    return;
+  }
+
+  worker.polling = true;
+
+  try {
+    await recoverStaleJobs();
+
+    while (worker.activeJobs.size < QUEUE_CONFIG.concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      const execution = executeJob(job).then(() => setImmediate(pollJobs));
+      worker.activeJobs.set(job.id, execution);
     }
-    
-    throw error;
+  } catch (error) {
+    logger.error(`[Queue] Error polling for jobs: ${error.message}`);
+  } finally {
+    worker.polling = false;
+  }
+}
+
+/**
+ * Start the queue worker in this process
+ * @param {Object} options - Worker options
+ * @param {number} options.concurrency - Maximum jobs processed at once
+ * @param {number} options.pollInterval - Milliseconds between polls
+ */
+export const startQueueWorker = (options = {}) => {
+  if (worker.started) {
+    return;
+  }
+
+  Object.assign(QUEUE_CONFIG, options);
+  worker.started = true;
+  worker.timer = setInterval(pollJobs, QUEUE_CONFIG.pollInterval);
+
+  logger.info(`[Queue] Worker ${worker.id} started (concurrency ${QUEUE_CONFIG.concurrency}, poll interval ${QUEUE_CONFIG.pollInterval}ms)`);
+  setImmediate(pollJobs);
+};
+
+/**
+ * Stop claiming new jobs and wait for the active ones to settle
+ * @returns {Promise<void>}
+ */
+export const stopQueueWorker = async () => {
+  if (!worker.started) {
+    return;
   }
+
+  worker.started = false;
+  clearInterval(worker.timer);
+  worker.timer = null;
+
+  logger.info(`[Queue] Stopping worker, waiting for ${worker.activeJobs.size} active job(s)`);
+  await Promise.allSettled(worker.activeJobs.values());
+};
+
+/**
+ * Pause or resume job processing in this process
+ * @param {boolean} paused - Whether the worker should stop claiming jobs
+ */
+export const setQueuePaused = (paused) => {
+  worker.paused = paused;
+  logger.info(`[Queue] Worker ${paused ? 'paused' : 'resumed'}`);
+};
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The job record
+ */
+export const getJob = async (jobId) => {
+  return prisma.scraperJob.findUnique({
+    where: { id: jobId }
+  });
 };
 
 /**
  * Get active scraper jobs
- * @returns {Promise<Array>} - Empty array since we don't have queues
+ * @returns {Promise<Array>} - Jobs currently held by a worker
  */
 export const getActiveJobs = async () => {
-  logger.warn('Queue functionality disabled. No active jobs available.');
-  return [];
+  return prisma.scraperJob.findMany({
+    where: { status: 'active' },
+    orderBy: { startedAt: 'asc' }
+  });
+};
+
+/**
+ * Get waiting scraper jobs, including delayed ones
+ * @returns {Promise<Array>} - Jobs waiting to be claimed
+ */
+export const getWaitingJobs = async () => {
+  return prisma.scraperJob.findMany({
+    where: { status: 'waiting' },
+    orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+  });
 };
 
 /**
  * Get completed scraper jobs
- * @returns {Promise<Array>} - Empty array since we don't have queues
+ * @param {number} limit - Maximum number of jobs to return
+ * @returns {Promise<Array>} - Most recently completed jobs
  */
-export const getCompletedJobs = async () => {
-  logger.warn('Queue functionality disabled. No completed jobs available.');
-  return [];
+export const getCompletedJobs = async (limit = 50) => {
+  return prisma.scraperJob.findMany({
+    where: { status: 'completed' },
+    orderBy: { completedAt: 'desc' },
+    take: limit
+  });
 };
 
 /**
  * Get failed scraper jobs
- * @returns {Promise<Array>} - Empty array since we don't have queues
+ * @param {number} limit - Maximum number of jobs to return
+ * @returns {Promise<Array>} - Most recently failed jobs
+ */
+export const getFailedJobs = async (limit = 50) => {
+  return prisma.scraperJob.findMany({
+    where: { status: 'failed' },
+    orderBy: { completedAt: 'desc' },
+    take: limit
+  });
+};
+
+/**
+ * Move a failed job back to the queue with a fresh set of attempts
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The requeued job, or null if no failed job has that ID
+ */
+export const retryJob = async (jobId) => {
+  const { count } = await prisma.scraperJob.updateMany({
+    where: { id: jobId, status: 'failed' },
+    data: {
+      status: 'waiting',
+      attemptsMade: 0,
+      runAt: new Date(),
+      completedAt: null
+    }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const job = await getJob(jobId);
+
+  if (job.scraperRunId) {
+    await prisma.scraperRun.update({
+      where: { id: job.scraperRunId },
+      data: { status: 'pending', error: null, completedAt: null }
+    });
+  }
+
+  logger.info(`[Queue] Job ${jobId} requeued for retry`);
+
+  if (worker.started) {
+    setImmediate(pollJobs);
+  }
+
+  return job;
+};
+
+/**
+ * Cancel queued jobs of a run before a worker picks them up
+ * @param {string} runId - The scraper run ID
+ * @returns {Promise<number>} - Number of cancelled jobs
  */
-export const getFailedJobs = async () => {
-  logger.warn('Queue functionality disabled. No failed jobs available.');
-  return [];
+export const cancelRunJobs = async (runId) => {
+  const { count } = await prisma.scraperJob.updateMany({
+    where: { scraperRunId: runId, status: 'waiting' },
+    data: {
+      status: 'cancelled',
+      completedAt: new Date()
+    }
+  });
+
+  if (count > 0) {
+    logger.info(`[Queue] Cancelled ${count} waiting job(s) for run ${runId}`);
+  }
+
+  return count;
 };
 
 /**
  * Clean up completed and failed jobs
- * @returns {Promise} - No-op function
+ * @param {number} olderThan - Age in milliseconds after which finished jobs are removed
+ * @returns {Promise<number>} - Number of removed jobs
  */
-export const cleanupJobs = async () => {
-  logger.warn('Queue functionality disabled. No jobs to clean up.');
-  return;
+export const cleanupJobs = async (olderThan = 7 * 24 * 60 * 60 * 1000) => {
+  const { count } = await prisma.scraperJob.deleteMany({
+    where: {
+      status: { in: ['completed', 'failed', 'cancelled'] },
+      completedAt: { lt: new Date(Date.now() - olderThan) }
+    }
+  });
+
+  logger.info(`[Queue] Removed ${count} finished job(s)`);
+  return count;
 };
 
 /**
  * Get queue status information
- * @returns {Promise<Object>} - Queue status (always reports as disabled)
+ * @returns {Promise<Object>} - Job counts and worker state
  */
 export const getQueueStatus = async () => {
+  const now = new Date();
+
+  const [waiting, delayed, active, completed, failed, failedJobs, pendingJobs] = await Promise.all([
+    prisma.scraperJob.count({ where: { status: 'waiting', runAt: { lte: now } } }),
+    prisma.scraperJob.count({ where: { status: 'waiting', runAt: { gt: now } } }),
+    prisma.scraperJob.count({ where: { status: 'active' } }),
+    prisma.scraperJob.count({ where: { status: 'completed' } }),
+    prisma.scraperJob.count({ where: { status: 'failed' } }),
+    getFailedJobs(5),
+    prisma.scraperJob.findMany({
+      where: { status: 'waiting' },
+      orderBy: [{ priority: 'desc' }, { runAt: 'asc' }],
+      take: 5
+    })
+  ]);
+
   return {
-    redisAvailable: false,
-    counts: { waiting: 0, active: 0, completed: 0, failed: 0, delayed: 0 },
-    isReady: false,
-    isPaused: false,
-    activeCount: 0,
-    failedJobs: [],
-    pendingJobs: []
+    counts: { waiting, active, completed, failed, delayed },
+    isReady: worker.started,
+    isPaused: worker.paused,
+    workerId: worker.id,
+    concurrency: QUEUE_CONFIG.concurrency,
+    activeCount: worker.activeJobs.size,
+    failedJobs,
+    pendingJobs
   };
 };
 
-/**
- * Check if Redis is available (always returns false)
- * @returns {boolean} - Whether Redis is available
- */
-export const isRedisAvailable = () => false;
-
 export default {
+  addJob,
   addScraperJob,
+  queueScraperRun,
+  addExportJob,
+  startQueueWorker,
+  stopQueueWorker,
+  setQueuePaused,
+  getJob,
   getActiveJobs,
+  getWaitingJobs,
   getCompletedJobs,
   getFailedJobs,
+  retryJob,
+  cancelRunJobs,
   cleanupJobs,
-  getQueueStatus,
-  isRedisAvailable
-}; 
\ No newline at end of file
+  getQueueStatus
+};
@@ -1,202 +1,537 @@
-import axios from 'axios';
+import path from 'path';
+import shortid from 'shortid';
 import { PrismaClient } from '@prisma/client';
 import { logger } from '../config/logger.js';
+import { ProxyConfigError } from '../config/proxy.js';
+import proxyManager from '../services/proxy-manager.js';
+import { updateRunStatus, getControlRequest } from '../services/run-status.js';
+import { requestWithRetry, ERROR_CLASSES } from '../utils/httpClient.js';
+import { chainRateLimiters, createTokenBucket, getHostRateLimiter } from '../utils/rateLimiter.js';
+import { createHttpRecorder, FIXTURES_DIR, RECORDING_OPTIONS_SCHEMA, validateRecordingOptions } from '../utils/httpRecorder.js';
+import { validateConfig } from '../utils/configSchema.js';
+import { saveInBatches } from '../utils/batchSave.js';
 
 // Create a prisma client instance
 const prisma = new PrismaClient();
 
+// Supported pagination strategies
+export const PAGINATION_TYPES = ['page', 'offset', 'cursor'];
+
+// Run settings used when neither the scraper definition nor the run configuration sets them
+export const BASE_SCRAPER_DEFAULTS = {
+  maxPages: 10,
+  maxItems: null,
+  pageDelay: 1000,
+  maxRetries: 3,
+  timeout: 30000,
+  requestsPerSecond: 2,
+  // Ceiling on requests to each host across all runs in the process; 0 for none. Definitions may set it, runs cannot
+  hostRequestsPerSecond: process.env.SCRAPER_HOST_REQUESTS_PER_SECOND !== undefined ? Number(process.env.SCRAPER_HOST_REQUESTS_PER_SECOND) : 2,
+  batchSize: 50
+};
+
+// Run options every framework scraper accepts; definitions add their own with configSchema
+export const BASE_CONFIG_SCHEMA = {
+  maxPages: { type: 'integer', min: 1, max: 10000 },
+  maxItems: { type: 'integer', min: 1, max: 1000000 },
+  pageDelay: { type: 'integer', min: 0, max: 60000 },
+  maxRetries: { type: 'integer', min: 0, max: 10 },
+  timeout: { type: 'integer', min: 1000, max: 300000 },
+  requestsPerSecond: { type: 'number', min: 0.1, max: 50 },
+  batchSize: { type: 'integer', min: 1, max: 500 },
+  ...RECORDING_OPTIONS_SCHEMA
+};
+
+// How each pagination type starts and advances; param is the default query parameter of the page value
+const PAGINATION_STRATEGIES = {
+  page: {
+    param: 'page',
+    first: ({ start = 1 }) => start,
+    next: (value) => value + 1
+  },
+  offset: {
+    param: 'offset',
+    first: ({ start = 0 }) => start,
+    next: (value, { pageSize }) => value + pageSize
+  },
+  cursor: {
+    param: 'cursor',
+    first: ({ start = null }) => start,
+    next: (value, { getCursor }, data, items) => getCursor(data, items, value) ?? null
+  }
+};
+
 /**
- * Creates a base scraper with common functionality
- * @param {string} name - The name of the scraper
- * @param {Object} config - The scraper configuration
- * @returns {Object} - The base scraper object with methods
+ * Check a scraper definition
+ * @param {Object} definition - Scraper definition, see createScraper()
+ * @returns {Array<string>} - Problems found, empty when the definition is usable
  */
-export function createBaseScraper(name, config) {
-  // State to be maintained between function calls
-  const state = {
-    name,
-    config,
-    runId: null
+export function validateScraperDefinition(definition = {}) {
+  const errors = [];
+  const { name, buildRequest, pagination, extract, persist } = definition;
+
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+    errors.push('name must be a lowercase identifier such as "my-source"');
+  }
+  if (typeof buildRequest !== 'function') {
+    errors.push('buildRequest must be a function returning a request');
+  }
+  if (typeof extract !== 'function') {
+    errors.push('extract must be a function returning an array of items');
+  }
+
+  if (pagination) {
+    if (!PAGINATION_TYPES.includes(pagination.type)) {
+      errors.push(`pagination.type must be one of ${PAGINATION_TYPES.join(', ')}`);
+    }
+    if (pagination.type === 'offset' && !(Number.isInteger(pagination.pageSize) && pagination.pageSize > 0)) {
+      errors.push('offset pagination needs a positive integer pageSize');
+    }
+    if (pagination.type === 'cursor' && typeof pagination.getCursor !== 'function') {
+      errors.push('cursor pagination needs a getCursor(data, items, cursor) function');
+    }
+    if (pagination.hasMore !== undefined && typeof pagination.hasMore !== 'function') {
+      errors.push('pagination.hasMore must be a function');
+    }
+    if (pagination.skipCursor !== undefined && typeof pagination.skipCursor !== 'function') {
+      errors.push('pagination.skipCursor must be a function');
+    }
+  }
+
+  if (typeof persist !== 'function') {
+    if (!persist || typeof persist !== 'object') {
+      errors.push('persist must be a function or a { model, key, map } mapping');
+    } else {
+      if (typeof persist.model !== 'string' || !persist.model) {
+        errors.push('persist.model must name a Prisma model, e.g. "lkqProduct"');
+      }
+      if (typeof persist.key !== 'string' || !persist.key) {
+        errors.push('persist.key must name the unique field used to upsert items');
+      }
+      if (typeof persist.map !== 'function') {
+        errors.push('persist.map must be a function mapping an item to a database record');
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn what a request builder returned into an axios request with the page value applied
+ * @param {string|Object} built - URL, or { url, method, headers, params, data }
+ * @param {Object} pagination - Pagination of the definition
+ * @param {*} value - Page value (page number, offset or cursor)
+ * @param {Object} config - Run configuration
+ * @returns {Object} - Axios request config; params are folded into the URL so rate limits and fixtures see them
+ */
+const toRequest = (built, pagination, value, config) => {
+  const { params = {}, ...request } = typeof built === 'string' ? { url: built } : built;
+  const url = new URL(request.url);
+
+  for (const [key, param] of Object.entries(params)) {
+    if (param !== undefined && param !== null) {
+      url.searchParams.set(key, String(param));
+    }
+  }
+
+  // param: false leaves the page value to the request builder, e.g. for /page/2 style URLs
+  if (pagination && pagination.param !== false && value !== null && value !== undefined) {
+    url.searchParams.set(pagination.param || PAGINATION_STRATEGIES[pagination.type].param, String(value));
+  }
+  if (pagination?.sizeParam && pagination.pageSize) {
+    url.searchParams.set(pagination.sizeParam, String(pagination.pageSize));
+  }
+
+  return {
+    method: 'GET',
+    timeout: config.timeout,
+    ...request,
+    url: url.toString()
   };
+};
+
+/**
+ * Decide whether a page is followed by another one
+ * A hasMore function decides on its own; otherwise an empty page ends the crawl.
+ * @param {Object} pagination - Pagination of the definition
+ * @param {Object} page - { data, items, pageNumber, next }
+ * @returns {boolean} - Whether to fetch the next page
+ */
+const hasNextPage = (pagination, { data, items, pageNumber, next }) => {
+  if (!pagination) {
+    return false;
+  }
+  if (pagination.hasMore) {
+    return Boolean(pagination.hasMore(data, items, pageNumber, next));
+  }
+  if (items.length === 0) {
+    return false;
+  }
+  if (pagination.type === 'cursor') {
+    return next !== null && next !== undefined && next !== '';
+  }
+  return !pagination.pageSize || items.length >= pagination.pageSize;
+};
+
+/**
+ * Add the attempt history of a page request to the run statistics
+ * @param {Object} stats - Run statistics
+ * @param {Array<Object>} attempts - Attempt records from the HTTP client
+ * @returns {void}
+ */
+const recordAttempts = (stats, attempts) => {
+  stats.requests.attempts += attempts.length;
+  stats.requests.retries += Math.max(0, attempts.length - 1);
+
+  for (const { classification } of attempts) {
+    if (classification) {
+      stats.requests.byClassification[classification] = (stats.requests.byClassification[classification] || 0) + 1;
+    }
+  }
+};
+
+/**
+ * Create a scraper from a declarative definition
+ * The framework runs the crawl: pagination, retries and proxies through the shared HTTP client,
+ * per-host rate limits, record/replay, checkpoints, cancel/pause requests and run status updates.
+ * @param {Object} definition - Scraper definition
+ * @param {string} definition.name - Scraper name, also its proxy routing and fixture key
+ * @param {string} definition.description - Human readable description
+ * @param {Object} definition.config - Default run configuration, merged over BASE_SCRAPER_DEFAULTS
+ * @param {Object} definition.configSchema - Extra run options the scraper accepts, merged over BASE_CONFIG_SCHEMA
+ * @param {Function} definition.buildRequest - (context) => URL or { url, method, headers, params, data }; context has { config, runId, pageNumber, value }
+ * @param {Object} definition.pagination - { type: 'page'|'offset'|'cursor', param, start, pageSize, sizeParam, getCursor(data, items, cursor), hasMore(data, items, pageNumber, next), skipCursor(cursor) }; omit for a single request.
+ *   skipCursor returns the cursor to continue with when a cursor page fails, or null to end the run with the error.
+ * @param {Function} definition.extract - (data, context) => Array of items; context also has the response
+ * @param {Function|Object} definition.persist - (items, context) => { saved, errors }, or { model, key, map(item, context) } to upsert into a Prisma model
+ * @param {Function} definition.validateResponse - Optional, throws (optionally with a classification) to fail an attempt
+ * @param {Object} definition.sessions - Optional SessionManager giving each proxy its own headers and cookies
+ * @returns {Object} - Scraper with name, description, config, configSchema, resolveConfig(), scrape(), fetchPage(), persist()
+ */
+export function createScraper(definition) {
+  const errors = validateScraperDefinition(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scraper definition${definition?.name ? ` ${definition.name}` : ''}: ${errors.join('; ')}`);
+  }
+
+  const { name, pagination, sessions } = definition;
+  const strategy = pagination ? PAGINATION_STRATEGIES[pagination.type] : null;
+  const defaults = { ...BASE_SCRAPER_DEFAULTS, ...definition.config };
+  const configSchema = { ...BASE_CONFIG_SCHEMA, ...definition.configSchema };
 
   /**
-   * Initialize the scraper with a run ID
-   * @param {string} runId - The ID for this scraper run
+   * Validate the options of a run request against the config schema
+   * @param {Object} input - Raw options
+   * @returns {Promise<Object>} - { config, errors } with only the provided options; scrape() fills in the defaults
    */
-  async function initialize(runId) {
-    state.runId = runId;
-    await prisma.scraperRun.update({
-      where: { id: runId },
-      data: { status: 'running' }
+  const resolveConfig = async (input = {}) => {
+    const { options, errors } = validateConfig(configSchema, input);
+    errors.push(...validateRecordingOptions(options));
+    return errors.length > 0 ? { config: null, errors } : { config: options, errors };
+  };
+
+  /**
+   * Fetch one request through the shared retry, proxy, rate limit and session plumbing
+   * @param {Object} request - Axios request config
+   * @param {Object} options - { runId, config, attempts, recorder, rateLimiter }; rateLimiter paces the run and is awaited before the host's shared limiter
+   * @returns {Promise<Object>} - Axios response
+   */
+  const fetchPage = (request, { runId, config = defaults, attempts = [], recorder, rateLimiter } = {}) => {
+    const replaying = recorder?.mode === 'replay';
+
+    return requestWithRetry(request, {
+      policy: {
+        maxAttempts: (config.maxRetries ?? BASE_SCRAPER_DEFAULTS.maxRetries) + 1,
+        ...(replaying && { baseDelay: 0, maxDelay: 0 })
+      },
+      transport: recorder?.transport,
+      validateResponse: definition.validateResponse,
+      attempts,
+      ...(!replaying && {
+        getAgent: () => proxyManager.getNextProxy({ scraper: name }),
+        rateLimiter: chainRateLimiters(rateLimiter, getHostRateLimiter(request.url, defaults.hostRequestsPerSecond)),
+        ...(sessions && {
+          prepareRequest: (prepared, agent) => sessions.prepareRequest(prepared, proxyManager.getProxyId(agent), agent)
+        }),
+        onAttempt: (attempt, agent, response) => {
+          proxyManager.reportResult(attempt, agent);
+
+          if (sessions) {
+            const sessionKey = proxyManager.getProxyId(agent);
+            if (attempt.classification === ERROR_CLASSES.BLOCKED) {
+              sessions.invalidate(sessionKey, `HTTP ${attempt.status}`);
+            } else {
+              sessions.applyResponse(sessionKey, response, request.url);
+            }
+          }
+        }
+      }),
+      onRetry: (attempt) => {
+        logger.warn(`[Scraper:${runId}] Attempt ${attempt.attempt} failed (${attempt.classification}: ${attempt.status || attempt.error}), retrying in ${attempt.delayMs}ms`);
+      }
     });
-    
-    logger.info(`Initialized scraper: ${state.name} with runId: ${runId}`);
-  }
+  };
 
   /**
-   * Run the scraper
+   * Save items with the definition's persistence mapping
+   * @param {Array<Object>} items - Extracted items
+   * @param {Object} context - { runId, config }
+   * @returns {Promise<Object>} - { saved, errors }
    */
-  async function run() {
-    if (!state.runId) {
-      throw new Error('Scraper not initialized with runId');
+  const persist = async (items, context) => {
+    if (typeof definition.persist === 'function') {
+      return definition.persist(items, context);
     }
-    
-    try {
-      logger.info(`Starting scraper: ${state.name}`);
-      
-      let pageCounter = 1;
-      let currentPageValue = state.config.pagination?.initialValue || 1;
-      let hasMorePages = true;
-      
-      while (hasMorePages) {
-        const url = state.config.url;
-        const params = { ...state.config.params };
-        
-        // Handle pagination if enabled
-        if (state.config.pagination?.enabled) {
-          params[state.config.pagination.param] = currentPageValue.toString();
+
+    const { model, key, map } = definition.persist;
+    const records = [];
+    let mapErrors = 0;
+
+    // Mapping problems are counted before any transaction starts
+    for (const item of items) {
+      try {
+        const data = map(item, context);
+        if (data?.[key] === undefined || data[key] === null || data[key] === '') {
+          throw new Error(`mapped record has no ${key}`);
         }
-        
-        // Fetch data
-        const response = await axios.get(url, {
-          headers: state.config.headers,
-          params
+        records.push(data);
+      } catch (error) {
+        logger.error(`[Scraper:${context.runId}] Error saving ${name} item: ${error.message}`);
+        mapErrors++;
+      }
+    }
+
+    const { saved, errors } = await saveInBatches(prisma, records, {
+      batchSize: context.config?.batchSize || BASE_SCRAPER_DEFAULTS.batchSize,
+      save: (tx, data) => tx[model].upsert({
+        where: { [key]: data[key] },
+        create: data,
+        update: data
+      }),
+      onBatchError: (error, batch) => {
+        logger.warn(`[Scraper:${context.runId}] Batch of ${batch.length} ${name} items rolled back (${error.message}), saving them one by one`);
+      },
+      onItemError: (error, data) => {
+        logger.error(`[Scraper:${context.runId}] Error saving ${name} item ${data[key]}: ${error.message}`);
+      }
+    });
+
+    return { saved, errors: errors + mapErrors };
+  };
+
+  /**
+   * Run a crawl, recording progress on the run
+   * @param {Object} runConfig - Run configuration, merged over the definition's config
+   * @param {Object} options - { runId, scraperId }
+   * @returns {Promise<Object>} - { status, runId, stats } with status success, error, cancelled or paused
+   */
+  const scrape = async (runConfig = {}, options = {}) => {
+    const config = { ...defaults, ...runConfig };
+    const startTime = Date.now();
+    const runId = options.runId || shortid.generate();
+    const recorder = createHttpRecorder({
+      mode: config.httpMode || 'live',
+      dir: config.httpMode && config.httpMode !== 'live' ? path.join(FIXTURES_DIR, name, config.fixtures || runId) : undefined
+    });
+
+    // The run's own pace, so concurrent runs with different rates never share one
+    const rateLimiter = createTokenBucket({ requestsPerSecond: config.requestsPerSecond });
+
+    let stats = {
+      startTime: new Date().toISOString(),
+      pages: { processed: 0, errors: 0 },
+      items: { extracted: 0, saved: 0, errors: 0 },
+      requests: { attempts: 0, retries: 0, byClassification: {} }
+    };
+
+    // Continue from the last checkpoint if this run was interrupted before
+    const previous = options.runId ? await prisma.scraperRun.findUnique({
+      where: { id: options.runId },
+      select: { checkpoint: true, statistics: true }
+    }).catch(() => null) : null;
+    const checkpoint = previous?.checkpoint?.nextPage ? previous.checkpoint : null;
+
+    if (checkpoint) {
+      const { endTime, totalTime, error, ...previousStats } = previous.statistics || {};
+      stats = { ...stats, ...previousStats, resumes: (previousStats.resumes || 0) + 1 };
+      logger.info(`[Scraper:${runId}] Resuming ${name} from page ${checkpoint.nextPage}`);
+    }
+
+    const runStatus = {
+      id: runId,
+      scraperId: options.scraperId,
+      scraperName: name,
+      status: 'running',
+      startTime: new Date().toISOString(),
+      endTime: null,
+      message: checkpoint ? `Resuming ${name} from checkpoint` : `Starting ${name}`,
+      stats
+    };
+
+    const finish = async (status, message, extra = {}) => {
+      runStatus.status = status;
+      runStatus.message = message;
+      runStatus.endTime = status === 'paused' ? null : new Date().toISOString();
+      runStatus.stats = { ...stats, ...extra, totalTime: Date.now() - startTime };
+      if (status === 'cancelled' || status === 'paused') {
+        runStatus.controlRequest = null;
+      }
+      logger.info(`[Scraper:${runId}] ${message}`);
+      await updateRunStatus(runStatus);
+      return { status: status === 'completed' ? 'success' : status, runId, stats: runStatus.stats };
+    };
+
+    logger.info(`[Scraper:${runId}] ${runStatus.message}`);
+    await updateRunStatus(runStatus);
+
+    try {
+      // The crawl of this run already finished; there is no page left to fetch
+      if (checkpoint?.done) {
+        return finish('completed', `Scrape already completed. Extracted ${stats.items.extracted} items, saved ${stats.items.saved}.`, {
+          endTime: new Date().toISOString()
         });
-        
-        // Process the data (to be implemented by child scrapers)
-        const items = await processData(response.data);
-        
-        // Save items to database
-        if (items.length > 0) {
-          await saveItems(items);
+      }
+
+      let pageNumber = checkpoint?.nextPage || 1;
+      let value = checkpoint ? checkpoint.value : strategy?.first(pagination);
+      const maxPages = pagination ? config.maxPages : 1;
+      const maxItems = config.maxItems || Infinity;
+
+      while (pageNumber <= maxPages) {
+        // Stop between pages so the saved items and checkpoint stay consistent
+        const stopRequest = await getControlRequest(runId);
+        if (stopRequest) {
+          const status = stopRequest === 'cancel' ? 'cancelled' : 'paused';
+          return finish(status, `Scrape ${status} before page ${pageNumber}. Saved ${stats.items.saved} items.`, {
+            [status === 'cancelled' ? 'cancelledAt' : 'pausedAt']: new Date().toISOString()
+          });
         }
-        
-        // Update pagination
-        pageCounter++;
-        if (state.config.pagination?.type === 'page' || state.config.pagination?.type === 'offset') {
-          currentPageValue = typeof currentPageValue === 'number' 
-            ? currentPageValue + (state.config.pagination.increment || 1)
-            : parseInt(currentPageValue) + (state.config.pagination.increment || 1);
-        } else if (state.config.pagination?.type === 'cursor') {
-          // Cursor-based pagination should be implemented by child scrapers
-          // by overriding the getNextCursor method
-          currentPageValue = await getNextCursor(response.data);
+
+        const context = { config, runId, pageNumber, value };
+        const attempts = [];
+        let items = [];
+        let data;
+        let failed = false;
+        // Cursor to continue with after a failed cursor page
+        let skipTo = null;
+
+        try {
+          const request = toRequest(await definition.buildRequest(context), pagination, value, config);
+          logger.info(`[Scraper:${runId}] Fetching ${name} page ${pageNumber}: ${request.url}`);
+
+          const response = await fetchPage(request, { runId, config, attempts, recorder, rateLimiter });
+          data = response.data;
+
+          const extracted = await definition.extract(data, { ...context, response });
+          if (!Array.isArray(extracted)) {
+            throw new Error('extract did not return an array');
+          }
+
+          items = extracted;
+          const pageItems = items.slice(0, Math.max(0, maxItems - stats.items.extracted));
+          stats.items.extracted += pageItems.length;
+
+          if (pageItems.length > 0) {
+            const results = await persist(pageItems, { config, runId });
+            stats.items.saved += results.saved;
+            stats.items.errors += results.errors;
+          }
+
+          stats.pages.processed++;
+          logger.info(`[Scraper:${runId}] ${name} page ${pageNumber}: ${pageItems.length} items`);
+        } catch (error) {
+          // No page can be fetched without a proxy provider, so the run fails instead of skipping them all
+          if (error instanceof ProxyConfigError) {
+            throw error;
+          }
+          logger.error(`[Scraper:${runId}] Error processing ${name} page ${pageNumber}: ${error.message}`);
+          stats.pages.errors++;
+          failed = true;
+
+          // Without the page there is no next cursor to follow, unless the definition knows one that does not depend on it
+          if (pagination?.type === 'cursor') {
+            skipTo = pagination.skipCursor?.(value) ?? null;
+          }
+          if (!pagination || (pagination.type === 'cursor' && skipTo === null)) {
+            throw error;
+          }
+          if (skipTo !== null) {
+            logger.warn(`[Scraper:${runId}] Skipping to the next ${name} cursor after the failed page`);
+          }
+        } finally {
+          recordAttempts(stats, attempts);
         }
-        
-        // Check if we should continue
-        hasMorePages = hasMorePages(response.data, pageCounter);
-        
-        // Rate limiting
-        if (hasMorePages && state.config.rateLimitDelay) {
-          await new Promise(resolve => setTimeout(resolve, state.config.rateLimitDelay));
+
+        // A failed page/offset page is skipped, whether the request, extract or persist failed; its successor does not
+        // depend on its content. A failed cursor page continues at the cursor skipCursor gave.
+        let next = null;
+        if (skipTo !== null) {
+          next = skipTo;
+        } else if (strategy) {
+          next = strategy.next(value, pagination, data, items);
         }
-      }
-      
-      // Mark as completed
-      await prisma.scraperRun.update({
-        where: { id: state.runId },
-        data: { 
-          status: 'completed', 
-          finishedAt: new Date(),
-          stats: {
-            pagesScrapped: pageCounter - 1,
-            // Add more stats as needed
-          }
+        const more = failed || hasNextPage(pagination, { data, items, pageNumber, next });
+
+        if (stats.items.extracted >= maxItems) {
+          stats.limitReached = 'maxItems';
         }
-      });
-      
-      logger.info(`Scraper ${state.name} completed successfully`);
-    } catch (error) {
-      logger.error(`Error in scraper ${state.name}:`, error);
-      
-      // Mark as failed
-      await prisma.scraperRun.update({
-        where: { id: state.runId },
-        data: { 
-          status: 'failed', 
-          finishedAt: new Date(),
-          error: error instanceof Error ? error.message : String(error)
+
+        pageNumber++;
+        value = next;
+        runStatus.checkpoint = { nextPage: pageNumber, value, done: !more || Boolean(stats.limitReached) };
+        runStatus.stats = stats;
+        await updateRunStatus(runStatus);
+
+        if (runStatus.checkpoint.done) {
+          break;
         }
-      });
-      
-      throw error;
-    }
-  }
-  
-  /**
-   * Process data - to be implemented by specific scrapers
-   * @param {any} data - The data to process
-   * @returns {Promise<Array>} - The processed data
-   */
-  async function processData(data) {
-    // This should be overridden by the specific scraper implementation
-    throw new Error('processData method must be implemented by the specific scraper');
-  }
-  
-  /**
-   * Save items to the database
-   * @param {Array} items - The items to save
-   */
-  async function saveItems(items) {
-    if (!state.runId) throw new Error('Scraper not initialized with runId');
-    
-    // Save items to the database
-    await Promise.all(items.map(item => 
-      prisma.scrapedItem.create({
-        data: {
-          scraperRunId: state.runId,
-          data: item,
-          url: item.url || null
+
+        if (config.pageDelay && pageNumber <= maxPages) {
+          await new Promise(resolve => setTimeout(resolve, config.pageDelay));
         }
-      })
-    ));
-  }
-  
-  /**
-   * Get the next cursor for cursor-based pagination
-   * @param {any} data - The response data
-   * @returns {Promise<string>} - The next cursor
-   */
-  async function getNextCursor(data) {
-    return ''; // Override in specific scrapers
-  }
-  
-  /**
-   * Check if there are more pages to scrape
-   * @param {any} data - The response data
-   * @param {number} currentPage - The current page number
-   * @returns {boolean} - Whether there are more pages
-   */
-  function hasMorePages(data, currentPage) {
-    if (state.config.maxPages && currentPage >= state.config.maxPages) {
-      return false;
+      }
+
+      if (recorder.mode !== 'live') {
+        stats.http = recorder.getSummary();
+      }
+
+      return finish(
+        'completed',
+        `Scrape completed${stats.limitReached ? ' at the item limit' : ''}. Extracted ${stats.items.extracted} items, saved ${stats.items.saved}.`,
+        { endTime: new Date().toISOString() }
+      );
+    } catch (error) {
+      logger.error(`[Scraper:${runId}] Fatal error during ${name} scrape: ${error.message}`);
+      logger.error(`[Scraper:${runId}] Error stack: ${error.stack}`);
+
+      const result = await finish('error', `Scrape failed: ${error.message}`, {
+        endTime: new Date().toISOString(),
+        error: { message: error.message, stack: error.stack }
+      });
+      return { ...result, error: error.message };
     }
-    // Override in specific scrapers for more specific logic
-    return true;
-  }
-  
-  // Return the base scraper object with methods
-  return {
-    name: state.name,
-    config: state.config,
-    initialize,
-    run,
-    processData,
-    saveItems,
-    getNextCursor,
-    hasMorePages,
-    getPrisma: () => prisma,
-    getState: () => state
   };
-}
 
-// Export a function to create a new scraper with the provided method overrides
-export function createScraper(name, config, overrides = {}) {
-  const baseScraper = createBaseScraper(name, config);
-  
-  // Merge the base scraper with the provided overrides
   return {
-    ...baseScraper,
-    ...overrides
+    name,
+    description: definition.description || `${name} scraper`,
+    config: defaults,
+    configSchema,
+    definition,
+    resolveConfig,
+    scrape,
+    fetchPage,
+    persist,
+    buildRequest: (context) => Promise.resolve(definition.buildRequest(context))
+      .then(built => toRequest(built, pagination, context.value, context.config || defaults))
   };
-} 
\ No newline at end of file
+}
+
+export default {
+  PAGINATION_TYPES,
+  BASE_SCRAPER_DEFAULTS,
+  BASE_CONFIG_SCHEMA,
+  validateScraperDefinition,
+  createScraper
+};
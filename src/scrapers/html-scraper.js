@@ -0,0 +1,347 @@
+import fs from 'fs';
+import path from 'path';
+import { load } from 'cheerio';
+import { logger } from '../config/logger.js';
+import { HTML_SCRAPERS_DIR, listHtmlScraperFiles } from '../config/html-scrapers.js';
+import { createScraper } from './base-scraper.js';
+import { createPartPersist } from '../services/parts.js';
+
+export { HTML_SCRAPERS_DIR };
+
+// Value types a field mapping can produce
+export const HTML_FIELD_TYPES = ['string', 'number', 'integer', 'url'];
+
+const DEFAULT_HEADERS = {
+  Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+};
+
+// Document used to check that selectors parse
+const EMPTY_DOCUMENT = load('');
+
+/**
+ * Check whether a CSS selector parses
+ * @param {string} selector - CSS selector
+ * @returns {boolean} - Whether the selector is usable
+ */
+const isValidSelector = (selector) => {
+  if (typeof selector !== 'string' || selector.trim() === '') {
+    return false;
+  }
+
+  try {
+    EMPTY_DOCUMENT(selector);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ * @param {string} value - Candidate URL
+ * @returns {boolean} - Whether the URL is usable as a start URL
+ */
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Expand a field mapping into its full form
+ * A string is a CSS selector whose text is the value.
+ * @param {string|Object} mapping - Selector, or { selector, attribute, regex, flags, group, type, multiple, default }
+ * @returns {Object} - Field rule with the regex compiled
+ */
+const normalizeField = (mapping) => {
+  const rule = typeof mapping === 'string' ? { selector: mapping } : { ...mapping };
+
+  if (typeof rule.regex === 'string') {
+    rule.regex = new RegExp(rule.regex, rule.flags);
+  }
+
+  return { type: 'string', multiple: false, ...rule };
+};
+
+/**
+ * Check an HTML scraper configuration
+ * @param {Object} config - HTML scraper configuration, see createHtmlScraper()
+ * @returns {Array<string>} - Problems found, empty when the configuration is usable
+ */
+export function validateHtmlScraperConfig(config = {}) {
+  const errors = [];
+  const { startUrls, itemSelector, fields, pagination, persist } = config;
+
+  if (!Array.isArray(startUrls) || startUrls.length === 0 || !startUrls.every(isHttpUrl)) {
+    errors.push('startUrls must be a non-empty array of http(s) URLs');
+  }
+  if (!isValidSelector(itemSelector)) {
+    errors.push('itemSelector must be a valid CSS selector');
+  }
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    errors.push('fields must map field names to selectors or field rules');
+  } else {
+    for (const [key, mapping] of Object.entries(fields)) {
+      if (typeof mapping !== 'string' && (!mapping || typeof mapping !== 'object')) {
+        errors.push(`fields.${key} must be a selector or a field rule`);
+        continue;
+      }
+
+      const rule = typeof mapping === 'string' ? { selector: mapping } : mapping;
+
+      if (rule.selector === undefined && rule.attribute === undefined && rule.regex === undefined) {
+        errors.push(`fields.${key} needs a selector, attribute or regex`);
+      }
+      if (rule.selector !== undefined && !isValidSelector(rule.selector)) {
+        errors.push(`fields.${key}.selector must be a valid CSS selector`);
+      }
+      if (rule.attribute !== undefined && (typeof rule.attribute !== 'string' || rule.attribute === '')) {
+        errors.push(`fields.${key}.attribute must name an attribute`);
+      }
+      if (rule.regex !== undefined && !(rule.regex instanceof RegExp)) {
+        try {
+          new RegExp(rule.regex, rule.flags);
+        } catch (error) {
+          errors.push(`fields.${key}.regex is invalid: ${error.message}`);
+        }
+      }
+      if (rule.type !== undefined && !HTML_FIELD_TYPES.includes(rule.type)) {
+        errors.push(`fields.${key}.type must be one of ${HTML_FIELD_TYPES.join(', ')}`);
+      }
+    }
+  }
+
+  if (pagination !== undefined && !isValidSelector(pagination?.nextSelector)) {
+    errors.push('pagination.nextSelector must be a valid CSS selector');
+  }
+
+  if (persist === undefined) {
+    // Items go into the Part catalog, so the fields must name its required columns
+    for (const column of ['sourceSku', 'title']) {
+      if (!fields?.[column]) {
+        errors.push(`fields.${column} is required when items are saved as parts`);
+      }
+    }
+  } else {
+    if (typeof persist?.model !== 'string' || !persist.model) {
+      errors.push('persist.model must name a Prisma model');
+    }
+    if (typeof persist?.key !== 'string' || !fields?.[persist.key]) {
+      errors.push('persist.key must name one of the fields');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Convert raw text from the page into a field value
+ * @param {string} raw - Text or attribute value
+ * @param {Object} rule - Field rule
+ * @param {string} pageUrl - URL of the page, for resolving relative URLs
+ * @returns {*} - Value, or null when there is none
+ */
+const convertValue = (raw, rule, pageUrl) => {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+
+  let text = String(raw).replace(/\s+/g, ' ').trim();
+
+  if (rule.regex) {
+    const match = rule.regex.exec(text);
+    rule.regex.lastIndex = 0;
+    if (!match) {
+      return null;
+    }
+    text = (match[rule.group ?? (match.length > 1 ? 1 : 0)] ?? '').trim();
+  }
+
+  if (text === '') {
+    return null;
+  }
+
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      const number = text.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+      if (!number) {
+        return null;
+      }
+      return rule.type === 'integer' ? parseInt(number[0], 10) : parseFloat(number[0]);
+    }
+
+    case 'url':
+      try {
+        return new URL(text, pageUrl).toString();
+      } catch {
+        return null;
+      }
+
+    default:
+      return text;
+  }
+};
+
+/**
+ * Read one field of a listing item
+ * Without a selector the item element itself is read: its attribute, or its HTML for a regex.
+ * @param {Function} $ - Loaded document
+ * @param {Object} item - Item element
+ * @param {Object} rule - Field rule
+ * @param {string} pageUrl - URL of the page
+ * @returns {*} - Value, array of values for multiple fields, or the rule's default
+ */
+const readField = ($, item, rule, pageUrl) => {
+  const targets = rule.selector ? $(item).find(rule.selector).toArray() : [item];
+  const values = (rule.multiple ? targets : targets.slice(0, 1))
+    .map((element) => {
+      if (rule.attribute) {
+        return $(element).attr(rule.attribute);
+      }
+      return rule.selector ? $(element).text() : $.html(element);
+    })
+    .map(raw => convertValue(raw, rule, pageUrl))
+    .filter(value => value !== null);
+
+  if (rule.multiple) {
+    return values.length > 0 ? values : (rule.default ?? []);
+  }
+  return values[0] ?? rule.default ?? null;
+};
+
+/**
+ * Extract the listing items of a page
+ * Items without any field value, such as ads matching the item selector, are left out.
+ * @param {Function|string} page - Loaded document or HTML
+ * @param {Object} config - HTML scraper configuration
+ * @param {string} pageUrl - URL of the page
+ * @returns {Array<Object>} - Items keyed by field name
+ */
+export function extractHtmlItems(page, config, pageUrl) {
+  const $ = typeof page === 'string' ? load(page) : page;
+  const rules = Object.entries(config.fields).map(([key, mapping]) => [key, normalizeField(mapping)]);
+
+  return $(config.itemSelector).toArray()
+    .map(item => Object.fromEntries(rules.map(([key, rule]) => [key, readField($, item, rule, pageUrl)])))
+    .filter(item => Object.values(item).some(value => value !== null && !(Array.isArray(value) && value.length === 0)));
+}
+
+/**
+ * Find the URL of the next listing page
+ * @param {Function|string} page - Loaded document or HTML
+ * @param {Object} pagination - { nextSelector, attribute }
+ * @param {string} pageUrl - URL of the page
+ * @returns {string|null} - Absolute URL, or null on the last page
+ */
+export function findNextPageUrl(page, pagination, pageUrl) {
+  const $ = typeof page === 'string' ? load(page) : page;
+  const href = $(pagination.nextSelector).first().attr(pagination.attribute || 'href');
+  const next = convertValue(href, { type: 'url' }, pageUrl);
+
+  // A next link pointing at the page itself would repeat it until maxPages
+  return next && next !== pageUrl ? next : null;
+}
+
+/**
+ * Create a scraper for HTML listing pages from configuration alone
+ * The crawl walks each start URL in turn, following the next page link until a page has none.
+ * @param {Object} config - HTML scraper configuration
+ * @param {string} config.name - Scraper name
+ * @param {string} config.description - Human readable description
+ * @param {Array<string>} config.startUrls - First listing page of each section to crawl
+ * @param {Object} config.headers - Extra request headers
+ * @param {string} config.itemSelector - CSS selector of one listing item
+ * @param {Object} config.fields - Field name => CSS selector, or { selector, attribute, regex, flags, group, type, multiple, default }
+ * @param {Object} config.pagination - { nextSelector, attribute }; omit when the start URLs are single pages
+ * @param {Object} config.persist - { model, key }: Prisma model the items are upserted into by the key field; omit to save them as parts
+ * @param {Object} config.config - Default run configuration, see BASE_SCRAPER_DEFAULTS
+ * @returns {Object} - Scraper, see createScraper()
+ */
+export function createHtmlScraper(config) {
+  const errors = validateHtmlScraperConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid HTML scraper config${config?.name ? ` ${config.name}` : ''}: ${errors.join('; ')}`);
+  }
+
+  const { startUrls, pagination } = config;
+
+  // First page of the start URL after the cursor's, or null after the last one
+  const nextStart = cursor => (cursor.index + 1 < startUrls.length ? { index: cursor.index + 1, url: startUrls[cursor.index + 1] } : null);
+
+  // extract() and getCursor() read the same page; keep its parsed document
+  let parsed = { html: null, $: null };
+  const parse = (data) => {
+    if (typeof data !== 'string') {
+      throw new Error('response is not an HTML page');
+    }
+    if (parsed.html !== data) {
+      parsed = { html: data, $: load(data) };
+    }
+    return parsed.$;
+  };
+
+  return createScraper({
+    name: config.name,
+    description: config.description || `${config.name} HTML listings`,
+    config: config.config,
+    buildRequest: ({ value }) => ({
+      url: value.url,
+      headers: { ...DEFAULT_HEADERS, ...config.headers },
+      responseType: 'text'
+    }),
+    // The cursor is { index, url }: the start URL being crawled and the page to fetch
+    pagination: {
+      type: 'cursor',
+      param: false,
+      start: { index: 0, url: startUrls[0] },
+      getCursor: (data, items, cursor) => {
+        const next = pagination ? findNextPageUrl(parse(data), pagination, cursor.url) : null;
+        return next ? { index: cursor.index, url: next } : nextStart(cursor);
+      },
+      // A page that cannot be fetched or read ends its start URL, not the crawl
+      skipCursor: nextStart,
+      // A start URL without items does not end the crawl while others remain
+      hasMore: (data, items, pageNumber, next) => Boolean(next)
+    },
+    extract: (data, { value }) => extractHtmlItems(parse(data), config, value.url),
+    // Fields are named after the columns they are saved into
+    persist: config.persist
+      ? { model: config.persist.model, key: config.persist.key, map: item => item }
+      : createPartPersist(config.name, item => item)
+  });
+}
+
+/**
+ * Create the scrapers of every configuration file in a directory
+ * Files that cannot be read or are invalid are logged and left out.
+ * @param {string} dir - Directory of *.json configurations
+ * @returns {Array<Object>} - Scrapers
+ */
+export function loadHtmlScrapers(dir = HTML_SCRAPERS_DIR) {
+  const scrapers = [];
+
+  for (const file of listHtmlScraperFiles(dir)) {
+    try {
+      const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+      scrapers.push(createHtmlScraper(config));
+    } catch (error) {
+      logger.error(`[HtmlScraper] Skipping ${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  return scrapers;
+}
+
+export default {
+  HTML_SCRAPERS_DIR,
+  HTML_FIELD_TYPES,
+  validateHtmlScraperConfig,
+  extractHtmlItems,
+  findNextPageUrl,
+  createHtmlScraper,
+  loadHtmlScrapers
+};
@@ -1,6 +1,10 @@
 import { PrismaClient } from '@prisma/client';
 import { logger } from '../config/logger.js';
-import { lkqScraper, createLkqScraper } from './lkq-scraper.js';
+import { lkqScraper } from './lkq-scraper.js';
+import { LKQ_RUN_OPTIONS_SCHEMA, resolveRunConfig } from './lkq-options.js';
+import { listHtmlScraperFiles } from '../config/html-scrapers.js';
+import { describeConfigSchema, validateConfig } from '../utils/configSchema.js';
+import { validateRecordingOptions } from '../utils/httpRecorder.js';
 
 // Create a prisma client instance
 const prisma = new PrismaClient();
@@ -10,6 +14,8 @@ const scrapers = new Map();
 
 /**
  * Register a scraper by name
+ * Scrapers served by the /api/scrapers routes provide scrape(config, { runId, scraperId }) and
+ * may provide configSchema (see utils/configSchema.js), resolveConfig(input) and getStatistics()
  * @param {string} name - The name of the scraper
  * @param {Object} scraper - The scraper object
  */
@@ -40,22 +46,55 @@ export function getScraper(name) {
 export async function runScraper(name, options) {
   const scraper = getScraper(name);
   
-  // Handle LKQ-specific configuration
-  if (name === 'lkq') {
-    logger.info(`[Scraper:${options.runId}] Running LKQ scraper with customized config`);
-    // Create a new LKQ scraper with custom configuration
-    const customLkqScraper = createLkqScraper({
-      ...scraper.config,
-      ...(options.config || {})
-    });
-    
-    // Use the scrape function instead of run
-    return customLkqScraper.scrape(customLkqScraper.config);
-  }
-  
-  // Default behavior for other scrapers
+  // Run options from the request go over the scraper's defaults
   logger.info(`[Scraper:${options.runId}] Running scraper: ${name}`);
-  return scraper.run ? scraper.run(options) : scraper.scrape(options);
+  return scraper.scrape({
+    ...scraper.config,
+    ...(options.config || {})
+  }, {
+    runId: options.runId,
+    scraperId: options.scraperId
+  });
+}
+
+/**
+ * Validate run options against a scraper's config schema, without its stored defaults
+ * Used for options stored ahead of a run, such as those of a schedule.
+ * @param {string} name - The name of the scraper
+ * @param {Object} input - Raw run options
+ * @returns {Object} - { options, errors } with only the options that were provided
+ */
+export function validateScraperOptions(name, input = {}) {
+  const { options, errors } = validateConfig(getScraper(name).configSchema || {}, input);
+  errors.push(...validateRecordingOptions(options));
+  return { options, errors };
+}
+
+/**
+ * Resolve the run configuration of a run request or schedule
+ * Scrapers with resolveConfig() resolve it themselves; others are validated against their config schema.
+ * @param {string} name - The name of the scraper
+ * @param {Object} input - Raw run options
+ * @returns {Promise<Object>} - { config, errors }
+ */
+export async function resolveScraperConfig(name, input = {}) {
+  const scraper = getScraper(name);
+
+  if (scraper.resolveConfig) {
+    return scraper.resolveConfig(input);
+  }
+
+  const { options, errors } = validateScraperOptions(name, input);
+  return { config: errors.length > 0 ? null : options, errors };
+}
+
+/**
+ * Check whether a scraper is registered
+ * @param {string} name - The name of the scraper
+ * @returns {boolean} - Whether the scraper exists
+ */
+export function hasScraper(name) {
+  return scrapers.has(name);
 }
 
 /**
@@ -74,16 +113,41 @@ export function getScraperDetails() {
   return Array.from(scrapers.entries()).map(([name, scraper]) => ({
     name,
     description: scraper.description || 'No description provided',
-    config: scraper.config || {}
+    config: scraper.config || {},
+    configSchema: describeConfigSchema(scraper.configSchema || {})
   }));
 }
 
-// Register the LKQ scraper by default
-registerScraper('lkq', lkqScraper);
+// Register the LKQ scraper by default; its run options also take defaults from the settings table
+registerScraper('lkq', {
+  ...lkqScraper,
+  configSchema: LKQ_RUN_OPTIONS_SCHEMA,
+  resolveConfig: resolveRunConfig,
+  getStatistics: async () => ({
+    totalProducts: await prisma.lkqProduct.count()
+  })
+});
+
+// Register the HTML listing scrapers configured in HTML_SCRAPERS_DIR.
+// The adapter and its HTML parser are only loaded when there are configurations.
+if (listHtmlScraperFiles().length > 0) {
+  const { loadHtmlScrapers } = await import('./html-scraper.js');
+
+  for (const htmlScraper of loadHtmlScrapers()) {
+    if (scrapers.has(htmlScraper.name)) {
+      logger.warn(`Skipping HTML scraper ${htmlScraper.name}: the name is already registered`);
+      continue;
+    }
+    registerScraper(htmlScraper.name, htmlScraper);
+  }
+}
 
 export default {
   registerScraper,
   getScraper,
+  hasScraper,
+  validateScraperOptions,
+  resolveScraperConfig,
   runScraper,
   getScraperNames,
   getScraperDetails
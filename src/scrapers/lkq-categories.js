@@ -0,0 +1,231 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+import { LKQ_CONFIG } from '../config/lkq-config.js';
+import { lkqScraper } from './lkq-scraper.js';
+
+const prisma = new PrismaClient();
+
+// Separator between levels of an LKQ category path, e.g. "Engine Compartment|Engine Assembly"
+export const CATEGORY_SEPARATOR = '|';
+
+/**
+ * Build the product API URL for a category path
+ * @param {string} path - Category path
+ * @param {string} baseApiUrl - LKQ product API URL
+ * @returns {string} - API URL of the first page of the category
+ */
+export function buildCategoryUrl(path, baseApiUrl = LKQ_CONFIG.baseApiUrl) {
+  const url = new URL(baseApiUrl);
+  url.searchParams.set('catalogId', '0');
+  if (path) {
+    url.searchParams.set('category', path);
+  }
+  url.searchParams.set('skip', '0');
+  url.searchParams.set('take', '50');
+  return url.toString();
+}
+
+/**
+ * Read category values and counts from a facet entry list or map
+ * @param {Array|Object} values - Facet values
+ * @returns {Array<Object>} - Array of { value, count }
+ */
+const readFacetValues = (values) => {
+  if (Array.isArray(values)) {
+    return values
+      .map(entry => (typeof entry === 'string'
+        ? { value: entry, count: null }
+        : { value: entry?.value ?? entry?.name ?? entry?.key, count: entry?.count ?? entry?.total ?? null }))
+      .filter(entry => typeof entry.value === 'string' && entry.value !== '');
+  }
+
+  if (values && typeof values === 'object') {
+    return Object.entries(values).map(([value, count]) => ({ value, count: Number(count) || null }));
+  }
+
+  return [];
+};
+
+/**
+ * Extract category facet values from an LKQ product API response
+ * Falls back to counting the categories of the returned products when the response has no facets
+ * @param {Object} data - API response data
+ * @returns {Array<Object>} - Array of { value, count }
+ */
+export function extractCategoryFacets(data) {
+  const facets = data?.facets ?? data?.aggregations;
+
+  if (Array.isArray(facets)) {
+    const facet = facets.find(f => /categor/i.test(f?.name ?? f?.key ?? f?.field ?? ''));
+    if (facet) {
+      return readFacetValues(facet.values ?? facet.items ?? facet.options ?? facet.buckets);
+    }
+  } else if (facets && typeof facets === 'object') {
+    const key = Object.keys(facets).find(k => /categor/i.test(k));
+    if (key) {
+      return readFacetValues(facets[key]);
+    }
+  }
+
+  const counts = new Map();
+  for (const product of Array.isArray(data?.data) ? data.data : []) {
+    const categories = Array.isArray(product.categories) ? product.categories : [];
+    for (const category of categories) {
+      const value = typeof category === 'string' ? category : category?.path ?? category?.name;
+      if (value) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+  }
+
+  return Array.from(counts, ([value, count]) => ({ value, count }));
+}
+
+/**
+ * Resolve facet values seen under a parent into the full paths of its direct children
+ * @param {string|null} parentPath - Path of the category that was queried, null for the root
+ * @param {Array<Object>} facets - Facet values from extractCategoryFacets()
+ * @returns {Array<Object>} - Array of { path, count }
+ */
+export function resolveChildPaths(parentPath, facets) {
+  const depth = parentPath ? parentPath.split(CATEGORY_SEPARATOR).length : 0;
+  const children = new Map();
+
+  for (const { value, count } of facets) {
+    const fullPath = value.includes(CATEGORY_SEPARATOR) || !parentPath
+      ? value
+      : `${parentPath}${CATEGORY_SEPARATOR}${value}`;
+
+    if (parentPath && !fullPath.startsWith(`${parentPath}${CATEGORY_SEPARATOR}`)) {
+      continue;
+    }
+
+    // Deeper paths also reveal the direct child they belong to, without its count
+    const path = fullPath.split(CATEGORY_SEPARATOR).slice(0, depth + 1).join(CATEGORY_SEPARATOR);
+    if (path.split(CATEGORY_SEPARATOR).length !== depth + 1) {
+      continue;
+    }
+
+    if (fullPath === path) {
+      children.set(path, { path, count });
+    } else if (!children.has(path)) {
+      children.set(path, { path, count: null });
+    }
+  }
+
+  return Array.from(children.values());
+}
+
+/**
+ * Arrange flat category records into a tree
+ * @param {Array<Object>} categories - Category records with path and parentPath
+ * @returns {Array<Object>} - Root categories, each with a children array
+ */
+export function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map(category => [category.path, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentPath ? nodes.get(node.parentPath) : null;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+}
+
+/**
+ * Walk LKQ's category facets from the product API and store the category tree
+ * @param {Object} options - Discovery options
+ * @param {number} options.maxDepth - Deepest category level to discover
+ * @param {number} options.requestDelay - Milliseconds between API requests
+ * @returns {Promise<Object>} - Discovery statistics
+ */
+export async function discoverCategories({ maxDepth = 3, requestDelay = LKQ_CONFIG.pageDelay } = {}) {
+  const discoveryId = `categories-${Date.now()}`;
+  const stats = { requests: 0, errors: 0, discovered: 0 };
+  const queue = [null];
+  const visited = new Set();
+
+  logger.info(`[Scraper:${discoveryId}] Starting LKQ category discovery (max depth ${maxDepth})`);
+
+  while (queue.length > 0) {
+    const parentPath = queue.shift();
+    const depth = parentPath ? parentPath.split(CATEGORY_SEPARATOR).length : 0;
+
+    let children = [];
+    try {
+      stats.requests++;
+      const data = await lkqScraper.makeApiRequest(buildCategoryUrl(parentPath), null, discoveryId);
+      children = resolveChildPaths(parentPath, extractCategoryFacets(data));
+    } catch (error) {
+      logger.error(`[Scraper:${discoveryId}] Error discovering children of ${parentPath || 'root'}: ${error.message}`);
+      stats.errors++;
+    }
+
+    for (const { path, count } of children) {
+      if (visited.has(path)) {
+        continue;
+      }
+      visited.add(path);
+
+      const segments = path.split(CATEGORY_SEPARATOR);
+      const record = {
+        name: segments[segments.length - 1],
+        parentPath: parentPath,
+        depth: segments.length,
+        productCount: count,
+        url: buildCategoryUrl(path),
+        lastSeenAt: new Date()
+      };
+
+      await prisma.lkqCategory.upsert({
+        where: { path },
+        update: record,
+        create: { path, ...record }
+      });
+      stats.discovered++;
+
+      if (depth + 1 < maxDepth) {
+        queue.push(path);
+      }
+    }
+
+    if (queue.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, requestDelay));
+    }
+  }
+
+  logger.info(`[Scraper:${discoveryId}] Category discovery finished: ${JSON.stringify(stats)}`);
+  return stats;
+}
+
+/**
+ * Load discovered categories that may be selected for a run
+ * @returns {Promise<Array<Object>>} - Array of { name, path, url }
+ */
+export async function loadDiscoveredCategories() {
+  const categories = await prisma.lkqCategory.findMany({
+    where: { enabled: true },
+    orderBy: { path: 'asc' },
+    select: { name: true, path: true, url: true }
+  });
+
+  return categories;
+}
+
+/**
+ * Queue processor for category discovery jobs
+ * @param {Object} job - The claimed job record
+ * @returns {Promise<Object>} - Discovery statistics
+ */
+export async function processDiscoveryJob(job) {
+  return discoverCategories(job.data || {});
+}
+
+export default {
+  discoverCategories,
+  loadDiscoveredCategories,
+  processDiscoveryJob,
+  buildCategoryTree,
+  buildCategoryUrl
+};
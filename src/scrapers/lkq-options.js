@@ -0,0 +1,166 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+import { LKQ_CONFIG } from '../config/lkq-config.js';
+import { loadDiscoveredCategories } from './lkq-categories.js';
+import { RECORDING_OPTIONS_SCHEMA, validateRecordingOptions } from '../utils/httpRecorder.js';
+import { validateConfig } from '../utils/configSchema.js';
+
+const prisma = new PrismaClient();
+
+// Accepted range for each numeric run option
+export const RUN_OPTION_LIMITS = {
+  maxProducts: { min: 1, max: 1000000 },
+  maxPages: { min: 1, max: 10000 },
+  pageDelay: { min: 0, max: 60000 },
+  batchSize: { min: 1, max: 500 },
+  parallelRequests: { min: 1, max: 16 },
+  requestsPerSecond: { min: 0.1, max: 50, integer: false }
+};
+
+// Run options of the LKQ scraper, as a config schema (see utils/configSchema.js)
+export const LKQ_RUN_OPTIONS_SCHEMA = {
+  ...Object.fromEntries(Object.entries(RUN_OPTION_LIMITS).map(([key, { min, max, integer = true }]) => [
+    key,
+    { type: integer ? 'integer' : 'number', min, max }
+  ])),
+  categories: { type: 'array', label: 'category names or paths', description: 'Category names or paths to crawl' },
+  ...RECORDING_OPTIONS_SCHEMA
+};
+
+/**
+ * Validate the run options of a POST /run request body
+ * @param {Object} input - Raw request body
+ * @returns {Object} - { options, errors } with only the options that were provided
+ */
+export function validateRunOptions(input = {}) {
+  const { options, errors } = validateConfig(LKQ_RUN_OPTIONS_SCHEMA, input);
+  errors.push(...validateRecordingOptions(options));
+  return { options, errors };
+}
+
+/**
+ * Find a category by path or name
+ * @param {Array<Object>} categories - Candidate categories
+ * @param {string} name - Category path or name
+ * @returns {Object|undefined} - The category
+ */
+const findCategory = (categories, name) => {
+  return categories.find(c => c.path === name) || categories.find(c => c.name === name);
+};
+
+/**
+ * Normalize a stored category entry to a { name, url, path } object
+ * @param {string|Object} category - Category name, path or object
+ * @param {Array<Object>} discoveredCategories - Categories found by discovery
+ * @returns {Object|null} - The category, or null if it has no known URL
+ */
+const normalizeCategory = (category, discoveredCategories = []) => {
+  if (category && typeof category === 'object' && category.name && category.url) {
+    // The path tells apart discovered categories that share a leaf name
+    return { name: category.name, url: category.url, ...(category.path && { path: category.path }) };
+  }
+
+  const name = typeof category === 'string' ? category : category?.name;
+  return findCategory([...discoveredCategories, ...LKQ_CONFIG.categories], name) || null;
+};
+
+/**
+ * Load the stored LKQ scraper defaults, falling back to LKQ_CONFIG
+ * @returns {Promise<Object>} - Default run configuration
+ */
+export async function loadLkqDefaults() {
+  let stored = null;
+
+  try {
+    stored = await prisma.lkqScraperConfig.findFirst({
+      orderBy: { updatedAt: 'desc' }
+    });
+  } catch (error) {
+    logger.error(`Error loading LKQ scraper config, using built-in defaults: ${error.message}`);
+  }
+
+  let discoveredCategories = [];
+
+  try {
+    discoveredCategories = await loadDiscoveredCategories();
+  } catch (error) {
+    logger.error(`Error loading discovered LKQ categories: ${error.message}`);
+  }
+
+  const storedCategories = Array.isArray(stored?.categories)
+    ? stored.categories.map(category => normalizeCategory(category, discoveredCategories)).filter(Boolean)
+    : [];
+
+  return {
+    categories: storedCategories.length > 0 ? storedCategories : LKQ_CONFIG.categories,
+    discoveredCategories,
+    maxProductsToScrape: stored?.maxProductsToScrape ?? null,
+    maxPages: LKQ_CONFIG.maxPages,
+    pageDelay: stored?.rateLimitDelay ?? LKQ_CONFIG.pageDelay,
+    batchSize: stored?.batchSize ?? 50,
+    maxRetries: stored?.maxRetries ?? LKQ_CONFIG.maxRetries,
+    parallelRequests: stored?.parallelRequests ?? LKQ_CONFIG.parallelRequests,
+    requestsPerSecond: LKQ_CONFIG.requestsPerSecond
+  };
+}
+
+/**
+ * Build the effective configuration of a run from validated options and stored defaults
+ * @param {Object} defaults - Defaults from loadLkqDefaults()
+ * @param {Object} options - Options from validateRunOptions()
+ * @returns {Object} - { config, errors }
+ */
+export function buildRunConfig(defaults, options = {}) {
+  const errors = [];
+  let categories = defaults.categories;
+
+  if (options.categories) {
+    const known = [...defaults.categories, ...(defaults.discoveredCategories || []), ...LKQ_CONFIG.categories];
+    categories = options.categories.map(name => findCategory(known, name));
+
+    const unknown = options.categories.filter((name, i) => !categories[i]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown categories: ${unknown.join(', ')}`);
+    }
+  }
+
+  return {
+    config: {
+      categories,
+      maxProductsToScrape: options.maxProducts ?? defaults.maxProductsToScrape,
+      maxPages: options.maxPages ?? defaults.maxPages,
+      pageDelay: options.pageDelay ?? defaults.pageDelay,
+      batchSize: options.batchSize ?? defaults.batchSize,
+      maxRetries: defaults.maxRetries,
+      parallelRequests: options.parallelRequests ?? defaults.parallelRequests,
+      requestsPerSecond: options.requestsPerSecond ?? defaults.requestsPerSecond,
+      ...(options.httpMode && options.httpMode !== 'live' && { httpMode: options.httpMode }),
+      ...(options.fixtures && { fixtures: options.fixtures })
+    },
+    errors
+  };
+}
+
+/**
+ * Validate a request body and resolve it into the effective run configuration
+ * @param {Object} input - Raw request body
+ * @returns {Promise<Object>} - { config, errors }
+ */
+export async function resolveRunConfig(input = {}) {
+  const { options, errors } = validateRunOptions(input);
+
+  if (errors.length > 0) {
+    return { config: null, errors };
+  }
+
+  const defaults = await loadLkqDefaults();
+  return buildRunConfig(defaults, options);
+}
+
+export default {
+  LKQ_RUN_OPTIONS_SCHEMA,
+  validateRunOptions,
+  loadLkqDefaults,
+  buildRunConfig,
+  resolveRunConfig
+};
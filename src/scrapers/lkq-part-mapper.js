@@ -0,0 +1,55 @@
+import { parseJson } from '../utils/json.js';
+
+// Source name of LKQ listings in the Part catalog
+export const LKQ_PART_SOURCE = 'lkq';
+
+/**
+ * Collect the image URLs of a product
+ * Images are URLs or objects carrying one, depending on the API version.
+ * @param {Object} product - LKQ product
+ * @returns {Array<string>} - Image URLs, main image first
+ */
+const collectImages = (product) => {
+  const images = [].concat(parseJson(product.images) ?? [])
+    .map(image => (typeof image === 'string' ? image : image?.url || image?.imageUrl || image?.src))
+    .filter(url => typeof url === 'string' && url !== '');
+
+  if (product.imageUrl && !images.includes(product.imageUrl)) {
+    images.unshift(product.imageUrl);
+  }
+
+  return images;
+};
+
+/**
+ * Map an LkqProduct record onto the columns of the Part catalog
+ * @param {Object} product - LkqProduct data, as written by saveProducts()
+ * @returns {Object} - Mapped listing, see normalizePart() in services/parts.js
+ */
+export function mapLkqProductToPart(product) {
+  const reman = product.isReman === true || product.isReman === 'true';
+
+  return {
+    source: LKQ_PART_SOURCE,
+    sourceSku: product.sku,
+    title: product.title,
+    description: product.descriptionRetail || product.description,
+    price: product.price,
+    condition: reman ? 'remanufactured' : 'used',
+    category: product.category,
+    mileage: product.mileage,
+    vehicleYear: product.sourceVehicleYear,
+    vehicleMake: product.sourceVehicleMake,
+    vehicleModel: product.sourceVehicleModel,
+    location: product.location,
+    city: product.yardCity,
+    state: product.yardState,
+    images: collectImages(product),
+    url: product.productUrl
+  };
+}
+
+export default {
+  LKQ_PART_SOURCE,
+  mapLkqProductToPart
+};
@@ -0,0 +1,117 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+import { lkqScraper } from './lkq-scraper.js';
+import { createSchemaStats, validateProductPage, mergeSchemaStats } from './lkq-schema.js';
+import { CATEGORY_SEPARATOR } from './lkq-categories.js';
+import { forEachArchivedPage } from '../services/raw-archive.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Drop products that a later run has saved since, so reprocessing an old run never overwrites newer data
+ * @param {Array<Object>} products - Extracted products
+ * @param {Object} run - Run being reprocessed, with id and createdAt
+ * @returns {Promise<Array<Object>>} - Products this run may save
+ */
+const withoutNewerProducts = async (products, run) => {
+  const stored = await prisma.lkqProduct.findMany({
+    where: { sku: { in: products.map(product => String(product.sku || '')) } },
+    select: { sku: true, scraperRunId: true }
+  });
+
+  const otherRunIds = [...new Set(stored.map(product => product.scraperRunId).filter(id => id !== run.id))];
+  if (otherRunIds.length === 0) {
+    return products;
+  }
+
+  const laterRuns = await prisma.scraperRun.findMany({
+    where: { id: { in: otherRunIds }, createdAt: { gt: run.createdAt } },
+    select: { id: true }
+  });
+  const laterRunIds = new Set(laterRuns.map(later => later.id));
+  const newer = new Set(stored.filter(product => laterRunIds.has(product.scraperRunId)).map(product => product.sku));
+
+  return products.filter(product => !newer.has(String(product.sku || '')));
+};
+
+/**
+ * Extract and save the products of a run again from its archived API responses
+ * Only the products the crawl took from each page are saved, so a run with a product cap saves no more than its crawl did
+ * @param {string} runId - ID of the run
+ * @param {Object} options - Reprocess options
+ * @param {number} options.batchSize - Products saved per transaction
+ * @returns {Promise<Object>} - Reprocess statistics
+ */
+export async function reprocessRun(runId, { batchSize = 50 } = {}) {
+  const run = await prisma.scraperRun.findUnique({
+    where: { id: runId },
+    select: { id: true, createdAt: true, statistics: true }
+  });
+
+  if (!run) {
+    throw new Error(`Scraper run ${runId} not found`);
+  }
+
+  logger.info(`[Reprocess:${runId}] Reprocessing archived pages`);
+
+  const stats = {
+    startedAt: new Date().toISOString(),
+    pages: 0,
+    products: 0,
+    saved: 0,
+    changed: 0,
+    errors: 0,
+    // Products left alone because a later run has saved them since
+    skippedNewer: 0,
+    // Archived products the crawl did not take, past the run's product cap
+    skippedOverLimit: 0,
+    schema: createSchemaStats()
+  };
+
+  await forEachArchivedPage(runId, async (page) => {
+    mergeSchemaStats(stats.schema, validateProductPage(page.data));
+
+    // Pages are archived by category path; products record the category name, its last level
+    const categoryName = page.category.split(CATEGORY_SEPARATOR).pop();
+    const extracted = lkqScraper.extractProductsFromApi(page.data, { name: categoryName }, runId);
+    const taken = new Set(page.skus);
+    const products = extracted.filter(product => taken.has(String(product.sku || '')));
+
+    const current = products.length > 0 ? await withoutNewerProducts(products, run) : [];
+    const results = await lkqScraper.saveProducts(current, categoryName, runId, batchSize);
+
+    stats.pages++;
+    stats.products += products.length;
+    stats.skippedOverLimit += extracted.length - products.length;
+    stats.skippedNewer += products.length - current.length;
+    stats.saved += results.saved;
+    stats.changed += results.changed;
+    stats.errors += results.errors;
+  });
+
+  stats.completedAt = new Date().toISOString();
+  logger.info(`[Reprocess:${runId}] Reprocessed ${stats.pages} pages: saved ${stats.saved}/${stats.products} products, skipped ${stats.skippedNewer} saved by later runs and ${stats.skippedOverLimit} past the product cap`);
+
+  await prisma.scraperRun.update({
+    where: { id: runId },
+    data: { statistics: { ...run.statistics, reprocessed: stats } }
+  });
+
+  return stats;
+}
+
+/**
+ * Queue processor for reprocess jobs
+ * The run is passed as reprocessRunId so the job is not taken for a crawl of the run
+ * @param {Object} job - The claimed job record
+ * @returns {Promise<Object>} - Reprocess statistics
+ */
+export async function processReprocessJob(job) {
+  const { reprocessRunId, batchSize } = job.data || {};
+  return reprocessRun(reprocessRunId, { batchSize });
+}
+
+export default {
+  reprocessRun,
+  processReprocessJob
+};
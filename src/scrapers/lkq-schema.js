@@ -0,0 +1,260 @@
+// Declared shape of a product in the LKQ product API (data.data[]).
+// type lists the accepted JSON types; null is accepted for every field that is not required.
+export const LKQ_PRODUCT_SCHEMA = {
+  id: { type: ['string', 'number'], required: true },
+  number: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  descriptionRetail: { type: 'string' },
+  price: { type: ['number', 'string'], required: true },
+  listPrice: { type: ['number', 'string'] },
+  corePrice: { type: ['number', 'string'] },
+  images: { type: 'array' },
+  category: { type: 'string' },
+  categories: { type: 'array' },
+  mileage: { type: ['number', 'string'] },
+  location: { type: 'string' },
+  yardCity: { type: 'string' },
+  yardState: { type: 'string' },
+  sourceVehicleYear: { type: ['number', 'string'] },
+  sourceVehicleMake: { type: 'string' },
+  sourceVehicleModel: { type: 'string' },
+  _salvageSourceVehicle: { type: 'string' },
+  fitments: { type: ['string', 'array'] },
+  fitmentJson: { type: ['string', 'array', 'object'] },
+  interchange: { type: 'string' },
+  type: { type: 'string' },
+  code: { type: 'string' },
+  unitOfMeasureCode: { type: 'string' },
+  unitOfMeasure: { type: 'string' },
+  companyCode: { type: 'string' },
+  ftcDisplay: { type: ['string', 'boolean'] },
+  freeShippingEligible: { type: 'boolean' },
+  isReman: { type: 'boolean' },
+  requireVin: { type: 'boolean' },
+  displayFinancing: { type: 'boolean' },
+  remanFinanceIneligible: { type: 'boolean' },
+  availability: { type: 'string' },
+  pricing: { type: ['object', 'array'] },
+  catalog: { type: ['object', 'string'] }
+};
+
+/**
+ * Name the JSON type of a value
+ * @param {*} value - Value from a parsed JSON body
+ * @returns {string} - null, array, object, string, number or boolean
+ */
+const jsonType = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+};
+
+const increment = (counts, key, by = 1) => {
+  counts[key] = (counts[key] || 0) + by;
+};
+
+/**
+ * Create empty schema statistics
+ * @returns {Object} - { products, invalidProducts, fields, unknownFields, missingFields, typeChanges }
+ */
+export function createSchemaStats() {
+  return {
+    products: 0,
+    invalidProducts: 0,
+    // Products in which each field had a value, declared or not
+    fields: {},
+    // Products carrying each field the schema does not declare
+    unknownFields: {},
+    // Products lacking each required field
+    missingFields: {},
+    // Per field, products in which it had each undeclared type
+    typeChanges: {}
+  };
+}
+
+/**
+ * Validate the products of one API page against a schema
+ * @param {Object} data - API response data
+ * @param {Object} schema - Product schema, LKQ_PRODUCT_SCHEMA by default
+ * @returns {Object} - Schema statistics of the page
+ */
+export function validateProductPage(data, schema = LKQ_PRODUCT_SCHEMA) {
+  const result = createSchemaStats();
+  const items = Array.isArray(data?.data) ? data.data : [];
+
+  for (const item of items) {
+    result.products++;
+
+    if (jsonType(item) !== 'object') {
+      result.invalidProducts++;
+      continue;
+    }
+
+    let valid = true;
+
+    for (const [field, value] of Object.entries(item)) {
+      if (value === null || value === undefined) {
+        continue;
+      }
+
+      increment(result.fields, field);
+      const rule = schema[field];
+
+      if (!rule) {
+        increment(result.unknownFields, field);
+        continue;
+      }
+
+      const type = jsonType(value);
+      if (![].concat(rule.type).includes(type)) {
+        result.typeChanges[field] = result.typeChanges[field] || {};
+        increment(result.typeChanges[field], type);
+        valid = false;
+      }
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+      if (rule.required && (item[field] === undefined || item[field] === null || item[field] === '')) {
+        increment(result.missingFields, field);
+        valid = false;
+      }
+    }
+
+    if (!valid) {
+      result.invalidProducts++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Add the schema statistics of a page to the totals of a run
+ * @param {Object} target - Run schema statistics, updated in place
+ * @param {Object} page - Schema statistics of a page
+ * @returns {Object} - The updated target
+ */
+export function mergeSchemaStats(target, page) {
+  target.products += page.products;
+  target.invalidProducts += page.invalidProducts;
+
+  for (const key of ['fields', 'unknownFields', 'missingFields']) {
+    for (const [field, count] of Object.entries(page[key])) {
+      increment(target[key], field, count);
+    }
+  }
+
+  for (const [field, types] of Object.entries(page.typeChanges)) {
+    target.typeChanges[field] = target.typeChanges[field] || {};
+    for (const [type, count] of Object.entries(types)) {
+      increment(target.typeChanges[field], type, count);
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Describe the drift in schema statistics for a log line
+ * @param {Object} stats - Schema statistics
+ * @returns {string|null} - Description, or null when the products match the schema
+ */
+export function describeSchemaDrift(stats) {
+  const parts = [];
+  const unknown = Object.keys(stats.unknownFields);
+  const missing = Object.keys(stats.missingFields);
+  const changed = Object.entries(stats.typeChanges).map(([field, types]) => `${field} (${Object.keys(types).join('/')})`);
+
+  if (unknown.length > 0) {
+    parts.push(`unknown fields ${unknown.join(', ')}`);
+  }
+  if (missing.length > 0) {
+    parts.push(`missing required fields ${missing.join(', ')}`);
+  }
+  if (changed.length > 0) {
+    parts.push(`type changes ${changed.join(', ')}`);
+  }
+
+  return parts.length > 0 ? parts.join('; ') : null;
+}
+
+/**
+ * Summarize schema drift across runs
+ * A field is new when it had no value in the oldest run but has one in a later run,
+ * and disappeared when it had a value in an earlier run but none in the newest one.
+ * @param {Array<Object>} runs - Runs with id, createdAt and statistics, in any order
+ * @param {Object} schema - Product schema, LKQ_PRODUCT_SCHEMA by default
+ * @returns {Object} - { runs, newFields, disappearedFields, unknownFields, missingFields, typeChanges }
+ */
+export function summarizeSchemaDrift(runs, schema = LKQ_PRODUCT_SCHEMA) {
+  const checked = runs
+    .filter(run => run.statistics?.schema?.products > 0)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  const report = {
+    runs: checked.map(run => ({
+      id: run.id,
+      status: run.status,
+      createdAt: run.createdAt,
+      products: run.statistics.schema.products,
+      invalidProducts: run.statistics.schema.invalidProducts
+    })),
+    newFields: [],
+    disappearedFields: [],
+    unknownFields: {},
+    missingFields: {},
+    typeChanges: {}
+  };
+
+  if (checked.length === 0) {
+    return report;
+  }
+
+  const totals = checked.reduce((sum, run) => mergeSchemaStats(sum, run.statistics.schema), createSchemaStats());
+  report.unknownFields = totals.unknownFields;
+  report.missingFields = totals.missingFields;
+  report.typeChanges = totals.typeChanges;
+
+  const oldest = checked[0].statistics.schema.fields;
+  const newest = checked[checked.length - 1].statistics.schema.fields;
+
+  for (const field of Object.keys(totals.fields).sort()) {
+    const seenIn = checked.filter(run => run.statistics.schema.fields[field]);
+    const declared = Boolean(schema[field]);
+
+    if (!oldest[field]) {
+      report.newFields.push({
+        field,
+        declared,
+        firstSeenRun: seenIn[0].id,
+        firstSeenAt: seenIn[0].createdAt,
+        runs: seenIn.length,
+        products: totals.fields[field]
+      });
+    }
+
+    if (!newest[field]) {
+      const last = seenIn[seenIn.length - 1];
+      report.disappearedFields.push({
+        field,
+        declared,
+        required: Boolean(schema[field]?.required),
+        lastSeenRun: last.id,
+        lastSeenAt: last.createdAt,
+        runs: seenIn.length
+      });
+    }
+  }
+
+  return report;
+}
+
+export default {
+  LKQ_PRODUCT_SCHEMA,
+  createSchemaStats,
+  validateProductPage,
+  mergeSchemaStats,
+  describeSchemaDrift,
+  summarizeSchemaDrift
+};
@@ -1,15 +1,45 @@
-import axios from 'axios';
 import { PrismaClient } from '@prisma/client';
 import { logger } from '../config/logger.js';
 import shortid from 'shortid';
 import { LKQ_CONFIG } from '../config/lkq-config.js';
-import { LKQ_HEADERS } from '../config/lkq-headers.js';
-import oxylabsProxyManager from '../services/proxy-manager.js';
+import { ProxyConfigError } from '../config/proxy.js';
+import { LKQ_HEADERS, LKQ_BOOTSTRAP_HEADERS } from '../config/lkq-headers.js';
+import proxyManager from '../services/proxy-manager.js';
+import { SessionManager } from '../services/session-manager.js';
+import { replaceProductFitments } from '../services/fitment.js';
+import { normalizePart, upsertPart } from '../services/parts.js';
+import { mapLkqProductToPart } from './lkq-part-mapper.js';
+import { createConcurrencyLimit, mapWithConcurrency } from '../utils/concurrency.js';
+import { chainRateLimiters, createTokenBucket, getHostRateLimiter } from '../utils/rateLimiter.js';
+import { requestWithRetry, ERROR_CLASSES } from '../utils/httpClient.js';
+import { createHttpRecorder, FIXTURES_DIR } from '../utils/httpRecorder.js';
+import { saveInBatches } from '../utils/batchSave.js';
+import { createSchemaStats, validateProductPage, mergeSchemaStats, describeSchemaDrift } from './lkq-schema.js';
+import { archiveRawPage } from '../services/raw-archive.js';
+import { updateRunStatus, getControlRequest } from '../services/run-status.js';
+import path from 'path';
 import https from 'https';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 
 const prisma = new PrismaClient();
 
+// One LKQ browser session per proxy, shared by every run in this process
+const lkqSessions = new SessionManager({
+  name: 'lkq',
+  bootstrapUrl: LKQ_CONFIG.session.bootstrapUrl,
+  bootstrapHeaders: LKQ_BOOTSTRAP_HEADERS,
+  maxAge: LKQ_CONFIG.session.maxAge,
+  maxRequests: LKQ_CONFIG.session.maxRequests
+});
+
+/**
+ * Key of a category in the checkpoint, progress, timings and raw archive of a run
+ * Discovered categories share leaf names across branches, so they are keyed by their full path.
+ * @param {Object} category - Category with name, url and, when discovered, path
+ * @returns {string} - Category path, or name for categories without one
+ */
+const getCategoryKey = (category) => category.path || category.name;
+
 /**
  * Create a new LKQ scraper with custom configuration
  * @param {Object} customConfig - Custom configuration options
@@ -37,7 +67,9 @@ const scrape = async (config = LKQ_CONFIG, options = {}) => {
     startTime: new Date().toISOString(),
     categories: {
       processed: 0,
-      total: config.categories.length
+      total: config.categories.length,
+      // Per-category progress keyed by category path, or name for categories without one
+      progress: {}
     },
     products: {
       scraped: 0,
@@ -49,21 +81,46 @@ const scrape = async (config = LKQ_CONFIG, options = {}) => {
       processed: 0,
       errors: 0
     },
+    // Product payloads checked against LKQ_PRODUCT_SCHEMA
+    schema: createSchemaStats(),
     timings: {}
   };
   
+  // Continue from the last checkpoint if this run was interrupted before
+  const checkpoint = options.runId ? await loadCheckpoint(options.runId, config) : null;
+  
+  if (checkpoint) {
+    const { endTime, totalTime, error, ...previousStats } = checkpoint.statistics || {};
+    Object.assign(stats, previousStats);
+    stats.categories = {
+      ...stats.categories,
+      total: config.categories.length,
+      progress: stats.categories?.progress || {}
+    };
+    stats.resumes = (stats.resumes || 0) + 1;
+    const remaining = config.categories.filter(category => !checkpoint.positions[getCategoryKey(category)]?.done).length;
+    logger.info(`[Scraper:${runId}] Resuming from checkpoint with ${remaining}/${config.categories.length} categories left`);
+  }
+  
   let runStatus = {
     id: runId,
     scraperId: options.scraperId,
     status: 'starting',
     startTime: new Date().toISOString(),
     endTime: null,
-    message: 'Initializing scraper',
+    message: checkpoint ? 'Resuming scraper from checkpoint' : 'Initializing scraper',
     stats
   };
   
+  // Concurrent pages report progress at the same time; chain the writes so an older state never lands last
+  let statusWrite = Promise.resolve();
+  const saveRunStatus = () => {
+    statusWrite = statusWrite.then(() => updateRunStatus(runStatus));
+    return statusWrite;
+  };
+  
   logger.info(`[Scraper:${runId}] ${runStatus.message}`);
-  await updateRunStatus(runStatus);
+  await saveRunStatus();
   
   try {
     logger.info(`[Scraper:${runId}] Starting API scrape`);
@@ -71,124 +128,266 @@ const scrape = async (config = LKQ_CONFIG, options = {}) => {
     runStatus.status = 'running';
     runStatus.message = 'Starting API requests';
     logger.info(`[Scraper:${runId}] ${runStatus.message}`);
-    await updateRunStatus(runStatus);
+    await saveRunStatus();
     
-    for (let i = 0; i < config.categories.length; i++) {
-      const category = config.categories[i];
-      const categoryStartTime = Date.now();
+    // Operator request (cancel or pause) that stopped the crawl, if any
+    let stopRequest = null;
+    const maxProducts = config.maxProductsToScrape || Infinity;
+    const maxPages = config.maxPages || 10;
+    const take = 50;
+    const archiveRawPages = config.archiveRawPages ?? LKQ_CONFIG.archiveRawPages;
+    
+    if (Number.isFinite(maxProducts)) {
+      stats.products.limit = maxProducts;
+    }
+    
+    // Requests of all categories share one concurrency limit; the run's own rate limiter paces them further,
+    // under the host ceiling that other runs share
+    const parallelRequests = Math.max(1, config.parallelRequests || 1);
+    const requestLimit = createConcurrencyLimit(parallelRequests);
+    const requestsPerSecond = config.requestsPerSecond ?? LKQ_CONFIG.requestsPerSecond;
+    const rateLimiter = createTokenBucket({ requestsPerSecond });
+    
+    // In record mode every exchange is written to the run's fixture set; replay serves the run from one
+    const recorder = createHttpRecorder({
+      mode: config.httpMode || 'live',
+      dir: path.join(FIXTURES_DIR, 'lkq', config.fixtures || runId)
+    });
+    if (recorder.mode !== 'live') {
+      logger.info(`[Scraper:${runId}] HTTP ${recorder.mode} mode using fixtures in ${recorder.dir}`);
+    }
+    
+    // Saves run one at a time so pages fetched together never race on the same SKU
+    const saveLimit = createConcurrencyLimit(1);
+    
+    // Next page of each category and whether it is finished, saved as the checkpoint
+    const positions = Object.fromEntries(config.categories.map(category => [
+      getCategoryKey(category),
+      { nextPage: 1, done: false, ...checkpoint?.positions[getCategoryKey(category)] }
+    ]));
+    runStatus.checkpoint = { categories: positions };
+    
+    logger.info(`[Scraper:${runId}] Fetching up to ${parallelRequests} pages at once, at most ${requestsPerSecond} requests per second`);
+    
+    /**
+     * Fetch, extract and save one page of a category
+     * @param {Object} category - Category being crawled
+     * @param {number} pageNum - 1-based page number
+     * @param {Object} categoryProgress - Progress entry of the category
+     * @returns {Promise<Object>} - { ended, failed }: whether the category has no pages after this one, and whether this page failed
+     */
+    const scrapePage = async (category, pageNum, categoryProgress) => {
+      const url = rebaseUrl(category.url, config.baseUrl || LKQ_CONFIG.baseUrl);
+      url.searchParams.set('skip', String((pageNum - 1) * take));
+      url.searchParams.set('take', String(take));
+      const apiUrl = url.toString();
+      const pageStartTime = Date.now();
+      const attempts = [];
       
-      logger.info(`[Scraper:${runId}] Processing category ${i + 1}/${config.categories.length}: ${category.name}`);
+      logger.info(`[Scraper:${runId}] Processing API page ${pageNum} for category: ${category.name}`);
+      logger.info(`[Scraper:${runId}] API URL: ${apiUrl}`);
       
-      runStatus.message = `Scraping category: ${category.name} (${i + 1}/${config.categories.length})`;
+      try {
+        const response = await requestLimit(() => makeApiRequest(apiUrl, config.securityTokens, runId, {
+          maxAttempts: (config.maxRetries ?? LKQ_CONFIG.maxRetries) + 1,
+          attempts,
+          proxy: { scraper: 'lkq', category: category.name },
+          rateLimiter,
+          recorder,
+          timeout: config.timeout || LKQ_CONFIG.timeout
+        }));
+        
+        if (!response) {
+          logger.error(`[Scraper:${runId}] Failed to get API response for category: ${category.name}`);
+          stats.pages.errors++;
+          categoryProgress.pageErrors++;
+          return { ended: true, failed: true };
+        }
+        
+        const schemaCheck = validateProductPage(response);
+        mergeSchemaStats(stats.schema, schemaCheck);
+        const drift = describeSchemaDrift(schemaCheck);
+        if (drift) {
+          logger.warn(`[Scraper:${runId}] Product payload of page ${pageNum} for ${category.name} differs from the schema: ${drift}`);
+        }
+        
+        logger.info(`[Scraper:${runId}] Extracting products from API response`);
+        const extractedProducts = extractProductsFromApi(response, category, runId);
+        
+        // Claim this page's share of the product cap before awaiting anything, so concurrent pages never exceed it
+        const pageProducts = extractedProducts.slice(0, Math.max(0, maxProducts - stats.products.scraped));
+        stats.products.scraped += pageProducts.length;
+        categoryProgress.scraped += pageProducts.length;
+        
+        if (stats.products.scraped >= maxProducts && !stats.limitReached) {
+          logger.info(`[Scraper:${runId}] Reached product limit of ${maxProducts}`);
+          stats.limitReached = 'maxProducts';
+        }
+        
+        if (archiveRawPages) {
+          // The page keeps the SKUs this run took from it, so a reprocess saves exactly those
+          const skus = pageProducts.map(product => String(product.sku || ''));
+          const archived = await archiveRawPage({ runId, category: getCategoryKey(category), url: apiUrl, skip: (pageNum - 1) * take, take, data: response, skus });
+          stats.archive = stats.archive || { pages: 0, bytes: 0, compressedBytes: 0, errors: 0 };
+          if (archived) {
+            stats.archive.pages++;
+            stats.archive.bytes += archived.size;
+            stats.archive.compressedBytes += archived.compressedSize;
+          } else {
+            stats.archive.errors++;
+          }
+        }
+        
+        if (pageProducts.length > 0) {
+          logger.info(`[Scraper:${runId}] Found ${pageProducts.length} products on page ${pageNum} for ${category.name}`);
+          
+          // Save products immediately after each API response
+          const saveResults = await saveLimit(() => saveProducts(pageProducts, category.name, runId, config.batchSize));
+          
+          stats.products.saved += saveResults.saved;
+          stats.products.duplicates += saveResults.duplicates;
+          stats.products.changed = (stats.products.changed || 0) + saveResults.changed;
+          stats.products.errors += saveResults.errors;
+          
+          categoryProgress.saved += saveResults.saved;
+          categoryProgress.duplicates += saveResults.duplicates;
+          categoryProgress.errors += saveResults.errors;
+          
+          runStatus.message = `Saved ${saveResults.saved}/${pageProducts.length} products for ${category.name}`;
+          logger.info(`[Scraper:${runId}] ${runStatus.message}`);
+        } else {
+          logger.warn(`[Scraper:${runId}] No products found on API page ${pageNum} for ${category.name}`);
+        }
+        
+        stats.pages.processed++;
+        categoryProgress.pagesProcessed++;
+        logger.info(`[Scraper:${runId}] API page ${pageNum} processed in ${Date.now() - pageStartTime}ms`);
+        
+        return { ended: extractedProducts.length < take, failed: false };
+      } catch (error) {
+        // No page can be fetched without a proxy provider, so the run fails instead of skipping them all
+        if (error instanceof ProxyConfigError) {
+          throw error;
+        }
+        logger.error(`[Scraper:${runId}] Error processing API page ${pageNum} for ${category.name}: ${error.message}`);
+        logger.error(`[Scraper:${runId}] Error stack: ${error.stack}`);
+        stats.pages.errors++;
+        categoryProgress.pageErrors++;
+        return { ended: false, failed: true };
+      } finally {
+        recordPageAttempts(stats, categoryProgress, pageNum, attempts);
+      }
+    };
+    
+    /**
+     * Crawl the pages of a category in windows of parallelRequests pages
+     * Pages that fail are kept in the position's failedPages and fetched again first when the run is resumed
+     * @param {Object} category - Category to crawl
+     * @param {number} index - Position of the category in the run
+     * @returns {Promise<void>}
+     */
+    const scrapeCategory = async (category, index) => {
+      const key = getCategoryKey(category);
+      const position = positions[key];
+      
+      if ((position.done && !position.failedPages?.length) || stopRequest || stats.limitReached) {
+        return;
+      }
+      
+      const categoryStartTime = Date.now();
+      const categoryProgress = (position.nextPage > 1 && stats.categories.progress[key]) || {
+        pagesProcessed: 0,
+        pageErrors: 0,
+        scraped: 0,
+        saved: 0,
+        duplicates: 0,
+        errors: 0
+      };
+      categoryProgress.status = 'running';
+      stats.categories.progress[key] = categoryProgress;
+      
+      runStatus.message = `Scraping category: ${category.name} (${index + 1}/${config.categories.length})`;
       logger.info(`[Scraper:${runId}] ${runStatus.message}`);
-      await updateRunStatus(runStatus);
+      await saveRunStatus();
       
       try {
-        let apiUrl = category.url;
-        logger.info(`[Scraper:${runId}] Using API URL: ${apiUrl}`);
-        
-        let pageNum = 1;
-        let hasMoreProducts = true;
-        let skip = 0;
-        const take = 50;
-        let maxPages = config.maxPages || 10;
+        if (position.failedPages?.length) {
+          const retried = position.failedPages;
+          logger.info(`[Scraper:${runId}] Fetching failed pages ${retried.join(', ')} of ${category.name} again`);
+          const results = await Promise.all(retried.map(pageNum => scrapePage(category, pageNum, categoryProgress)));
+          position.failedPages = retried.filter((pageNum, i) => results[i].failed);
+          runStatus.stats = stats;
+          await saveRunStatus();
+        }
         
-        while (hasMoreProducts && pageNum <= maxPages) {
-          const pageStartTime = Date.now();
+        while (!position.done && position.nextPage <= maxPages && !stats.limitReached) {
+          // Stop between windows so the saved pages and checkpoint stay consistent
+          stopRequest = stopRequest || await getControlRequest(runId);
+          if (stopRequest) {
+            logger.info(`[Scraper:${runId}] Received ${stopRequest} request, stopping before page ${position.nextPage} of ${category.name}`);
+            break;
+          }
           
-          if (skip > 0) {
-            try {
-              const url = new URL(apiUrl);
-              url.searchParams.set('skip', skip.toString());
-              url.searchParams.set('take', take.toString());
-              apiUrl = url.toString();
-              logger.info(`[Scraper:${runId}] Updated API URL with skip=${skip}: ${apiUrl}`);
-            } catch (urlError) {
-              logger.error(`[Scraper:${runId}] Error updating URL parameters: ${urlError.message}`);
-              logger.error(`[Scraper:${runId}] Invalid URL: ${apiUrl}`);
-              break;
-            }
+          // Pages past the last one come back empty, so a window costs at most parallelRequests - 1 extra requests
+          const window = Array.from(
+            { length: Math.min(parallelRequests, maxPages - position.nextPage + 1) },
+            (_, i) => position.nextPage + i
+          );
+          const results = await Promise.all(window.map(pageNum => scrapePage(category, pageNum, categoryProgress)));
+          
+          // Checkpoint the next position so a resumed run never re-fetches the saved pages, only the failed ones
+          const failedPages = window.filter((pageNum, i) => results[i].failed);
+          if (failedPages.length > 0) {
+            position.failedPages = [...(position.failedPages || []), ...failedPages];
           }
+          position.nextPage += window.length;
+          position.done = results.some(result => result.ended) || position.nextPage > maxPages;
+          runStatus.stats = stats;
+          await saveRunStatus();
           
-          logger.info(`[Scraper:${runId}] Processing API page ${pageNum} for category: ${category.name}`);
-          logger.info(`[Scraper:${runId}] API URL: ${apiUrl}`);
+          if (position.done) {
+            logger.info(`[Scraper:${runId}] No more products for category: ${category.name} or reached max pages limit`);
+            break;
+          }
           
-          try {
-            const response = await makeApiRequest(apiUrl, config.securityTokens, runId);
-            
-            if (!response) {
-              logger.error(`[Scraper:${runId}] Failed to get API response for category: ${category.name}`);
-              stats.pages.errors++;
-              break;
-            }
-            
-            logger.info(`[Scraper:${runId}] Extracting products from API response`);
-            const pageProducts = extractProductsFromApi(response, category, runId);
-            
-            if (pageProducts.length > 0) {
-              logger.info(`[Scraper:${runId}] Found ${pageProducts.length} products on page ${pageNum} for ${category.name}`);
-              stats.products.scraped += pageProducts.length;
-              
-              // Save products immediately after each API response
-              logger.info(`[Scraper:${runId}] Saving ${pageProducts.length} products for category: ${category.name}`);
-              const saveResults = await saveProducts(pageProducts, category.name, runId);
-              
-              stats.products.saved += saveResults.saved;
-              stats.products.duplicates += saveResults.duplicates;
-              stats.products.errors += saveResults.errors;
-              
-              // Update run status with progress
-              runStatus.message = `Saved ${saveResults.saved}/${pageProducts.length} products for ${category.name}`;
-              logger.info(`[Scraper:${runId}] ${runStatus.message}`);
-              runStatus.stats = stats;
-              await updateRunStatus(runStatus);
-            } else {
-              logger.warn(`[Scraper:${runId}] No products found on API page ${pageNum} for ${category.name}`);
-              hasMoreProducts = false;
-            }
-            
-            stats.pages.processed++;
-            hasMoreProducts = pageProducts.length === take;
-            
-            if (hasMoreProducts && pageNum < maxPages) {
-              skip += take;
-              pageNum++;
-              await new Promise(resolve => setTimeout(resolve, config.pageDelay || 2000));
-            } else {
-              logger.info(`[Scraper:${runId}] No more products for category: ${category.name} or reached max pages limit`);
-              hasMoreProducts = false;
-            }
-            
-            const pageEndTime = Date.now();
-            const pageTime = pageEndTime - pageStartTime;
-            logger.info(`[Scraper:${runId}] API page ${pageNum} processed in ${pageTime}ms`);
-            
-          } catch (error) {
-            logger.error(`[Scraper:${runId}] Error processing API page ${pageNum} for ${category.name}: ${error.message}`);
-            logger.error(`[Scraper:${runId}] Error stack: ${error.stack}`);
-            stats.pages.errors++;
-            
-            skip += take;
-            pageNum++;
-            
-            if (pageNum > maxPages) {
-              hasMoreProducts = false;
-            }
+          if (config.pageDelay) {
+            await new Promise(resolve => setTimeout(resolve, config.pageDelay));
           }
         }
         
-        const categoryEndTime = Date.now();
-        const categoryTime = categoryEndTime - categoryStartTime;
+        if (stopRequest) {
+          categoryProgress.status = stopRequest === 'cancel' ? 'cancelled' : 'paused';
+          return;
+        }
+        
+        const categoryTime = Date.now() - categoryStartTime;
         logger.info(`[Scraper:${runId}] Category ${category.name} processed in ${categoryTime}ms`);
-        stats.timings[category.name] = categoryTime;
+        stats.timings[key] = categoryTime;
         
         stats.categories.processed++;
+        categoryProgress.status = 'completed';
+        runStatus.stats = stats;
+        await saveRunStatus();
         
       } catch (categoryError) {
+        if (categoryError instanceof ProxyConfigError) {
+          throw categoryError;
+        }
         logger.error(`[Scraper:${runId}] Error processing category ${category.name}: ${categoryError.message}`);
         logger.error(`[Scraper:${runId}] Error stack: ${categoryError.stack}`);
         stats.categories.errors = (stats.categories.errors || 0) + 1;
+        categoryProgress.status = 'failed';
       }
+    };
+    
+    await mapWithConcurrency(config.categories, parallelRequests, scrapeCategory);
+    
+    if (recorder.mode !== 'live') {
+      stats.http = recorder.getSummary();
+    }
+    
+    if (stopRequest) {
+      return stopScrape(stopRequest, runStatus, stats, startTime);
     }
     
     const endTime = Date.now();
@@ -199,7 +398,9 @@ const scrape = async (config = LKQ_CONFIG, options = {}) => {
     
     runStatus.status = 'completed';
     runStatus.endTime = new Date().toISOString();
-    runStatus.message = `Scrape completed successfully. Scraped ${stats.products.scraped} products, saved ${stats.products.saved}.`;
+    runStatus.message = stats.limitReached
+      ? `Scrape completed at the product limit. Scraped ${stats.products.scraped} products, saved ${stats.products.saved}.`
+      : `Scrape completed successfully. Scraped ${stats.products.scraped} products, saved ${stats.products.saved}.`;
     logger.info(`[Scraper:${runId}] ${runStatus.message}`);
     runStatus.stats = {
       ...stats,
@@ -207,7 +408,7 @@ const scrape = async (config = LKQ_CONFIG, options = {}) => {
       totalTime
     };
     
-    await updateRunStatus(runStatus);
+    await saveRunStatus();
     
     return {
       status: 'success',
@@ -233,7 +434,7 @@ const scrape = async (config = LKQ_CONFIG, options = {}) => {
       }
     };
     
-    await updateRunStatus(runStatus);
+    await saveRunStatus();
     
     return {
       status: 'error',
@@ -244,71 +445,222 @@ const scrape = async (config = LKQ_CONFIG, options = {}) => {
   }
 };
 
+/**
+ * Add the attempt history of a page request to the run statistics
+ * @param {Object} stats - Run statistics
+ * @param {Object} categoryProgress - Progress entry of the page's category
+ * @param {number} pageNum - Page number
+ * @param {Array<Object>} attempts - Attempt records from the HTTP client
+ * @returns {void}
+ */
+const recordPageAttempts = (stats, categoryProgress, pageNum, attempts) => {
+  if (attempts.length === 0) {
+    return;
+  }
+  
+  stats.requests = stats.requests || { attempts: 0, retries: 0, byClassification: {} };
+  stats.requests.attempts += attempts.length;
+  stats.requests.retries += attempts.length - 1;
+  
+  for (const { classification } of attempts) {
+    if (classification) {
+      stats.requests.byClassification[classification] = (stats.requests.byClassification[classification] || 0) + 1;
+    }
+  }
+  
+  categoryProgress.pageAttempts = categoryProgress.pageAttempts || {};
+  categoryProgress.pageAttempts[pageNum] = attempts;
+};
+
+/**
+ * Load the saved crawl position of a run
+ * @param {string} runId - The scraper run ID
+ * @param {Object} config - Configuration for the scraper
+ * @returns {Promise<Object|null>} - Position of each category by key (see getCategoryKey()) with the run's statistics, or null for a fresh run
+ */
+const loadCheckpoint = async (runId, config) => {
+  try {
+    const run = await prisma.scraperRun.findUnique({
+      where: { id: runId },
+      select: { checkpoint: true, statistics: true }
+    });
+    
+    if (!run?.checkpoint) {
+      return null;
+    }
+    
+    // Checkpoints from before concurrent crawling hold a single position: categoryIndex, skip and pageNum
+    let positions = run.checkpoint.categories;
+    
+    if (!positions) {
+      // Prefer the category name in case the category list changed since the checkpoint was taken
+      let categoryIndex = run.checkpoint.categoryIndex;
+      const namedIndex = config.categories.findIndex(c => c.name === run.checkpoint.categoryName);
+      
+      if (namedIndex !== -1 && namedIndex !== categoryIndex) {
+        logger.warn(`[Scraper:${runId}] Category ${run.checkpoint.categoryName} moved from index ${categoryIndex} to ${namedIndex}`);
+        categoryIndex = namedIndex;
+      }
+      
+      positions = Object.fromEntries(config.categories.map((category, i) => [
+        getCategoryKey(category),
+        { nextPage: i === categoryIndex ? run.checkpoint.pageNum || 1 : 1, done: i < categoryIndex }
+      ]));
+    }
+    
+    return {
+      positions,
+      statistics: run.statistics
+    };
+  } catch (error) {
+    logger.error(`[Scraper:${runId}] Error loading checkpoint: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Record a cancelled or paused run with its final statistics
+ * @param {string} request - The control request that stopped the crawl
+ * @param {Object} runStatus - Current run status object
+ * @param {Object} stats - Run statistics
+ * @param {number} startTime - Timestamp of the start of this attempt
+ * @returns {Promise<Object>} - Scraping result with the stopped status
+ */
+const stopScrape = async (request, runStatus, stats, startTime) => {
+  const status = request === 'cancel' ? 'cancelled' : 'paused';
+  const now = new Date().toISOString();
+  
+  runStatus.status = status;
+  runStatus.endTime = status === 'cancelled' ? now : null;
+  runStatus.controlRequest = null;
+  runStatus.message = `Scrape ${status}. Scraped ${stats.products.scraped} products, saved ${stats.products.saved}.`;
+  runStatus.stats = {
+    ...stats,
+    [status === 'cancelled' ? 'cancelledAt' : 'pausedAt']: now,
+    totalTime: Date.now() - startTime
+  };
+  
+  logger.info(`[Scraper:${runStatus.id}] ${runStatus.message}`);
+  await updateRunStatus(runStatus);
+  
+  return {
+    status,
+    runId: runStatus.id,
+    stats: runStatus.stats
+  };
+};
+
+/**
+ * Move a URL onto the configured LKQ origin, so stored category URLs follow LKQ_BASE_URL
+ * @param {string} url - Category or API URL
+ * @param {string} baseUrl - Origin to use
+ * @returns {URL} - URL on the configured origin
+ */
+const rebaseUrl = (url, baseUrl) => {
+  const rebased = new URL(url);
+  const base = new URL(baseUrl);
+  rebased.protocol = base.protocol;
+  rebased.host = base.host;
+  return rebased;
+};
+
+/**
+ * Fail API responses that are not product JSON so they are retried like errors
+ * Bot protection answers with an HTML page and status 200; a cut-off body arrives as an unparsed string.
+ * @param {Object} response - Axios response
+ * @returns {void}
+ */
+const validateApiResponse = (response) => {
+  const contentType = String(response.headers?.['content-type'] || '');
+  const body = response.data;
+
+  if (contentType.includes('text/html') || (typeof body === 'string' && /^\s*</.test(body))) {
+    throw Object.assign(new Error('LKQ answered with an HTML page instead of JSON (blocked)'), {
+      classification: ERROR_CLASSES.BLOCKED,
+      response
+    });
+  }
+
+  if (typeof body === 'string' || body === null || typeof body !== 'object') {
+    throw Object.assign(new Error('LKQ answered with a malformed JSON body'), {
+      classification: ERROR_CLASSES.RETRYABLE,
+      response
+    });
+  }
+};
+
 /**
  * Make an API request with proxy support
+ * Failed attempts are retried according to the shared retry policy of utils/httpClient.js
  * @param {string} url - URL to request
  * @param {object} securityTokens - Security tokens to include in headers
  * @param {string} runId - The scraper run ID for logging
+ * @param {Object} options - Request options
+ * @param {number} options.maxAttempts - Maximum number of attempts, defaults to LKQ_CONFIG.maxRetries + 1
+ * @param {Array} options.attempts - Array that receives the attempt history
+ * @param {Object} options.proxy - { scraper, category } used to pick the proxy provider
+ * @param {Object} options.rateLimiter - Limiter of the run, awaited before the host's shared limiter
+ * @param {Object} options.recorder - HTTP recorder of the run (record or replay mode)
+ * @param {number} options.timeout - Timeout of each attempt in milliseconds, defaults to LKQ_CONFIG.timeout
  * @returns {Promise<Object>} - API response
  */
-async function makeApiRequest(url, securityTokens = null, runId) {
+async function makeApiRequest(url, securityTokens = null, runId, options = {}) {
+  let response;
+  // Replay never touches the network, so it needs no proxy, rate limit or session, and no backoff
+  const replaying = options.recorder?.mode === 'replay';
+  
   try {
-    const proxyAgent = oxylabsProxyManager.getNextProxy();
-    
-    const response = await axios({
+    response = await requestWithRetry({
       method: 'GET',
       url: url,
-      httpsAgent: proxyAgent,
       headers: LKQ_HEADERS,
-      timeout: 30000 // 30 second timeout
-    });
+      timeout: options.timeout || LKQ_CONFIG.timeout
+    }, {
+      policy: {
+        maxAttempts: options.maxAttempts ?? LKQ_CONFIG.maxRetries + 1,
+        ...(replaying && { baseDelay: 0, maxDelay: 0 })
+      },
+      transport: options.recorder?.transport,
+      validateResponse: validateApiResponse,
+      attempts: options.attempts,
+      ...(!replaying && {
+        getAgent: () => proxyManager.getNextProxy(options.proxy ?? { scraper: 'lkq' }),
+        // Every attempt, including retries, waits its turn at the run's rate limit and then at the host's shared one
+        rateLimiter: chainRateLimiters(options.rateLimiter, getHostRateLimiter(url, LKQ_CONFIG.hostRequestsPerSecond)),
+        // Each proxy sends the headers and cookies of its own session
+        prepareRequest: (request, agent) => lkqSessions.prepareRequest(request, proxyManager.getProxyId(agent), agent),
+        onAttempt: (attempt, agent, attemptResponse) => {
+          // Feed every attempt into the proxy's health so failing proxies are cooled down
+          proxyManager.reportResult(attempt, agent);
 
-    // Log the response status and data for debugging
-    logger.info(`[Scraper:${runId}] API response status: ${response.status}`);
-    
-    // Check if the response is successful
-    if (response.status === 200) {
-      return response.data;
-    } else {
-      logger.error(`[Scraper:${runId}] API returned non-200 status: ${response.status}`);
-      throw new Error(`API returned status ${response.status}`);
-    }
+          const sessionKey = proxyManager.getProxyId(agent);
+          if (attempt.classification === ERROR_CLASSES.BLOCKED) {
+            // A blocked session's cookies are burnt; the next request through this proxy starts over
+            lkqSessions.invalidate(sessionKey, `HTTP ${attempt.status}`);
+          } else {
+            lkqSessions.applyResponse(sessionKey, attemptResponse, url);
+          }
+        }
+      }),
+      onRetry: (attempt) => {
+        logger.warn(`[Scraper:${runId}] Attempt ${attempt.attempt} failed (${attempt.classification}: ${attempt.status || attempt.error}), retrying in ${attempt.delayMs}ms`);
+      }
+    });
   } catch (error) {
     logger.error(`[Scraper:${runId}] API request failed: ${error.message}`);
-    
-    // Handle specific error cases
-    if (error.response) {
-      const status = error.response.status;
-      
-      // Handle 400 Bad Request errors
-      if (status === 400) {
-        logger.error(`[Scraper:${runId}] Bad Request (400) error: ${JSON.stringify(error.response.data)}`);
-        throw new Error(`Bad Request (400): ${error.response.data?.message || 'Unknown error'}`);
-      }
-      
-      // If we get a rate limit or authentication error, try a different proxy
-      if (status === 429 || status === 407) {
-        logger.warn(`[Scraper:${runId}] Rate limit or authentication error, retrying with different proxy`);
-        return makeApiRequest(url, securityTokens, runId);
-      }
-      
-      // For other server errors, wait before retrying
-      if (status >= 500) {
-        logger.warn(`[Scraper:${runId}] Server error ${status}, waiting before retry`);
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        return makeApiRequest(url, securityTokens, runId);
-      }
-    }
-    
-    // For network errors, wait before retrying
-    if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
-      logger.warn(`[Scraper:${runId}] Network error ${error.code}, waiting before retry`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return makeApiRequest(url, securityTokens, runId);
-    }
-    
     throw error;
   }
+  
+  // Log the response status and data for debugging
+  logger.info(`[Scraper:${runId}] API response status: ${response.status}`);
+  
+  // Check if the response is successful
+  if (response.status !== 200) {
+    logger.error(`[Scraper:${runId}] API returned non-200 status: ${response.status}`);
+    throw new Error(`API returned status ${response.status}`);
+  }
+  
+  return response.data;
 }
 
 /**
@@ -419,19 +771,154 @@ const extractProductsFromApi = (data, category, runId) => {
   }
 };
 
+// Product fields whose changes are kept in the LkqProductSnapshot history
+const TRACKED_PRODUCT_FIELDS = ['price', 'listPrice', 'corePrice', 'availability'];
+
+/**
+ * Record a history snapshot when a tracked field of a product changed
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object|null} previous - Tracked fields before the upsert, null for new products
+ * @param {Object} product - The saved product
+ * @param {string} runId - ID of the current run
+ * @returns {Promise<boolean>} - Whether a snapshot was recorded
+ */
+const recordProductSnapshot = async (tx, previous, product, runId) => {
+  const changedFields = previous
+    ? TRACKED_PRODUCT_FIELDS.filter(field => previous[field] !== product[field])
+    : TRACKED_PRODUCT_FIELDS;
+  
+  if (changedFields.length === 0) {
+    return false;
+  }
+  
+  await tx.lkqProductSnapshot.create({
+    data: {
+      productId: product.id,
+      sku: product.sku,
+      price: product.price,
+      listPrice: product.listPrice,
+      corePrice: product.corePrice,
+      availability: product.availability,
+      changedFields,
+      scraperRunId: runId
+    }
+  });
+  
+  if (previous) {
+    logger.debug(`[Scraper:${runId}] Product ${product.sku} changed: ${changedFields.join(', ')}`);
+  }
+  
+  return true;
+};
+
+/**
+ * Save one product with its fitments, catalog part and snapshot
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} product - Product to save
+ * @param {string} categoryName - Category name
+ * @param {string} runId - ID of the current run
+ * @returns {Promise<Object>} - { duplicate, changed } telling whether the product already existed and whether it changed
+ */
+const saveProduct = async (tx, product, categoryName, runId) => {
+  // Convert all data to appropriate types and handle nulls
+  const productData = {
+    sku: String(product.sku || ''),
+    title: String(product.title || ''),
+    description: String(product.description || ''),
+    descriptionRetail: String(product.descriptionRetail || ''),
+    // Handle numeric fields as Float
+    price: product.price ? parseFloat(product.price) : null,
+    listPrice: product.listPrice ? parseFloat(product.listPrice) : null,
+    corePrice: product.corePrice ? parseFloat(product.corePrice) : null,
+    imageUrl: product.imageUrl ? String(product.imageUrl) : null,
+    productUrl: String(product.productUrl || ''),
+    categoryUrl: String(categoryName || ''),
+    category: String(product.category || ''),
+    // Handle numeric fields as Float
+    mileage: product.mileage ? parseFloat(product.mileage) : null,
+    location: String(product.location || ''),
+    yardCity: String(product.yardCity || ''),
+    yardState: String(product.yardState || ''),
+    sourceVehicleYear: String(product.sourceVehicleYear || ''),
+    sourceVehicleMake: String(product.sourceVehicleMake || ''),
+    sourceVehicleModel: String(product.sourceVehicleModel || ''),
+    sourceVehicleData: product.sourceVehicleData ? JSON.stringify(product.sourceVehicleData) : null,
+    fitments: product.fitments ? JSON.stringify(product.fitments) : null,
+    fitmentJson: product.fitmentJson ? JSON.stringify(product.fitmentJson) : null,
+    interchange: String(product.interchange || ''),
+    type: String(product.type || ''),
+    code: String(product.code || ''),
+    unitOfMeasureCode: String(product.unitOfMeasureCode || ''),
+    unitOfMeasure: String(product.unitOfMeasure || ''),
+    companyCode: String(product.companyCode || ''),
+    ftcDisplay: String(product.ftcDisplay || ''),
+    // Handle boolean fields
+    freeShippingEligible: product.freeShippingEligible === true || product.freeShippingEligible === 'true',
+    isReman: product.isReman === true || product.isReman === 'true',
+    requireVin: product.requireVin === true || product.requireVin === 'true',
+    displayFinancing: product.displayFinancing === true || product.displayFinancing === 'true',
+    remanFinanceIneligible: product.remanFinanceIneligible === true || product.remanFinanceIneligible === 'true',
+    availability: String(product.availability || ''),
+    images: product.images ? JSON.stringify(product.images) : null,
+    categories: product.categories ? JSON.stringify(product.categories) : null,
+    pricing: product.pricing ? JSON.stringify(product.pricing) : null,
+    catalog: product.catalog ? JSON.stringify(product.catalog) : null,
+    scraperRunId: runId
+  };
+
+  // Listings the catalog cannot hold, such as ones without a title, are kept out of it before
+  // any statement runs, so they never abort the transaction
+  let part = null;
+  try {
+    part = normalizePart(mapLkqProductToPart(productData));
+  } catch (error) {
+    logger.debug(`[Scraper:${runId}] Product ${productData.sku} left out of the part catalog: ${error.message}`);
+  }
+
+  // Read the tracked fields before they are overwritten
+  const previous = await tx.lkqProduct.findUnique({
+    where: { sku: productData.sku },
+    select: Object.fromEntries(TRACKED_PRODUCT_FIELDS.map(field => [field, true]))
+  });
+  
+  // Use upsert to handle both new and existing products
+  const result = await tx.lkqProduct.upsert({
+    where: { sku: productData.sku },
+    update: {
+      ...productData,
+      updatedAt: new Date()
+    },
+    create: productData
+  });
+
+  // Keep the relational fitment rows in step with the fitment JSON
+  await replaceProductFitments(tx, result.id, product);
+
+  // Keep the cross-source catalog in step with the LKQ table
+  if (part) {
+    await upsertPart(tx, part, runId);
+  }
+
+  // New products get their first snapshot; only existing ones count as changed
+  const snapshotted = await recordProductSnapshot(tx, previous, result, runId);
+  return { duplicate: Boolean(previous), changed: Boolean(snapshotted && previous) };
+};
+
 /**
  * Save products to the database
  * @param {Array} products - Products to save
  * @param {string} categoryName - Category name
  * @param {string} runId - ID of the current run 
+ * @param {number} batchSize - Number of products saved per transaction
  * @returns {Promise<Object>} - Results of the save operation
  */
-const saveProducts = async (products, categoryName, runId = 'unknown') => {
+const saveProducts = async (products, categoryName, runId = 'unknown', batchSize = 50) => {
   logger.info(`[Scraper:${runId}] Saving ${products.length} products for category: ${categoryName}`);
   
   const results = {
     saved: 0,
     duplicates: 0,
+    changed: 0,
     errors: 0
   };
   
@@ -441,84 +928,22 @@ const saveProducts = async (products, categoryName, runId = 'unknown') => {
   }
   
   try {
-    // Process products in batches of 50
-    const batchSize = 50;
-    for (let i = 0; i < products.length; i += batchSize) {
-      const batch = products.slice(i, i + batchSize);
-      logger.info(`[Scraper:${runId}] Processing batch of ${batch.length} products`);
-      
-      // Use transaction for batch processing
-      await prisma.$transaction(async (tx) => {
-        for (const product of batch) {
-          try {
-            // Convert all data to appropriate types and handle nulls
-            const productData = {
-              sku: String(product.sku || ''),
-              title: String(product.title || ''),
-              description: String(product.description || ''),
-              descriptionRetail: String(product.descriptionRetail || ''),
-              // Handle numeric fields as Float
-              price: product.price ? parseFloat(product.price) : null,
-              listPrice: product.listPrice ? parseFloat(product.listPrice) : null,
-              corePrice: product.corePrice ? parseFloat(product.corePrice) : null,
-              imageUrl: product.imageUrl ? String(product.imageUrl) : null,
-              productUrl: String(product.productUrl || ''),
-              categoryUrl: String(categoryName || ''),
-              category: String(product.category || ''),
-              // Handle numeric fields as Float
-              mileage: product.mileage ? parseFloat(product.mileage) : null,
-              location: String(product.location || ''),
-              yardCity: String(product.yardCity || ''),
-              yardState: String(product.yardState || ''),
-              sourceVehicleYear: String(product.sourceVehicleYear || ''),
-              sourceVehicleMake: String(product.sourceVehicleMake || ''),
-              sourceVehicleModel: String(product.sourceVehicleModel || ''),
-              sourceVehicleData: product.sourceVehicleData ? JSON.stringify(product.sourceVehicleData) : null,
-              fitments: product.fitments ? JSON.stringify(product.fitments) : null,
-              fitmentJson: product.fitmentJson ? JSON.stringify(product.fitmentJson) : null,
-              interchange: String(product.interchange || ''),
-              type: String(product.type || ''),
-              code: String(product.code || ''),
-              unitOfMeasureCode: String(product.unitOfMeasureCode || ''),
-              unitOfMeasure: String(product.unitOfMeasure || ''),
-              companyCode: String(product.companyCode || ''),
-              ftcDisplay: String(product.ftcDisplay || ''),
-              // Handle boolean fields
-              freeShippingEligible: product.freeShippingEligible === true || product.freeShippingEligible === 'true',
-              isReman: product.isReman === true || product.isReman === 'true',
-              requireVin: product.requireVin === true || product.requireVin === 'true',
-              displayFinancing: product.displayFinancing === true || product.displayFinancing === 'true',
-              remanFinanceIneligible: product.remanFinanceIneligible === true || product.remanFinanceIneligible === 'true',
-              availability: String(product.availability || ''),
-              images: product.images ? JSON.stringify(product.images) : null,
-              categories: product.categories ? JSON.stringify(product.categories) : null,
-              pricing: product.pricing ? JSON.stringify(product.pricing) : null,
-              catalog: product.catalog ? JSON.stringify(product.catalog) : null,
-              scraperRunId: runId
-            };
-
-            // Use upsert to handle both new and existing products
-            const result = await tx.lkqProduct.upsert({
-              where: { sku: productData.sku },
-              update: {
-                ...productData,
-                updatedAt: new Date()
-              },
-              create: productData
-            });
+    const saves = await saveInBatches(prisma, products, {
+      batchSize,
+      save: (tx, product) => saveProduct(tx, product, categoryName, runId),
+      onBatchError: (error, batch) => {
+        logger.warn(`[Scraper:${runId}] Batch of ${batch.length} products rolled back (${error.message}), saving them one by one`);
+      },
+      onItemError: (error, product) => {
+        logger.error(`[Scraper:${runId}] Error saving product ${product.sku}: ${error.message}`);
+      }
+    });
 
-            if (result) {
-              results.saved++;
-            }
-          } catch (error) {
-            logger.error(`[Scraper:${runId}] Error saving product ${product.sku}: ${error.message}`);
-            results.errors++;
-          }
-        }
-      });
-      
-      logger.info(`[Scraper:${runId}] Processed batch. Saved: ${results.saved}, Errors: ${results.errors}`);
-    }
+    // Only saves whose transaction committed are counted
+    results.saved = saves.saved;
+    results.errors = saves.errors;
+    results.duplicates = saves.results.filter(save => save.duplicate).length;
+    results.changed = saves.results.filter(save => save.changed).length;
     
     logger.info(`[Scraper:${runId}] Completed saving products. Total saved: ${results.saved}, Errors: ${results.errors}`);
     return results;
@@ -530,108 +955,12 @@ const saveProducts = async (products, categoryName, runId = 'unknown') => {
   }
 };
 
-/**
- * Update the run status in the database
- * @param {Object} status - Run status object
- * @returns {Promise<void>}
- */
-const updateRunStatus = async (status) => {
-  try {
-    if (!status.id) {
-      logger.error(`[Scraper:unknown] Cannot update run status - missing run ID`);
-      return;
-    }
-    
-    if (!status.scraperId) {
-      logger.warn(`[Scraper:${status.id}] No scraperId provided in status update. Attempting to find scraper ID.`);
-      
-      try {
-        // Try to find a scraper with name 'lkq'
-        const scraper = await prisma.scraper.findFirst({
-          where: { name: 'lkq' }
-        });
-        
-        if (scraper) {
-          logger.info(`[Scraper:${status.id}] Found scraper with id: ${scraper.id}`);
-          status.scraperId = scraper.id;
-        } else {
-          logger.error(`[Scraper:${status.id}] Could not find a scraper with name 'lkq'. Cannot create scraper run.`);
-          logger.info(`[Scraper:${status.id}] Creating dummy scraper record for this run`);
-          
-          // Create a dummy scraper record
-          const newScraper = await prisma.scraper.create({
-            data: {
-              name: 'lkq' + Date.now(), // Unique name to avoid conflicts
-              description: 'LKQ Auto Parts Scraper (Automatically Created)',
-              enabled: true
-            }
-          });
-          
-          logger.info(`[Scraper:${status.id}] Created dummy scraper with id: ${newScraper.id}`);
-          status.scraperId = newScraper.id;
-        }
-      } catch (findError) {
-        logger.error(`[Scraper:${status.id}] Error finding/creating scraper: ${findError.message}`);
-        return; // Cannot proceed without scraperId
-      }
-    }
-    
-    logger.debug(`[Scraper:${status.id}] Updating run status to: ${status.status}`);
-    
-    try {
-      // Check if the run record exists
-      const existingRun = await prisma.scraperRun.findUnique({
-        where: { id: status.id }
-      });
-      
-      if (existingRun) {
-        // Update existing run
-        await prisma.scraperRun.update({
-          where: { id: status.id },
-          data: {
-            status: status.status,
-            updatedAt: new Date(),
-            completedAt: status.endTime ? new Date(status.endTime) : null,
-            statistics: status.stats
-          }
-        });
-      } else {
-        // Create new run record with proper scraper connection
-        await prisma.scraperRun.create({
-          data: {
-            id: status.id,
-            status: status.status,
-            startedAt: new Date(status.startTime),
-            updatedAt: new Date(),
-            completedAt: status.endTime ? new Date(status.endTime) : null,
-            statistics: status.stats,
-            scraper: {
-              connect: { id: status.scraperId }
-            }
-          }
-        });
-      }
-      
-      logger.debug(`[Scraper:${status.id}] Run status updated successfully`);
-    } catch (dbError) {
-      // Handle specific database errors
-      logger.error(`[Scraper:${status.id}] Database error updating run status: ${dbError.message}`);
-      
-      if (dbError.code === 'P2023') {
-        logger.error(`[Scraper:${status.id}] Invalid UUID format. Run ID must be a valid UUID.`);
-      }
-    }
-  } catch (error) {
-    logger.error(`[Scraper:unknown] Error in updateRunStatus: ${error.message}`);
-    logger.error(`[Scraper:unknown] Error stack: ${error.stack}`);
-  }
-};
-
 // Export the LKQ scraper
 export const lkqScraper = {
   name: 'lkq',
   description: 'LKQ Online Auto Parts Scraper',
   scrape,
+  makeApiRequest,
   extractProductsFromApi,
   saveProducts,
   updateRunStatus,
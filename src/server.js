@@ -5,6 +5,16 @@ import helmet from 'helmet';
 import { PrismaClient } from '@prisma/client';
 import { logger, stream } from './config/logger.js';
 import lkqRoutes from './api/routes/lkq.routes.js';
+import scraperRoutes from './api/routes/scrapers.routes.js';
+import productRoutes from './api/routes/products.routes.js';
+import partRoutes from './api/routes/parts.routes.js';
+import fitmentRoutes from './api/routes/fitment.routes.js';
+import interchangeRoutes from './api/routes/interchange.routes.js';
+import scheduleRoutes from './api/routes/schedules.routes.js';
+import proxyRoutes from './api/routes/proxies.routes.js';
+import { startQueueWorker, stopQueueWorker } from './queues/scraper.queue.js';
+import proxyManager from './services/proxy-manager.js';
+import { startScheduler, stopScheduler } from './services/scheduler.js';
 
 // Initialize Express app
 const app = express();
@@ -22,6 +32,13 @@ app.use(morgan('combined', { stream })); // HTTP request logging
 
 // API routes
 app.use('/api/scrapers/lkq', lkqRoutes);
+app.use('/api/scrapers', scraperRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/parts', partRoutes);
+app.use('/api/fitment', fitmentRoutes);
+app.use('/api/interchange', interchangeRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/proxies', proxyRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -37,11 +54,25 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Refuse to start without a usable proxy provider rather than failing every run
+try {
+  proxyManager.initialize();
+} catch (error) {
+  logger.error(`Invalid proxy configuration: ${error.message}`);
+  process.exit(1);
+}
+
 // Start the server
 const server = app.listen(port, () => {
   logger.info(`Server running on port ${port}`);
 });
 
+// Start processing queued scraper jobs
+startQueueWorker();
+
+// Start runs from due schedules
+startScheduler();
+
 // Handle graceful shutdown
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
@@ -54,6 +85,13 @@ async function shutdown() {
     logger.info('HTTP server closed');
   });
   
+  // Stop starting scheduled runs before the worker goes away
+  stopScheduler();
+  
+  // Let running scraper jobs finish; unfinished ones are recovered by the next worker
+  await stopQueueWorker();
+  logger.info('Queue worker stopped');
+  
   // Close database connection
   await prisma.$disconnect();
   logger.info('Database connection closed');
@@ -0,0 +1,205 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+import { parseJson } from '../utils/json.js';
+import { BACKFILL_BATCH_SIZE } from '../utils/batchSave.js';
+
+const prisma = new PrismaClient();
+
+// Longest year range expanded into individual fitment rows
+const MAX_YEAR_SPAN = 50;
+
+/**
+ * Read the first non-empty value of an object whose key matches one of the names, ignoring case
+ * @param {Object} entry - Fitment object
+ * @param {Array<string>} names - Lower-case key names
+ * @returns {any} - The value, or null
+ */
+const pick = (entry, names) => {
+  for (const [key, value] of Object.entries(entry)) {
+    if (names.includes(key.toLowerCase()) && value !== null && value !== undefined && value !== '') {
+      return value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Expand a year, year range ("2010-2012") or list of years into individual years
+ * @param {any} value - Year value
+ * @returns {Array<number|null>} - Years, or [null] when none can be read
+ */
+const expandYears = (value) => {
+  if (Array.isArray(value)) {
+    const years = value.flatMap(expandYears).filter(year => year !== null);
+    return years.length > 0 ? years : [null];
+  }
+
+  const match = String(value ?? '').match(/^\s*(\d{4})\s*(?:-\s*(\d{4}))?\s*$/);
+  if (!match) {
+    return [null];
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : start;
+  if (end < start || end - start > MAX_YEAR_SPAN) {
+    return [start];
+  }
+
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+};
+
+/**
+ * Normalize a text value, returning null for empty values
+ * @param {any} value - Raw value
+ * @returns {string|null} - Trimmed string
+ */
+const text = (value) => {
+  if (value === null || value === undefined || typeof value === 'object') {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+};
+
+/**
+ * Normalize one fitment entry into fitment rows
+ * @param {Object|string} entry - Fitment object or "2012 Honda Civic LX" style string
+ * @returns {Array<Object>} - Rows of { year, make, model, trim, engine, notes }
+ */
+const normalizeEntry = (entry) => {
+  if (typeof entry === 'string') {
+    const match = entry.trim().match(/^(\d{4}(?:\s*-\s*\d{4})?)\s+(\S+)\s+(.+)$/);
+    if (!match) {
+      return [{ year: null, make: null, model: null, trim: null, engine: null, notes: text(entry) }];
+    }
+    return expandYears(match[1]).map(year => ({
+      year, make: match[2], model: match[3].trim(), trim: null, engine: null, notes: null
+    }));
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    return [];
+  }
+
+  // Some payloads nest the vehicles of one fitment, e.g. { notes, vehicles: [...] }
+  const nested = pick(entry, ['vehicles', 'fitments', 'applications']);
+  if (Array.isArray(nested)) {
+    const notes = text(pick(entry, ['notes', 'note', 'comment', 'comments']));
+    return nested.flatMap(normalizeEntry).map(row => ({ ...row, notes: row.notes ?? notes }));
+  }
+
+  const start = pick(entry, ['yearstart', 'startyear', 'fromyear', 'yearfrom']);
+  const end = pick(entry, ['yearend', 'endyear', 'toyear', 'yearto']);
+  const years = start ? expandYears(`${start}-${end ?? start}`) : expandYears(pick(entry, ['year', 'years']));
+
+  const row = {
+    make: text(pick(entry, ['make', 'makename'])),
+    model: text(pick(entry, ['model', 'modelname'])),
+    trim: text(pick(entry, ['trim', 'submodel', 'trimname', 'series'])),
+    engine: text(pick(entry, ['engine', 'enginename', 'enginedescription', 'displacement'])),
+    notes: text(pick(entry, ['notes', 'note', 'comment', 'comments', 'description']))
+  };
+
+  if (!row.make && !row.model && years[0] === null) {
+    return [];
+  }
+
+  return years.map(year => ({ year, ...row }));
+};
+
+/**
+ * Explode the fitments and fitmentJson of a product into unique fitment rows
+ * @param {any} fitments - fitments value of the product
+ * @param {any} fitmentJson - fitmentJson value of the product
+ * @returns {Array<Object>} - Rows of { year, make, model, trim, engine, notes }
+ */
+export function normalizeFitments(fitments, fitmentJson) {
+  const rows = [];
+  const seen = new Set();
+
+  for (const source of [parseJson(fitments), parseJson(fitmentJson)]) {
+    const entries = Array.isArray(source) ? source : source ? [source] : [];
+
+    for (const row of entries.flatMap(normalizeEntry)) {
+      const key = [row.year, row.make, row.model, row.trim, row.engine].join('|').toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        rows.push(row);
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Replace the fitment rows of a product
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} productId - LkqProduct ID
+ * @param {Object} product - Product with fitments and fitmentJson
+ * @returns {Promise<number>} - Number of fitment rows written
+ */
+export async function replaceProductFitments(client, productId, product) {
+  const rows = normalizeFitments(product.fitments, product.fitmentJson);
+
+  await client.lkqFitment.deleteMany({ where: { productId } });
+
+  if (rows.length > 0) {
+    await client.lkqFitment.createMany({
+      data: rows.map(row => ({ ...row, productId }))
+    });
+  }
+
+  return rows.length;
+}
+
+/**
+ * Rebuild the fitment table from the fitment JSON stored on every product
+ * @returns {Promise<Object>} - Products processed and fitment rows written
+ */
+export async function backfillFitments() {
+  const stats = { products: 0, fitments: 0, errors: 0 };
+  let cursor = null;
+
+  while (true) {
+    const products = await prisma.lkqProduct.findMany({
+      orderBy: { id: 'asc' },
+      take: BACKFILL_BATCH_SIZE,
+      select: { id: true, sku: true, fitments: true, fitmentJson: true },
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    for (const product of products) {
+      try {
+        stats.fitments += await replaceProductFitments(prisma, product.id, product);
+        stats.products++;
+      } catch (error) {
+        logger.error(`[Fitment] Error rebuilding fitments of product ${product.sku}: ${error.message}`);
+        stats.errors++;
+      }
+    }
+
+    if (products.length < BACKFILL_BATCH_SIZE) {
+      break;
+    }
+    cursor = products[products.length - 1].id;
+  }
+
+  logger.info(`[Fitment] Backfill finished: ${JSON.stringify(stats)}`);
+  return stats;
+}
+
+/**
+ * Queue processor for fitment backfill jobs
+ * @returns {Promise<Object>} - Backfill statistics
+ */
+export async function processFitmentBackfillJob() {
+  return backfillFitments();
+}
+
+export default {
+  normalizeFitments,
+  replaceProductFitments,
+  backfillFitments,
+  processFitmentBackfillJob
+};
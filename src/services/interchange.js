@@ -0,0 +1,170 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Columns of each listing returned with an interchange group
+const LISTING_FIELDS = [
+  'sku', 'title', 'price', 'mileage', 'location', 'yardCity', 'yardState', 'sourceVehicleYear',
+  'sourceVehicleMake', 'sourceVehicleModel', 'isReman', 'availability', 'productUrl', 'updatedAt'
+];
+
+const LISTING_SELECT = Object.fromEntries(LISTING_FIELDS.map(field => [field, true]));
+
+/**
+ * Clean up an interchange number from a request or a product
+ * @param {any} value - Raw interchange number
+ * @returns {string|null} - Trimmed number, or null when there is none
+ */
+export function normalizeInterchange(value) {
+  const number = String(value ?? '').trim();
+  return number === '' ? null : number;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Numbers sorted ascending
+ * @returns {number|null} - Median, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const middle = Math.floor(values.length / 2);
+  const value = values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Summarize the listings of an interchange group
+ * @param {Array<Object>} listings - LkqProduct rows with price, mileage and yard columns
+ * @returns {Object} - { listings, price: { min, median, max, listings }, mileage: { min, max, spread, listings }, locations }
+ */
+export function summarizeInterchangeGroup(listings) {
+  const prices = listings.map(listing => listing.price).filter(Number.isFinite).sort((a, b) => a - b);
+  const mileages = listings.map(listing => listing.mileage).filter(Number.isFinite).sort((a, b) => a - b);
+  const locations = new Map();
+
+  for (const listing of listings) {
+    const key = [listing.location, listing.yardCity, listing.yardState].join('|');
+    const entry = locations.get(key) || {
+      location: listing.location || null,
+      city: listing.yardCity || null,
+      state: listing.yardState || null,
+      listings: 0,
+      minPrice: null
+    };
+
+    entry.listings++;
+    if (Number.isFinite(listing.price) && (entry.minPrice === null || listing.price < entry.minPrice)) {
+      entry.minPrice = listing.price;
+    }
+    locations.set(key, entry);
+  }
+
+  return {
+    listings: listings.length,
+    price: {
+      min: prices[0] ?? null,
+      median: median(prices),
+      max: prices[prices.length - 1] ?? null,
+      listings: prices.length
+    },
+    mileage: {
+      min: mileages[0] ?? null,
+      max: mileages[mileages.length - 1] ?? null,
+      spread: mileages.length > 0 ? mileages[mileages.length - 1] - mileages[0] : null,
+      listings: mileages.length
+    },
+    // Yards with the most listings first
+    locations: [...locations.values()].sort((a, b) => b.listings - a.listings || (a.minPrice ?? Infinity) - (b.minPrice ?? Infinity))
+  };
+}
+
+/**
+ * Load every listing sharing an interchange number
+ * @param {string} interchange - Interchange number
+ * @returns {Promise<Object|null>} - { interchange, summary, listings } with the cheapest listings first, or null when none exist
+ */
+export async function getInterchangeGroup(interchange) {
+  const number = normalizeInterchange(interchange);
+  if (!number) {
+    return null;
+  }
+
+  const listings = await prisma.lkqProduct.findMany({
+    where: { interchange: number },
+    select: LISTING_SELECT,
+    orderBy: [{ price: { sort: 'asc', nulls: 'last' } }, { sku: 'asc' }]
+  });
+
+  if (listings.length === 0) {
+    return null;
+  }
+
+  return {
+    interchange: number,
+    summary: summarizeInterchangeGroup(listings),
+    listings
+  };
+}
+
+/**
+ * Find the cheapest listing that is interchangeable with a product
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Object|null>} - { sku, interchange, price, cheapest, savings, isCheapest, equivalents }, or null when the product does not exist
+ */
+export async function findCheapestEquivalent(sku) {
+  const product = await prisma.lkqProduct.findUnique({
+    where: { sku },
+    select: { sku: true, price: true, interchange: true }
+  });
+
+  if (!product) {
+    return null;
+  }
+
+  const interchange = normalizeInterchange(product.interchange);
+  const result = {
+    sku: product.sku,
+    interchange,
+    price: product.price,
+    cheapest: null,
+    savings: null,
+    isCheapest: false,
+    equivalents: 0
+  };
+
+  if (!interchange) {
+    return result;
+  }
+
+  const where = { interchange, sku: { not: product.sku } };
+  const [cheapest, equivalents] = await Promise.all([
+    prisma.lkqProduct.findFirst({
+      where: { ...where, price: { not: null } },
+      select: LISTING_SELECT,
+      orderBy: [{ price: 'asc' }, { sku: 'asc' }]
+    }),
+    prisma.lkqProduct.count({ where })
+  ]);
+
+  result.cheapest = cheapest;
+  result.equivalents = equivalents;
+
+  if (Number.isFinite(product.price)) {
+    result.isCheapest = !cheapest || product.price <= cheapest.price;
+    result.savings = cheapest && cheapest.price < product.price
+      ? Math.round((product.price - cheapest.price) * 100) / 100
+      : 0;
+  }
+
+  return result;
+}
+
+export default {
+  normalizeInterchange,
+  summarizeInterchangeGroup,
+  getInterchangeGroup,
+  findCheapestEquivalent
+};
@@ -0,0 +1,189 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+import { mapLkqProductToPart } from '../scrapers/lkq-part-mapper.js';
+import { saveInBatches, BACKFILL_BATCH_SIZE } from '../utils/batchSave.js';
+
+const prisma = new PrismaClient();
+
+// Values of Part.condition
+export const PART_CONDITIONS = ['used', 'remanufactured', 'new'];
+
+/**
+ * Trim a value into a string, or null when it is empty
+ * @param {any} value - Raw value
+ * @returns {string|null} - Text
+ */
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+/**
+ * Read a number from a value such as 1250, "1,250.00" or "84000 miles"
+ * @param {any} value - Raw value
+ * @param {boolean} integer - Whether to drop the fraction
+ * @returns {number|null} - Number
+ */
+const toNumber = (value, integer = false) => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+    return integer ? Math.trunc(value) : value;
+  }
+
+  const match = String(value ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  if (!match) {
+    return null;
+  }
+  return integer ? parseInt(match[0], 10) : parseFloat(match[0]);
+};
+
+/**
+ * Normalize what a source mapper returned into Part columns
+ * @param {Object} part - Mapped listing: { source, sourceSku, title, description, price, condition, category, mileage, vehicleYear, vehicleMake, vehicleModel, location, city, state, images, url }
+ * @returns {Object} - Part data without scraperRunId
+ * @throws {Error} - When source, sourceSku or title is missing
+ */
+export function normalizePart(part = {}) {
+  const data = {
+    source: toText(part.source),
+    sourceSku: toText(part.sourceSku),
+    title: toText(part.title),
+    description: toText(part.description),
+    price: toNumber(part.price),
+    condition: toText(part.condition)?.toLowerCase() ?? null,
+    category: toText(part.category),
+    mileage: toNumber(part.mileage, true),
+    vehicleYear: toNumber(part.vehicleYear, true),
+    vehicleMake: toText(part.vehicleMake),
+    vehicleModel: toText(part.vehicleModel),
+    location: toText(part.location),
+    city: toText(part.city),
+    state: toText(part.state),
+    images: [].concat(part.images ?? []).map(toText).filter(Boolean),
+    url: toText(part.url)
+  };
+
+  for (const field of ['source', 'sourceSku', 'title']) {
+    if (!data[field]) {
+      throw new Error(`part has no ${field}`);
+    }
+  }
+
+  if (data.condition && !PART_CONDITIONS.includes(data.condition)) {
+    data.condition = null;
+  }
+
+  return data;
+}
+
+/**
+ * Insert or update the catalog part of a listing
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} part - Mapped listing, see normalizePart()
+ * @param {string} runId - ID of the run that saw the listing, if any
+ * @returns {Promise<Object>} - The saved part
+ */
+export async function upsertPart(client, part, runId = null) {
+  const data = { ...normalizePart(part), scraperRunId: runId };
+
+  return client.part.upsert({
+    where: { source_sourceSku: { source: data.source, sourceSku: data.sourceSku } },
+    create: data,
+    update: data
+  });
+}
+
+/**
+ * Create a persist function that saves scraped items into the catalog through a mapper
+ * Usable as the persist of a createScraper() definition.
+ * @param {string} source - Source name written to every part
+ * @param {Function} mapper - (item, context) => mapped listing, see normalizePart()
+ * @returns {Function} - (items, { runId, config }) => Promise<{ saved, errors }>
+ */
+export function createPartPersist(source, mapper) {
+  return async (items, context = {}) => {
+    const parts = [];
+    let mapErrors = 0;
+
+    // Listings the mapper cannot turn into a part are counted before any transaction starts
+    for (const item of items) {
+      try {
+        parts.push(normalizePart({ ...mapper(item, context), source }));
+      } catch (error) {
+        logger.error(`[Parts] Error saving ${source} part: ${error.message}`);
+        mapErrors++;
+      }
+    }
+
+    const { saved, errors } = await saveInBatches(prisma, parts, {
+      batchSize: context.config?.batchSize || 50,
+      save: (tx, part) => upsertPart(tx, part, context.runId),
+      onBatchError: (error, batch) => {
+        logger.warn(`[Parts] Batch of ${batch.length} ${source} parts rolled back (${error.message}), saving them one by one`);
+      },
+      onItemError: (error, part) => {
+        logger.error(`[Parts] Error saving ${source} part ${part.sourceSku}: ${error.message}`);
+      }
+    });
+
+    return { saved, errors: errors + mapErrors };
+  };
+}
+
+/**
+ * Copy every stored LKQ product into the catalog
+ * @returns {Promise<Object>} - Products processed and errors
+ */
+export async function backfillLkqParts() {
+  const stats = { products: 0, errors: 0 };
+  let cursor = null;
+
+  while (true) {
+    const products = await prisma.lkqProduct.findMany({
+      orderBy: { id: 'asc' },
+      take: BACKFILL_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    for (const product of products) {
+      try {
+        await upsertPart(prisma, mapLkqProductToPart(product), product.scraperRunId);
+        stats.products++;
+      } catch (error) {
+        logger.error(`[Parts] Error copying LKQ product ${product.sku}: ${error.message}`);
+        stats.errors++;
+      }
+    }
+
+    if (products.length < BACKFILL_BATCH_SIZE) {
+      break;
+    }
+    cursor = products[products.length - 1].id;
+  }
+
+  logger.info(`[Parts] LKQ backfill finished: ${JSON.stringify(stats)}`);
+  return stats;
+}
+
+/**
+ * Queue processor for part backfill jobs
+ * @returns {Promise<Object>} - Backfill statistics
+ */
+export async function processPartBackfillJob() {
+  return backfillLkqParts();
+}
+
+export default {
+  PART_CONDITIONS,
+  normalizePart,
+  upsertPart,
+  createPartPersist,
+  backfillLkqParts,
+  processPartBackfillJob
+};
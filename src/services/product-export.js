@@ -0,0 +1,285 @@
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import ExcelJS from 'exceljs';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+import { buildProductFilters } from '../utils/productQuery.js';
+import { parseJson } from '../utils/json.js';
+
+const prisma = new PrismaClient();
+
+// Directory for files written by export jobs
+export const EXPORT_DIR = process.env.EXPORT_DIR || 'exports';
+
+// Rows fetched from the database per query
+const EXPORT_BATCH_SIZE = 1000;
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Exported columns in order; JSON columns are flattened by flattenProduct()
+export const EXPORT_COLUMNS = [
+  'sku', 'title', 'description', 'price', 'listPrice', 'corePrice', 'availability', 'category',
+  'mileage', 'location', 'yardCity', 'yardState', 'sourceVehicleYear', 'sourceVehicleMake',
+  'sourceVehicleModel', 'interchange', 'isReman', 'freeShippingEligible', 'productUrl', 'imageUrl',
+  'imageUrls', 'fitments', 'pricing', 'updatedAt'
+];
+
+/**
+ * Describe one fitment as "year make model trim engine"
+ * @param {Object|string} fitment - Fitment entry
+ * @returns {string} - Readable fitment
+ */
+const describeFitment = (fitment) => {
+  if (!fitment || typeof fitment !== 'object') {
+    return String(fitment ?? '');
+  }
+
+  const pick = (...keys) => {
+    const key = Object.keys(fitment).find(k => keys.includes(k.toLowerCase()));
+    return key ? fitment[key] : null;
+  };
+
+  const parts = [pick('year'), pick('make'), pick('model'), pick('trim'), pick('engine')].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : flattenObject(fitment);
+};
+
+/**
+ * Flatten an object into "a.b=1; c=2"
+ * @param {Object} value - Object to flatten
+ * @param {string} prefix - Key prefix for nested values
+ * @returns {string} - Flattened object
+ */
+const flattenObject = (value, prefix = '') => {
+  return Object.entries(value)
+    .map(([key, inner]) => {
+      const name = prefix ? `${prefix}.${key}` : key;
+      return inner && typeof inner === 'object' ? flattenObject(inner, name) : `${name}=${inner ?? ''}`;
+    })
+    .filter(Boolean)
+    .join('; ');
+};
+
+/**
+ * Flatten a product into export columns
+ * @param {Object} product - LkqProduct row
+ * @returns {Object} - Row keyed by EXPORT_COLUMNS
+ */
+export function flattenProduct(product) {
+  const fitments = parseJson(product.fitments);
+  const images = parseJson(product.images);
+  const pricing = parseJson(product.pricing) ?? null;
+
+  return {
+    ...Object.fromEntries(EXPORT_COLUMNS.map(column => [column, product[column] ?? null])),
+    imageUrls: Array.isArray(images)
+      ? images.map(image => (typeof image === 'string' ? image : image?.url)).filter(Boolean).join(' | ')
+      : null,
+    fitments: Array.isArray(fitments) ? fitments.map(describeFitment).join('; ') : null,
+    pricing: pricing && typeof pricing === 'object' ? flattenObject(pricing) : pricing,
+    updatedAt: product.updatedAt instanceof Date ? product.updatedAt.toISOString() : product.updatedAt
+  };
+}
+
+/**
+ * Escape a value for a CSV cell
+ * @param {any} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+export function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Iterate over matching products in id order, one batch at a time
+ * @param {Object} where - Prisma where clause
+ * @yields {Object} - LkqProduct rows
+ */
+async function* iterateProducts(where) {
+  let cursor = null;
+
+  while (true) {
+    const batch = await prisma.lkqProduct.findMany({
+      where,
+      orderBy: { id: 'asc' },
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    yield* batch;
+
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Watch a destination stream for an error, or for closing before it finished.
+ * HTTP responses close without an error when the client disconnects.
+ * @param {stream.Writable} output - Destination stream
+ * @returns {Object} - { broken: Promise rejected when the stream breaks, dispose() }
+ */
+const watchDestination = (output) => {
+  let onError;
+  let onClose;
+
+  const broken = new Promise((resolve, reject) => {
+    onError = error => reject(error);
+    onClose = () => {
+      if (!output.writableFinished) {
+        reject(new Error('Export destination closed before the export finished'));
+      }
+    };
+
+    if (output.destroyed) {
+      reject(output.errored || new Error('Export destination is already closed'));
+      return;
+    }
+
+    output.on('error', onError);
+    output.on('close', onClose);
+  });
+
+  // Only awaited in a race with the export itself
+  broken.catch(() => {});
+
+  return {
+    broken,
+    dispose: () => {
+      output.off('error', onError);
+      output.off('close', onClose);
+    }
+  };
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ * @param {stream.Writable} output - Destination stream
+ * @param {string} chunk - Data to write
+ * @param {Promise} broken - Rejects when the stream breaks, so a closed stream never leaves the export waiting for 'drain'
+ */
+const write = async (output, chunk, broken) => {
+  if (!output.write(chunk)) {
+    await Promise.race([once(output, 'drain'), broken]);
+  }
+};
+
+/**
+ * Stream matching products to a writable stream
+ * @param {stream.Writable} output - Destination stream, ended when the export finishes
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv, ndjson or xlsx
+ * @param {Object} options.filters - Product filters (same parameters as GET /api/products)
+ * @returns {Promise<number>} - Number of exported rows
+ */
+export async function exportProducts(output, { format = 'csv', filters = {} } = {}) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const { where, errors } = buildProductFilters(filters);
+  if (errors.length > 0) {
+    throw new Error(`Invalid export filters: ${errors.join('; ')}`);
+  }
+
+  const destination = watchDestination(output);
+  let rows = 0;
+
+  const writeRows = async () => {
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+      const worksheet = workbook.addWorksheet('Products');
+      worksheet.columns = EXPORT_COLUMNS.map(column => ({ header: column, key: column }));
+
+      for await (const product of iterateProducts(where)) {
+        worksheet.addRow(flattenProduct(product)).commit();
+        rows++;
+      }
+
+      worksheet.commit();
+      await workbook.commit();
+    } else {
+      if (format === 'csv') {
+        await write(output, EXPORT_COLUMNS.join(',') + '\n', destination.broken);
+      }
+
+      for await (const product of iterateProducts(where)) {
+        const row = flattenProduct(product);
+        await write(output, format === 'csv'
+          ? EXPORT_COLUMNS.map(column => toCsvCell(row[column])).join(',') + '\n'
+          : JSON.stringify(row) + '\n', destination.broken);
+        rows++;
+      }
+
+      output.end();
+    }
+  };
+
+  const writing = writeRows();
+  // Still settles after losing the race to a broken destination
+  writing.catch(() => {});
+
+  try {
+    // The workbook writer waits on the stream internally, so the whole export races the destination breaking
+    await Promise.race([writing, destination.broken]);
+  } finally {
+    destination.dispose();
+  }
+
+  logger.info(`[Export] Exported ${rows} products as ${format}`);
+  return rows;
+}
+
+/**
+ * Get the path of the file written by an export job
+ * @param {string} jobId - Export job ID
+ * @param {string} format - Export format
+ * @returns {string} - File path
+ */
+export function getExportFilePath(jobId, format) {
+  return path.join(EXPORT_DIR, `products-${jobId}.${EXPORT_FORMATS[format].extension}`);
+}
+
+/**
+ * Queue processor for export jobs: writes the export to EXPORT_DIR
+ * @param {Object} job - The claimed job record
+ * @returns {Promise<Object>} - File path and row count
+ */
+export async function processExportJob(job) {
+  const { format, filters } = job.data;
+  const file = getExportFilePath(job.id, format);
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+  const output = fs.createWriteStream(file);
+  // Attached before anything is written, so an error of the file stream always rejects here
+  const written = finished(output);
+
+  try {
+    const [rows] = await Promise.all([exportProducts(output, { format, filters }), written]);
+    return { file, format, rows };
+  } catch (error) {
+    output.destroy();
+    await fs.promises.rm(file, { force: true });
+    throw error;
+  }
+}
+
+export default {
+  exportProducts,
+  processExportJob,
+  flattenProduct,
+  getExportFilePath
+};
@@ -1,14 +1,44 @@
 import { logger } from '../config/logger.js';
-import { getProxyAgent, rotateProxies } from '../config/proxy.js';
+import { loadProxyProviderConfig, ProxyConfigError } from '../config/proxy.js';
+import { createProxyProvider } from './proxy-providers.js';
+
+// When a proxy is taken out of rotation and when it may come back
+export const PROXY_HEALTH_CONFIG = {
+  // Failures in a row that send a healthy proxy into cooldown
+  failureThreshold: 3,
+  // First cooldown; each further cooldown in a row doubles it up to maxCooldown
+  cooldown: 60 * 1000,
+  maxCooldown: 15 * 60 * 1000,
+  // Cooldowns in a row after which the proxy is removed from rotation
+  removeAfterCooldowns: 5,
+  // How long a removed proxy stays out before it gets another probation
+  removalPeriod: 60 * 60 * 1000,
+  // Weight of the newest sample in the average latency
+  latencySmoothing: 0.2
+};
+
+// HTTP statuses that are held against the proxy rather than the target
+const PROXY_PENALTY_STATUSES = [429];
+
+// Attempt classifications that are held against the proxy rather than the target
+const PROXY_PENALTY_CLASSES = ['proxy-fault', 'blocked'];
 
 /**
- * Oxylabs Proxy Manager
- * Manages proxies from Oxylabs service for scraping operations
+ * Proxy Manager
+ * Hands out proxies from the provider configured for each scraper and category,
+ * and keeps each proxy's health so failing ones are taken out of rotation
  */
-class OxylabsProxyManager {
-  constructor() {
-    this.proxyRotator = null;
+class ProxyManager {
+  /**
+   * @param {Object} providerConfig - Provider configuration, loaded from the environment when omitted
+   */
+  constructor(providerConfig) {
+    this.providerConfig = providerConfig;
     this.initialized = false;
+    this.pools = new Map();
+    // Health entry of each agent handed out, so attempt results can be reported against it
+    this.agentEntries = new WeakMap();
+    this.now = () => Date.now();
   }
 
   /**
@@ -16,46 +46,296 @@ class OxylabsProxyManager {
    */
   initialize() {
     try {
-      this.proxyRotator = rotateProxies();
+      this.config = this.providerConfig || loadProxyProviderConfig();
+      this.pools = new Map();
+
+      for (const [name, options] of Object.entries(this.config.providers)) {
+        const provider = createProxyProvider(name, options);
+        this.pools.set(name, {
+          provider,
+          cursor: 0,
+          health: provider.entries.map(entry => ({
+            id: entry.id,
+            provider: name,
+            label: entry.label,
+            state: 'healthy',
+            successes: 0,
+            failures: 0,
+            failuresByClass: {},
+            consecutiveFailures: 0,
+            consecutiveCooldowns: 0,
+            cooldowns: 0,
+            availableAt: null,
+            latency: { averageMs: null, lastMs: null },
+            lastError: null,
+            lastUsedAt: null,
+            lastSuccessAt: null,
+            lastFailureAt: null
+          }))
+        });
+      }
+
+      if (!this.pools.has(this.config.default)) {
+        throw new ProxyConfigError(`Default proxy provider ${this.config.default} is not configured`);
+      }
+
       this.initialized = true;
-      logger.info('Initialized Oxylabs proxy manager');
+      const summary = Array.from(this.pools.values(), ({ provider }) => `${provider.name} (${provider.type}, ${provider.entries.length})`);
+      logger.info(`Initialized proxy manager with providers ${summary.join(', ')}; default ${this.config.default}`);
     } catch (error) {
-      logger.error('Error initializing Oxylabs proxy manager:', error);
-      throw error;
+      logger.error('Error initializing proxy manager:', error);
+      throw error instanceof ProxyConfigError ? error : new ProxyConfigError(error.message);
+    }
+  }
+
+  /**
+   * Find the provider pool for a request
+   * A category route wins over the scraper's provider, which wins over the default
+   * @param {Object} context - { scraper, category } of the request
+   * @returns {Object} - Provider pool
+   */
+  resolvePool({ scraper, category } = {}) {
+    const route = this.config.scrapers?.[scraper];
+    const name = (category && route?.categories?.[category]) || route?.provider || this.config.default;
+    const pool = this.pools.get(name);
+
+    if (!pool) {
+      throw new ProxyConfigError(`Proxy provider ${name} is not configured`);
+    }
+    return pool;
+  }
+
+  /**
+   * Get the name of the provider that serves a scraper and category
+   * @param {Object} context - { scraper, category } of the request
+   * @returns {string} - Provider name
+   */
+  getProviderName(context) {
+    if (!this.initialized) {
+      this.initialize();
     }
+    return this.resolvePool(context).provider.name;
+  }
+
+  /**
+   * Every health entry across providers
+   * @returns {Array<Object>} - Health entries
+   */
+  allHealth() {
+    return Array.from(this.pools.values(), pool => pool.health).flat();
+  }
+
+  /**
+   * Move proxies whose cooldown or removal period is over into probation
+   * @param {number} now - Current timestamp
+   */
+  refreshStates(now) {
+    for (const health of this.allHealth()) {
+      if ((health.state === 'cooldown' || health.state === 'removed') && health.availableAt <= now) {
+        logger.info(`[Proxy] Proxy ${health.id} re-admitted on probation after ${health.state}`);
+        health.state = 'probation';
+        health.availableAt = null;
+      }
+    }
+  }
+
+  /**
+   * Pick the next proxy of a pool that is healthy or on probation
+   * @param {Object} pool - Provider pool
+   * @returns {number} - Index into the pool's entries
+   */
+  selectProxyIndex(pool) {
+    this.refreshStates(this.now());
+    const count = pool.health.length;
+
+    for (let i = 0; i < count; i++) {
+      const index = (pool.cursor + i) % count;
+      const { state } = pool.health[index];
+
+      if (state === 'healthy' || state === 'probation') {
+        pool.cursor = index + 1;
+        return index;
+      }
+    }
+
+    // Every proxy is out of rotation; keep going with the one that comes back first
+    const soonest = pool.health.reduce((best, health) => (health.availableAt < best.availableAt ? health : best));
+    logger.warn(`[Proxy] No healthy proxies from ${pool.provider.name}, using ${soonest.id} (${soonest.state})`);
+    return pool.health.indexOf(soonest);
   }
 
   /**
    * Get the next proxy agent
-   * @returns {HttpsProxyAgent} The next proxy agent
+   * @param {Object} context - { scraper, category } of the request, used to pick the provider
+   * @returns {HttpsProxyAgent|SocksProxyAgent|undefined} The next proxy agent, or undefined for direct requests
    */
-  getNextProxy() {
+  getNextProxy(context = {}) {
     if (!this.initialized) {
       this.initialize();
     }
-    return this.proxyRotator.next().value;
+
+    const pool = this.resolvePool(context);
+    if (pool.health.length === 0) {
+      return undefined;
+    }
+
+    const index = this.selectProxyIndex(pool);
+    const agent = pool.provider.createAgent(pool.provider.entries[index]);
+    this.agentEntries.set(agent, pool.health[index]);
+    pool.health[index].lastUsedAt = new Date(this.now());
+    return agent;
   }
 
   /**
-   * Get a proxy agent for a specific index
-   * @param {number} index - The index of the proxy to use
-   * @returns {HttpsProxyAgent} The proxy agent
+   * Get the id of the proxy an agent from this manager goes through
+   * @param {Object} agent - Agent returned by getNextProxy()
+   * @returns {string} - Proxy id, or 'direct' for requests without a proxy
    */
-  getProxyByIndex(index) {
+  getProxyId(agent) {
+    return (agent && this.agentEntries.get(agent)?.id) || 'direct';
+  }
+
+  /**
+   * Record the outcome of a request attempt made through an agent from this manager
+   * @param {Object} record - Attempt record from utils/httpClient.js
+   * @param {HttpsProxyAgent} agent - Agent the attempt used
+   */
+  reportResult(record, agent) {
+    const health = agent ? this.agentEntries.get(agent) : undefined;
+    if (!health) {
+      return;
+    }
+
+    const now = this.now();
+    this.refreshStates(now);
+
+    if (!record.classification) {
+      health.successes++;
+      health.consecutiveFailures = 0;
+      health.lastSuccessAt = new Date(now);
+      health.latency.lastMs = record.durationMs;
+      health.latency.averageMs = health.latency.averageMs === null
+        ? record.durationMs
+        : Math.round(health.latency.averageMs + PROXY_HEALTH_CONFIG.latencySmoothing * (record.durationMs - health.latency.averageMs));
+
+      if (health.state === 'probation') {
+        logger.info(`[Proxy] Proxy ${health.id} passed probation`);
+        health.state = 'healthy';
+        health.consecutiveCooldowns = 0;
+      }
+      return;
+    }
+
+    health.failures++;
+    health.failuresByClass[record.classification] = (health.failuresByClass[record.classification] || 0) + 1;
+    health.lastFailureAt = new Date(now);
+    health.lastError = record.status ? `HTTP ${record.status}` : record.error;
+
+    const penalized = PROXY_PENALTY_CLASSES.includes(record.classification) || PROXY_PENALTY_STATUSES.includes(record.status);
+    if (!penalized || health.state === 'cooldown' || health.state === 'removed') {
+      return;
+    }
+
+    health.consecutiveFailures++;
+    if (health.state === 'probation' || health.consecutiveFailures >= PROXY_HEALTH_CONFIG.failureThreshold) {
+      this.coolDown(health, now);
+    }
+  }
+
+  /**
+   * Take a proxy out of rotation, for longer each time it fails again
+   * @param {Object} health - Health entry of the proxy
+   * @param {number} now - Current timestamp
+   */
+  coolDown(health, now) {
+    health.consecutiveFailures = 0;
+    health.consecutiveCooldowns++;
+    health.cooldowns++;
+
+    if (health.consecutiveCooldowns >= PROXY_HEALTH_CONFIG.removeAfterCooldowns) {
+      health.state = 'removed';
+      health.availableAt = now + PROXY_HEALTH_CONFIG.removalPeriod;
+      logger.warn(`[Proxy] Proxy ${health.id} removed from rotation after ${health.consecutiveCooldowns} cooldowns in a row (${health.lastError})`);
+      return;
+    }
+
+    const duration = Math.min(
+      PROXY_HEALTH_CONFIG.maxCooldown,
+      PROXY_HEALTH_CONFIG.cooldown * 2 ** (health.consecutiveCooldowns - 1)
+    );
+    health.state = 'cooldown';
+    health.availableAt = now + duration;
+    logger.warn(`[Proxy] Proxy ${health.id} cooling down for ${duration}ms (${health.lastError})`);
+  }
+
+  /**
+   * Put a proxy back into rotation by hand
+   * @param {string} id - Proxy id as reported by getHealth()
+   * @returns {boolean} - Whether the proxy exists
+   */
+  readmit(id) {
+    if (!this.initialized) {
+      this.initialize();
+    }
+
+    const health = this.allHealth().find(h => h.id === id);
+    if (!health) {
+      return false;
+    }
+
+    health.state = 'healthy';
+    health.availableAt = null;
+    health.consecutiveFailures = 0;
+    health.consecutiveCooldowns = 0;
+    logger.info(`[Proxy] Proxy ${id} re-admitted by hand`);
+    return true;
+  }
+
+  /**
+   * Describe the providers, routes and health of every proxy, without credentials
+   * @returns {Object} - Summary counts, providers, routes and one entry per proxy
+   */
+  getHealth() {
     if (!this.initialized) {
       this.initialize();
     }
-    return getProxyAgent(index, 'country-code');
+    this.refreshStates(this.now());
+
+    const proxies = this.allHealth().map(({ availableAt, ...health }) => ({
+      ...health,
+      availableAt: availableAt ? new Date(availableAt) : null,
+      successRate: health.successes + health.failures > 0
+        ? Number((health.successes / (health.successes + health.failures)).toFixed(3))
+        : null
+    }));
+
+    const summary = proxies.reduce((counts, proxy) => {
+      counts[proxy.state] = (counts[proxy.state] || 0) + 1;
+      return counts;
+    }, { total: proxies.length });
+
+    const providers = Array.from(this.pools.values(), ({ provider }) => ({
+      name: provider.name,
+      type: provider.type,
+      proxies: provider.entries.length,
+      default: provider.name === this.config.default
+    }));
+
+    return { summary, providers, routes: this.config.scrapers || {}, proxies };
   }
 
   /**
    * Reset the proxy rotation
    */
   resetProxyRotation() {
-    this.proxyRotator = rotateProxies();
+    for (const pool of this.pools.values()) {
+      pool.cursor = 0;
+    }
   }
 }
 
 // Export a singleton instance
-const proxyManager = new OxylabsProxyManager();
-export default proxyManager; 
\ No newline at end of file
+const proxyManager = new ProxyManager();
+export default proxyManager;
+export { ProxyManager };
+export { redactUsername } from './proxy-providers.js';
@@ -0,0 +1,112 @@
+import zlib from 'zlib';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+
+const prisma = new PrismaClient();
+
+// Archived pages loaded at once when reading a run back; bodies are decompressed one page at a time
+export const RAW_ARCHIVE_BATCH_SIZE = 20;
+
+/**
+ * Compress an API response body for storage
+ * @param {*} data - Parsed response body
+ * @returns {Object} - { body, size } with the gzip buffer and the uncompressed size in bytes
+ */
+export function compressPayload(data) {
+  const json = Buffer.from(JSON.stringify(data ?? null));
+  return { body: zlib.gzipSync(json), size: json.length };
+}
+
+/**
+ * Restore a stored response body
+ * @param {Buffer|Uint8Array} body - Gzip-compressed JSON
+ * @returns {*} - Parsed response body
+ */
+export function decompressPayload(body) {
+  return JSON.parse(zlib.gunzipSync(Buffer.from(body)).toString('utf8'));
+}
+
+/**
+ * Store the response of a page fetched by a run; a page fetched again (retried or resumed) replaces the earlier copy
+ * @param {Object} page - Page to archive
+ * @param {string} page.runId - ID of the run
+ * @param {string} page.category - Category path, or name for categories without one
+ * @param {string} page.url - API URL of the page
+ * @param {number} page.skip - Offset of the page
+ * @param {number} page.take - Page size
+ * @param {*} page.data - Parsed response body
+ * @param {Array<string>} page.skus - SKUs of the products the run took from the page
+ * @returns {Promise<Object|null>} - { size, compressedSize }, or null when the page could not be stored
+ */
+export async function archiveRawPage({ runId, category, url, skip, take, data, skus = [] }) {
+  try {
+    const { body, size } = compressPayload(data);
+    const record = {
+      url,
+      take,
+      body,
+      size,
+      productCount: Array.isArray(data?.data) ? data.data.length : 0,
+      skus,
+      fetchedAt: new Date()
+    };
+
+    await prisma.lkqRawPage.upsert({
+      where: { scraperRunId_category_skip: { scraperRunId: runId, category, skip } },
+      update: record,
+      create: { scraperRunId: runId, category, skip, ...record }
+    });
+
+    return { size, compressedSize: body.length };
+  } catch (error) {
+    logger.error(`[Archive] Error archiving page ${url} of run ${runId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Count the archived pages of a run
+ * @param {string} runId - ID of the run
+ * @returns {Promise<number>} - Number of pages
+ */
+export async function countArchivedPages(runId) {
+  return prisma.lkqRawPage.count({ where: { scraperRunId: runId } });
+}
+
+/**
+ * Call a function for every archived page of a run, in category and offset order
+ * @param {string} runId - ID of the run
+ * @param {Function} fn - Async (page) => void, with page { category, skip, take, url, skus, fetchedAt, data }
+ * @returns {Promise<number>} - Number of pages visited
+ */
+export async function forEachArchivedPage(runId, fn) {
+  let cursor = null;
+  let visited = 0;
+
+  while (true) {
+    const pages = await prisma.lkqRawPage.findMany({
+      where: { scraperRunId: runId },
+      orderBy: [{ category: 'asc' }, { skip: 'asc' }, { id: 'asc' }],
+      take: RAW_ARCHIVE_BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 })
+    });
+
+    for (const { body, ...page } of pages) {
+      await fn({ ...page, data: decompressPayload(body) });
+      visited++;
+    }
+
+    if (pages.length < RAW_ARCHIVE_BATCH_SIZE) {
+      return visited;
+    }
+    cursor = pages[pages.length - 1].id;
+  }
+}
+
+export default {
+  compressPayload,
+  decompressPayload,
+  archiveRawPage,
+  countArchivedPages,
+  forEachArchivedPage
+};
@@ -0,0 +1,130 @@
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get the pending operator request for a run
+ * @param {string} runId - The scraper run ID
+ * @returns {Promise<string|null>} - 'cancel', 'pause' or null
+ */
+export const getControlRequest = async (runId) => {
+  try {
+    const run = await prisma.scraperRun.findUnique({
+      where: { id: runId },
+      select: { controlRequest: true }
+    });
+    
+    return run?.controlRequest || null;
+  } catch (error) {
+    logger.error(`[Scraper:${runId}] Error checking control request: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Update the run status in the database, creating the run record if it does not exist yet
+ * @param {Object} status - Run status object: id, scraperId, scraperName, status, startTime, endTime, stats, checkpoint, controlRequest
+ * @returns {Promise<void>}
+ */
+export const updateRunStatus = async (status) => {
+  try {
+    if (!status.id) {
+      logger.error(`[Scraper:unknown] Cannot update run status - missing run ID`);
+      return;
+    }
+    
+    const scraperName = status.scraperName || 'lkq';
+    
+    if (!status.scraperId) {
+      logger.warn(`[Scraper:${status.id}] No scraperId provided in status update. Attempting to find scraper ID.`);
+      
+      try {
+        // Try to find the scraper by name
+        const scraper = await prisma.scraper.findFirst({
+          where: { name: scraperName }
+        });
+        
+        if (scraper) {
+          logger.info(`[Scraper:${status.id}] Found scraper with id: ${scraper.id}`);
+          status.scraperId = scraper.id;
+        } else {
+          logger.error(`[Scraper:${status.id}] Could not find a scraper with name '${scraperName}'. Cannot create scraper run.`);
+          logger.info(`[Scraper:${status.id}] Creating dummy scraper record for this run`);
+          
+          // Create a dummy scraper record
+          const newScraper = await prisma.scraper.create({
+            data: {
+              name: scraperName + Date.now(), // Unique name to avoid conflicts
+              description: `${scraperName} scraper (Automatically Created)`,
+              enabled: true
+            }
+          });
+          
+          logger.info(`[Scraper:${status.id}] Created dummy scraper with id: ${newScraper.id}`);
+          status.scraperId = newScraper.id;
+        }
+      } catch (findError) {
+        logger.error(`[Scraper:${status.id}] Error finding/creating scraper: ${findError.message}`);
+        return; // Cannot proceed without scraperId
+      }
+    }
+    
+    logger.debug(`[Scraper:${status.id}] Updating run status to: ${status.status}`);
+    
+    try {
+      // Check if the run record exists
+      const existingRun = await prisma.scraperRun.findUnique({
+        where: { id: status.id }
+      });
+      
+      if (existingRun) {
+        // Update existing run
+        await prisma.scraperRun.update({
+          where: { id: status.id },
+          data: {
+            status: status.status,
+            updatedAt: new Date(),
+            completedAt: status.endTime ? new Date(status.endTime) : null,
+            statistics: status.stats,
+            ...(status.checkpoint && { checkpoint: status.checkpoint }),
+            ...(status.controlRequest !== undefined && { controlRequest: status.controlRequest })
+          }
+        });
+      } else {
+        // Create new run record with proper scraper connection
+        await prisma.scraperRun.create({
+          data: {
+            id: status.id,
+            status: status.status,
+            startedAt: new Date(status.startTime),
+            updatedAt: new Date(),
+            completedAt: status.endTime ? new Date(status.endTime) : null,
+            statistics: status.stats,
+            ...(status.checkpoint && { checkpoint: status.checkpoint }),
+            scraper: {
+              connect: { id: status.scraperId }
+            }
+          }
+        });
+      }
+      
+      logger.debug(`[Scraper:${status.id}] Run status updated successfully`);
+    } catch (dbError) {
+      // Handle specific database errors
+      logger.error(`[Scraper:${status.id}] Database error updating run status: ${dbError.message}`);
+      
+      if (dbError.code === 'P2023') {
+        logger.error(`[Scraper:${status.id}] Invalid UUID format. Run ID must be a valid UUID.`);
+      }
+    }
+  } catch (error) {
+    logger.error(`[Scraper:unknown] Error in updateRunStatus: ${error.message}`);
+    logger.error(`[Scraper:unknown] Error stack: ${error.stack}`);
+  }
+};
+
+export default {
+  getControlRequest,
+  updateRunStatus
+};
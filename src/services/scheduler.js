@@ -0,0 +1,298 @@
+import cronParser from 'cron-parser';
+import { PrismaClient } from '@prisma/client';
+import { logger } from '../config/logger.js';
+import { queueScraperRun } from '../queues/scraper.queue.js';
+import { hasScraper, validateScraperOptions, resolveScraperConfig } from '../scrapers/index.js';
+
+const prisma = new PrismaClient();
+
+// Scheduler settings, overridable through the environment
+const SCHEDULER_CONFIG = {
+  tickInterval: parseInt(process.env.SCHEDULER_INTERVAL, 10) || 30000
+};
+
+// What to do when a schedule fires while the previous run of its scraper is unfinished:
+// skip drops the firing, queue waits and starts the run once the previous one is done
+export const OVERLAP_POLICIES = ['skip', 'queue'];
+
+// Run statuses that count as the previous run still going
+const UNFINISHED_RUN_STATUSES = ['pending', 'starting', 'running', 'processing'];
+
+// Scheduler state for this process
+const scheduler = {
+  timer: null,
+  ticking: false
+};
+
+/**
+ * Compute the next time a cron expression fires
+ * @param {string} cron - Cron expression (5 or 6 fields)
+ * @param {string|null} timezone - IANA time zone, defaults to the server time zone
+ * @param {Date} from - Time to start from
+ * @returns {Date} - The next fire time after from
+ */
+export const getNextFireTime = (cron, timezone = null, from = new Date()) => {
+  const interval = cronParser.parseExpression(cron, {
+    currentDate: from,
+    ...(timezone && { tz: timezone })
+  });
+  return interval.next().toDate();
+};
+
+/**
+ * Check whether a string is a time zone the runtime knows
+ * @param {string} timezone - IANA time zone
+ * @returns {boolean} - Whether the time zone is valid
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate the body of a schedule create or update request
+ * @param {Object} input - Raw request body
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Only validate the fields that were provided (updates)
+ * @param {string} options.scraperName - Scraper whose config schema the run options are checked against
+ * @returns {Object} - { data, errors } with the fields to store
+ */
+export const validateSchedule = (input = {}, { partial = false, scraperName = 'lkq' } = {}) => {
+  const data = {};
+  const errors = [];
+  const provided = (key) => input[key] !== undefined;
+
+  if (provided('name') || !partial) {
+    if (typeof input.name !== 'string' || input.name.trim() === '') {
+      errors.push('name must be a non-empty string');
+    } else {
+      data.name = input.name.trim();
+    }
+  }
+
+  if (provided('timezone') && input.timezone !== null) {
+    if (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone)) {
+      errors.push('timezone must be an IANA time zone such as America/Chicago');
+    } else {
+      data.timezone = input.timezone;
+    }
+  } else if (provided('timezone')) {
+    data.timezone = null;
+  }
+
+  if (provided('cron') || !partial) {
+    try {
+      if (typeof input.cron !== 'string' || input.cron.trim() === '') {
+        throw new Error('missing');
+      }
+      getNextFireTime(input.cron.trim(), data.timezone);
+      data.cron = input.cron.trim();
+    } catch (error) {
+      errors.push('cron must be a valid cron expression, e.g. "0 3 * * *"');
+    }
+  }
+
+  if (provided('overlapPolicy')) {
+    if (!OVERLAP_POLICIES.includes(input.overlapPolicy)) {
+      errors.push(`overlapPolicy must be one of: ${OVERLAP_POLICIES.join(', ')}`);
+    } else {
+      data.overlapPolicy = input.overlapPolicy;
+    }
+  }
+
+  if (provided('enabled')) {
+    if (typeof input.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    } else {
+      data.enabled = input.enabled;
+    }
+  }
+
+  if (provided('options') && (typeof input.options !== 'object' || Array.isArray(input.options) || input.options === null)) {
+    errors.push('options must be an object of run options');
+  } else if ((provided('categories') || provided('options')) && !hasScraper(scraperName)) {
+    errors.push(`Scraper ${scraperName} cannot be scheduled`);
+  } else if (provided('categories') || provided('options')) {
+    const { options, errors: optionErrors } = validateScraperOptions(scraperName, {
+      ...(input.options || {}),
+      categories: input.categories
+    });
+    errors.push(...optionErrors);
+
+    if (provided('categories')) {
+      data.categories = options.categories ?? null;
+    }
+    if (provided('options')) {
+      const { categories, ...runOptions } = options;
+      data.options = runOptions;
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Resolve the run configuration a schedule would start a run with
+ * @param {string} scraperName - Name of the scheduled scraper
+ * @param {Object} schedule - Schedule with categories and options
+ * @returns {Promise<Object>} - { config, errors }
+ */
+export const resolveScheduleConfig = async (scraperName, schedule) => {
+  // Schedules resolve their runs the same way as POST /api/scrapers/:name/run
+  if (!hasScraper(scraperName)) {
+    return { config: null, errors: [`Scraper ${scraperName} cannot be scheduled`] };
+  }
+
+  return resolveScraperConfig(scraperName, {
+    ...(schedule.options || {}),
+    ...(schedule.categories && { categories: schedule.categories })
+  });
+};
+
+/**
+ * Fire a due schedule: start a run, skip it, or keep waiting for the previous run
+ * @param {Object} schedule - Schedule record including its scraper
+ * @param {Date} now - Current time
+ * @returns {Promise<string|null>} - Outcome, or null if another process fired it
+ */
+export const fireSchedule = async (schedule, now = new Date()) => {
+  const previous = await prisma.scraperRun.findFirst({
+    where: {
+      scraperId: schedule.scraperId,
+      status: { in: UNFINISHED_RUN_STATUSES }
+    },
+    orderBy: { createdAt: 'desc' },
+    select: { id: true, status: true }
+  });
+
+  // Leave the schedule due so the run starts on the first tick after the previous one finishes
+  if (previous && schedule.overlapPolicy === 'queue') {
+    if (schedule.lastOutcome !== 'waiting') {
+      logger.info(`[Scheduler] Schedule ${schedule.name} is waiting for run ${previous.id} (${previous.status})`);
+      await prisma.scraperSchedule.update({
+        where: { id: schedule.id },
+        data: { lastOutcome: 'waiting' }
+      });
+    }
+    return 'waiting';
+  }
+
+  // Claim the firing by moving nextRunAt on; another process may have done so already
+  const claimed = await prisma.scraperSchedule.updateMany({
+    where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+    data: {
+      nextRunAt: getNextFireTime(schedule.cron, schedule.timezone, now),
+      lastRunAt: now
+    }
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  let outcome = { lastOutcome: 'queued', lastError: null };
+
+  if (previous) {
+    logger.info(`[Scheduler] Skipping schedule ${schedule.name}: run ${previous.id} is still ${previous.status}`);
+    outcome = { lastOutcome: 'skipped', lastError: `Run ${previous.id} was still ${previous.status}` };
+  } else {
+    try {
+      const { config, errors } = await resolveScheduleConfig(schedule.scraper.name, schedule);
+
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+
+      const { run, job } = await queueScraperRun(schedule.scraperId, config);
+      logger.info(`[Scheduler] Schedule ${schedule.name} queued run ${run.id} as job ${job.id}`);
+      outcome = { ...outcome, lastRunId: run.id };
+    } catch (error) {
+      logger.error(`[Scheduler] Schedule ${schedule.name} failed to start a run: ${error.message}`);
+      outcome = { lastOutcome: 'error', lastError: error.message };
+    }
+  }
+
+  await prisma.scraperSchedule.update({
+    where: { id: schedule.id },
+    data: outcome
+  });
+
+  return outcome.lastOutcome;
+};
+
+/**
+ * Fire every enabled schedule that is due
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  if (scheduler.ticking) {
+    return;
+  }
+  scheduler.ticking = true;
+
+  try {
+    const now = new Date();
+    const due = await prisma.scraperSchedule.findMany({
+      where: {
+        enabled: true,
+        nextRunAt: { lte: now },
+        scraper: { enabled: true }
+      },
+      include: { scraper: { select: { name: true } } },
+      orderBy: { nextRunAt: 'asc' }
+    });
+
+    for (const schedule of due) {
+      try {
+        await fireSchedule(schedule, now);
+      } catch (error) {
+        logger.error(`[Scheduler] Error firing schedule ${schedule.name}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error(`[Scheduler] Error checking schedules: ${error.message}`);
+  } finally {
+    scheduler.ticking = false;
+  }
+};
+
+/**
+ * Start checking for due schedules in this process
+ * @param {Object} options - Scheduler options overriding SCHEDULER_CONFIG
+ * @returns {void}
+ */
+export const startScheduler = (options = {}) => {
+  if (scheduler.timer) {
+    return;
+  }
+
+  const interval = options.tickInterval || SCHEDULER_CONFIG.tickInterval;
+  scheduler.timer = setInterval(tick, interval);
+  logger.info(`[Scheduler] Started, checking schedules every ${interval}ms`);
+  tick();
+};
+
+/**
+ * Stop checking for due schedules
+ * @returns {void}
+ */
+export const stopScheduler = () => {
+  if (scheduler.timer) {
+    clearInterval(scheduler.timer);
+    scheduler.timer = null;
+    logger.info('[Scheduler] Stopped');
+  }
+};
+
+export default {
+  getNextFireTime,
+  validateSchedule,
+  resolveScheduleConfig,
+  fireSchedule,
+  startScheduler,
+  stopScheduler
+};
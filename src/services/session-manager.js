@@ -0,0 +1,184 @@
+import axios from 'axios';
+import { logger } from '../config/logger.js';
+import { HEADER_PROFILES } from '../config/header-profiles.js';
+import { createCookieJar } from '../utils/cookieJar.js';
+
+// When a session is replaced by a fresh one
+export const SESSION_CONFIG = {
+  maxAge: 30 * 60 * 1000,
+  maxRequests: 500,
+  bootstrapTimeout: 30000
+};
+
+/**
+ * Session Manager
+ * Keeps one browser-like session per key (usually a proxy): a header profile and a cookie jar.
+ * New sessions load a bootstrap page first so the site hands out its own cookies.
+ */
+class SessionManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.name - Name used in logs
+   * @param {Array<Object>} options.profiles - Header profiles to rotate through
+   * @param {string} options.bootstrapUrl - Page loaded by every new session, or null to skip bootstrapping
+   * @param {Object} options.bootstrapHeaders - Extra headers of the bootstrap request
+   * @param {number} options.maxAge - Session lifetime in milliseconds
+   * @param {number} options.maxRequests - Requests after which a session is replaced
+   */
+  constructor({
+    name = 'default',
+    profiles = HEADER_PROFILES,
+    bootstrapUrl = null,
+    bootstrapHeaders = {},
+    maxAge = SESSION_CONFIG.maxAge,
+    maxRequests = SESSION_CONFIG.maxRequests
+  } = {}) {
+    this.name = name;
+    this.profiles = profiles;
+    this.bootstrapUrl = bootstrapUrl;
+    this.bootstrapHeaders = bootstrapHeaders;
+    this.maxAge = maxAge;
+    this.maxRequests = maxRequests;
+    this.sessions = new Map();
+    this.profileCursor = 0;
+    this.created = 0;
+    this.now = () => Date.now();
+  }
+
+  /**
+   * Get the live session of a key, starting a new one when there is none or it is used up
+   * @param {string} key - Session key, e.g. the proxy id
+   * @returns {Object} - Session
+   */
+  getSession(key = 'direct') {
+    const now = this.now();
+    const session = this.sessions.get(key);
+
+    if (session && now - session.createdAt < this.maxAge && session.requests < this.maxRequests) {
+      return session;
+    }
+
+    const profile = this.profiles[this.profileCursor++ % this.profiles.length];
+    const fresh = {
+      id: `${this.name}-${++this.created}`,
+      key,
+      profile,
+      jar: createCookieJar(),
+      createdAt: now,
+      requests: 0,
+      bootstrappedAt: null,
+      bootstrapping: null
+    };
+
+    this.sessions.set(key, fresh);
+    logger.info(`[Session] Started session ${fresh.id} for ${key} with profile ${profile.name}`);
+    return fresh;
+  }
+
+  /**
+   * Load the bootstrap page in a session and keep the cookies it sets
+   * Concurrent callers share one bootstrap request
+   * @param {Object} session - Session
+   * @param {Object} agent - HTTPS agent (proxy) of the session
+   * @returns {Promise<void>}
+   */
+  bootstrap(session, agent) {
+    if (!this.bootstrapUrl || session.bootstrappedAt) {
+      return Promise.resolve();
+    }
+
+    if (!session.bootstrapping) {
+      session.bootstrapping = axios({
+        method: 'GET',
+        url: this.bootstrapUrl,
+        headers: { ...this.bootstrapHeaders, ...session.profile.headers },
+        timeout: SESSION_CONFIG.bootstrapTimeout,
+        ...(agent && { httpsAgent: agent })
+      })
+        .then((response) => {
+          const stored = session.jar.setCookies(response.headers?.['set-cookie'], this.bootstrapUrl, this.now());
+          session.bootstrappedAt = this.now();
+          logger.info(`[Session] Bootstrapped session ${session.id} with ${stored} cookies`);
+        })
+        .finally(() => {
+          session.bootstrapping = null;
+        });
+    }
+
+    return session.bootstrapping;
+  }
+
+  /**
+   * Add the session's profile headers and cookies to a request, bootstrapping the session first if needed
+   * @param {Object} request - Axios request config
+   * @param {string} key - Session key
+   * @param {Object} agent - HTTPS agent (proxy) the request will use
+   * @returns {Promise<Object>} - Request config with the session applied
+   */
+  async prepareRequest(request, key, agent) {
+    const session = this.getSession(key);
+    await this.bootstrap(session, agent);
+
+    session.requests++;
+    const cookie = session.jar.getCookieHeader(request.url, this.now());
+
+    return {
+      ...request,
+      headers: {
+        ...request.headers,
+        ...session.profile.headers,
+        ...(cookie && { Cookie: cookie })
+      }
+    };
+  }
+
+  /**
+   * Keep the cookies a response sets in the session of its key
+   * @param {string} key - Session key
+   * @param {Object} response - Axios response, or the response of an HTTP error
+   * @param {string} url - URL of the request
+   * @returns {void}
+   */
+  applyResponse(key, response, url) {
+    const session = this.sessions.get(key);
+    if (session && response?.headers?.['set-cookie']) {
+      session.jar.setCookies(response.headers['set-cookie'], url, this.now());
+    }
+  }
+
+  /**
+   * Drop the session of a key; the next request starts a new one with the next profile
+   * @param {string} key - Session key
+   * @param {string} reason - Reason for the log
+   * @returns {boolean} - Whether there was a session
+   */
+  invalidate(key, reason) {
+    const session = this.sessions.get(key);
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(key);
+    logger.warn(`[Session] Dropped session ${session.id} for ${key}${reason ? ` (${reason})` : ''}`);
+    return true;
+  }
+
+  /**
+   * Describe the live sessions, without cookie values
+   * @returns {Array<Object>} - One entry per session
+   */
+  getSessions() {
+    return Array.from(this.sessions.values(), session => ({
+      id: session.id,
+      key: session.key,
+      profile: session.profile.name,
+      cookies: session.jar.size(),
+      requests: session.requests,
+      createdAt: new Date(session.createdAt),
+      bootstrappedAt: session.bootstrappedAt ? new Date(session.bootstrappedAt) : null
+    }));
+  }
+}
+
+export { SessionManager };
+export default SessionManager;
@@ -0,0 +1,275 @@
+import { jest } from '@jest/globals';
+
+// Only the run's own rate applies here; the shared host ceiling is off
+process.env.SCRAPER_HOST_REQUESTS_PER_SECOND = '0';
+
+// Items served by the fake API, 25 per page by default
+const ITEMS = Array.from({ length: 60 }, (_, i) => ({ code: `ITEM-${i + 1}`, price: i + 1 }));
+
+const stored = new Map();
+let runRecord;
+let controlRequest = null;
+// Statuses returned by the next requests before the items are served
+let failures = [];
+let requests = [];
+
+const tx = {
+  part: {
+    upsert: jest.fn(async ({ where, create }) => {
+      stored.set(where.sku, create);
+      return create;
+    })
+  }
+};
+
+const prismaMock = {
+  scraperRun: {
+    findUnique: jest.fn(async ({ select }) => (select?.controlRequest ? { controlRequest } : runRecord)),
+    update: jest.fn(async ({ data }) => {
+      runRecord = { ...runRecord, ...data };
+      return runRecord;
+    }),
+    create: jest.fn()
+  },
+  $transaction: jest.fn(async (fn) => fn(tx))
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+jest.unstable_mockModule('../services/proxy-manager.js', () => ({
+  default: { getNextProxy: () => undefined, reportResult: () => {}, getProxyId: () => 'direct' }
+}));
+
+jest.unstable_mockModule('axios', () => ({
+  default: jest.fn(async ({ url }) => {
+    requests.push(url);
+
+    const failure = failures.shift();
+    if (failure) {
+      throw Object.assign(new Error(`Request failed with status code ${failure}`), { response: { status: failure, headers: {} } });
+    }
+
+    const params = new URL(url).searchParams;
+    const size = Number(params.get('limit') || 25);
+    const start = params.has('offset')
+      ? Number(params.get('offset'))
+      : params.has('after') ? ITEMS.findIndex(item => item.code === params.get('after')) + 1 : (Number(params.get('page') || 1) - 1) * size;
+    const items = ITEMS.slice(start, start + size);
+
+    return {
+      status: 200,
+      headers: {},
+      data: { results: items, next: start + size < ITEMS.length ? items[items.length - 1].code : null }
+    };
+  })
+}));
+
+const { createScraper, validateScraperDefinition } = await import('../scrapers/base-scraper.js');
+
+const definition = (overrides = {}) => ({
+  name: 'test-source',
+  config: { pageDelay: 0, requestsPerSecond: 0, maxPages: 10 },
+  buildRequest: () => ({ url: 'https://api.example.test/items', params: { sort: 'code' } }),
+  pagination: { type: 'page', pageSize: 25 },
+  extract: (data) => data.results,
+  persist: {
+    model: 'part',
+    key: 'sku',
+    map: (item, { runId }) => ({ sku: item.code, price: item.price, scraperRunId: runId })
+  },
+  ...overrides
+});
+
+const run = (scraper, config = {}) => scraper.scrape(config, { runId: 'run-1', scraperId: 'scraper-1' });
+
+describe('Base Scraper Framework Tests', () => {
+  beforeEach(() => {
+    stored.clear();
+    runRecord = { id: 'run-1', checkpoint: null, statistics: null };
+    controlRequest = null;
+    failures = [];
+    requests = [];
+    jest.clearAllMocks();
+  });
+
+  test('validateScraperDefinition lists every problem', () => {
+    expect(validateScraperDefinition({ name: 'Bad Name', pagination: { type: 'cursor' }, persist: { model: 'part' } })).toEqual([
+      'name must be a lowercase identifier such as "my-source"',
+      'buildRequest must be a function returning a request',
+      'extract must be a function returning an array of items',
+      'cursor pagination needs a getCursor(data, items, cursor) function',
+      'persist.key must name the unique field used to upsert items',
+      'persist.map must be a function mapping an item to a database record'
+    ]);
+    expect(validateScraperDefinition(definition())).toEqual([]);
+    expect(() => createScraper(definition({ extract: null }))).toThrow('Invalid scraper definition test-source: extract must be');
+  });
+
+  test('crawls page pagination until a short page and upserts through the mapping', async () => {
+    const result = await run(createScraper(definition()));
+
+    expect(result.status).toBe('success');
+    expect(requests).toEqual([1, 2, 3].map(page => `https://api.example.test/items?sort=code&page=${page}`));
+    expect(stored.size).toBe(60);
+    expect(stored.get('ITEM-60')).toEqual({ sku: 'ITEM-60', price: 60, scraperRunId: 'run-1' });
+    expect(result.stats).toMatchObject({ pages: { processed: 3, errors: 0 }, items: { extracted: 60, saved: 60, errors: 0 } });
+    expect(runRecord.status).toBe('completed');
+    expect(runRecord.checkpoint).toEqual({ nextPage: 4, value: 4, done: true });
+  });
+
+  test('crawls offset pagination with a page size parameter', async () => {
+    const scraper = createScraper(definition({ pagination: { type: 'offset', pageSize: 40, sizeParam: 'limit' } }));
+    const result = await run(scraper);
+
+    expect(requests).toEqual([
+      'https://api.example.test/items?sort=code&offset=0&limit=40',
+      'https://api.example.test/items?sort=code&offset=40&limit=40'
+    ]);
+    expect(result.stats.items.saved).toBe(60);
+  });
+
+  test('follows cursors until the API stops returning one', async () => {
+    const scraper = createScraper(definition({
+      pagination: { type: 'cursor', param: 'after', getCursor: data => data.next }
+    }));
+    const result = await run(scraper);
+
+    expect(requests).toEqual([
+      'https://api.example.test/items?sort=code',
+      'https://api.example.test/items?sort=code&after=ITEM-25',
+      'https://api.example.test/items?sort=code&after=ITEM-50'
+    ]);
+    expect(result.stats.items.saved).toBe(60);
+  });
+
+  test('retries failures through the shared HTTP client', async () => {
+    failures = [503];
+    const result = await run(createScraper(definition()), { maxRetries: 2 });
+
+    expect(result.stats.requests).toEqual({ attempts: 4, retries: 1, byClassification: { retryable: 1 } });
+    expect(stored.size).toBe(60);
+  });
+
+  test('skips a failed page of page pagination but fails a cursor crawl', async () => {
+    failures = [400];
+    const paged = await run(createScraper(definition()));
+    expect(paged.status).toBe('success');
+    expect(paged.stats.pages).toEqual({ processed: 2, errors: 1 });
+    expect(stored.has('ITEM-1')).toBe(false);
+    expect(stored.has('ITEM-26')).toBe(true);
+
+    runRecord = { id: 'run-1', checkpoint: null, statistics: null };
+    failures = [400];
+    const cursor = await run(createScraper(definition({
+      pagination: { type: 'cursor', param: 'after', getCursor: data => data.next }
+    })));
+    expect(cursor.status).toBe('error');
+    expect(runRecord.status).toBe('error');
+  });
+
+  test('counts a page whose extract throws as failed and crawls on', async () => {
+    const scraper = createScraper(definition({
+      extract: (data, { pageNumber }) => {
+        if (pageNumber === 1) {
+          throw new Error('unexpected markup');
+        }
+        return data.results;
+      }
+    }));
+    const result = await run(scraper);
+
+    expect(result.status).toBe('success');
+    expect(result.stats.pages).toEqual({ processed: 2, errors: 1 });
+    expect(requests).toHaveLength(3);
+    expect(stored.size).toBe(35);
+  });
+
+  test('stops at the item limit', async () => {
+    const result = await run(createScraper(definition()), { maxItems: 30 });
+
+    expect(result.stats.limitReached).toBe('maxItems');
+    expect(stored.size).toBe(30);
+    expect(requests).toHaveLength(2);
+  });
+
+  test('stops between pages on a cancel request', async () => {
+    controlRequest = 'cancel';
+    const result = await run(createScraper(definition()));
+
+    expect(result.status).toBe('cancelled');
+    expect(requests).toHaveLength(0);
+    expect(runRecord.status).toBe('cancelled');
+  });
+
+  test('resumes from the checkpoint of an interrupted run', async () => {
+    runRecord = {
+      id: 'run-1',
+      checkpoint: { nextPage: 3, value: 3, done: false },
+      statistics: { pages: { processed: 2, errors: 0 }, items: { extracted: 50, saved: 50, errors: 0 } }
+    };
+    const result = await run(createScraper(definition()));
+
+    expect(requests).toEqual(['https://api.example.test/items?sort=code&page=3']);
+    expect(result.stats).toMatchObject({ resumes: 1, pages: { processed: 3 }, items: { extracted: 60, saved: 60 } });
+  });
+
+  test('completes a resumed run whose checkpoint is done without fetching again', async () => {
+    runRecord = {
+      id: 'run-1',
+      checkpoint: { nextPage: 4, value: 4, done: true },
+      statistics: { pages: { processed: 3, errors: 0 }, items: { extracted: 60, saved: 60, errors: 0 } }
+    };
+    const result = await run(createScraper(definition()));
+
+    expect(result.status).toBe('success');
+    expect(requests).toHaveLength(0);
+    expect(runRecord.status).toBe('completed');
+    expect(result.stats.items).toEqual({ extracted: 60, saved: 60, errors: 0 });
+  });
+
+  test('paces each run with its own requestsPerSecond', async () => {
+    const scraper = createScraper(definition());
+
+    // A fast run first; its rate must not carry over to the next run against the same host
+    await run(scraper, { requestsPerSecond: 50 });
+
+    runRecord = { id: 'run-1', checkpoint: null, statistics: null };
+    requests = [];
+    const startedAt = Date.now();
+    await run(scraper, { requestsPerSecond: 5 });
+
+    // Three pages at 5 requests per second: the second and third wait 200ms each
+    expect(requests).toHaveLength(3);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(380);
+  });
+
+  test('takes a custom persist function', async () => {
+    const persist = jest.fn(async items => ({ saved: items.length, errors: 0 }));
+    const result = await run(createScraper(definition({ persist })));
+
+    expect(persist).toHaveBeenCalledTimes(3);
+    expect(persist.mock.calls[0][1]).toMatchObject({ runId: 'run-1' });
+    expect(result.stats.items.saved).toBe(60);
+  });
+
+  test('resolveConfig validates run options against the base and definition schemas', async () => {
+    const scraper = createScraper(definition({
+      configSchema: { region: { type: 'enum', values: ['us', 'ca'] } }
+    }));
+
+    await expect(scraper.resolveConfig({ maxPages: '2', region: 'ca', other: true })).resolves.toEqual({
+      config: { maxPages: 2, region: 'ca' },
+      errors: []
+    });
+
+    const { config, errors } = await scraper.resolveConfig({ maxPages: 0, region: 'mx', httpMode: 'replay' });
+    expect(config).toBeNull();
+    expect(errors).toEqual([
+      'maxPages must be an integer between 1 and 10000',
+      'region must be one of us, ca',
+      'fixtures is required in replay mode'
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { saveInBatches } from '../utils/batchSave.js';
+
+/**
+ * Client whose transactions keep their writes only when they commit, like Postgres
+ * @param {Set<string>} failing - Items whose save fails
+ * @returns {Object} - { client, committed }
+ */
+const createClient = (failing = new Set()) => {
+  const committed = [];
+  const client = {
+    $transaction: jest.fn(async (fn) => {
+      const writes = [];
+      const tx = {
+        write: async (item) => {
+          if (failing.has(item)) {
+            throw new Error(`cannot save ${item}`);
+          }
+          writes.push(item);
+          return { item };
+        }
+      };
+
+      const result = await fn(tx);
+      committed.push(...writes);
+      return result;
+    })
+  };
+
+  return { client, committed };
+};
+
+describe('Batch Save Tests', () => {
+  test('saves each batch in one transaction', async () => {
+    const { client, committed } = createClient();
+
+    const result = await saveInBatches(client, ['a', 'b', 'c'], {
+      batchSize: 2,
+      save: (tx, item) => tx.write(item)
+    });
+
+    expect(result).toEqual({ saved: 3, errors: 0, results: [{ item: 'a' }, { item: 'b' }, { item: 'c' }] });
+    expect(committed).toEqual(['a', 'b', 'c']);
+    expect(client.$transaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('saves the items of a rolled back batch one transaction each', async () => {
+    const { client, committed } = createClient(new Set(['b']));
+    const onBatchError = jest.fn();
+    const onItemError = jest.fn();
+
+    const result = await saveInBatches(client, ['a', 'b', 'c', 'd'], {
+      batchSize: 3,
+      save: (tx, item) => tx.write(item),
+      onBatchError,
+      onItemError
+    });
+
+    // Only committed saves count: a, c and d, never the rolled back first attempt
+    expect(result.saved).toBe(3);
+    expect(result.errors).toBe(1);
+    expect(result.results).toEqual([{ item: 'a' }, { item: 'c' }, { item: 'd' }]);
+    expect(committed).toEqual(['a', 'c', 'd']);
+    expect(onBatchError).toHaveBeenCalledWith(expect.any(Error), ['a', 'b', 'c']);
+    expect(onItemError).toHaveBeenCalledWith(expect.objectContaining({ message: 'cannot save b' }), 'b');
+  });
+});
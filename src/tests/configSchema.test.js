@@ -0,0 +1,65 @@
+import { validateConfig, describeConfigSchema } from '../utils/configSchema.js';
+
+const SCHEMA = {
+  maxPages: { type: 'integer', min: 1, max: 100 },
+  ratio: { type: 'number', min: 0, max: 1 },
+  headless: { type: 'boolean' },
+  mode: { type: 'enum', values: ['fast', 'full'] },
+  tag: { type: 'string', pattern: /^[a-z]+$/, message: 'tag must be lowercase letters' },
+  makes: { type: 'array', label: 'make names' },
+  site: { type: 'string', required: true }
+};
+
+describe('Config Schema Tests', () => {
+  test('validateConfig normalizes valid values and leaves out missing ones', () => {
+    const { options, errors } = validateConfig(SCHEMA, {
+      maxPages: '5',
+      ratio: 0.5,
+      headless: 'false',
+      mode: 'full',
+      site: ' example ',
+      makes: ['Honda', ' Honda', 'Ford'],
+      unknown: 'ignored'
+    });
+
+    expect(errors).toEqual([]);
+    expect(options).toEqual({
+      maxPages: 5,
+      ratio: 0.5,
+      headless: false,
+      mode: 'full',
+      site: 'example',
+      makes: ['Honda', 'Ford']
+    });
+  });
+
+  test('validateConfig reports every invalid and missing field', () => {
+    const { options, errors } = validateConfig(SCHEMA, {
+      maxPages: 1.5,
+      ratio: 'abc',
+      headless: 'yes',
+      mode: 'slow',
+      tag: 'ABC',
+      makes: []
+    });
+
+    expect(options).toEqual({});
+    expect(errors).toEqual([
+      'maxPages must be an integer between 1 and 100',
+      'ratio must be a number between 0 and 1',
+      'headless must be a boolean',
+      'mode must be one of fast, full',
+      'tag must be lowercase letters',
+      'makes must be a non-empty array of make names',
+      'site is required'
+    ]);
+  });
+
+  test('describeConfigSchema returns JSON-safe rules', () => {
+    const description = describeConfigSchema(SCHEMA);
+
+    expect(description.tag).toEqual({ type: 'string', pattern: '^[a-z]+$' });
+    expect(description.maxPages).toEqual({ type: 'integer', min: 1, max: 100 });
+    expect(JSON.parse(JSON.stringify(description))).toEqual(description);
+  });
+});
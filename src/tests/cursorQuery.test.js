@@ -0,0 +1,40 @@
+import { buildCursorQuery, MAX_LIMIT } from '../utils/cursorQuery.js';
+
+describe('Cursor Query Tests', () => {
+  const options = { fields: ['id', 'sku', 'price'], sortFields: ['price', 'createdAt'], defaultSort: '-createdAt' };
+
+  test('pages by the default sort with an id tie-breaker and resumes after the cursor', () => {
+    const where = { price: { gte: 100 } };
+    const { args, limit, errors } = buildCursorQuery({ cursor: 'id-9' }, { ...options, where });
+
+    expect(errors).toEqual([]);
+    expect(limit).toBe(50);
+    expect(args).toEqual({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: 51,
+      cursor: { id: 'id-9' },
+      skip: 1
+    });
+  });
+
+  test('adds paging problems to the filter errors', () => {
+    const { errors } = buildCursorQuery(
+      { sort: 'title', fields: 'sku,color', limit: String(MAX_LIMIT + 1) },
+      { ...options, errors: ['minPrice must be a number'] }
+    );
+
+    expect(errors).toEqual([
+      'minPrice must be a number',
+      `limit must be an integer between 1 and ${MAX_LIMIT}`,
+      'sort must be one of: price, createdAt',
+      'Unknown fields: color'
+    ]);
+  });
+
+  test('always selects the id next to the requested fields', () => {
+    const { args } = buildCursorQuery({ fields: 'sku, price' }, options);
+
+    expect(args.select).toEqual({ id: true, sku: true, price: true });
+  });
+});
@@ -0,0 +1,66 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+const { normalizeFitments, replaceProductFitments } = await import('../services/fitment.js');
+
+describe('Fitment Tests', () => {
+  test('normalizeFitments reads fitment objects regardless of key case', () => {
+    const rows = normalizeFitments([
+      { Year: 2012, Make: 'Honda', Model: 'Civic', SubModel: 'LX', Engine: '1.8L L4', Notes: 'Automatic' }
+    ], null);
+
+    expect(rows).toEqual([
+      { year: 2012, make: 'Honda', model: 'Civic', trim: 'LX', engine: '1.8L L4', notes: 'Automatic' }
+    ]);
+  });
+
+  test('normalizeFitments expands year ranges', () => {
+    const rows = normalizeFitments([{ yearStart: 2010, yearEnd: 2012, make: 'Ford', model: 'F-150' }], null);
+    expect(rows.map(row => row.year)).toEqual([2010, 2011, 2012]);
+
+    const fromString = normalizeFitments(['2014-2015 Toyota Camry'], null);
+    expect(fromString).toEqual([
+      { year: 2014, make: 'Toyota', model: 'Camry', trim: null, engine: null, notes: null },
+      { year: 2015, make: 'Toyota', model: 'Camry', trim: null, engine: null, notes: null }
+    ]);
+  });
+
+  test('normalizeFitments parses JSON strings and removes duplicates across both sources', () => {
+    const fitments = JSON.stringify([{ year: '2012', make: 'Honda', model: 'Civic' }]);
+    const fitmentJson = { notes: 'Coupe', vehicles: [{ year: 2012, make: 'honda', model: 'civic' }, { year: 2013, make: 'Honda', model: 'Civic' }] };
+
+    const rows = normalizeFitments(fitments, fitmentJson);
+
+    expect(rows).toEqual([
+      { year: 2012, make: 'Honda', model: 'Civic', trim: null, engine: null, notes: null },
+      { year: 2013, make: 'Honda', model: 'Civic', trim: null, engine: null, notes: 'Coupe' }
+    ]);
+  });
+
+  test('normalizeFitments ignores empty and unreadable values', () => {
+    expect(normalizeFitments(null, undefined)).toEqual([]);
+    expect(normalizeFitments([{}, 42], '')).toEqual([]);
+  });
+
+  test('replaceProductFitments replaces the rows of a product', async () => {
+    const client = {
+      lkqFitment: {
+        deleteMany: jest.fn().mockResolvedValue({ count: 3 }),
+        createMany: jest.fn().mockResolvedValue({ count: 1 })
+      }
+    };
+
+    const count = await replaceProductFitments(client, 'product-1', {
+      fitments: [{ year: 2012, make: 'Honda', model: 'Civic' }]
+    });
+
+    expect(count).toBe(1);
+    expect(client.lkqFitment.deleteMany).toHaveBeenCalledWith({ where: { productId: 'product-1' } });
+    expect(client.lkqFitment.createMany).toHaveBeenCalledWith({
+      data: [{ year: 2012, make: 'Honda', model: 'Civic', trim: null, engine: null, notes: null, productId: 'product-1' }]
+    });
+  });
+});
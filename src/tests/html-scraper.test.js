@@ -0,0 +1,240 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Listing pages are fetched as fast as the run allows, with no shared host ceiling
+process.env.SCRAPER_HOST_REQUESTS_PER_SECOND = '0';
+
+const listing = (parts, next) => `<!DOCTYPE html>
+<html><body>
+  <div class="results">
+    ${parts.map(part => `
+    <div class="part" data-stock="${part.stock}">
+      <h3 class="title"> ${part.title} </h3>
+      <span class="price">Price: $${part.price}</span>
+      <span class="miles">${part.miles} miles</span>
+      <a class="detail" href="/parts/${part.stock}">Details</a>
+      <img src="/img/${part.stock}-1.jpg"><img src="/img/${part.stock}-2.jpg">
+    </div>`).join('')}
+    <div class="part ad"><span>Sponsored</span></div>
+  </div>
+  ${next ? `<a class="next" href="${next}">Next</a>` : ''}
+</body></html>`;
+
+const PAGES = {
+  'https://yard.example.test/engines': listing([
+    { stock: 'E100', title: '2012 Honda Civic Engine', price: '1,250.00', miles: '84,000' },
+    { stock: 'E101', title: '2014 Ford F-150 Engine', price: '2,100', miles: '120,500' }
+  ], '/engines?page=2'),
+  'https://yard.example.test/engines?page=2': listing([
+    { stock: 'E102', title: '2010 Toyota Camry Engine', price: '900', miles: '150,000' }
+  ]),
+  'https://yard.example.test/transmissions': listing([
+    { stock: 'T200', title: '2015 Chevrolet Silverado Transmission', price: '1,400', miles: '98,000' }
+  ])
+};
+
+const stored = new Map();
+let runRecord;
+let requests = [];
+
+const tx = {
+  yardPart: {
+    upsert: jest.fn(async ({ where, create }) => {
+      stored.set(where.stockNumber, create);
+      return create;
+    })
+  },
+  part: {
+    upsert: jest.fn(async ({ where, create }) => {
+      stored.set(where.source_sourceSku.sourceSku, create);
+      return create;
+    })
+  }
+};
+
+const prismaMock = {
+  scraperRun: {
+    findUnique: jest.fn(async ({ select }) => (select?.controlRequest ? { controlRequest: null } : runRecord)),
+    update: jest.fn(async ({ data }) => {
+      runRecord = { ...runRecord, ...data };
+      return runRecord;
+    })
+  },
+  $transaction: jest.fn(async (fn) => fn(tx))
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+jest.unstable_mockModule('../services/proxy-manager.js', () => ({
+  default: { getNextProxy: () => undefined, reportResult: () => {}, getProxyId: () => 'direct' }
+}));
+
+jest.unstable_mockModule('axios', () => ({
+  default: jest.fn(async ({ url }) => {
+    requests.push(url);
+
+    if (!PAGES[url]) {
+      throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+    }
+    return { status: 200, headers: { 'content-type': 'text/html' }, data: PAGES[url] };
+  })
+}));
+
+const { createHtmlScraper, extractHtmlItems, validateHtmlScraperConfig, loadHtmlScrapers } = await import('../scrapers/html-scraper.js');
+
+const yardConfig = (overrides = {}) => ({
+  name: 'example-yard',
+  startUrls: ['https://yard.example.test/engines', 'https://yard.example.test/transmissions'],
+  itemSelector: '.results .part',
+  fields: {
+    stockNumber: { attribute: 'data-stock' },
+    title: '.title',
+    price: { selector: '.price', regex: '\\$([\\d,.]+)', type: 'number' },
+    mileage: { selector: '.miles', type: 'integer' },
+    url: { selector: 'a.detail', attribute: 'href', type: 'url' },
+    images: { selector: 'img', attribute: 'src', type: 'url', multiple: true },
+    year: { selector: '.title', regex: '^(\\d{4})', type: 'integer' }
+  },
+  pagination: { nextSelector: 'a.next' },
+  persist: { model: 'yardPart', key: 'stockNumber' },
+  config: { pageDelay: 0, requestsPerSecond: 0 },
+  ...overrides
+});
+
+describe('HTML Scraper Tests', () => {
+  beforeEach(() => {
+    stored.clear();
+    runRecord = { id: 'run-1', checkpoint: null, statistics: null };
+    requests = [];
+    jest.clearAllMocks();
+  });
+
+  test('extractHtmlItems maps selector, attribute and regex fields and skips empty items', () => {
+    const items = extractHtmlItems(PAGES['https://yard.example.test/engines'], yardConfig(), 'https://yard.example.test/engines');
+
+    expect(items).toHaveLength(2);
+    expect(items[0]).toEqual({
+      stockNumber: 'E100',
+      title: '2012 Honda Civic Engine',
+      price: 1250,
+      mileage: 84000,
+      url: 'https://yard.example.test/parts/E100',
+      images: ['https://yard.example.test/img/E100-1.jpg', 'https://yard.example.test/img/E100-2.jpg'],
+      year: 2012
+    });
+  });
+
+  test('validateHtmlScraperConfig lists every problem', () => {
+    expect(validateHtmlScraperConfig({
+      startUrls: ['ftp://yard.example.test'],
+      itemSelector: 'div[',
+      fields: { price: { regex: '(' }, title: { type: 'date' }, sku: 42 },
+      pagination: {},
+      persist: { model: 'yardPart', key: 'stockNumber' }
+    })).toEqual([
+      'startUrls must be a non-empty array of http(s) URLs',
+      'itemSelector must be a valid CSS selector',
+      expect.stringMatching(/^fields\.price\.regex is invalid/),
+      'fields.title needs a selector, attribute or regex',
+      'fields.title.type must be one of string, number, integer, url',
+      'fields.sku must be a selector or a field rule',
+      'pagination.nextSelector must be a valid CSS selector',
+      'persist.key must name one of the fields'
+    ]);
+    expect(validateHtmlScraperConfig(yardConfig())).toEqual([]);
+    expect(() => createHtmlScraper(yardConfig({ itemSelector: '' }))).toThrow('Invalid HTML scraper config example-yard');
+  });
+
+  test('crawls every start URL, following next page links, and upserts the items', async () => {
+    const result = await createHtmlScraper(yardConfig()).scrape({}, { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(result.status).toBe('success');
+    expect(requests).toEqual([
+      'https://yard.example.test/engines',
+      'https://yard.example.test/engines?page=2',
+      'https://yard.example.test/transmissions'
+    ]);
+    expect(result.stats.pages.processed).toBe(3);
+    expect(result.stats.items).toEqual({ extracted: 4, saved: 4, errors: 0 });
+    expect([...stored.keys()]).toEqual(['E100', 'E101', 'E102', 'T200']);
+    expect(runRecord.checkpoint).toMatchObject({ done: true });
+  });
+
+  test('stops at maxPages across start URLs', async () => {
+    const result = await createHtmlScraper(yardConfig()).scrape({ maxPages: 2 }, { runId: 'run-1' });
+
+    expect(requests).toHaveLength(2);
+    expect(result.stats.items.saved).toBe(3);
+  });
+
+  test('moves on to the next start URL when a page fails', async () => {
+    const scraper = createHtmlScraper(yardConfig({
+      startUrls: ['https://yard.example.test/missing', 'https://yard.example.test/transmissions']
+    }));
+
+    const result = await scraper.scrape({ maxRetries: 0 }, { runId: 'run-1' });
+
+    expect(result.status).toBe('success');
+    expect(requests).toEqual(['https://yard.example.test/missing', 'https://yard.example.test/transmissions']);
+    expect(result.stats.pages).toEqual({ processed: 1, errors: 1 });
+    expect([...stored.keys()]).toEqual(['T200']);
+  });
+
+  test('fails the run when the page of the last start URL fails', async () => {
+    const scraper = createHtmlScraper(yardConfig({
+      startUrls: ['https://yard.example.test/transmissions', 'https://yard.example.test/missing']
+    }));
+
+    const result = await scraper.scrape({ maxRetries: 0 }, { runId: 'run-1' });
+
+    expect(result.status).toBe('error');
+    expect(result.stats.items.saved).toBe(1);
+  });
+
+  test('saves items as catalog parts when no persist model is given', async () => {
+    const { stockNumber, year, ...fields } = yardConfig().fields;
+    const scraper = createHtmlScraper(yardConfig({
+      fields: { ...fields, sourceSku: stockNumber, vehicleYear: year },
+      persist: undefined
+    }));
+
+    const result = await scraper.scrape({ maxPages: 1 }, { runId: 'run-1' });
+
+    expect(result.stats.items).toEqual({ extracted: 2, saved: 2, errors: 0 });
+    expect(tx.part.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { source_sourceSku: { source: 'example-yard', sourceSku: 'E100' } }
+    }));
+    expect(stored.get('E100')).toMatchObject({
+      source: 'example-yard',
+      title: '2012 Honda Civic Engine',
+      price: 1250,
+      mileage: 84000,
+      vehicleYear: 2012,
+      url: 'https://yard.example.test/parts/E100',
+      scraperRunId: 'run-1'
+    });
+    expect(validateHtmlScraperConfig(yardConfig({ persist: undefined }))).toEqual([
+      'fields.sourceSku is required when items are saved as parts'
+    ]);
+  });
+
+  test('loadHtmlScrapers registers valid files and skips invalid ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-scrapers-'));
+
+    try {
+      fs.writeFileSync(path.join(dir, 'example-yard.json'), JSON.stringify(yardConfig()));
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{ "name": ');
+      fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a config');
+
+      const scrapers = loadHtmlScrapers(dir);
+      expect(scrapers.map(scraper => scraper.name)).toEqual(['example-yard']);
+      expect(loadHtmlScrapers(path.join(dir, 'missing'))).toEqual([]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+
+const axiosMock = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+  default: axiosMock
+}));
+
+const {
+  ERROR_CLASSES,
+  classifyError,
+  parseRetryAfter,
+  computeBackoff,
+  requestWithRetry
+} = await import('../utils/httpClient.js');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+const fastPolicy = { baseDelay: 1, maxDelay: 5 };
+
+describe('HTTP Client Tests', () => {
+  beforeEach(() => {
+    axiosMock.mockReset();
+  });
+
+  test('classifyError sorts failures into retry classes', () => {
+    expect(classifyError(httpError(503))).toBe(ERROR_CLASSES.RETRYABLE);
+    expect(classifyError(httpError(429))).toBe(ERROR_CLASSES.RETRYABLE);
+    expect(classifyError(httpError(407))).toBe(ERROR_CLASSES.PROXY_FAULT);
+    expect(classifyError(httpError(403))).toBe(ERROR_CLASSES.BLOCKED);
+    expect(classifyError(httpError(400))).toBe(ERROR_CLASSES.FATAL);
+    expect(classifyError(httpError(404))).toBe(ERROR_CLASSES.FATAL);
+    expect(classifyError(networkError('ECONNRESET'))).toBe(ERROR_CLASSES.RETRYABLE);
+    expect(classifyError(networkError('ETIMEDOUT'))).toBe(ERROR_CLASSES.RETRYABLE);
+    expect(classifyError(networkError('ECONNREFUSED'))).toBe(ERROR_CLASSES.PROXY_FAULT);
+    expect(classifyError(new Error('boom'))).toBe(ERROR_CLASSES.FATAL);
+  });
+
+  test('parseRetryAfter reads seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    expect(parseRetryAfter('5')).toBe(5000);
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now)).toBe(10000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+
+  test('computeBackoff grows exponentially, is capped and jittered', () => {
+    const policy = { baseDelay: 1000, maxDelay: 5000, jitter: 0.5 };
+    expect(computeBackoff(1, policy, () => 0)).toBe(1000);
+    expect(computeBackoff(3, policy, () => 0)).toBe(4000);
+    expect(computeBackoff(10, policy, () => 0)).toBe(5000);
+    expect(computeBackoff(3, policy, () => 0.999)).toBeGreaterThanOrEqual(2000);
+  });
+
+  test('requestWithRetry retries retryable failures and records every attempt', async () => {
+    axiosMock
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(networkError('ECONNRESET'))
+      .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+    const attempts = [];
+    const response = await requestWithRetry({ url: 'https://example.com' }, { policy: fastPolicy, attempts });
+
+    expect(response.data).toEqual({ ok: true });
+    expect(attempts.map(a => [a.attempt, a.status, a.classification])).toEqual([
+      [1, 503, 'retryable'],
+      [2, null, 'retryable'],
+      [3, 200, undefined]
+    ]);
+  });
+
+  test('requestWithRetry stops after maxAttempts', async () => {
+    axiosMock.mockRejectedValue(httpError(503));
+
+    await expect(requestWithRetry({ url: 'https://example.com' }, { policy: { ...fastPolicy, maxAttempts: 3 } }))
+      .rejects.toMatchObject({ classification: 'retryable', status: 503, attempts: expect.any(Array) });
+    expect(axiosMock).toHaveBeenCalledTimes(3);
+  });
+
+  test('requestWithRetry does not retry fatal errors', async () => {
+    axiosMock.mockRejectedValue(httpError(400));
+
+    await expect(requestWithRetry({ url: 'https://example.com' }, { policy: fastPolicy }))
+      .rejects.toThrow('failed with status 400 (fatal) after 1 attempt');
+    expect(axiosMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('requestWithRetry honours Retry-After and switches proxy after a proxy fault', async () => {
+    axiosMock
+      .mockRejectedValueOnce(httpError(407))
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '0.02' }))
+      .mockResolvedValueOnce({ status: 200, data: 'ok' });
+
+    const agents = ['proxy-1', 'proxy-2', 'proxy-3'];
+    const attempts = [];
+    await requestWithRetry({ url: 'https://example.com' }, {
+      policy: fastPolicy,
+      attempts,
+      getAgent: () => agents.shift()
+    });
+
+    expect(axiosMock.mock.calls.map(([request]) => request.httpsAgent)).toEqual(['proxy-1', 'proxy-2', 'proxy-3']);
+    expect(attempts[0].delayMs).toBe(0);
+    expect(attempts[1].delayMs).toBe(20);
+  });
+
+  test('requestWithRetry passes errors choosing a proxy to the caller without retrying', async () => {
+    const configError = new Error('No proxy provider configured');
+
+    await expect(requestWithRetry({ url: 'https://example.com' }, {
+      policy: fastPolicy,
+      getAgent: () => {
+        throw configError;
+      }
+    })).rejects.toBe(configError);
+    expect(axiosMock).not.toHaveBeenCalled();
+  });
+
+  test('requestWithRetry gives up when Retry-After exceeds the limit', async () => {
+    axiosMock.mockRejectedValue(httpError(429, { 'retry-after': '3600' }));
+
+    await expect(requestWithRetry({ url: 'https://example.com' }, { policy: fastPolicy })).rejects.toThrow('status 429');
+    expect(axiosMock).toHaveBeenCalledTimes(1);
+  });
+
+  test('requestWithRetry fails attempts rejected by validateResponse with their classification', async () => {
+    axiosMock
+      .mockResolvedValueOnce({ status: 200, data: '<html>Access Denied</html>' })
+      .mockResolvedValueOnce({ status: 200, data: { ok: true } });
+
+    const attempts = [];
+    const validateResponse = (response) => {
+      if (typeof response.data === 'string') {
+        throw Object.assign(new Error('HTML instead of JSON'), { classification: ERROR_CLASSES.RETRYABLE, response });
+      }
+    };
+
+    const response = await requestWithRetry({ url: 'https://example.com' }, { policy: fastPolicy, attempts, validateResponse });
+
+    expect(response.data).toEqual({ ok: true });
+    expect(attempts.map(a => [a.status, a.classification])).toEqual([[200, 'retryable'], [200, undefined]]);
+  });
+});
@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Responses of the live requests, by URL, in order
+let live = {};
+
+jest.unstable_mockModule('axios', () => ({
+  default: jest.fn(async ({ url }) => {
+    const next = live[url].shift();
+    if (next.status >= 400) {
+      throw Object.assign(new Error(`Request failed with status code ${next.status}`), {
+        response: { status: next.status, headers: { 'retry-after': '1' }, data: null }
+      });
+    }
+    if (next.code) {
+      throw Object.assign(new Error(`connect ${next.code}`), { code: next.code });
+    }
+    return { status: 200, headers: { 'content-type': 'application/json', 'set-cookie': ['sid=secret'] }, data: next.data };
+  })
+}));
+
+const { default: axios } = await import('axios');
+const { createHttpRecorder, fixtureKey, fixtureFileName, FixtureMissingError } = await import('../utils/httpRecorder.js');
+
+const URL_A = 'https://www.example.com/api/product?take=50&skip=0';
+
+describe('HTTP Recorder Tests', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    live = {};
+    axios.mockClear();
+  });
+
+  test('keys ignore query parameter order', () => {
+    const key = fixtureKey({ url: URL_A });
+    expect(key).toBe('GET https://www.example.com/api/product?skip=0&take=50');
+    expect(fixtureKey({ url: 'https://www.example.com/api/product?skip=0&take=50', method: 'get' })).toBe(key);
+    expect(fixtureFileName(key)).toMatch(/^api-product-skip-0-take-50-[0-9a-f]{12}\.json$/);
+  });
+
+  test('records every exchange without secrets and replays them in order', async () => {
+    live[URL_A] = [{ status: 503 }, { code: 'ECONNRESET' }, { data: { data: [1, 2] } }];
+    const recorder = createHttpRecorder({ mode: 'record', dir });
+    const request = { method: 'GET', url: URL_A, headers: { Accept: 'application/json', Cookie: 'sid=secret' } };
+
+    await expect(recorder.transport(request)).rejects.toMatchObject({ response: { status: 503 } });
+    await expect(recorder.transport(request)).rejects.toMatchObject({ code: 'ECONNRESET' });
+    await expect(recorder.transport(request)).resolves.toMatchObject({ data: { data: [1, 2] } });
+
+    const [file] = fs.readdirSync(dir);
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    expect(fixture.request.headers).toEqual({ Accept: 'application/json' });
+    expect(fixture.responses.map(r => r.status ?? r.error.code)).toEqual([503, 'ECONNRESET', 200]);
+    expect(JSON.stringify(fixture)).not.toContain('secret');
+    expect(recorder.getSummary()).toMatchObject({ mode: 'record', recorded: 3 });
+
+    axios.mockClear();
+    const replay = createHttpRecorder({ mode: 'replay', dir });
+    await expect(replay.transport({ url: URL_A })).rejects.toMatchObject({ code: 'ERR_BAD_RESPONSE', response: { status: 503 } });
+    await expect(replay.transport({ url: URL_A })).rejects.toMatchObject({ code: 'ECONNRESET' });
+    await expect(replay.transport({ url: URL_A })).resolves.toMatchObject({ status: 200, data: { data: [1, 2] } });
+    // The last exchange keeps answering once the sequence is used up
+    await expect(replay.transport({ url: URL_A })).resolves.toMatchObject({ status: 200 });
+    expect(axios).not.toHaveBeenCalled();
+    expect(replay.getSummary()).toMatchObject({ replayed: 4, missing: 0 });
+  });
+
+  test('a new recording replaces an older one of the same request', async () => {
+    live[URL_A] = [{ data: 'old' }, { data: 'new' }];
+    await createHttpRecorder({ mode: 'record', dir }).transport({ url: URL_A });
+    await createHttpRecorder({ mode: 'record', dir }).transport({ url: URL_A });
+
+    const [file] = fs.readdirSync(dir);
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    expect(fixture.responses.map(r => r.data)).toEqual(['new']);
+  });
+
+  test('replay fails on requests that were never recorded', async () => {
+    const replay = createHttpRecorder({ mode: 'replay', dir });
+
+    await expect(replay.transport({ url: URL_A })).rejects.toBeInstanceOf(FixtureMissingError);
+    expect(replay.getSummary().missing).toBe(1);
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown modes and missing directories', () => {
+    expect(() => createHttpRecorder({ mode: 'rewind', dir })).toThrow('Unknown HTTP mode rewind');
+    expect(() => createHttpRecorder({ mode: 'replay' })).toThrow('needs a fixture directory');
+    expect(createHttpRecorder().mode).toBe('live');
+  });
+});
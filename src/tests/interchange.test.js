@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+const PRODUCTS = [
+  { sku: 'ENG-1', interchange: '400-123', price: 900, mileage: 84000, location: 'Nashville Yard', yardCity: 'Nashville', yardState: 'TN' },
+  { sku: 'ENG-2', interchange: '400-123', price: 650, mileage: 120000, location: 'Nashville Yard', yardCity: 'Nashville', yardState: 'TN' },
+  { sku: 'ENG-3', interchange: '400-123', price: 1200, mileage: 40000, location: 'Chicago Yard', yardCity: 'Chicago', yardState: 'IL' },
+  { sku: 'ENG-4', interchange: '400-123', price: null, mileage: null, location: 'Dallas Yard', yardCity: 'Dallas', yardState: 'TX' },
+  { sku: 'ENG-5', interchange: '', price: 500, mileage: 90000 }
+];
+
+const byPrice = (a, b) => (a.price ?? Infinity) - (b.price ?? Infinity) || a.sku.localeCompare(b.sku);
+
+const matches = (product, where) => product.interchange === where.interchange &&
+  (!where.sku?.not || product.sku !== where.sku.not) &&
+  (!where.price || product.price !== null);
+
+const prismaMock = {
+  lkqProduct: {
+    findMany: jest.fn(async ({ where }) => PRODUCTS.filter(product => matches(product, where)).sort(byPrice)),
+    findFirst: jest.fn(async ({ where }) => PRODUCTS.filter(product => matches(product, where)).sort(byPrice)[0] || null),
+    findUnique: jest.fn(async ({ where }) => PRODUCTS.find(product => product.sku === where.sku) || null),
+    count: jest.fn(async ({ where }) => PRODUCTS.filter(product => matches(product, where)).length)
+  }
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+const { getInterchangeGroup, findCheapestEquivalent } = await import('../services/interchange.js');
+
+describe('Interchange Tests', () => {
+  test('getInterchangeGroup summarizes prices, mileage and yards', async () => {
+    const group = await getInterchangeGroup(' 400-123 ');
+
+    expect(prismaMock.lkqProduct.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { interchange: '400-123' } }));
+    expect(group.listings.map(listing => listing.sku)).toEqual(['ENG-2', 'ENG-1', 'ENG-3', 'ENG-4']);
+    expect(group.summary).toEqual({
+      listings: 4,
+      price: { min: 650, median: 900, max: 1200, listings: 3 },
+      mileage: { min: 40000, max: 120000, spread: 80000, listings: 3 },
+      locations: [
+        { location: 'Nashville Yard', city: 'Nashville', state: 'TN', listings: 2, minPrice: 650 },
+        { location: 'Chicago Yard', city: 'Chicago', state: 'IL', listings: 1, minPrice: 1200 },
+        { location: 'Dallas Yard', city: 'Dallas', state: 'TX', listings: 1, minPrice: null }
+      ]
+    });
+
+    await expect(getInterchangeGroup('999-000')).resolves.toBeNull();
+    await expect(getInterchangeGroup('  ')).resolves.toBeNull();
+  });
+
+  test('findCheapestEquivalent reports the cheapest other listing and the savings', async () => {
+    const result = await findCheapestEquivalent('ENG-3');
+
+    expect(result).toMatchObject({
+      sku: 'ENG-3',
+      interchange: '400-123',
+      price: 1200,
+      cheapest: { sku: 'ENG-2', price: 650 },
+      savings: 550,
+      isCheapest: false,
+      equivalents: 3
+    });
+
+    await expect(findCheapestEquivalent('ENG-2')).resolves.toMatchObject({ cheapest: { sku: 'ENG-1' }, savings: 0, isCheapest: true });
+  });
+
+  test('findCheapestEquivalent handles products without an interchange number', async () => {
+    await expect(findCheapestEquivalent('ENG-5')).resolves.toEqual({
+      sku: 'ENG-5',
+      interchange: null,
+      price: 500,
+      cheapest: null,
+      savings: null,
+      isCheapest: false,
+      equivalents: 0
+    });
+    await expect(findCheapestEquivalent('MISSING')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+const {
+  buildCategoryUrl,
+  extractCategoryFacets,
+  resolveChildPaths,
+  buildCategoryTree
+} = await import('../scrapers/lkq-categories.js');
+
+describe('LKQ Category Discovery Tests', () => {
+  test('buildCategoryUrl encodes the category path', () => {
+    const url = new URL(buildCategoryUrl('Engine Compartment|Engine Assembly'));
+    expect(url.searchParams.get('category')).toBe('Engine Compartment|Engine Assembly');
+    expect(url.searchParams.get('take')).toBe('50');
+  });
+
+  test('extractCategoryFacets reads a named facet list', () => {
+    const facets = extractCategoryFacets({
+      facets: [
+        { name: 'make', values: [{ value: 'Honda', count: 3 }] },
+        { name: 'category', values: [{ value: 'Engine Compartment', count: 120 }, { name: 'Doors', count: 40 }] }
+      ]
+    });
+
+    expect(facets).toEqual([
+      { value: 'Engine Compartment', count: 120 },
+      { value: 'Doors', count: 40 }
+    ]);
+  });
+
+  test('extractCategoryFacets falls back to product categories', () => {
+    const facets = extractCategoryFacets({
+      data: [
+        { categories: ['Engine Compartment|Engine Assembly'] },
+        { categories: ['Engine Compartment|Engine Assembly', 'Doors'] }
+      ]
+    });
+
+    expect(facets).toEqual([
+      { value: 'Engine Compartment|Engine Assembly', count: 2 },
+      { value: 'Doors', count: 1 }
+    ]);
+  });
+
+  test('resolveChildPaths keeps direct children of the queried path', () => {
+    const children = resolveChildPaths('Engine Compartment', [
+      { value: 'Engine Assembly', count: 10 },
+      { value: 'Engine Compartment|Radiator|Fan', count: 2 },
+      { value: 'Doors', count: 5 }
+    ]);
+
+    expect(children).toEqual([
+      { path: 'Engine Compartment|Engine Assembly', count: 10 },
+      { path: 'Engine Compartment|Radiator', count: null },
+      { path: 'Engine Compartment|Doors', count: 5 }
+    ]);
+  });
+
+  test('buildCategoryTree nests categories under their parents', () => {
+    const tree = buildCategoryTree([
+      { path: 'Engine Compartment', parentPath: null },
+      { path: 'Engine Compartment|Engine Assembly', parentPath: 'Engine Compartment' }
+    ]);
+
+    expect(tree).toHaveLength(1);
+    expect(tree[0].children.map(c => c.path)).toEqual(['Engine Compartment|Engine Assembly']);
+  });
+});
@@ -0,0 +1,101 @@
+import { jest } from '@jest/globals';
+
+const findFirst = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({
+    lkqScraperConfig: { findFirst }
+  }))
+}));
+
+const { validateRunOptions, buildRunConfig, resolveRunConfig } = await import('../scrapers/lkq-options.js');
+const { LKQ_CONFIG } = await import('../config/lkq-config.js');
+
+describe('LKQ Run Options Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('validateRunOptions accepts valid options and numeric strings', () => {
+    const { options, errors } = validateRunOptions({
+      maxProducts: '200',
+      maxPages: 3,
+      pageDelay: 0,
+      batchSize: 25,
+      categories: ['Engine Assembly', 'Engine Assembly']
+    });
+
+    expect(errors).toEqual([]);
+    expect(options).toEqual({
+      maxProducts: 200,
+      maxPages: 3,
+      pageDelay: 0,
+      batchSize: 25,
+      categories: ['Engine Assembly']
+    });
+  });
+
+  test('validateRunOptions rejects out of range and malformed values', () => {
+    const { errors } = validateRunOptions({
+      maxProducts: 0,
+      maxPages: 2.5,
+      batchSize: 'many',
+      categories: 'Engine Assembly'
+    });
+
+    expect(errors).toHaveLength(4);
+  });
+
+  test('validateRunOptions checks the HTTP mode and fixture set', () => {
+    expect(validateRunOptions({ httpMode: 'record' })).toEqual({ options: { httpMode: 'record' }, errors: [] });
+    expect(validateRunOptions({ httpMode: 'replay', fixtures: 'bad-run_1' }).errors).toEqual([]);
+    expect(validateRunOptions({ httpMode: 'replay' }).errors).toEqual(['fixtures is required in replay mode']);
+    expect(validateRunOptions({ httpMode: 'rewind' }).errors).toHaveLength(1);
+    expect(validateRunOptions({ fixtures: '../etc' }).errors).toHaveLength(1);
+    expect(validateRunOptions({ fixtures: '..' }).errors).toHaveLength(1);
+  });
+
+  test('buildRunConfig applies options over defaults', () => {
+    const defaults = {
+      categories: LKQ_CONFIG.categories,
+      maxProductsToScrape: 10000,
+      maxPages: 10,
+      pageDelay: 500,
+      batchSize: 50,
+      maxRetries: 3,
+      parallelRequests: 1
+    };
+
+    const { config, errors } = buildRunConfig(defaults, { categories: ['Engine Assembly'], maxProducts: 100 });
+
+    expect(errors).toEqual([]);
+    expect(config.categories).toEqual([LKQ_CONFIG.categories[1]]);
+    expect(config.maxProductsToScrape).toBe(100);
+    expect(config.pageDelay).toBe(500);
+  });
+
+  test('buildRunConfig reports unknown categories', () => {
+    const { errors } = buildRunConfig({ categories: LKQ_CONFIG.categories }, { categories: ['Doors'] });
+    expect(errors).toEqual(['Unknown categories: Doors']);
+  });
+
+  test('resolveRunConfig takes defaults from the stored LKQ scraper config', async () => {
+    findFirst.mockResolvedValue({
+      maxProductsToScrape: 5000,
+      batchSize: 20,
+      categories: ['Transmission or Transaxle Assembly'],
+      rateLimitDelay: 750,
+      maxRetries: 5,
+      parallelRequests: 2
+    });
+
+    const { config, errors } = await resolveRunConfig({});
+
+    expect(errors).toEqual([]);
+    expect(config.categories).toEqual([LKQ_CONFIG.categories[0]]);
+    expect(config.maxProductsToScrape).toBe(5000);
+    expect(config.batchSize).toBe(20);
+    expect(config.pageDelay).toBe(750);
+    expect(config.maxRetries).toBe(5);
+  });
+});
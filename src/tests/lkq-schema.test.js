@@ -0,0 +1,106 @@
+import {
+  createSchemaStats,
+  validateProductPage,
+  mergeSchemaStats,
+  describeSchemaDrift,
+  summarizeSchemaDrift
+} from '../scrapers/lkq-schema.js';
+
+const product = (overrides = {}) => ({
+  id: 'p-1',
+  number: 'ENG-1',
+  description: 'Engine Assembly',
+  descriptionRetail: '2010 Honda Civic Engine Assembly',
+  price: '250.00',
+  availability: 'In Stock',
+  ...overrides
+});
+
+const run = (id, createdAt, fields) => ({
+  id,
+  status: 'completed',
+  createdAt,
+  statistics: { schema: { ...createSchemaStats(), products: 10, fields } }
+});
+
+describe('LKQ Product Schema Tests', () => {
+  test('validateProductPage accepts products that match the schema', () => {
+    const result = validateProductPage({ data: [product(), product({ corePrice: null, price: 199.5 })] });
+
+    expect(result).toMatchObject({ products: 2, invalidProducts: 0, unknownFields: {}, missingFields: {}, typeChanges: {} });
+    expect(result.fields).toMatchObject({ id: 2, price: 2, availability: 2 });
+    expect(result.fields.corePrice).toBeUndefined();
+    expect(describeSchemaDrift(result)).toBeNull();
+  });
+
+  test('validateProductPage counts unknown fields, missing required fields and type changes', () => {
+    const { price, ...renamed } = product();
+    const result = validateProductPage({
+      data: [
+        { ...renamed, salePrice: '250.00' },
+        product({ availability: { status: 'In Stock' } }),
+        product({ images: 'https://images.example.test/1.jpg' }),
+        'not a product'
+      ]
+    });
+
+    expect(result).toMatchObject({
+      products: 4,
+      invalidProducts: 4,
+      unknownFields: { salePrice: 1 },
+      missingFields: { price: 1 },
+      typeChanges: { availability: { object: 1 }, images: { string: 1 } }
+    });
+    expect(describeSchemaDrift(result)).toBe(
+      'unknown fields salePrice; missing required fields price; type changes availability (object), images (string)'
+    );
+  });
+
+  test('validateProductPage ignores pages without a product array', () => {
+    expect(validateProductPage({ message: 'error' })).toEqual(createSchemaStats());
+    expect(validateProductPage(null).products).toBe(0);
+  });
+
+  test('mergeSchemaStats adds page counts to the run totals', () => {
+    const totals = createSchemaStats();
+    mergeSchemaStats(totals, validateProductPage({ data: [product({ salePrice: 1, images: 'x' })] }));
+    mergeSchemaStats(totals, validateProductPage({ data: [product({ salePrice: 2, images: 'y' })] }));
+
+    expect(totals).toMatchObject({
+      products: 2,
+      invalidProducts: 2,
+      unknownFields: { salePrice: 2 },
+      typeChanges: { images: { string: 2 } }
+    });
+    expect(totals.fields.id).toBe(2);
+  });
+
+  test('summarizeSchemaDrift reports new and disappeared fields across runs', () => {
+    const report = summarizeSchemaDrift([
+      run('run-3', '2026-03-03T00:00:00Z', { id: 10, salePrice: 10 }),
+      run('run-1', '2026-03-01T00:00:00Z', { id: 10, price: 10, mileage: 4 }),
+      run('run-2', '2026-03-02T00:00:00Z', { id: 10, price: 10, salePrice: 3 }),
+      { id: 'run-0', status: 'failed', createdAt: '2026-02-28T00:00:00Z', statistics: { pages: { errors: 1 } } }
+    ]);
+
+    expect(report.runs.map(r => r.id)).toEqual(['run-1', 'run-2', 'run-3']);
+    expect(report.newFields).toEqual([
+      { field: 'salePrice', declared: false, firstSeenRun: 'run-2', firstSeenAt: '2026-03-02T00:00:00Z', runs: 2, products: 13 }
+    ]);
+    expect(report.disappearedFields).toEqual([
+      { field: 'mileage', declared: true, required: false, lastSeenRun: 'run-1', lastSeenAt: '2026-03-01T00:00:00Z', runs: 1 },
+      { field: 'price', declared: true, required: true, lastSeenRun: 'run-2', lastSeenAt: '2026-03-02T00:00:00Z', runs: 2 }
+    ]);
+  });
+
+  test('summarizeSchemaDrift returns an empty report without checked runs', () => {
+    expect(summarizeSchemaDrift([])).toEqual({
+      runs: [],
+      newFields: [],
+      disappearedFields: [],
+      unknownFields: {},
+      missingFields: {},
+      typeChanges: {}
+    });
+  });
+});
@@ -0,0 +1,447 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Record and replay tests write their fixtures here
+process.env.HTTP_FIXTURES_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'lkq-fixtures-'));
+// Runs set their own pace; no host ceiling slows the tests down
+process.env.LKQ_HOST_REQUESTS_PER_SECOND = '0';
+
+// Products per category; pages are served from these in slices of 50
+const CATALOG = {
+  'Engine Assembly': 120,
+  'Transmission or Transaxle Assembly': 60
+};
+
+const saved = new Map();
+let activeRequests = 0;
+let peakRequests = 0;
+let activeSaves = 0;
+let peakSaves = 0;
+let runRecord;
+// Statuses returned by the next requests before the catalog is served
+let failures = [];
+// Headers of every API request, and the number of session bootstraps
+let apiRequests = [];
+let bootstraps = 0;
+// Set by replay tests; any network request then fails the test
+let offline = false;
+// Operator request returned to the crawl once this many products are saved: { request, saved }
+let controlRequestAt = null;
+
+const tx = {
+  lkqProduct: {
+    findUnique: jest.fn(async ({ where }) => saved.get(where.sku) || null),
+    upsert: jest.fn(async ({ where, create }) => {
+      const product = { id: `id-${where.sku}`, ...create };
+      saved.set(where.sku, product);
+      return product;
+    })
+  },
+  lkqProductSnapshot: { create: jest.fn() },
+  lkqFitment: { deleteMany: jest.fn(), createMany: jest.fn() },
+  part: { upsert: jest.fn(async ({ create }) => create) }
+};
+
+const prismaMock = {
+  scraperRun: {
+    findUnique: jest.fn(async ({ select }) => (select?.controlRequest
+      ? { controlRequest: controlRequestAt && saved.size >= controlRequestAt.saved ? controlRequestAt.request : null }
+      : runRecord)),
+    update: jest.fn(async ({ data }) => {
+      runRecord = { ...runRecord, ...data };
+      return runRecord;
+    }),
+    create: jest.fn()
+  },
+  lkqRawPage: { upsert: jest.fn() },
+  $transaction: jest.fn(async (fn) => {
+    activeSaves++;
+    peakSaves = Math.max(peakSaves, activeSaves);
+    try {
+      return await fn(tx);
+    } finally {
+      activeSaves--;
+    }
+  })
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+const proxyManagerMock = { getNextProxy: jest.fn(() => undefined), reportResult: () => {}, getProxyId: () => 'direct' };
+
+jest.unstable_mockModule('../services/proxy-manager.js', () => ({
+  default: proxyManagerMock
+}));
+
+jest.unstable_mockModule('axios', () => ({
+  default: jest.fn(async ({ url, headers }) => {
+    if (offline) {
+      throw new Error(`Unexpected network request to ${url}`);
+    }
+
+    // Session bootstrap page
+    if (new URL(url).pathname === '/') {
+      bootstraps++;
+      return { status: 200, headers: { 'set-cookie': [`session=s${bootstraps}; Path=/; HttpOnly`] }, data: '' };
+    }
+
+    apiRequests.push(headers);
+    activeRequests++;
+    peakRequests = Math.max(peakRequests, activeRequests);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    activeRequests--;
+
+    const failure = failures.shift();
+    if (failure) {
+      throw Object.assign(new Error(`Request failed with status code ${failure}`), { response: { status: failure, headers: {} } });
+    }
+
+    const params = new URL(url).searchParams;
+    const category = params.get('category').split('|').pop();
+    const skip = Number(params.get('skip'));
+    const count = Math.max(0, Math.min(50, CATALOG[category] - skip));
+
+    return {
+      status: 200,
+      data: {
+        data: Array.from({ length: count }, (_, i) => ({ number: `${category}-${skip + i}`, price: '10' }))
+      }
+    };
+  })
+}));
+
+const { lkqScraper } = await import('../scrapers/lkq-scraper.js');
+const { LKQ_CONFIG } = await import('../config/lkq-config.js');
+const { getHostRateLimits } = await import('../utils/rateLimiter.js');
+const { ProxyConfigError } = await import('../config/proxy.js');
+
+const runConfig = (overrides = {}) => ({
+  ...LKQ_CONFIG,
+  categories: LKQ_CONFIG.categories,
+  pageDelay: 0,
+  requestsPerSecond: 0,
+  batchSize: 50,
+  ...overrides
+});
+
+describe('LKQ Scraper Concurrency Tests', () => {
+  beforeEach(() => {
+    saved.clear();
+    peakRequests = 0;
+    peakSaves = 0;
+    runRecord = { id: 'run-1', checkpoint: null, statistics: null };
+    failures = [];
+    apiRequests = [];
+    offline = false;
+    controlRequestAt = null;
+  });
+
+  test('fetches pages concurrently and keeps stats consistent', async () => {
+    const result = await lkqScraper.scrape(runConfig({ parallelRequests: 3 }), { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(result.status).toBe('success');
+    expect(peakRequests).toBeGreaterThan(1);
+    expect(peakRequests).toBeLessThanOrEqual(3);
+    expect(peakSaves).toBe(1);
+
+    expect(saved.size).toBe(180);
+    expect(result.stats.products.scraped).toBe(180);
+    expect(result.stats.products.saved).toBe(180);
+    expect(result.stats.categories.processed).toBe(2);
+    expect(result.stats.categories.progress['Engine Assembly'].scraped).toBe(120);
+    expect(result.stats.categories.progress['Transmission or Transaxle Assembly'].scraped).toBe(60);
+    expect(runRecord.checkpoint.categories['Engine Assembly'].done).toBe(true);
+    expect(result.stats.archive).toMatchObject({ pages: result.stats.pages.processed, errors: 0 });
+    expect(prismaMock.lkqRawPage.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { scraperRunId_category_skip: { scraperRunId: 'run-1', category: 'Engine Assembly', skip: 100 } }
+    }));
+  });
+
+  test('never saves more than the product cap across concurrent pages', async () => {
+    const result = await lkqScraper.scrape(
+      runConfig({ parallelRequests: 4, maxProductsToScrape: 70 }),
+      { runId: 'run-1', scraperId: 'scraper-1' }
+    );
+
+    expect(result.status).toBe('success');
+    expect(result.stats.limitReached).toBe('maxProducts');
+    expect(result.stats.products.scraped).toBe(70);
+    expect(saved.size).toBe(70);
+  });
+
+  test('paces a run at its own rate without changing the host\'s shared limit', async () => {
+    const start = Date.now();
+
+    const result = await lkqScraper.scrape(runConfig({ parallelRequests: 3, requestsPerSecond: 20 }), { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(result.status).toBe('success');
+    // The first request goes at once, the others 50ms apart
+    expect(apiRequests.length).toBeGreaterThanOrEqual(5);
+    expect(Date.now() - start).toBeGreaterThanOrEqual((apiRequests.length - 1) * 50 - 10);
+    expect(getHostRateLimits()[new URL(LKQ_CONFIG.baseUrl).host].requestsPerSecond).toBe(LKQ_CONFIG.hostRequestsPerSecond);
+  });
+
+  test('resumes from a checkpoint written before concurrent crawling', async () => {
+    runRecord = {
+      id: 'run-1',
+      checkpoint: { categoryIndex: 1, categoryName: 'Engine Assembly', skip: 100, pageNum: 3 },
+      statistics: null
+    };
+
+    const result = await lkqScraper.scrape(runConfig({ parallelRequests: 2 }), { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(result.status).toBe('success');
+    expect(result.stats.resumes).toBe(1);
+    // Only the last Engine Assembly page is left
+    expect(saved.size).toBe(20);
+  });
+
+  test('keeps discovered categories that share a leaf name apart by path', async () => {
+    const discovered = ['Engine Compartment|Engine Assembly', 'Truck Parts|Engine Assembly'].map(path => ({
+      name: 'Engine Assembly',
+      path,
+      url: `${LKQ_CONFIG.baseUrl}/api/catalog/0/product?catalogId=0&category=${encodeURIComponent(path)}&skip=0&take=50`
+    }));
+
+    const result = await lkqScraper.scrape(runConfig({ categories: discovered }), { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(result.status).toBe('success');
+    expect(result.stats.categories.processed).toBe(2);
+    expect(result.stats.categories.progress['Engine Compartment|Engine Assembly'].scraped).toBe(120);
+    expect(result.stats.categories.progress['Truck Parts|Engine Assembly'].scraped).toBe(120);
+    expect(Object.keys(runRecord.checkpoint.categories)).toEqual(['Engine Compartment|Engine Assembly', 'Truck Parts|Engine Assembly']);
+    expect(prismaMock.lkqRawPage.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { scraperRunId_category_skip: { scraperRunId: 'run-1', category: 'Truck Parts|Engine Assembly', skip: 100 } }
+    }));
+
+    // Resuming only finishes the branch whose checkpoint is not done
+    saved.clear();
+    runRecord = {
+      id: 'run-1',
+      checkpoint: {
+        categories: {
+          'Engine Compartment|Engine Assembly': { nextPage: 4, done: true },
+          'Truck Parts|Engine Assembly': { nextPage: 3, done: false }
+        }
+      },
+      statistics: null
+    };
+
+    const resumed = await lkqScraper.scrape(runConfig({ categories: discovered }), { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(resumed.status).toBe('success');
+    expect(saved.size).toBe(20);
+  });
+
+  test('stops at a pause request with a checkpoint that resumes where it stopped', async () => {
+    controlRequestAt = { request: 'pause', saved: 50 };
+    const config = runConfig({ parallelRequests: 1 });
+
+    const paused = await lkqScraper.scrape(config, { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(paused.status).toBe('paused');
+    expect(saved.size).toBe(50);
+    expect(apiRequests).toHaveLength(1);
+    expect(runRecord.status).toBe('paused');
+    expect(runRecord.controlRequest).toBeNull();
+    expect(runRecord.checkpoint.categories).toEqual({
+      'Transmission or Transaxle Assembly': { nextPage: 2, done: false },
+      'Engine Assembly': { nextPage: 1, done: false }
+    });
+    expect(paused.stats.categories.progress['Transmission or Transaxle Assembly'].status).toBe('paused');
+
+    controlRequestAt = null;
+    const resumed = await lkqScraper.scrape(config, { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(resumed.status).toBe('success');
+    expect(saved.size).toBe(180);
+    // The saved first page is not fetched again
+    expect(apiRequests).toHaveLength(5);
+    expect(resumed.stats.products.scraped).toBe(180);
+  });
+
+  test('stops at a cancel request without crawling further', async () => {
+    controlRequestAt = { request: 'cancel', saved: 50 };
+
+    const result = await lkqScraper.scrape(runConfig({ parallelRequests: 1 }), { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.stats.cancelledAt).toEqual(expect.any(String));
+    expect(saved.size).toBe(50);
+    expect(apiRequests).toHaveLength(1);
+    expect(runRecord.status).toBe('cancelled');
+    expect(result.stats.categories.progress['Engine Assembly']).toBeUndefined();
+  });
+
+  test('records the attempt history of each page', async () => {
+    failures = [503];
+
+    const result = await lkqScraper.scrape(
+      runConfig({ parallelRequests: 1, categories: [LKQ_CONFIG.categories[0]] }),
+      { runId: 'run-1', scraperId: 'scraper-1' }
+    );
+
+    const pageAttempts = result.stats.categories.progress['Transmission or Transaxle Assembly'].pageAttempts;
+    expect(pageAttempts[1].map(attempt => attempt.status)).toEqual([503, 200]);
+    expect(pageAttempts[2].map(attempt => attempt.status)).toEqual([200]);
+    expect(result.stats.requests).toEqual({ attempts: 3, retries: 1, byClassification: { retryable: 1 } });
+    expect(saved.size).toBe(60);
+  });
+
+  test('gives up on a page after maxRetries retries', async () => {
+    failures = [400];
+
+    const result = await lkqScraper.scrape(
+      runConfig({ parallelRequests: 1, maxRetries: 0, categories: [LKQ_CONFIG.categories[0]] }),
+      { runId: 'run-1', scraperId: 'scraper-1' }
+    );
+
+    expect(result.stats.pages.errors).toBe(1);
+    expect(result.stats.requests.byClassification).toEqual({ fatal: 1 });
+  });
+
+  test('keeps failed pages in the checkpoint and fetches them again on resume', async () => {
+    failures = [400];
+    const config = runConfig({ parallelRequests: 1, maxRetries: 0, categories: [LKQ_CONFIG.categories[0]] });
+
+    const first = await lkqScraper.scrape(config, { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(first.stats.pages).toEqual({ processed: 1, errors: 1 });
+    expect(saved.size).toBe(10);
+    expect(runRecord.checkpoint.categories).toEqual({
+      'Transmission or Transaxle Assembly': { nextPage: 3, done: true, failedPages: [1] }
+    });
+
+    apiRequests = [];
+    const resumed = await lkqScraper.scrape(config, { runId: 'run-1', scraperId: 'scraper-1' });
+
+    expect(resumed.status).toBe('success');
+    // Only the failed first page is fetched again
+    expect(apiRequests).toHaveLength(1);
+    expect(saved.size).toBe(60);
+    expect(runRecord.checkpoint.categories['Transmission or Transaxle Assembly']).toEqual({ nextPage: 3, done: true, failedPages: [] });
+  });
+
+  test('fails the run when no proxy provider is configured', async () => {
+    proxyManagerMock.getNextProxy.mockImplementationOnce(() => {
+      throw new ProxyConfigError('No proxy provider configured');
+    });
+
+    const result = await lkqScraper.scrape(
+      runConfig({ parallelRequests: 1, categories: [LKQ_CONFIG.categories[0]] }),
+      { runId: 'run-1', scraperId: 'scraper-1' }
+    );
+
+    expect(result.status).toBe('error');
+    expect(result.error).toBe('No proxy provider configured');
+    expect(apiRequests).toHaveLength(0);
+    expect(result.stats.pages.errors).toBe(0);
+  });
+
+  test('sends the cookies and header profile of a bootstrapped session', async () => {
+    await lkqScraper.scrape(
+      runConfig({ parallelRequests: 1, categories: [LKQ_CONFIG.categories[0]] }),
+      { runId: 'run-1', scraperId: 'scraper-1' }
+    );
+
+    expect(bootstraps).toBeGreaterThan(0);
+    for (const headers of apiRequests) {
+      expect(headers.Cookie).toBe(`session=s${bootstraps}`);
+      expect(headers['User-Agent']).toMatch(/^Mozilla\/5\.0/);
+      expect(headers.Accept).toBe('application/json, text/plain, */*');
+    }
+    expect(new Set(apiRequests.map(headers => headers['User-Agent'])).size).toBe(1);
+  });
+
+  test('starts a new session with another profile after a block', async () => {
+    failures = [403];
+    const bootstrapsBefore = bootstraps;
+
+    await lkqScraper.scrape(
+      runConfig({ parallelRequests: 1, categories: [LKQ_CONFIG.categories[0]] }),
+      { runId: 'run-1', scraperId: 'scraper-1' }
+    );
+
+    const [blocked, retried] = apiRequests;
+    expect(bootstraps).toBe(bootstrapsBefore + 1);
+    expect(retried.Cookie).toBe(`session=s${bootstraps}`);
+    expect(retried['User-Agent']).not.toBe(blocked['User-Agent']);
+    expect(saved.size).toBe(60);
+  });
+
+  test('replays a recorded run without the network', async () => {
+    failures = [503];
+    const categories = [LKQ_CONFIG.categories[0]];
+
+    const recorded = await lkqScraper.scrape(
+      runConfig({ parallelRequests: 1, categories, httpMode: 'record', fixtures: 'replay-test' }),
+      { runId: 'run-1', scraperId: 'scraper-1' }
+    );
+    expect(recorded.stats.http).toMatchObject({ mode: 'record', recorded: 3 });
+
+    saved.clear();
+    runRecord = { id: 'run-2', checkpoint: null, statistics: null };
+    offline = true;
+
+    const replayed = await lkqScraper.scrape(
+      runConfig({ parallelRequests: 1, categories, httpMode: 'replay', fixtures: 'replay-test' }),
+      { runId: 'run-2', scraperId: 'scraper-1' }
+    );
+
+    expect(replayed.status).toBe('success');
+    expect(replayed.stats.http).toMatchObject({ mode: 'replay', replayed: 3, missing: 0 });
+    expect(replayed.stats.requests).toEqual(recorded.stats.requests);
+    expect(saved.size).toBe(60);
+  });
+});
+
+describe('LKQ Product Snapshot Tests', () => {
+  const product = { sku: 'ENG-1', title: 'Engine', price: '850', listPrice: '900', availability: 'In Stock' };
+  // Snapshot rows written since the last clear
+  const snapshots = () => tx.lkqProductSnapshot.create.mock.calls.map(([{ data }]) => data);
+
+  beforeEach(() => {
+    saved.clear();
+    tx.lkqProductSnapshot.create.mockClear();
+  });
+
+  test('writes the first snapshot of a new product', async () => {
+    const results = await lkqScraper.saveProducts([product], 'Engine Assembly', 'run-1');
+
+    expect(results).toMatchObject({ saved: 1, duplicates: 0, changed: 0, errors: 0 });
+    expect(snapshots()).toHaveLength(1);
+    expect(snapshots()[0]).toMatchObject({
+      productId: 'id-ENG-1',
+      sku: 'ENG-1',
+      price: 850,
+      availability: 'In Stock',
+      changedFields: ['price', 'listPrice', 'corePrice', 'availability'],
+      scraperRunId: 'run-1'
+    });
+  });
+
+  test('writes no snapshot when an unchanged product is saved again', async () => {
+    await lkqScraper.saveProducts([product], 'Engine Assembly', 'run-1');
+    const results = await lkqScraper.saveProducts([product], 'Engine Assembly', 'run-2');
+
+    expect(results).toMatchObject({ saved: 1, duplicates: 1, changed: 0 });
+    expect(snapshots()).toHaveLength(1);
+  });
+
+  test('writes a snapshot naming the fields that changed', async () => {
+    await lkqScraper.saveProducts([product], 'Engine Assembly', 'run-1');
+
+    const repriced = await lkqScraper.saveProducts([{ ...product, price: '799.99' }], 'Engine Assembly', 'run-2');
+    expect(repriced).toMatchObject({ saved: 1, changed: 1 });
+    expect(snapshots()[1]).toMatchObject({ price: 799.99, changedFields: ['price'], scraperRunId: 'run-2' });
+
+    const sold = await lkqScraper.saveProducts([{ ...product, price: '799.99', availability: 'Sold' }], 'Engine Assembly', 'run-3');
+    expect(sold).toMatchObject({ saved: 1, changed: 1 });
+    expect(snapshots()[2]).toMatchObject({ availability: 'Sold', changedFields: ['availability'] });
+    expect(snapshots()).toHaveLength(3);
+  });
+});
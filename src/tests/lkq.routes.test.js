@@ -0,0 +1,281 @@
+import { jest } from '@jest/globals';
+
+const runs = new Map();
+const jobs = [];
+
+const prismaMock = {
+  scraperRun: {
+    findUnique: jest.fn(async ({ where }) => runs.get(where.id) || null),
+    update: jest.fn(async ({ where, data }) => {
+      const run = { ...runs.get(where.id), ...data };
+      runs.set(where.id, run);
+      return run;
+    })
+  },
+  scraperJob: {
+    findFirst: jest.fn(async ({ where }) => jobs.find(job => job.name === where.name
+      && where.status.in.includes(job.status)
+      && job.data[where.data.path[0]] === where.data.equals) || null)
+  },
+  lkqRawPage: {
+    count: jest.fn(async () => 3)
+  }
+};
+
+const cancelRunJobs = jest.fn(async () => 1);
+const addJob = jest.fn(async () => ({ id: 'job-3' }));
+const addScraperJob = jest.fn(async () => ({ id: 'job-2' }));
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+jest.unstable_mockModule('../queues/scraper.queue.js', () => ({
+  addJob,
+  addScraperJob,
+  getQueueStatus: jest.fn(),
+  getActiveJobs: jest.fn(),
+  getFailedJobs: jest.fn(),
+  retryJob: jest.fn(),
+  cancelRunJobs
+}));
+
+jest.unstable_mockModule('../scrapers/lkq-categories.js', () => ({ buildCategoryTree: jest.fn() }));
+
+const { default: router } = await import('../api/routes/lkq.routes.js');
+
+/**
+ * Send a request through the router
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the router's mount point
+ * @returns {Promise<Object>} - { status, body }
+ */
+const request = (method, url) => new Promise((resolve, reject) => {
+  const req = { method, url, headers: {}, query: {}, body: {} };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+      return this;
+    }
+  };
+
+  router(req, res, error => reject(error || new Error(`No route for ${method} ${url}`)));
+});
+
+describe('LKQ Run Control Route Tests', () => {
+  beforeEach(() => {
+    runs.clear();
+    jest.clearAllMocks();
+  });
+
+  test('cancels a queued run at once and drops its waiting jobs', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'pending' });
+
+    const { status, body } = await request('POST', '/runs/run-1/cancel');
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ message: 'LKQ scraper run cancelled', runId: 'run-1', status: 'cancelled' });
+    expect(cancelRunJobs).toHaveBeenCalledWith('run-1');
+    // The request stays set for a worker that claimed the job at the same time
+    expect(runs.get('run-1')).toMatchObject({ status: 'cancelled', controlRequest: 'cancel', completedAt: expect.any(Date) });
+  });
+
+  test('pauses a queued run at once without completing it', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'pending' });
+
+    const { status, body } = await request('POST', '/runs/run-1/pause');
+
+    expect(status).toBe(200);
+    expect(body.status).toBe('paused');
+    expect(runs.get('run-1')).toMatchObject({ status: 'paused', controlRequest: 'pause', completedAt: null });
+  });
+
+  test('cancels a paused run at once', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'paused' });
+
+    const { status, body } = await request('POST', '/runs/run-1/cancel');
+
+    expect(status).toBe(200);
+    expect(body.status).toBe('cancelled');
+    expect(runs.get('run-1').status).toBe('cancelled');
+  });
+
+  test('asks an active run to stop after the current page', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'running' });
+
+    const { status, body } = await request('POST', '/runs/run-1/pause');
+
+    expect(status).toBe(202);
+    expect(body).toEqual({ message: 'LKQ scraper run will be paused after the current page', runId: 'run-1', status: 'running' });
+    expect(runs.get('run-1')).toEqual({ id: 'run-1', status: 'running', controlRequest: 'pause' });
+    expect(cancelRunJobs).not.toHaveBeenCalled();
+  });
+
+  test('refuses to stop a finished run', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'completed' });
+
+    const { status, body } = await request('POST', '/runs/run-1/cancel');
+
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'Run cannot be cancelled while completed', status: 'completed' });
+    expect(prismaMock.scraperRun.update).not.toHaveBeenCalled();
+  });
+
+  test('refuses to pause a paused run', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'paused' });
+
+    const { status } = await request('POST', '/runs/run-1/pause');
+
+    expect(status).toBe(409);
+  });
+
+  test('answers 404 for an unknown run', async () => {
+    const { status, body } = await request('POST', '/runs/missing/cancel');
+
+    expect(status).toBe(404);
+    expect(body).toEqual({ error: 'Scraper run not found' });
+  });
+});
+
+describe('LKQ Run Polling Route Tests', () => {
+  beforeEach(() => {
+    runs.clear();
+    jest.clearAllMocks();
+  });
+
+  test('returns the run with its statistics and jobs', async () => {
+    const statistics = { pagesProcessed: 3, productsSaved: 120, duplicates: 4, categories: { 'Engine Assembly': { skip: 72 } } };
+    runs.set('run-1', { id: 'run-1', status: 'running', statistics, jobs: [{ id: 'job-1', status: 'active' }] });
+
+    const { status, body } = await request('GET', '/runs/run-1');
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ id: 'run-1', status: 'running', statistics, jobs: [{ id: 'job-1', status: 'active' }] });
+    expect(prismaMock.scraperRun.findUnique.mock.calls[0][0]).toMatchObject({
+      where: { id: 'run-1' },
+      include: { jobs: { orderBy: { createdAt: 'desc' } } }
+    });
+  });
+
+  test('answers 404 for an unknown run', async () => {
+    const { status } = await request('GET', '/runs/missing');
+
+    expect(status).toBe(404);
+  });
+});
+
+describe('LKQ Run Resume Route Tests', () => {
+  const checkpoint = { categoryIndex: 1, skip: 48, pageNum: 3 };
+  const config = { maxProductsToScrape: 100, categories: [{ name: 'Doors' }, { name: 'Engine Assembly' }] };
+
+  beforeEach(() => {
+    runs.clear();
+    jest.clearAllMocks();
+  });
+
+  test('requeues a failed run from its checkpoint with its stored config', async () => {
+    runs.set('run-1', { id: 'run-1', scraperId: 'scraper-1', status: 'failed', error: 'blocked', completedAt: new Date(), config, checkpoint, jobs: [] });
+
+    const { status, body } = await request('POST', '/runs/run-1/resume');
+
+    expect(status).toBe(202);
+    expect(body).toEqual({ message: 'LKQ scraper run resumed', runId: 'run-1', jobId: 'job-2', checkpoint });
+    expect(addScraperJob).toHaveBeenCalledWith({ scraperId: 'scraper-1', runId: 'run-1', config });
+    // The checkpoint is left in place for the scraper to continue from
+    expect(runs.get('run-1')).toMatchObject({ status: 'pending', error: null, completedAt: null, controlRequest: null, checkpoint });
+  });
+
+  test('resumes a paused run', async () => {
+    runs.set('run-1', { id: 'run-1', scraperId: 'scraper-1', status: 'paused', controlRequest: 'pause', config, checkpoint, jobs: [] });
+
+    const { status } = await request('POST', '/runs/run-1/resume');
+
+    expect(status).toBe(202);
+    expect(runs.get('run-1').controlRequest).toBeNull();
+  });
+
+  test('resumes an interrupted run with the config of its last job', async () => {
+    runs.set('run-1', {
+      id: 'run-1',
+      scraperId: 'scraper-1',
+      status: 'running',
+      config: null,
+      checkpoint,
+      jobs: [{ id: 'job-1', status: 'failed', data: { config } }]
+    });
+
+    const { status } = await request('POST', '/runs/run-1/resume');
+
+    expect(status).toBe(202);
+    expect(addScraperJob).toHaveBeenCalledWith({ scraperId: 'scraper-1', runId: 'run-1', config });
+  });
+
+  test('refuses to resume a run that still has a live job', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'running', checkpoint, jobs: [{ id: 'job-1', status: 'active' }] });
+
+    const { status, body } = await request('POST', '/runs/run-1/resume');
+
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'Run cannot be resumed while running', status: 'running' });
+    expect(addScraperJob).not.toHaveBeenCalled();
+  });
+
+  test('refuses to resume a completed run', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'completed', jobs: [] });
+
+    const { status } = await request('POST', '/runs/run-1/resume');
+
+    expect(status).toBe(409);
+    expect(prismaMock.scraperRun.update).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for an unknown run', async () => {
+    const { status } = await request('POST', '/runs/missing/resume');
+
+    expect(status).toBe(404);
+    expect(addScraperJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('LKQ Run Reprocess Route Tests', () => {
+  beforeEach(() => {
+    runs.clear();
+    jobs.length = 0;
+    jest.clearAllMocks();
+  });
+
+  test('queues a reprocess of a finished run', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'completed' });
+
+    const { status, body } = await request('POST', '/runs/run-1/reprocess');
+
+    expect(status).toBe(202);
+    expect(body).toEqual({ message: 'LKQ scraper run reprocess queued', runId: 'run-1', jobId: 'job-3', pages: 3 });
+    expect(addJob).toHaveBeenCalledWith('reprocess-run', { reprocessRunId: 'run-1', batchSize: 50 }, { attempts: 1 });
+  });
+
+  test('refuses a second reprocess while one is queued or running', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'completed' });
+    jobs.push({ id: 'job-1', name: 'reprocess-run', status: 'active', data: { reprocessRunId: 'run-1', batchSize: 50 } });
+
+    const { status, body } = await request('POST', '/runs/run-1/reprocess');
+
+    expect(status).toBe(409);
+    expect(body).toEqual({ error: 'Run is already being reprocessed', jobId: 'job-1', status: 'active' });
+    expect(addJob).not.toHaveBeenCalled();
+  });
+
+  test('reprocesses a run again once its earlier reprocess has finished', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'completed' });
+    jobs.push({ id: 'job-1', name: 'reprocess-run', status: 'completed', data: { reprocessRunId: 'run-1', batchSize: 50 } });
+
+    const { status } = await request('POST', '/runs/run-1/reprocess');
+
+    expect(status).toBe(202);
+  });
+});
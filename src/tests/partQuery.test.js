@@ -0,0 +1,42 @@
+import { buildPartFilters, buildPartQuery } from '../utils/partQuery.js';
+
+describe('Part Query Tests', () => {
+  test('buildPartFilters maps vehicle aliases, ranges and the title search', () => {
+    const { where, errors } = buildPartFilters({
+      source: 'lkq',
+      make: 'Honda',
+      year: '2012',
+      minPrice: '100',
+      maxMileage: '90000',
+      q: 'engine'
+    });
+
+    expect(errors).toEqual([]);
+    expect(where).toEqual({
+      source: { equals: 'lkq', mode: 'insensitive' },
+      vehicleMake: { equals: 'Honda', mode: 'insensitive' },
+      vehicleYear: { equals: 2012 },
+      price: { gte: 100 },
+      mileage: { lte: 90000 },
+      title: { contains: 'engine', mode: 'insensitive' }
+    });
+  });
+
+  test('buildPartQuery validates sorting, fields and limit', () => {
+    const { args, errors } = buildPartQuery({ sort: 'price', fields: 'source,price', limit: '5' });
+
+    expect(errors).toEqual([]);
+    expect(args).toMatchObject({
+      orderBy: [{ price: 'asc' }, { id: 'asc' }],
+      take: 6,
+      select: { id: true, source: true, price: true }
+    });
+
+    expect(buildPartQuery({ sort: 'companyCode', fields: 'ftcDisplay', limit: '0', minYear: 'new' }).errors).toEqual([
+      'minYear must be a number',
+      'limit must be an integer between 1 and 500',
+      'sort must be one of: price, mileage, vehicleYear, sourceSku, createdAt, updatedAt',
+      'Unknown fields: ftcDisplay'
+    ]);
+  });
+});
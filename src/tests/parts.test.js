@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({}))
+}));
+
+const { normalizePart, upsertPart } = await import('../services/parts.js');
+const { mapLkqProductToPart } = await import('../scrapers/lkq-part-mapper.js');
+
+describe('Parts Catalog Tests', () => {
+  test('normalizePart coerces values and drops unknown conditions', () => {
+    expect(normalizePart({
+      source: 'example-yard',
+      sourceSku: ' E100 ',
+      title: '2012 Honda Civic Engine',
+      price: '$1,250.00',
+      condition: 'Salvage',
+      mileage: '84,000 miles',
+      vehicleYear: '2012',
+      vehicleMake: '',
+      images: 'https://yard.example.test/E100.jpg'
+    })).toEqual({
+      source: 'example-yard',
+      sourceSku: 'E100',
+      title: '2012 Honda Civic Engine',
+      description: null,
+      price: 1250,
+      condition: null,
+      category: null,
+      mileage: 84000,
+      vehicleYear: 2012,
+      vehicleMake: null,
+      vehicleModel: null,
+      location: null,
+      city: null,
+      state: null,
+      images: ['https://yard.example.test/E100.jpg'],
+      url: null
+    });
+
+    expect(() => normalizePart({ source: 'lkq', title: 'Engine' })).toThrow('part has no sourceSku');
+  });
+
+  test('maps an LKQ product as saved by saveProducts', () => {
+    const part = normalizePart(mapLkqProductToPart({
+      sku: 'ENG-1',
+      title: '2012 Honda Civic Engine Assembly',
+      description: 'Engine Assembly Honda Civic',
+      descriptionRetail: '',
+      price: 250,
+      isReman: true,
+      category: 'Engine Assembly',
+      mileage: 84000,
+      sourceVehicleYear: '2012',
+      sourceVehicleMake: 'Honda',
+      sourceVehicleModel: 'Civic',
+      location: 'Nashville Yard',
+      yardCity: 'Nashville',
+      yardState: 'TN',
+      imageUrl: 'https://images.example.test/main.jpg',
+      images: JSON.stringify([{ url: 'https://images.example.test/side.jpg' }, 'https://images.example.test/main.jpg']),
+      productUrl: ''
+    }));
+
+    expect(part).toMatchObject({
+      source: 'lkq',
+      sourceSku: 'ENG-1',
+      description: 'Engine Assembly Honda Civic',
+      condition: 'remanufactured',
+      vehicleYear: 2012,
+      city: 'Nashville',
+      state: 'TN',
+      images: ['https://images.example.test/side.jpg', 'https://images.example.test/main.jpg'],
+      url: null
+    });
+  });
+
+  test('upsertPart upserts by source and source SKU', async () => {
+    const client = { part: { upsert: jest.fn(async ({ create }) => create) } };
+
+    await upsertPart(client, { source: 'lkq', sourceSku: 'ENG-1', title: 'Engine' }, 'run-1');
+
+    expect(client.part.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { source_sourceSku: { source: 'lkq', sourceSku: 'ENG-1' } },
+      create: expect.objectContaining({ sourceSku: 'ENG-1', scraperRunId: 'run-1' })
+    }));
+  });
+});
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Writable } from 'stream';
+
+const findMany = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({
+    lkqProduct: { findMany }
+  }))
+}));
+
+// Read when the export service is imported
+process.env.EXPORT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'product-export-'));
+
+const { exportProducts, processExportJob, getExportFilePath, flattenProduct, toCsvCell } = await import('../services/product-export.js');
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const product = {
+  id: '1',
+  sku: 'ENG-1',
+  title: 'Engine, 1.8L "R18"',
+  price: 850,
+  yardState: 'IL',
+  fitments: JSON.stringify([{ Year: '2012', Make: 'Honda', Model: 'Civic', Trim: 'LX' }]),
+  images: JSON.stringify(['https://example.com/a.jpg', { url: 'https://example.com/b.jpg' }]),
+  pricing: JSON.stringify({ retail: 900, core: { amount: 50 } }),
+  updatedAt: new Date('2025-04-01T00:00:00Z')
+};
+
+describe('Product Export Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Drops results a test queued but never read
+    findMany.mockReset();
+  });
+
+  test('flattenProduct turns JSON columns into readable values', () => {
+    const row = flattenProduct(product);
+
+    expect(row.fitments).toBe('2012 Honda Civic LX');
+    expect(row.imageUrls).toBe('https://example.com/a.jpg | https://example.com/b.jpg');
+    expect(row.pricing).toBe('retail=900; core.amount=50');
+    expect(row.updatedAt).toBe('2025-04-01T00:00:00.000Z');
+  });
+
+  test('toCsvCell quotes cells with separators and quotes', () => {
+    expect(toCsvCell('plain')).toBe('plain');
+    expect(toCsvCell('a,b')).toBe('"a,b"');
+    expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(toCsvCell(null)).toBe('');
+  });
+
+  test('exportProducts streams CSV with filters applied to the query', async () => {
+    findMany.mockResolvedValueOnce([product]);
+    const output = new PassThrough();
+
+    const [rows, csv] = await Promise.all([
+      exportProducts(output, { format: 'csv', filters: { yardState: 'IL' } }),
+      collect(output)
+    ]);
+
+    const lines = csv.toString().trim().split('\n');
+    expect(rows).toBe(1);
+    expect(lines).toHaveLength(2);
+    expect(lines[0].startsWith('sku,title,')).toBe(true);
+    expect(lines[1]).toContain('"Engine, 1.8L ""R18"""');
+    expect(findMany.mock.calls[0][0].where).toEqual({ yardState: { equals: 'IL', mode: 'insensitive' } });
+  });
+
+  test('exportProducts writes one JSON object per line for NDJSON', async () => {
+    findMany.mockResolvedValueOnce([product, { ...product, id: '2', sku: 'ENG-2' }]);
+    const output = new PassThrough();
+
+    const [, ndjson] = await Promise.all([
+      exportProducts(output, { format: 'ndjson' }),
+      collect(output)
+    ]);
+
+    const skus = ndjson.toString().trim().split('\n').map(line => JSON.parse(line).sku);
+    expect(skus).toEqual(['ENG-1', 'ENG-2']);
+  });
+
+  test('exportProducts writes an XLSX workbook', async () => {
+    findMany.mockResolvedValueOnce([product]);
+    const output = new PassThrough();
+
+    const [rows, xlsx] = await Promise.all([
+      exportProducts(output, { format: 'xlsx' }),
+      collect(output)
+    ]);
+
+    expect(rows).toBe(1);
+    // XLSX files are zip archives
+    expect(xlsx.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  test('exportProducts rejects when the destination closes while waiting for drain', async () => {
+    findMany.mockResolvedValueOnce([product, { ...product, id: '2', sku: 'ENG-2' }]);
+    // Never acknowledges a write, like a client that stopped reading
+    const output = new Writable({ highWaterMark: 1, write: () => {} });
+
+    const exporting = exportProducts(output, { format: 'csv' });
+    setImmediate(() => output.destroy());
+
+    await expect(exporting).rejects.toThrow('closed before the export finished');
+  });
+
+  test('exportProducts rejects a destination that is already closed', async () => {
+    const output = new PassThrough();
+    output.destroy();
+
+    await expect(exportProducts(output, { format: 'csv' })).rejects.toThrow('already closed');
+    expect(findMany).not.toHaveBeenCalled();
+  });
+
+  test('exportProducts rejects formats inherited from Object.prototype', async () => {
+    await expect(exportProducts(new PassThrough(), { format: 'constructor' })).rejects.toThrow('Unsupported export format: constructor');
+    expect(findMany).not.toHaveBeenCalled();
+  });
+
+  test('processExportJob rejects when the export file cannot be written', async () => {
+    findMany.mockResolvedValueOnce([product]);
+    const job = { id: 'blocked', data: { format: 'csv', filters: {} } };
+    // A directory in place of the file makes the write stream fail
+    fs.mkdirSync(getExportFilePath(job.id, 'csv'), { recursive: true });
+
+    await expect(processExportJob(job)).rejects.toThrow(/EISDIR/);
+  });
+
+  test('processExportJob writes the export file', async () => {
+    findMany.mockResolvedValueOnce([product]);
+
+    const result = await processExportJob({ id: 'written', data: { format: 'ndjson', filters: {} } });
+
+    expect(result.rows).toBe(1);
+    expect(JSON.parse(fs.readFileSync(result.file, 'utf8')).sku).toBe('ENG-1');
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.EXPORT_DIR, { recursive: true, force: true });
+  });
+});
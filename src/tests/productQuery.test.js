@@ -0,0 +1,60 @@
+import { buildProductFilters, buildProductQuery, toProductPage } from '../utils/productQuery.js';
+
+describe('Product Query Tests', () => {
+  test('buildProductFilters maps vehicle aliases, ranges and flags', () => {
+    const { where, errors } = buildProductFilters({
+      make: 'Honda',
+      model: 'Civic',
+      yardState: 'IL',
+      minPrice: '100',
+      maxPrice: '500',
+      maxMileage: '90000',
+      isReman: 'false'
+    });
+
+    expect(errors).toEqual([]);
+    expect(where).toEqual({
+      sourceVehicleMake: { equals: 'Honda', mode: 'insensitive' },
+      sourceVehicleModel: { equals: 'Civic', mode: 'insensitive' },
+      yardState: { equals: 'IL', mode: 'insensitive' },
+      price: { gte: 100, lte: 500 },
+      mileage: { lte: 90000 },
+      isReman: false
+    });
+  });
+
+  test('buildProductFilters rejects malformed values', () => {
+    const { errors } = buildProductFilters({ minPrice: 'cheap', isReman: 'maybe' });
+    expect(errors).toHaveLength(2);
+  });
+
+  test('buildProductQuery builds sorting, selection and cursor arguments', () => {
+    const { args, limit, errors } = buildProductQuery({
+      sort: '-price',
+      fields: 'sku,price',
+      limit: '10',
+      cursor: 'abc'
+    });
+
+    expect(errors).toEqual([]);
+    expect(limit).toBe(10);
+    expect(args.orderBy).toEqual([{ price: 'desc' }, { id: 'desc' }]);
+    expect(args.select).toEqual({ id: true, sku: true, price: true });
+    expect(args.take).toBe(11);
+    expect(args.cursor).toEqual({ id: 'abc' });
+    expect(args.skip).toBe(1);
+  });
+
+  test('buildProductQuery rejects unknown sort fields, fields and limits', () => {
+    const { errors } = buildProductQuery({ sort: 'title', fields: 'sku,secret', limit: '0' });
+    expect(errors).toHaveLength(3);
+  });
+
+  test('toProductPage returns a cursor only when more rows exist', () => {
+    expect(toProductPage([{ id: '1' }, { id: '2' }, { id: '3' }], 2)).toEqual({
+      items: [{ id: '1' }, { id: '2' }],
+      nextCursor: '2'
+    });
+    expect(toProductPage([{ id: '1' }], 2)).toEqual({ items: [{ id: '1' }], nextCursor: null });
+  });
+});
@@ -0,0 +1,77 @@
+import { chainRateLimiters, createTokenBucket, getHostRateLimiter } from '../utils/rateLimiter.js';
+import { createConcurrencyLimit, mapWithConcurrency } from '../utils/concurrency.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Rate Limiter Tests', () => {
+  test('token bucket spaces acquisitions at the configured rate', async () => {
+    const bucket = createTokenBucket({ requestsPerSecond: 20 });
+    const start = Date.now();
+
+    await Promise.all([bucket.acquire(), bucket.acquire(), bucket.acquire(), bucket.acquire()]);
+
+    // The first token is available at once, the other three follow 50ms apart
+    expect(Date.now() - start).toBeGreaterThanOrEqual(140);
+  });
+
+  test('token bucket without a rate does not wait', async () => {
+    const bucket = createTokenBucket({ requestsPerSecond: 0 });
+    const start = Date.now();
+
+    await Promise.all(Array.from({ length: 10 }, () => bucket.acquire()));
+
+    expect(Date.now() - start).toBeLessThan(50);
+  });
+
+  test('host limiters are shared per host', () => {
+    const first = getHostRateLimiter('https://www.lkqonline.com/api/catalog/0/product?skip=0', 5);
+    const second = getHostRateLimiter('https://www.lkqonline.com/api/catalog/0/product?skip=50', 1);
+    const other = getHostRateLimiter('https://example.com/', 5);
+
+    expect(second).toBe(first);
+    expect(other).not.toBe(first);
+    expect(first.getState().requestsPerSecond).toBe(5);
+  });
+
+  test('chained limiters wait for every limiter in turn', async () => {
+    const fast = createTokenBucket({ requestsPerSecond: 100 });
+    const slow = createTokenBucket({ requestsPerSecond: 20 });
+    const chained = chainRateLimiters(fast, undefined, slow);
+    const start = Date.now();
+
+    await Promise.all([chained.acquire(), chained.acquire(), chained.acquire()]);
+
+    // The slower limiter sets the pace, and the faster one keeps its own state
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+    expect(fast.getState().requestsPerSecond).toBe(100);
+  });
+
+  test('concurrency limit never runs more tasks than allowed', async () => {
+    const limit = createConcurrencyLimit(2);
+    let active = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => limit(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(10);
+      active--;
+      return n * 2;
+    })));
+
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(peak).toBe(2);
+  });
+
+  test('mapWithConcurrency keeps item order and passes rejections on', async () => {
+    const results = await mapWithConcurrency(['a', 'b', 'c'], 2, async (item, index) => {
+      await sleep(item === 'a' ? 20 : 1);
+      return `${item}${index}`;
+    });
+    expect(results).toEqual(['a0', 'b1', 'c2']);
+
+    await expect(mapWithConcurrency([1], 1, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+  });
+});
@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+
+const findMany = jest.fn();
+const upsert = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({
+    lkqRawPage: { findMany, upsert }
+  }))
+}));
+
+const {
+  RAW_ARCHIVE_BATCH_SIZE,
+  compressPayload,
+  decompressPayload,
+  archiveRawPage,
+  forEachArchivedPage
+} = await import('../services/raw-archive.js');
+
+describe('Raw Archive Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('compressPayload round-trips a response body', () => {
+    const data = { data: Array.from({ length: 50 }, (_, i) => ({ number: `ENG-${i}`, price: '250.00' })), totalCount: 50 };
+    const { body, size } = compressPayload(data);
+
+    expect(size).toBe(JSON.stringify(data).length);
+    expect(body.length).toBeLessThan(size);
+    expect(decompressPayload(body)).toEqual(data);
+  });
+
+  test('archiveRawPage upserts the page by run, category and offset', async () => {
+    const result = await archiveRawPage({
+      runId: 'run-1',
+      category: 'Engine Assembly',
+      url: 'https://www.lkqonline.com/api/catalog/0/product?skip=50&take=50',
+      skip: 50,
+      take: 50,
+      data: { data: [{ number: 'ENG-1' }, { number: 'ENG-2' }] }
+    });
+
+    expect(result).toEqual({ size: expect.any(Number), compressedSize: expect.any(Number) });
+    const [{ where, create }] = upsert.mock.calls[0];
+    expect(where).toEqual({ scraperRunId_category_skip: { scraperRunId: 'run-1', category: 'Engine Assembly', skip: 50 } });
+    expect(create).toMatchObject({ scraperRunId: 'run-1', take: 50, productCount: 2 });
+    expect(decompressPayload(create.body).data).toHaveLength(2);
+  });
+
+  test('archiveRawPage reports a failed write without throwing', async () => {
+    upsert.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(archiveRawPage({ runId: 'run-1', category: 'Engine Assembly', url: 'https://example.com', skip: 0, take: 50, data: {} }))
+      .resolves.toBeNull();
+  });
+
+  test('forEachArchivedPage walks every page in batches', async () => {
+    const pages = Array.from({ length: RAW_ARCHIVE_BATCH_SIZE + 3 }, (_, i) => ({
+      id: `page-${String(i).padStart(3, '0')}`,
+      category: 'Engine Assembly',
+      skip: i * 50,
+      body: compressPayload({ data: [{ number: `ENG-${i}` }] }).body
+    }));
+
+    findMany.mockImplementation(async ({ take, cursor }) => {
+      const start = cursor ? pages.findIndex(page => page.id === cursor.id) + 1 : 0;
+      return pages.slice(start, start + take);
+    });
+
+    const seen = [];
+    const visited = await forEachArchivedPage('run-1', async (page) => {
+      seen.push(page.data.data[0].number);
+    });
+
+    expect(visited).toBe(pages.length);
+    expect(findMany).toHaveBeenCalledTimes(2);
+    expect(seen[0]).toBe('ENG-0');
+    expect(seen[seen.length - 1]).toBe(`ENG-${pages.length - 1}`);
+  });
+});
@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+
+const prismaMock = {
+  scraperRun: { findFirst: jest.fn() },
+  scraperSchedule: { update: jest.fn(), updateMany: jest.fn() },
+  lkqScraperConfig: { findFirst: jest.fn() },
+  lkqCategory: { findMany: jest.fn() }
+};
+
+const queueScraperRun = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+jest.unstable_mockModule('../queues/scraper.queue.js', () => ({
+  queueScraperRun
+}));
+
+const { getNextFireTime, validateSchedule, fireSchedule } = await import('../services/scheduler.js');
+const { registerScraper } = await import('../scrapers/index.js');
+
+// A scraper without resolveConfig(), validated against its config schema alone
+registerScraper('example-yard', {
+  description: 'Example yard listings',
+  scrape: jest.fn(),
+  configSchema: {
+    maxPages: { type: 'integer', min: 1, max: 50 },
+    pageDelay: { type: 'integer', min: 0, max: 60000 }
+  }
+});
+
+const schedule = {
+  id: 'schedule-1',
+  name: 'nightly',
+  scraperId: 'scraper-1',
+  scraper: { name: 'lkq' },
+  cron: '0 3 * * *',
+  timezone: 'UTC',
+  categories: ['Engine Assembly'],
+  options: { maxProducts: 10 },
+  overlapPolicy: 'skip',
+  nextRunAt: new Date('2026-01-01T03:00:00Z'),
+  lastOutcome: null
+};
+
+describe('Scheduler Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prismaMock.scraperSchedule.updateMany.mockResolvedValue({ count: 1 });
+    prismaMock.lkqScraperConfig.findFirst.mockResolvedValue(null);
+    prismaMock.lkqCategory.findMany.mockResolvedValue([]);
+    queueScraperRun.mockResolvedValue({ run: { id: 'run-2' }, job: { id: 'job-2' } });
+  });
+
+  test('getNextFireTime honours the time zone', () => {
+    const from = new Date('2026-01-01T12:00:00Z');
+    expect(getNextFireTime('0 3 * * *', 'UTC', from).toISOString()).toBe('2026-01-02T03:00:00.000Z');
+    expect(getNextFireTime('0 3 * * *', 'America/Chicago', from).toISOString()).toBe('2026-01-02T09:00:00.000Z');
+  });
+
+  test('validateSchedule requires a name and a valid cron expression', () => {
+    const { errors } = validateSchedule({ cron: 'every night' });
+    expect(errors).toEqual([
+      'name must be a non-empty string',
+      'cron must be a valid cron expression, e.g. "0 3 * * *"'
+    ]);
+  });
+
+  test('validateSchedule keeps valid fields and run options', () => {
+    const { data, errors } = validateSchedule({
+      name: ' nightly ',
+      cron: '0 3 * * *',
+      timezone: 'America/Chicago',
+      categories: ['Engine Assembly'],
+      options: { maxProducts: '500' },
+      overlapPolicy: 'queue'
+    });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      name: 'nightly',
+      cron: '0 3 * * *',
+      timezone: 'America/Chicago',
+      categories: ['Engine Assembly'],
+      options: { maxProducts: 500 },
+      overlapPolicy: 'queue'
+    });
+  });
+
+  test('validateSchedule only checks provided fields for updates', () => {
+    expect(validateSchedule({ enabled: false }, { partial: true })).toEqual({ data: { enabled: false }, errors: [] });
+    expect(validateSchedule({ overlapPolicy: 'replace' }, { partial: true }).errors).toEqual([
+      'overlapPolicy must be one of: skip, queue'
+    ]);
+  });
+
+  test('fireSchedule queues a run and moves the next fire time on', async () => {
+    prismaMock.scraperRun.findFirst.mockResolvedValue(null);
+    const now = new Date('2026-01-01T03:00:05Z');
+
+    const outcome = await fireSchedule(schedule, now);
+
+    expect(outcome).toBe('queued');
+    const [scraperId, config] = queueScraperRun.mock.calls[0];
+    expect(scraperId).toBe('scraper-1');
+    expect(config.categories.map(category => category.name)).toEqual(['Engine Assembly']);
+    expect(config.maxProductsToScrape).toBe(10);
+    expect(prismaMock.scraperSchedule.updateMany).toHaveBeenCalledWith({
+      where: { id: 'schedule-1', nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt: new Date('2026-01-02T03:00:00Z'), lastRunAt: now }
+    });
+    expect(prismaMock.scraperSchedule.update).toHaveBeenCalledWith({
+      where: { id: 'schedule-1' },
+      data: { lastOutcome: 'queued', lastError: null, lastRunId: 'run-2' }
+    });
+  });
+
+  test('fireSchedule records an error when the schedule no longer resolves', async () => {
+    prismaMock.scraperRun.findFirst.mockResolvedValue(null);
+
+    const outcome = await fireSchedule({ ...schedule, categories: ['Doors'] });
+
+    expect(outcome).toBe('error');
+    expect(queueScraperRun).not.toHaveBeenCalled();
+    expect(prismaMock.scraperSchedule.update).toHaveBeenCalledWith({
+      where: { id: 'schedule-1' },
+      data: { lastOutcome: 'error', lastError: 'Unknown categories: Doors' }
+    });
+  });
+
+  test('fireSchedule skips when the previous run is unfinished', async () => {
+    prismaMock.scraperRun.findFirst.mockResolvedValue({ id: 'run-1', status: 'running' });
+
+    const outcome = await fireSchedule(schedule, new Date('2026-01-01T03:00:05Z'));
+
+    expect(outcome).toBe('skipped');
+    expect(queueScraperRun).not.toHaveBeenCalled();
+    expect(prismaMock.scraperSchedule.updateMany).toHaveBeenCalled();
+  });
+
+  test('fireSchedule with the queue policy waits without moving the fire time', async () => {
+    prismaMock.scraperRun.findFirst.mockResolvedValue({ id: 'run-1', status: 'running' });
+
+    const outcome = await fireSchedule({ ...schedule, overlapPolicy: 'queue' });
+
+    expect(outcome).toBe('waiting');
+    expect(prismaMock.scraperSchedule.updateMany).not.toHaveBeenCalled();
+    expect(prismaMock.scraperSchedule.update).toHaveBeenCalledWith({
+      where: { id: 'schedule-1' },
+      data: { lastOutcome: 'waiting' }
+    });
+  });
+
+  test('fireSchedule does nothing when another process claimed the firing', async () => {
+    prismaMock.scraperRun.findFirst.mockResolvedValue(null);
+    prismaMock.scraperSchedule.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await fireSchedule(schedule)).toBeNull();
+    expect(queueScraperRun).not.toHaveBeenCalled();
+  });
+
+  test('validateSchedule checks run options against the schema of the scheduled scraper', () => {
+    const { data, errors } = validateSchedule({ options: { maxPages: '5', maxProducts: 10 } }, { partial: true, scraperName: 'example-yard' });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({ options: { maxPages: 5 } });
+    expect(validateSchedule({ options: { maxPages: 500 } }, { partial: true, scraperName: 'example-yard' }).errors).toEqual([
+      'maxPages must be an integer between 1 and 50'
+    ]);
+    expect(validateSchedule({ options: {} }, { partial: true, scraperName: 'missing' }).errors).toEqual([
+      'Scraper missing cannot be scheduled'
+    ]);
+  });
+
+  test('fireSchedule resolves the run config of a scraper other than LKQ through the registry', async () => {
+    prismaMock.scraperRun.findFirst.mockResolvedValue(null);
+
+    const outcome = await fireSchedule({
+      ...schedule,
+      scraper: { name: 'example-yard' },
+      categories: null,
+      options: { maxPages: 3, pageDelay: 0 }
+    });
+
+    expect(outcome).toBe('queued');
+    expect(queueScraperRun).toHaveBeenCalledWith('scraper-1', { maxPages: 3, pageDelay: 0 });
+  });
+});
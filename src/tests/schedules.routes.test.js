@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+
+const scrapers = new Map();
+
+const prismaMock = {
+  scraper: {
+    upsert: jest.fn(async ({ where, create }) => {
+      if (!scrapers.has(where.name)) {
+        scrapers.set(where.name, { id: `scraper-${scrapers.size + 1}`, ...create });
+      }
+      return scrapers.get(where.name);
+    })
+  },
+  scraperSchedule: {
+    create: jest.fn(async ({ data }) => ({ id: 'schedule-1', ...data }))
+  }
+};
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+jest.unstable_mockModule('../queues/scraper.queue.js', () => ({
+  queueScraperRun: jest.fn()
+}));
+
+const { default: router } = await import('../api/routes/schedules.routes.js');
+const { registerScraper } = await import('../scrapers/index.js');
+
+// A registered scraper without resolveConfig() that has never been run
+registerScraper('example-yard', {
+  description: 'Example yard listings',
+  scrape: jest.fn(),
+  configSchema: {
+    maxPages: { type: 'integer', min: 1, max: 50 }
+  }
+});
+
+/**
+ * Send a request through the router
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the router's mount point
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - { status, body }
+ */
+const request = (method, url, body = {}) => new Promise((resolve, reject) => {
+  const req = { method, url, headers: {}, query: {}, body };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      resolve({ status: this.statusCode, body: payload });
+      return this;
+    }
+  };
+
+  router(req, res, error => reject(error || new Error(`No route for ${method} ${url}`)));
+});
+
+describe('Schedule Route Tests', () => {
+  beforeEach(() => {
+    scrapers.clear();
+    jest.clearAllMocks();
+  });
+
+  test('schedules a registered scraper that has never run and creates its record', async () => {
+    const { status, body } = await request('POST', '/', {
+      scraper: 'example-yard',
+      name: 'nightly',
+      cron: '0 3 * * *',
+      options: { maxPages: 5 }
+    });
+
+    expect(status).toBe(201);
+    expect(prismaMock.scraper.upsert).toHaveBeenCalledWith({
+      where: { name: 'example-yard' },
+      update: {},
+      create: { name: 'example-yard', description: 'Example yard listings', enabled: true }
+    });
+    expect(body).toMatchObject({ scraperId: 'scraper-1', name: 'nightly', options: { maxPages: 5 }, nextRunAt: expect.any(Date) });
+  });
+
+  test('answers 404 for a scraper that is not registered', async () => {
+    const { status, body } = await request('POST', '/', { scraper: 'unknown-yard', name: 'nightly', cron: '0 3 * * *' });
+
+    expect(status).toBe(404);
+    expect(body).toMatchObject({ error: 'Scraper unknown-yard not found', scrapers: expect.arrayContaining(['lkq', 'example-yard']) });
+    expect(prismaMock.scraper.upsert).not.toHaveBeenCalled();
+    expect(prismaMock.scraperSchedule.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,278 @@
+import { jest } from '@jest/globals';
+
+// In-memory ScraperJob and ScraperRun tables
+const jobs = new Map();
+const runs = new Map();
+let nextJobId = 1;
+// SQL of every claim query
+let claimQueries = [];
+
+/**
+ * Check a record against the subset of Prisma where clauses the queue uses
+ * @param {Object} record - Table row
+ * @param {Object} where - Where clause
+ * @returns {boolean} - Whether the row matches
+ */
+const matches = (record, where = {}) => Object.entries(where).every(([field, condition]) => {
+  const value = record[field];
+
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return (condition.in === undefined || condition.in.includes(value)) &&
+      (condition.lt === undefined || (value !== null && value < condition.lt)) &&
+      (condition.lte === undefined || (value !== null && value <= condition.lte)) &&
+      (condition.gt === undefined || (value !== null && value > condition.gt));
+  }
+  return value === condition;
+});
+
+const prismaMock = {
+  scraperJob: {
+    create: jest.fn(async ({ data }) => {
+      const job = {
+        id: `job-${nextJobId++}`,
+        status: 'waiting',
+        attemptsMade: 0,
+        lockedAt: null,
+        lockedBy: null,
+        startedAt: null,
+        completedAt: null,
+        failedReason: null,
+        // Creation order breaks priority ties
+        createdAt: new Date(Date.now() + nextJobId),
+        ...data
+      };
+      jobs.set(job.id, job);
+      return job;
+    }),
+    findUnique: jest.fn(async ({ where }) => jobs.get(where.id) || null),
+    update: jest.fn(async ({ where, data }) => {
+      const job = { ...jobs.get(where.id), ...data };
+      jobs.set(where.id, job);
+      return job;
+    }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const matched = [...jobs.values()].filter(job => matches(job, where));
+      matched.forEach(job => jobs.set(job.id, { ...job, ...data }));
+      return { count: matched.length };
+    })
+  },
+  scraperRun: {
+    findUnique: jest.fn(async ({ where }) => runs.get(where.id) || null),
+    update: jest.fn(async ({ where, data }) => {
+      const run = { ...runs.get(where.id), ...data };
+      runs.set(where.id, run);
+      return run;
+    })
+  },
+  scraper: {
+    findUnique: jest.fn(async ({ where }) => ({ id: where.id, name: 'lkq' }))
+  },
+  // Stands in for the claim query: the oldest of the highest priority runnable jobs becomes active
+  $queryRaw: jest.fn(async (strings, workerId) => {
+    claimQueries.push(strings.join('?'));
+
+    const now = new Date();
+    const [job] = [...jobs.values()]
+      .filter(candidate => candidate.status === 'waiting' && candidate.runAt <= now)
+      .sort((a, b) => b.priority - a.priority || a.createdAt - b.createdAt);
+
+    if (!job) {
+      return [];
+    }
+
+    const claimed = { ...job, status: 'active', lockedAt: now, lockedBy: workerId, startedAt: now, attemptsMade: job.attemptsMade + 1 };
+    jobs.set(job.id, claimed);
+    return [claimed];
+  })
+};
+
+const runScraper = jest.fn();
+const processExportJob = jest.fn();
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+jest.unstable_mockModule('../scrapers/index.js', () => ({ runScraper }));
+jest.unstable_mockModule('../services/product-export.js', () => ({ processExportJob }));
+jest.unstable_mockModule('../scrapers/lkq-categories.js', () => ({ processDiscoveryJob: jest.fn() }));
+jest.unstable_mockModule('../scrapers/lkq-reprocess.js', () => ({ processReprocessJob: jest.fn() }));
+jest.unstable_mockModule('../services/fitment.js', () => ({ processFitmentBackfillJob: jest.fn() }));
+jest.unstable_mockModule('../services/parts.js', () => ({ processPartBackfillJob: jest.fn() }));
+
+const {
+  addJob,
+  addScraperJob,
+  addExportJob,
+  startQueueWorker,
+  stopQueueWorker,
+  retryJob,
+  cancelRunJobs
+} = await import('../queues/scraper.queue.js');
+
+/**
+ * Wait until a condition holds, failing after a second
+ * @param {Function} condition - Returns true once the state is reached
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  const deadline = Date.now() + 1000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+/**
+ * Put a job straight into the table
+ * @param {Object} job - Job fields over the defaults of a waiting scrape job of run-1
+ * @returns {Object} - The stored job
+ */
+const insertJob = (job) => {
+  const record = {
+    id: `job-${nextJobId++}`,
+    name: 'scrape',
+    data: { scraperId: 'scraper-1', runId: 'run-1', config: {} },
+    status: 'waiting',
+    priority: 0,
+    attemptsMade: 0,
+    maxAttempts: 3,
+    backoffDelay: 1000,
+    runAt: new Date(Date.now() - 1000),
+    createdAt: new Date(Date.now() - 1000 + nextJobId),
+    lockedAt: null,
+    lockedBy: null,
+    completedAt: null,
+    scraperRunId: null,
+    ...job
+  };
+  jobs.set(record.id, record);
+  return record;
+};
+
+describe('Scraper Queue Tests', () => {
+  beforeEach(() => {
+    jobs.clear();
+    runs.clear();
+    claimQueries = [];
+    jest.clearAllMocks();
+    runScraper.mockResolvedValue({ status: 'success', stats: { pages: 1 } });
+  });
+
+  afterEach(async () => {
+    await stopQueueWorker();
+  });
+
+  test('claims jobs with FOR UPDATE SKIP LOCKED, highest priority first', async () => {
+    const order = [];
+    runScraper.mockImplementation(async (name, { runId }) => {
+      order.push(runId);
+      return { status: 'success', stats: { pages: 1 } };
+    });
+
+    const low = await addScraperJob({ scraperId: 'scraper-1', runId: 'low', config: {} });
+    const high = await addScraperJob({ scraperId: 'scraper-1', runId: 'high', config: {} }, { priority: 5 });
+    // Held by another worker, so never claimed here
+    const locked = insertJob({ status: 'active', lockedBy: 'other-host:1', lockedAt: new Date() });
+
+    startQueueWorker({ concurrency: 1, pollInterval: 60000 });
+    await waitFor(() => jobs.get(low.id).status === 'completed' && jobs.get(high.id).status === 'completed');
+
+    expect(order).toEqual(['high', 'low']);
+    expect(claimQueries[0]).toContain('FOR UPDATE SKIP LOCKED');
+    expect(claimQueries[0]).toContain('ORDER BY "priority" DESC, "createdAt" ASC');
+    expect(jobs.get(high.id)).toMatchObject({ status: 'completed', attemptsMade: 1, lockedBy: null });
+    expect(runs.get('high')).toMatchObject({ status: 'completed', statistics: { pages: 1 } });
+    expect(jobs.get(locked.id)).toMatchObject({ status: 'active', lockedBy: 'other-host:1' });
+  });
+
+  test('retries a failed job after an exponential backoff', async () => {
+    runScraper.mockRejectedValue(new Error('blocked'));
+    const job = insertJob({ attemptsMade: 1, backoffDelay: 1000 });
+
+    const before = Date.now();
+    startQueueWorker({ concurrency: 1, pollInterval: 60000 });
+    await waitFor(() => jobs.get(job.id).failedReason === 'blocked');
+
+    const retried = jobs.get(job.id);
+    expect(retried).toMatchObject({ status: 'waiting', attemptsMade: 2, lockedBy: null, failedReason: 'blocked' });
+    expect(runs.get('run-1')).toMatchObject({ status: 'pending', error: 'blocked' });
+    // Second attempt failed: 1000ms * 2^(2 - 1)
+    expect(retried.runAt.getTime() - before).toBeGreaterThanOrEqual(2000);
+    expect(retried.runAt.getTime() - Date.now()).toBeLessThanOrEqual(2000);
+  });
+
+  test('fails the job and its run after the last attempt', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'processing', startedAt: new Date() });
+    runScraper.mockRejectedValue(new Error('blocked'));
+    const job = insertJob({
+      scraperRunId: 'run-1',
+      attemptsMade: 2,
+      maxAttempts: 3
+    });
+
+    startQueueWorker({ concurrency: 1, pollInterval: 60000 });
+    await waitFor(() => jobs.get(job.id).status === 'failed');
+
+    expect(jobs.get(job.id)).toMatchObject({ attemptsMade: 3, failedReason: 'blocked', lockedBy: null });
+    expect(jobs.get(job.id).completedAt).toBeInstanceOf(Date);
+    expect(runs.get('run-1')).toMatchObject({ status: 'failed', error: 'blocked' });
+  });
+
+  test('recovers jobs whose worker stopped sending heartbeats', async () => {
+    const stale = insertJob({ status: 'active', lockedBy: 'dead-host:1', lockedAt: new Date(Date.now() - 10 * 60 * 1000), attemptsMade: 1 });
+    const alive = insertJob({ status: 'active', lockedBy: 'other-host:1', lockedAt: new Date(Date.now() - 1000), attemptsMade: 1 });
+
+    startQueueWorker({ concurrency: 1, pollInterval: 60000 });
+    await waitFor(() => jobs.get(stale.id).status === 'completed');
+
+    expect(jobs.get(stale.id)).toMatchObject({ attemptsMade: 2, failedReason: 'Worker stopped responding' });
+    expect(jobs.get(alive.id)).toMatchObject({ status: 'active', lockedBy: 'other-host:1' });
+  });
+
+  test('retryJob requeues a failed job with fresh attempts and resets its run', async () => {
+    runs.set('run-1', { id: 'run-1', status: 'failed', error: 'blocked', completedAt: new Date() });
+    const failed = insertJob({ status: 'failed', attemptsMade: 3, completedAt: new Date(), scraperRunId: 'run-1' });
+    const completed = insertJob({ status: 'completed', attemptsMade: 1, completedAt: new Date() });
+
+    const job = await retryJob(failed.id);
+
+    expect(job).toMatchObject({ id: failed.id, status: 'waiting', attemptsMade: 0, completedAt: null });
+    expect(runs.get('run-1')).toMatchObject({ status: 'pending', error: null, completedAt: null });
+    expect(await retryJob(completed.id)).toBeNull();
+    expect(jobs.get(completed.id).status).toBe('completed');
+  });
+
+  test('cancelRunJobs cancels only the waiting jobs of the run', async () => {
+    const waiting = insertJob({ scraperRunId: 'run-1' });
+    const active = insertJob({ scraperRunId: 'run-1', status: 'active', lockedBy: 'other-host:1', lockedAt: new Date() });
+    const otherRun = insertJob({ scraperRunId: 'run-2' });
+
+    expect(await cancelRunJobs('run-1')).toBe(1);
+
+    expect(jobs.get(waiting.id).status).toBe('cancelled');
+    expect(jobs.get(waiting.id).completedAt).toBeInstanceOf(Date);
+    expect(jobs.get(active.id).status).toBe('active');
+    expect(jobs.get(otherRun.id).status).toBe('waiting');
+  });
+
+  test('hands each job type to its own processor', async () => {
+    processExportJob.mockResolvedValue({ rows: 12 });
+
+    const job = await addExportJob({ format: 'csv' });
+    startQueueWorker({ concurrency: 1, pollInterval: 60000 });
+    await waitFor(() => jobs.get(job.id).status === 'completed');
+
+    expect(job).toMatchObject({ name: 'export', maxAttempts: 1, scraperRunId: null });
+    expect(processExportJob).toHaveBeenCalledWith(expect.objectContaining({ id: job.id, data: { format: 'csv' } }));
+    expect(runScraper).not.toHaveBeenCalled();
+    expect(jobs.get(job.id).result).toEqual({ rows: 12 });
+  });
+
+  test('addJob rejects unknown job types', async () => {
+    await expect(addJob('unknown', {})).rejects.toThrow('Unknown job type: unknown');
+    expect(prismaMock.scraperJob.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+
+const prismaMock = {
+  scraper: {
+    findUnique: jest.fn(),
+    create: jest.fn(async ({ data }) => ({ id: 'scraper-1', ...data }))
+  },
+  scraperRun: {
+    findMany: jest.fn(async () => []),
+    count: jest.fn(async () => 0)
+  },
+  lkqScraperConfig: { findFirst: jest.fn(async () => null) },
+  lkqCategory: { findMany: jest.fn(async () => []) }
+};
+
+const queueScraperRun = jest.fn(async () => ({ run: { id: 'run-1' }, job: { id: 'job-1' } }));
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => prismaMock)
+}));
+
+jest.unstable_mockModule('../queues/scraper.queue.js', () => ({
+  queueScraperRun,
+  getQueueStatus: jest.fn()
+}));
+
+const { default: router } = await import('../api/routes/scrapers.routes.js');
+
+/**
+ * Send a request through the router
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the router's mount point
+ * @param {Object} options - { body, query }
+ * @returns {Promise<Object>} - { status, body }
+ */
+const request = (method, url, { body = {}, query = {} } = {}) => new Promise((resolve, reject) => {
+  const req = { method, url, headers: {}, query, body };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      resolve({ status: this.statusCode, body: payload });
+      return this;
+    }
+  };
+
+  router(req, res, error => reject(error || new Error(`No route for ${method} ${url}`)));
+});
+
+describe('Scraper Run Route Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prismaMock.scraper.findUnique.mockResolvedValue({ id: 'scraper-1', name: 'lkq' });
+  });
+
+  test('queues a run and answers with its ID without waiting for the crawl', async () => {
+    const { status, body } = await request('POST', '/lkq/run', {
+      body: { maxProducts: '25', categories: ['Engine Assembly'], priority: 2 }
+    });
+
+    expect(status).toBe(202);
+    expect(body).toMatchObject({ message: 'lkq scraper job queued', runId: 'run-1', jobId: 'job-1' });
+
+    const [scraperId, config, options] = queueScraperRun.mock.calls[0];
+    expect(scraperId).toBe('scraper-1');
+    expect(config.maxProductsToScrape).toBe(25);
+    expect(config.categories.map(category => category.name)).toEqual(['Engine Assembly']);
+    expect(options).toEqual({ priority: 2, delay: 0 });
+  });
+
+  test('creates the scraper record on its first run', async () => {
+    prismaMock.scraper.findUnique.mockResolvedValue(null);
+
+    const { status } = await request('POST', '/lkq/run');
+
+    expect(status).toBe(202);
+    expect(prismaMock.scraper.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ name: 'lkq', enabled: true })
+    });
+  });
+
+  test('rejects invalid run options before queueing anything', async () => {
+    const { status, body } = await request('POST', '/lkq/run', {
+      body: { maxProducts: 0, categories: ['Doors'] }
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Invalid run options');
+    expect(body.details).toEqual(expect.arrayContaining([expect.stringContaining('maxProducts')]));
+    expect(queueScraperRun).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for a scraper that is not registered', async () => {
+    const { status, body } = await request('POST', '/missing/run');
+
+    expect(status).toBe(404);
+    expect(body.scrapers).toContain('lkq');
+  });
+
+  test('lists runs filtered by status and creation date', async () => {
+    prismaMock.scraperRun.findMany.mockResolvedValue([{ id: 'run-1', status: 'failed' }]);
+    prismaMock.scraperRun.count.mockResolvedValue(1);
+
+    const { status, body } = await request('GET', '/lkq/runs', {
+      query: { status: 'failed, paused', from: '2026-01-01', limit: '500' }
+    });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ runs: [{ id: 'run-1', status: 'failed' }], total: 1, limit: 100, offset: 0 });
+    expect(prismaMock.scraperRun.findMany.mock.calls[0][0]).toMatchObject({
+      where: {
+        scraper: { name: 'lkq' },
+        status: { in: ['failed', 'paused'] },
+        createdAt: { gte: new Date('2026-01-01') }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    });
+  });
+
+  test('rejects run list dates that do not parse', async () => {
+    const { status } = await request('GET', '/lkq/runs', { query: { to: 'yesterday' } });
+
+    expect(status).toBe(400);
+    expect(prismaMock.scraperRun.findMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+
+let bootstrapRequests = [];
+
+jest.unstable_mockModule('axios', () => ({
+  default: jest.fn(async (request) => {
+    bootstrapRequests.push(request);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return { status: 200, headers: { 'set-cookie': ['sid=abc; Path=/; HttpOnly', 'pref=1; Path=/api; Max-Age=60'] }, data: '' };
+  })
+}));
+
+const { createCookieJar, parseSetCookie } = await import('../utils/cookieJar.js');
+const { SessionManager } = await import('../services/session-manager.js');
+
+const PROFILES = [
+  { name: 'one', headers: { 'User-Agent': 'UA-1' } },
+  { name: 'two', headers: { 'User-Agent': 'UA-2' } }
+];
+
+describe('Cookie Jar Tests', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  test('sends cookies that match the domain, path and scheme', () => {
+    const jar = createCookieJar();
+    jar.setCookies([
+      'a=1; Path=/',
+      'b=2; Path=/api',
+      'c=3; Domain=.example.com; Path=/',
+      'd=4; Path=/; Secure'
+    ], 'https://www.example.com/', now);
+
+    expect(jar.getCookieHeader('https://www.example.com/api/catalog', now)).toBe('b=2; a=1; c=3; d=4');
+    expect(jar.getCookieHeader('http://www.example.com/other', now)).toBe('a=1; c=3');
+    expect(jar.getCookieHeader('https://shop.example.com/', now)).toBe('c=3');
+    expect(jar.getCookieHeader('https://www.example.com/apiary', now)).toBe('a=1; c=3; d=4');
+  });
+
+  test('expires and replaces cookies', () => {
+    const jar = createCookieJar();
+    jar.setCookies(['a=1; Max-Age=10', 'b=2; Expires=Wed, 31 Dec 2025 00:00:00 GMT'], 'https://example.com/', now);
+    expect(jar.getCookieHeader('https://example.com/', now)).toBe('a=1');
+    expect(jar.getCookieHeader('https://example.com/', now + 11000)).toBe('');
+
+    jar.setCookies('a=1', 'https://example.com/', now);
+    jar.setCookies('a=2', 'https://example.com/', now);
+    expect(jar.getCookieHeader('https://example.com/', now)).toBe('a=2');
+
+    jar.setCookies('a=gone; Max-Age=0', 'https://example.com/', now);
+    expect(jar.size()).toBe(0);
+  });
+
+  test('rejects cookies for other domains', () => {
+    const url = new URL('https://www.example.com/');
+    expect(parseSetCookie('a=1; Domain=evil.com', url)).toBeNull();
+    expect(parseSetCookie('novalue', url)).toBeNull();
+    expect(parseSetCookie('a=b=c; Path=/x', url)).toMatchObject({ name: 'a', value: 'b=c', path: '/x', hostOnly: true });
+  });
+});
+
+describe('Session Manager Tests', () => {
+  beforeEach(() => {
+    bootstrapRequests = [];
+  });
+
+  test('bootstraps a session once and applies its profile and cookies', async () => {
+    const sessions = new SessionManager({ profiles: PROFILES, bootstrapUrl: 'https://www.example.com/' });
+    const request = { url: 'https://www.example.com/api/catalog', headers: { Accept: 'application/json' } };
+
+    const [first, second] = await Promise.all([
+      sessions.prepareRequest(request, 'proxy-1'),
+      sessions.prepareRequest(request, 'proxy-1')
+    ]);
+
+    expect(bootstrapRequests).toHaveLength(1);
+    expect(bootstrapRequests[0].headers['User-Agent']).toBe('UA-1');
+    expect(first.headers).toEqual({ Accept: 'application/json', 'User-Agent': 'UA-1', Cookie: 'pref=1; sid=abc' });
+    expect(second.headers).toEqual(first.headers);
+  });
+
+  test('gives each key its own profile and cookie jar', async () => {
+    const sessions = new SessionManager({ profiles: PROFILES });
+    const url = 'https://www.example.com/api';
+
+    await sessions.prepareRequest({ url }, 'proxy-1');
+    sessions.applyResponse('proxy-1', { headers: { 'set-cookie': ['only=one'] } }, url);
+
+    const one = await sessions.prepareRequest({ url }, 'proxy-1');
+    const two = await sessions.prepareRequest({ url }, 'proxy-2');
+
+    expect(one.headers).toEqual({ 'User-Agent': 'UA-1', Cookie: 'only=one' });
+    expect(two.headers).toEqual({ 'User-Agent': 'UA-2' });
+    expect(bootstrapRequests).toHaveLength(0);
+  });
+
+  test('replaces sessions that are invalidated, too old or used up', async () => {
+    let now = 0;
+    const sessions = new SessionManager({ profiles: PROFILES, maxAge: 1000, maxRequests: 2 });
+    sessions.now = () => now;
+
+    const first = sessions.getSession('proxy-1');
+    expect(sessions.getSession('proxy-1')).toBe(first);
+
+    now = 1000;
+    const second = sessions.getSession('proxy-1');
+    expect(second).not.toBe(first);
+    expect(second.profile.name).toBe('two');
+
+    await sessions.prepareRequest({ url: 'https://example.com/' }, 'proxy-1');
+    await sessions.prepareRequest({ url: 'https://example.com/' }, 'proxy-1');
+    expect(sessions.getSession('proxy-1')).not.toBe(second);
+
+    expect(sessions.invalidate('proxy-1', 'HTTP 403')).toBe(true);
+    expect(sessions.invalidate('proxy-1')).toBe(false);
+  });
+
+  test('describes sessions without cookie values', async () => {
+    const sessions = new SessionManager({ name: 'lkq', profiles: PROFILES, bootstrapUrl: 'https://www.example.com/' });
+    await sessions.prepareRequest({ url: 'https://www.example.com/api' }, 'proxy-1');
+
+    const [session] = sessions.getSessions();
+    expect(session).toMatchObject({ id: 'lkq-1', key: 'proxy-1', profile: 'one', cookies: 2, requests: 1 });
+    expect(JSON.stringify(sessions.getSessions())).not.toContain('abc');
+  });
+});
@@ -0,0 +1,56 @@
+// Rows read per batch when a backfill walks a table
+export const BACKFILL_BATCH_SIZE = 500;
+
+/**
+ * Save items in batches, one transaction per batch
+ * A failed statement aborts the whole transaction on Postgres, so a batch that fails is
+ * rolled back and its items are saved again one transaction each. Only items whose
+ * transaction committed are counted as saved.
+ * @param {Object} client - Prisma client
+ * @param {Array} items - Items to save
+ * @param {Object} options - Save options
+ * @param {number} options.batchSize - Items saved per transaction
+ * @param {Function} options.save - async (tx, item) => result, run inside the transaction
+ * @param {Function} options.onBatchError - Called with (error, batch) when a batch transaction fails
+ * @param {Function} options.onItemError - Called with (error, item) when an item cannot be saved on its own
+ * @returns {Promise<Object>} - { saved, errors, results } with the results of the committed saves
+ */
+export async function saveInBatches(client, items, { batchSize = 50, save, onBatchError = () => {}, onItemError = () => {} }) {
+  const totals = { saved: 0, errors: 0, results: [] };
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+
+    try {
+      const results = await client.$transaction(async (tx) => {
+        const batchResults = [];
+        for (const item of batch) {
+          batchResults.push(await save(tx, item));
+        }
+        return batchResults;
+      });
+
+      totals.saved += batch.length;
+      totals.results.push(...results);
+      continue;
+    } catch (error) {
+      onBatchError(error, batch);
+    }
+
+    for (const item of batch) {
+      try {
+        totals.results.push(await client.$transaction(tx => save(tx, item)));
+        totals.saved++;
+      } catch (error) {
+        onItemError(error, item);
+        totals.errors++;
+      }
+    }
+  }
+
+  return totals;
+}
+
+export default {
+  saveInBatches
+};
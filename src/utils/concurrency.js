@@ -0,0 +1,49 @@
+/**
+ * Create a limit that runs at most `concurrency` tasks at once, in the order they were added
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {Function} - limit(task) that resolves with the result of task()
+ */
+export function createConcurrencyLimit(concurrency) {
+  const max = Math.max(1, concurrency || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Map items through an async function with at most `concurrency` calls in flight
+ * @param {Array} items - Items to map
+ * @param {number} concurrency - Maximum number of calls in flight
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in the order of the items
+ */
+export function mapWithConcurrency(items, concurrency, fn) {
+  const limit = createConcurrencyLimit(concurrency);
+  return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
+
+export default {
+  createConcurrencyLimit,
+  mapWithConcurrency
+};
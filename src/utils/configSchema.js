@@ -0,0 +1,113 @@
+// Field types a run configuration schema can declare
+export const CONFIG_FIELD_TYPES = ['integer', 'number', 'boolean', 'string', 'enum', 'array'];
+
+/**
+ * Validate one field against its rule
+ * @param {string} key - Field name
+ * @param {*} value - Provided value, never undefined or null
+ * @param {Object} rule - Field rule
+ * @returns {Object} - { value } with the normalized value, or { error }
+ */
+const validateField = (key, value, rule) => {
+  switch (rule.type) {
+    case 'integer':
+    case 'number': {
+      const integer = rule.type === 'integer';
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      const valid = integer ? Number.isInteger(number) : typeof number === 'number' && Number.isFinite(number);
+      const min = rule.min ?? -Infinity;
+      const max = rule.max ?? Infinity;
+
+      if (!valid || number < min || number > max) {
+        const range = rule.min !== undefined && rule.max !== undefined ? ` between ${rule.min} and ${rule.max}` : '';
+        return { error: `${key} must be ${integer ? 'an integer' : 'a number'}${range}` };
+      }
+      return { value: number };
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return { value };
+      }
+      if (value === 'true' || value === 'false') {
+        return { value: value === 'true' };
+      }
+      return { error: `${key} must be a boolean` };
+
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '' || (rule.pattern && !rule.pattern.test(value))) {
+        return { error: rule.message || `${key} must be a non-empty string` };
+      }
+      return { value: value.trim() };
+
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        return { error: `${key} must be one of ${rule.values.join(', ')}` };
+      }
+      return { value };
+
+    case 'array': {
+      const label = rule.label || 'strings';
+      if (!Array.isArray(value) || value.length === 0) {
+        return { error: `${key} must be a non-empty array of ${label}` };
+      }
+      if (!value.every(item => typeof item === 'string' && item.trim() !== '')) {
+        return { error: `${key} must only contain ${label}` };
+      }
+      return { value: [...new Set(value.map(item => item.trim()))] };
+    }
+
+    default:
+      return { error: `${key} has an unsupported type ${rule.type}` };
+  }
+};
+
+/**
+ * Validate run options against a scraper's config schema
+ * Only fields the schema declares are read; missing optional fields are left out of the options.
+ * @param {Object} schema - Field rules keyed by option name: { type, min, max, values, pattern, message, label, required, description }
+ * @param {Object} input - Raw options, e.g. a request body
+ * @returns {Object} - { options, errors }
+ */
+export function validateConfig(schema, input = {}) {
+  const options = {};
+  const errors = [];
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = input?.[key];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        errors.push(`${key} is required`);
+      }
+      continue;
+    }
+
+    const result = validateField(key, value, rule);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      options[key] = result.value;
+    }
+  }
+
+  return { options, errors };
+}
+
+/**
+ * Describe a config schema for API clients
+ * @param {Object} schema - Field rules keyed by option name
+ * @returns {Object} - The rules in JSON form, with patterns as strings
+ */
+export function describeConfigSchema(schema = {}) {
+  return Object.fromEntries(Object.entries(schema).map(([key, { pattern, message, ...rule }]) => [
+    key,
+    { ...rule, ...(pattern && { pattern: pattern.source }) }
+  ]));
+}
+
+export default {
+  CONFIG_FIELD_TYPES,
+  validateConfig,
+  describeConfigSchema
+};
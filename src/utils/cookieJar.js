@@ -0,0 +1,158 @@
+/**
+ * Parse one Set-Cookie header
+ * @param {string} header - Set-Cookie header value
+ * @param {URL} url - URL of the response that set the cookie
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} - Cookie, or null when the header is unusable
+ */
+export function parseSetCookie(header, url, now = Date.now()) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+
+  if (separator <= 0) {
+    return null;
+  }
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: url.hostname,
+    hostOnly: true,
+    path: '/',
+    secure: false,
+    expiresAt: null
+  };
+
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      // A response may only set cookies for its own domain or a parent of it
+      if (url.hostname !== domain && !url.hostname.endsWith(`.${domain}`)) {
+        return null;
+      }
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      // Max-Age wins over Expires
+      cookie.expiresAt = now + Number(value) * 1000;
+      cookie.maxAge = true;
+    } else if (key === 'expires' && !cookie.maxAge) {
+      const expires = Date.parse(value);
+      if (!Number.isNaN(expires)) {
+        cookie.expiresAt = expires;
+      }
+    }
+  }
+
+  delete cookie.maxAge;
+  return cookie;
+}
+
+/**
+ * Create an in-memory cookie jar
+ * @returns {Object} - Jar with setCookies(), getCookieHeader(), size() and clear()
+ */
+export function createCookieJar() {
+  // Cookies keyed by domain, path and name, as a browser stores them
+  const cookies = new Map();
+
+  const isExpired = (cookie, now) => cookie.expiresAt !== null && cookie.expiresAt <= now;
+
+  return {
+    /**
+     * Store the cookies of a response
+     * @param {string|Array<string>} headers - Set-Cookie header value(s)
+     * @param {string} requestUrl - URL of the response
+     * @param {number} now - Current timestamp
+     * @returns {number} - Number of cookies stored or removed
+     */
+    setCookies(headers, requestUrl, now = Date.now()) {
+      if (!headers) {
+        return 0;
+      }
+
+      const url = new URL(requestUrl);
+      let changed = 0;
+
+      for (const header of [].concat(headers)) {
+        const cookie = parseSetCookie(header, url, now);
+        if (!cookie) {
+          continue;
+        }
+
+        const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+        if (isExpired(cookie, now)) {
+          cookies.delete(key);
+        } else {
+          cookies.set(key, cookie);
+        }
+        changed++;
+      }
+
+      return changed;
+    },
+
+    /**
+     * Build the Cookie header for a request
+     * @param {string} requestUrl - URL of the request
+     * @param {number} now - Current timestamp
+     * @returns {string} - Cookie header value, empty when no cookie applies
+     */
+    getCookieHeader(requestUrl, now = Date.now()) {
+      const url = new URL(requestUrl);
+      const matching = [];
+
+      for (const [key, cookie] of cookies) {
+        if (isExpired(cookie, now)) {
+          cookies.delete(key);
+          continue;
+        }
+
+        const domainMatches = cookie.hostOnly
+          ? url.hostname === cookie.domain
+          : url.hostname === cookie.domain || url.hostname.endsWith(`.${cookie.domain}`);
+        const pathMatches = url.pathname === cookie.path
+          || url.pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`);
+
+        if (domainMatches && pathMatches && (!cookie.secure || url.protocol === 'https:')) {
+          matching.push(cookie);
+        }
+      }
+
+      // More specific paths first, as browsers send them
+      return matching
+        .sort((a, b) => b.path.length - a.path.length)
+        .map(cookie => `${cookie.name}=${cookie.value}`)
+        .join('; ');
+    },
+
+    /**
+     * Count the stored cookies
+     * @returns {number} - Number of cookies
+     */
+    size() {
+      return cookies.size;
+    },
+
+    /**
+     * Remove every cookie
+     * @returns {void}
+     */
+    clear() {
+      cookies.clear();
+    }
+  };
+}
+
+export default {
+  parseSetCookie,
+  createCookieJar
+};
@@ -0,0 +1,56 @@
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+/**
+ * Build a cursor-paginated Prisma findMany query from a query string and the where clause of its filters
+ * @param {Object} query - Parsed query string with limit, sort, fields and cursor
+ * @param {Object} options - Query options
+ * @param {Object} options.where - Prisma where clause built from the filters
+ * @param {Array<string>} options.errors - Filter errors; problems with the paging parameters are added to them
+ * @param {Array<string>} options.fields - Columns that may be requested with ?fields=
+ * @param {Array<string>} options.sortFields - Columns that may be used with ?sort=
+ * @param {string} options.defaultSort - Sort used without ?sort=, e.g. '-createdAt'
+ * @returns {Object} - { args, limit, errors }
+ */
+export function buildCursorQuery(query = {}, { where = {}, errors = [], fields, sortFields, defaultSort }) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  // ?sort=price ascending, ?sort=-price descending
+  const sort = String(query.sort || defaultSort);
+  const direction = sort.startsWith('-') ? 'desc' : 'asc';
+  const sortField = sort.replace(/^[-+]/, '');
+  if (!sortFields.includes(sortField)) {
+    errors.push(`sort must be one of: ${sortFields.join(', ')}`);
+  }
+
+  let select;
+  if (query.fields) {
+    const requested = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = requested.filter(field => !fields.includes(field));
+
+    if (unknown.length > 0) {
+      errors.push(`Unknown fields: ${unknown.join(', ')}`);
+    } else {
+      // The id is always returned because it is the pagination cursor
+      select = Object.fromEntries(['id', ...requested].map(field => [field, true]));
+    }
+  }
+
+  const args = {
+    where,
+    // Ties on the sort column are broken by id so the cursor order is stable
+    orderBy: [{ [sortField]: direction }, { id: direction }],
+    take: limit + 1,
+    ...(select && { select }),
+    ...(query.cursor && { cursor: { id: String(query.cursor) }, skip: 1 })
+  };
+
+  return { args, limit, errors };
+}
+
+export default {
+  buildCursorQuery
+};
@@ -0,0 +1,231 @@
+import axios from 'axios';
+
+// How a failed attempt is treated
+export const ERROR_CLASSES = {
+  // Transient failure of the target or the network: retry after a backoff
+  RETRYABLE: 'retryable',
+  // The proxy failed rather than the target: retry at once through the next proxy
+  PROXY_FAULT: 'proxy-fault',
+  // The target refused this client (bot protection, IP ban): retry through another proxy after a backoff
+  BLOCKED: 'blocked',
+  // Retrying cannot help (bad request, not found): give up
+  FATAL: 'fatal'
+};
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  // Fraction of each backoff delay that is randomized
+  jitter: 0.5,
+  // Longest Retry-After the client will honour before giving up on the request
+  maxRetryAfter: 120000
+};
+
+// Network error codes worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// Network error codes raised while connecting through the proxy
+const PROXY_CODES = ['ECONNREFUSED', 'ERR_PROXY_CONNECTION_FAILED', 'ERR_TUNNEL_CONNECTION_FAILED'];
+
+// HTTP statuses worth another attempt
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// HTTP statuses with which the target refuses the client
+const BLOCKED_STATUSES = [401, 403];
+
+/**
+ * Error thrown when a request fails for good
+ */
+export class HttpRequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.classification - One of ERROR_CLASSES
+   * @param {number|null} details.status - HTTP status of the last attempt
+   * @param {Array<Object>} details.attempts - Attempt history
+   * @param {Error} details.cause - Error of the last attempt
+   */
+  constructor(message, { classification, status = null, attempts = [], cause } = {}) {
+    super(message);
+    this.name = 'HttpRequestError';
+    this.classification = classification;
+    this.status = status;
+    this.attempts = attempts;
+    this.cause = cause;
+    this.code = cause?.code;
+    this.response = cause?.response;
+  }
+}
+
+/**
+ * Classify a failed request
+ * @param {Error} error - Axios error
+ * @returns {string} - One of ERROR_CLASSES
+ */
+export function classifyError(error) {
+  // Errors raised by a response validator carry their own classification
+  if (Object.values(ERROR_CLASSES).includes(error.classification)) {
+    return error.classification;
+  }
+
+  const status = error.response?.status;
+
+  if (status) {
+    if (status === 407) {
+      return ERROR_CLASSES.PROXY_FAULT;
+    }
+    if (BLOCKED_STATUSES.includes(status)) {
+      return ERROR_CLASSES.BLOCKED;
+    }
+    if (RETRYABLE_STATUSES.includes(status) || status >= 500) {
+      return ERROR_CLASSES.RETRYABLE;
+    }
+    return ERROR_CLASSES.FATAL;
+  }
+
+  if (PROXY_CODES.includes(error.code) || /proxy|tunnel/i.test(error.message || '')) {
+    return ERROR_CLASSES.PROXY_FAULT;
+  }
+
+  if (RETRYABLE_CODES.includes(error.code)) {
+    return ERROR_CLASSES.RETRYABLE;
+  }
+
+  return ERROR_CLASSES.FATAL;
+}
+
+/**
+ * Read the delay requested by a Retry-After header
+ * @param {string|number|undefined} value - Header value, in seconds or as an HTTP date
+ * @param {number} now - Current timestamp
+ * @returns {number|null} - Delay in milliseconds, or null without a usable header
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Compute the exponential backoff before the next attempt
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoff(attempt, policy = DEFAULT_RETRY_POLICY, random = Math.random) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay * (1 - policy.jitter * random()));
+}
+
+/**
+ * Make an HTTP request, retrying failed attempts according to their classification
+ * @param {Object} request - Axios request config (url, method, headers, timeout, ...)
+ * @param {Object} options - Client options
+ * @param {Object} options.policy - Overrides of DEFAULT_RETRY_POLICY
+ * @param {Function} options.getAgent - Returns the HTTPS agent (proxy) of each attempt; errors it throws are not retried
+ * @param {Object} options.rateLimiter - Limiter whose acquire() is awaited before each attempt
+ * @param {Array} options.attempts - Array that receives the attempt history
+ * @param {Function} options.transport - Makes one attempt, same contract as axios(request); defaults to axios
+ * @param {Function} options.prepareRequest - Async (request, agent) => request, run before each attempt (sessions, cookies)
+ * @param {Function} options.validateResponse - Called with each successful response; throws (optionally with a classification) to fail the attempt
+ * @param {Function} options.onAttempt - Called with (attemptRecord, agent, response) after every attempt
+ * @param {Function} options.onRetry - Called with (attemptRecord, error) before each retry
+ * @returns {Promise<Object>} - Axios response of the successful attempt
+ */
+export async function requestWithRetry(request, options = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...options.policy };
+  const attempts = options.attempts || [];
+  const transport = options.transport || axios;
+
+  for (let attempt = 1; ; attempt++) {
+    if (options.rateLimiter) {
+      await options.rateLimiter.acquire();
+    }
+
+    // A proxy that cannot be chosen is a configuration problem, not a failed attempt, so it reaches the caller as is
+    const agent = options.getAgent ? options.getAgent() : undefined;
+    const startedAt = Date.now();
+
+    try {
+      const prepared = options.prepareRequest ? await options.prepareRequest(request, agent) : request;
+      const response = await transport({
+        ...prepared,
+        ...(agent && { httpsAgent: agent })
+      });
+      if (options.validateResponse) {
+        options.validateResponse(response);
+      }
+
+      const record = { attempt, status: response.status, durationMs: Date.now() - startedAt };
+      attempts.push(record);
+      if (options.onAttempt) {
+        options.onAttempt(record, agent, response);
+      }
+      return response;
+    } catch (error) {
+      const classification = classifyError(error);
+      const status = error.response?.status ?? null;
+      const record = {
+        attempt,
+        status,
+        classification,
+        error: error.code || error.message,
+        durationMs: Date.now() - startedAt
+      };
+      attempts.push(record);
+      if (options.onAttempt) {
+        options.onAttempt(record, agent, error.response);
+      }
+
+      let delay = null;
+      if (classification === ERROR_CLASSES.PROXY_FAULT) {
+        delay = 0;
+      } else if (classification !== ERROR_CLASSES.FATAL) {
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        delay = retryAfter ?? computeBackoff(attempt, policy);
+
+        if (retryAfter !== null && retryAfter > policy.maxRetryAfter) {
+          record.retryAfter = retryAfter;
+          delay = null;
+        }
+      }
+
+      if (delay === null || attempt >= policy.maxAttempts) {
+        const reason = status ? `status ${status}` : record.error;
+        throw new HttpRequestError(
+          `Request to ${request.url} failed with ${reason} (${classification}) after ${attempt} attempt${attempt === 1 ? '' : 's'}`,
+          { classification, status, attempts, cause: error }
+        );
+      }
+
+      record.delayMs = delay;
+      if (options.onRetry) {
+        options.onRetry(record, error);
+      }
+
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+export default {
+  ERROR_CLASSES,
+  DEFAULT_RETRY_POLICY,
+  HttpRequestError,
+  classifyError,
+  parseRetryAfter,
+  computeBackoff,
+  requestWithRetry
+};
@@ -0,0 +1,236 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// live: plain requests; record: requests are made and written to fixtures; replay: fixtures only, no network
+export const HTTP_MODES = ['live', 'record', 'replay'];
+
+// Run options that choose the HTTP mode, as a config schema (see utils/configSchema.js)
+export const RECORDING_OPTIONS_SCHEMA = {
+  httpMode: { type: 'enum', values: HTTP_MODES, description: 'live, record or replay' },
+  // A fixture set is a directory name under FIXTURES_DIR/<scraper>, never a path
+  fixtures: {
+    type: 'string',
+    pattern: /^(?!\.+$)[\w.-]+$/,
+    message: 'fixtures must be a fixture set name made of letters, digits, ".", "_" or "-"',
+    description: 'Fixture set to record to or replay from'
+  }
+};
+
+/**
+ * Check the combination of validated recording options
+ * @param {Object} options - Validated options
+ * @returns {Array<string>} - Problems found
+ */
+export function validateRecordingOptions(options) {
+  return options.httpMode === 'replay' && !options.fixtures ? ['fixtures is required in replay mode'] : [];
+}
+
+// Root directory of recorded fixture sets
+export const FIXTURES_DIR = process.env.HTTP_FIXTURES_DIR || 'fixtures';
+
+// Headers that carry credentials or session state and are never written to a fixture
+const SECRET_HEADERS = ['cookie', 'set-cookie', 'authorization', 'proxy-authorization'];
+
+/**
+ * Error thrown in replay mode for a request that was never recorded
+ */
+export class FixtureMissingError extends Error {
+  /**
+   * @param {string} key - Fixture key of the request
+   * @param {string} file - Fixture file that was looked for
+   */
+  constructor(key, file) {
+    super(`No recorded fixture for ${key} (${file})`);
+    this.name = 'FixtureMissingError';
+    this.code = 'ERR_FIXTURE_MISSING';
+    this.key = key;
+  }
+}
+
+/**
+ * Identify a request independently of the order of its query parameters
+ * @param {Object} request - Axios request config
+ * @returns {string} - "<METHOD> <url>"
+ */
+export function fixtureKey(request) {
+  const url = new URL(request.url);
+  url.searchParams.sort();
+  return `${(request.method || 'GET').toUpperCase()} ${url.toString()}`;
+}
+
+/**
+ * Name the fixture file of a request: a readable slug of its path and query plus a hash of its key
+ * @param {string} key - Fixture key
+ * @returns {string} - File name
+ */
+export function fixtureFileName(key) {
+  const url = new URL(key.slice(key.indexOf(' ') + 1));
+  const slug = `${url.pathname}${url.search}`
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 80);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+  return `${slug || 'root'}-${hash}.json`;
+}
+
+/**
+ * Copy headers without the ones that hold secrets
+ * @param {Object} headers - Request or response headers
+ * @returns {Object} - Safe headers
+ */
+const stripSecrets = (headers = {}) => {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  return Object.fromEntries(Object.entries(plain).filter(([name]) => !SECRET_HEADERS.includes(name.toLowerCase())));
+};
+
+/**
+ * Turn a response or failure into its fixture form
+ * @param {Object} response - Axios response, or undefined for network errors
+ * @param {Error} error - Error of the request, if it failed
+ * @returns {Object} - Recorded exchange
+ */
+const toRecording = (response, error) => ({
+  recordedAt: new Date().toISOString(),
+  ...(response && {
+    status: response.status,
+    headers: stripSecrets(response.headers),
+    data: response.data
+  }),
+  ...(error && !response && { error: { code: error.code || null, message: error.message } })
+});
+
+/**
+ * Rebuild the outcome of a recorded exchange
+ * @param {Object} recording - Recorded exchange
+ * @param {Object} request - Request being replayed
+ * @returns {Object} - Axios-like response; throws like axios for recorded failures
+ */
+const fromRecording = (recording, request) => {
+  if (recording.error) {
+    throw Object.assign(new Error(recording.error.message), { code: recording.error.code || undefined });
+  }
+
+  const response = { status: recording.status, headers: recording.headers || {}, data: recording.data, config: request };
+
+  // axios rejects non-2xx statuses; replay does the same so retries and classification behave as recorded
+  if (recording.status < 200 || recording.status >= 300) {
+    throw Object.assign(new Error(`Request failed with status code ${recording.status}`), {
+      code: recording.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+      response
+    });
+  }
+
+  return response;
+};
+
+/**
+ * Create the HTTP transport of a run
+ * Recording keeps every response a request got, in order, so replay serves retries the way they happened.
+ * @param {Object} options - Recorder options
+ * @param {string} options.mode - One of HTTP_MODES
+ * @param {string} options.dir - Fixture directory of the run (record and replay)
+ * @returns {Object} - { mode, dir, transport(request), getSummary() }
+ */
+export function createHttpRecorder({ mode = 'live', dir } = {}) {
+  if (!HTTP_MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP mode ${mode}; expected one of ${HTTP_MODES.join(', ')}`);
+  }
+  if (mode !== 'live' && !dir) {
+    throw new Error(`HTTP mode ${mode} needs a fixture directory`);
+  }
+
+  const counts = { recorded: 0, replayed: 0, missing: 0 };
+  // Recording: keys already written by this recorder, so older recordings are replaced rather than appended to
+  const written = new Set();
+  // Replay: loaded fixtures and the next recorded exchange of each key
+  const loaded = new Map();
+  const cursors = new Map();
+
+  if (mode === 'record') {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const record = (request, response, error) => {
+    const key = fixtureKey(request);
+    const file = path.join(dir, fixtureFileName(key));
+
+    const fixture = written.has(key) && fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : { key, request: { method: (request.method || 'GET').toUpperCase(), url: request.url, headers: stripSecrets(request.headers) }, responses: [] };
+
+    fixture.responses.push(toRecording(response, error));
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    written.add(key);
+    counts.recorded++;
+  };
+
+  const replay = (request) => {
+    const key = fixtureKey(request);
+    const file = path.join(dir, fixtureFileName(key));
+
+    if (!loaded.has(key)) {
+      loaded.set(key, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+    }
+
+    const fixture = loaded.get(key);
+    if (!fixture || fixture.responses.length === 0) {
+      counts.missing++;
+      throw new FixtureMissingError(key, file);
+    }
+
+    // Once the recorded sequence is used up, the last exchange answers every further request
+    const index = Math.min(cursors.get(key) || 0, fixture.responses.length - 1);
+    cursors.set(key, index + 1);
+    counts.replayed++;
+    return fromRecording(fixture.responses[index], request);
+  };
+
+  return {
+    mode,
+    dir: dir || null,
+
+    /**
+     * Make a request according to the mode; same contract as axios(request)
+     * @param {Object} request - Axios request config
+     * @returns {Promise<Object>} - Axios response
+     */
+    async transport(request) {
+      if (mode === 'replay') {
+        return replay(request);
+      }
+      if (mode === 'live') {
+        return axios(request);
+      }
+
+      try {
+        const response = await axios(request);
+        record(request, response);
+        return response;
+      } catch (error) {
+        record(request, error.response, error);
+        throw error;
+      }
+    },
+
+    /**
+     * Describe what the recorder did, for run statistics
+     * @returns {Object} - { mode, dir, recorded, replayed, missing }
+     */
+    getSummary() {
+      return { mode, dir: dir || null, ...counts };
+    }
+  };
+}
+
+export default {
+  HTTP_MODES,
+  RECORDING_OPTIONS_SCHEMA,
+  validateRecordingOptions,
+  FIXTURES_DIR,
+  FixtureMissingError,
+  fixtureKey,
+  fixtureFileName,
+  createHttpRecorder
+};
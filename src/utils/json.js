@@ -0,0 +1,21 @@
+/**
+ * Parse a value that may be a JSON-encoded string
+ * Json columns and API fields hold either parsed values or their JSON text, depending on how they were written.
+ * @param {any} value - Raw value
+ * @returns {any} - Parsed value, or the value itself when it is not a string or not valid JSON
+ */
+export function parseJson(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+export default {
+  parseJson
+};
@@ -0,0 +1,84 @@
+import { buildCursorQuery } from './cursorQuery.js';
+
+// Columns of Part that may be requested with ?fields=
+export const PART_FIELDS = [
+  'id', 'source', 'sourceSku', 'title', 'description', 'price', 'condition', 'category', 'mileage',
+  'vehicleYear', 'vehicleMake', 'vehicleModel', 'location', 'city', 'state', 'images', 'url',
+  'scraperRunId', 'createdAt', 'updatedAt'
+];
+
+// Columns that may be used with ?sort=
+export const PART_SORT_FIELDS = ['price', 'mileage', 'vehicleYear', 'sourceSku', 'createdAt', 'updatedAt'];
+
+// Text filters, matched case-insensitively; short aliases map to the vehicle columns
+const TEXT_FILTERS = {
+  source: 'source',
+  condition: 'condition',
+  category: 'category',
+  state: 'state',
+  make: 'vehicleMake',
+  model: 'vehicleModel'
+};
+
+// Numeric filters as [query parameter, column, bound]
+const RANGE_FILTERS = [
+  ['minPrice', 'price', 'gte'],
+  ['maxPrice', 'price', 'lte'],
+  ['minMileage', 'mileage', 'gte'],
+  ['maxMileage', 'mileage', 'lte'],
+  ['minYear', 'vehicleYear', 'gte'],
+  ['maxYear', 'vehicleYear', 'lte'],
+  ['year', 'vehicleYear', 'equals']
+];
+
+/**
+ * Build the Prisma where clause for the part filters of a query string
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - { where, errors }
+ */
+export function buildPartFilters(query = {}) {
+  const where = {};
+  const errors = [];
+
+  for (const [param, column] of Object.entries(TEXT_FILTERS)) {
+    if (query[param] !== undefined && query[param] !== '') {
+      where[column] = { equals: String(query[param]), mode: 'insensitive' };
+    }
+  }
+
+  for (const [param, column, bound] of RANGE_FILTERS) {
+    if (query[param] === undefined || query[param] === '') {
+      continue;
+    }
+
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${param} must be a number`);
+      continue;
+    }
+
+    where[column] = { ...where[column], [bound]: value };
+  }
+
+  if (query.q) {
+    where.title = { contains: String(query.q), mode: 'insensitive' };
+  }
+
+  return { where, errors };
+}
+
+/**
+ * Build a cursor-paginated Prisma findMany query over the part catalog from a query string
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - { args, limit, errors }
+ */
+export function buildPartQuery(query = {}) {
+  const { where, errors } = buildPartFilters(query);
+
+  return buildCursorQuery(query, { where, errors, fields: PART_FIELDS, sortFields: PART_SORT_FIELDS, defaultSort: '-updatedAt' });
+}
+
+export default {
+  buildPartFilters,
+  buildPartQuery
+};
@@ -0,0 +1,110 @@
+import { buildCursorQuery } from './cursorQuery.js';
+
+// Columns of LkqProduct that may be requested with ?fields=
+export const PRODUCT_FIELDS = [
+  'id', 'sku', 'title', 'description', 'descriptionRetail', 'price', 'listPrice', 'corePrice',
+  'imageUrl', 'productUrl', 'categoryUrl', 'category', 'mileage', 'location', 'yardCity', 'yardState',
+  'sourceVehicleYear', 'sourceVehicleMake', 'sourceVehicleModel', 'sourceVehicleData', 'fitments',
+  'fitmentJson', 'interchange', 'type', 'code', 'unitOfMeasureCode', 'unitOfMeasure', 'companyCode',
+  'ftcDisplay', 'freeShippingEligible', 'isReman', 'requireVin', 'displayFinancing',
+  'remanFinanceIneligible', 'availability', 'images', 'categories', 'pricing', 'catalog',
+  'scraperRunId', 'createdAt', 'updatedAt'
+];
+
+// Columns that may be used with ?sort=
+export const SORT_FIELDS = ['price', 'listPrice', 'mileage', 'sourceVehicleYear', 'sku', 'createdAt', 'updatedAt'];
+
+// Text filters, matched case-insensitively; short aliases map to the vehicle columns
+const TEXT_FILTERS = {
+  category: 'category',
+  yardState: 'yardState',
+  availability: 'availability',
+  interchange: 'interchange',
+  sourceVehicleMake: 'sourceVehicleMake',
+  sourceVehicleModel: 'sourceVehicleModel',
+  sourceVehicleYear: 'sourceVehicleYear',
+  make: 'sourceVehicleMake',
+  model: 'sourceVehicleModel',
+  year: 'sourceVehicleYear'
+};
+
+// Range filters as [query parameter, column, bound]
+const RANGE_FILTERS = [
+  ['minPrice', 'price', 'gte'],
+  ['maxPrice', 'price', 'lte'],
+  ['minMileage', 'mileage', 'gte'],
+  ['maxMileage', 'mileage', 'lte']
+];
+
+/**
+ * Build the Prisma where clause for the product filters of a query string
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - { where, errors }
+ */
+export function buildProductFilters(query = {}) {
+  const where = {};
+  const errors = [];
+
+  for (const [param, column] of Object.entries(TEXT_FILTERS)) {
+    if (query[param] !== undefined && query[param] !== '') {
+      where[column] = { equals: String(query[param]), mode: 'insensitive' };
+    }
+  }
+
+  for (const [param, column, bound] of RANGE_FILTERS) {
+    if (query[param] === undefined || query[param] === '') {
+      continue;
+    }
+
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) {
+      errors.push(`${param} must be a number`);
+      continue;
+    }
+
+    where[column] = { ...where[column], [bound]: value };
+  }
+
+  if (query.isReman !== undefined && query.isReman !== '') {
+    if (!['true', 'false'].includes(String(query.isReman))) {
+      errors.push('isReman must be true or false');
+    } else {
+      where.isReman = String(query.isReman) === 'true';
+    }
+  }
+
+  return { where, errors };
+}
+
+/**
+ * Build a cursor-paginated Prisma findMany query from a query string
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - { args, limit, errors }
+ */
+export function buildProductQuery(query = {}) {
+  const { where, errors } = buildProductFilters(query);
+
+  return buildCursorQuery(query, { where, errors, fields: PRODUCT_FIELDS, sortFields: SORT_FIELDS, defaultSort: '-createdAt' });
+}
+
+/**
+ * Split a result fetched with take = limit + 1 into a page and its next cursor
+ * @param {Array} rows - Rows returned by findMany
+ * @param {number} limit - Requested page size
+ * @returns {Object} - { items, nextCursor }
+ */
+export function toProductPage(rows, limit) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    nextCursor: hasMore ? items[items.length - 1].id : null
+  };
+}
+
+export default {
+  buildProductFilters,
+  buildProductQuery,
+  toProductPage
+};
@@ -1,62 +1,27 @@
-import axios from 'axios';
-import { createProxyFetchConfig, rotateProxies } from '../config/proxy.js';
+import { createProxyFetchConfig } from '../config/proxy.js';
+import { requestWithRetry } from './httpClient.js';
+import proxyManager from '../services/proxy-manager.js';
 
 /**
  * Make a request using a proxy with automatic retry and rotation
+ * Failed attempts are classified and retried by utils/httpClient.js
+ * Proxies come from the proxy manager, which skips proxies that are cooling down
  * @param {string} url - URL to request
  * @param {Object} options - Request options
- * @param {number} maxRetries - Maximum number of retries
- * @param {number} retryDelay - Delay between retries in milliseconds
+ * @param {number} maxRetries - Maximum number of attempts
+ * @param {number} retryDelay - Base backoff delay in milliseconds
  * @returns {Promise<any>} Response data
  */
 export async function makeProxyRequest(url, options = {}, maxRetries = 3, retryDelay = 1000) {
-  const proxyRotator = rotateProxies();
-  let lastError;
+  const { agent, ...config } = createProxyFetchConfig(options, undefined, 'country-code');
   
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const proxyAgent = proxyRotator.next().value;
-      const config = createProxyFetchConfig(options, undefined, 'country-code');
-      
-      const response = await axios({
-        ...config,
-        url,
-        httpsAgent: proxyAgent,
-        validateStatus: status => status >= 200 && status < 300
-      });
-      
-      return response.data;
-    } catch (error) {
-      lastError = error;
-      
-      // Handle specific error cases
-      if (error.response) {
-        const status = error.response.status;
-        
-        // If we get a rate limit or authentication error, try a different proxy
-        if (status === 429 || status === 407) {
-          continue;
-        }
-        
-        // For other server errors, wait before retrying
-        if (status >= 500) {
-          await new Promise(resolve => setTimeout(resolve, retryDelay));
-          continue;
-        }
-      }
-      
-      // For network errors, wait before retrying
-      if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-        continue;
-      }
-      
-      // For other errors, throw immediately
-      throw error;
-    }
-  }
+  const response = await requestWithRetry({ ...config, url }, {
+    policy: { maxAttempts: maxRetries, baseDelay: retryDelay },
+    getAgent: () => proxyManager.getNextProxy(),
+    onAttempt: (attempt, proxyAgent) => proxyManager.reportResult(attempt, proxyAgent)
+  });
   
-  throw lastError;
+  return response.data;
 }
 
 /**
@@ -0,0 +1,127 @@
+/**
+ * Create a token bucket that hands out at most requestsPerSecond tokens per second
+ * Callers are served in the order they asked; a rate of 0 or less means unlimited
+ * @param {Object} options - Bucket options
+ * @param {number} options.requestsPerSecond - Refill rate
+ * @param {number} options.burst - Tokens that may be used at once after an idle period
+ * @returns {Object} - Bucket with acquire(), setRate() and getState()
+ */
+export function createTokenBucket({ requestsPerSecond, burst = 1 } = {}) {
+  let rate = requestsPerSecond;
+  let capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let waiting = 0;
+  let turn = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * rate);
+    lastRefill = now;
+  };
+
+  const take = async () => {
+    refill();
+    if (tokens < 1) {
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(((1 - tokens) / rate) * 1000)));
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    /**
+     * Wait for a token
+     * @returns {Promise<void>}
+     */
+    acquire() {
+      if (!(rate > 0) || rate === Infinity) {
+        return Promise.resolve();
+      }
+
+      waiting++;
+      const next = turn.then(take).finally(() => {
+        waiting--;
+      });
+      turn = next;
+      return next;
+    },
+
+    /**
+     * Change the refill rate, keeping the tokens already earned
+     * @param {number} requestsPerSecond - New refill rate
+     * @param {number} newBurst - New bucket capacity
+     * @returns {void}
+     */
+    setRate(requestsPerSecond, newBurst = capacity) {
+      refill();
+      rate = requestsPerSecond;
+      capacity = Math.max(1, newBurst);
+      tokens = Math.min(tokens, capacity);
+    },
+
+    /**
+     * Describe the bucket for status endpoints and logs
+     * @returns {Object} - { requestsPerSecond, burst, tokens, waiting }
+     */
+    getState() {
+      refill();
+      return { requestsPerSecond: rate, burst: capacity, tokens, waiting };
+    }
+  };
+}
+
+// One bucket per target host, shared by every request this process makes to it
+const hostLimiters = new Map();
+
+/**
+ * Get the rate limiter of the host of a URL, creating it on first use
+ * @param {string} url - Request URL
+ * @param {number} requestsPerSecond - Rate of a newly created limiter
+ * @returns {Object} - Token bucket of the host
+ */
+export function getHostRateLimiter(url, requestsPerSecond = 0) {
+  const host = new URL(url).host;
+
+  if (!hostLimiters.has(host)) {
+    hostLimiters.set(host, createTokenBucket({ requestsPerSecond }));
+  }
+
+  return hostLimiters.get(host);
+}
+
+/**
+ * Combine limiters so each caller waits its turn at every one of them, in order
+ * @param {...Object} limiters - Limiters with acquire(); missing ones are skipped
+ * @returns {Object} - Limiter with acquire()
+ */
+export function chainRateLimiters(...limiters) {
+  const chain = limiters.filter(Boolean);
+
+  return {
+    /**
+     * Wait for a token from every limiter
+     * @returns {Promise<void>}
+     */
+    async acquire() {
+      for (const limiter of chain) {
+        await limiter.acquire();
+      }
+    }
+  };
+}
+
+/**
+ * Describe the rate limiter of every host that has been requested
+ * @returns {Object} - Limiter state keyed by host
+ */
+export function getHostRateLimits() {
+  return Object.fromEntries(Array.from(hostLimiters, ([host, limiter]) => [host, limiter.getState()]));
+}
+
+export default {
+  createTokenBucket,
+  getHostRateLimiter,
+  chainRateLimiters,
+  getHostRateLimits
+};